@@ -0,0 +1,900 @@
+/**
+ * Local stand-in for the students backend, for development and manual testing.
+ *
+ * Run with `npm run mock-api` (port 3001, or MOCK_API_PORT) and start the app with
+ * REACT_APP_API_BASE=http://localhost:3001. Data lives in memory and is reset on restart.
+ *
+ * Implements the endpoints the frontend uses:
+ *   POST   /auth/login                  { username, password } -> { token, user }
+ *   GET    /students                    q, filter (JSON, see src/filters.js), class, min_marks, max_marks,
+ *                                       term, sort_by, order, page/limit
+ *   GET    /students/:id
+ *   POST   /students                    409 on a duplicate roll number
+ *   PUT    /students/:id                412 when If-Match (or body `version`) is not the current version
+ *   GET    /terms                       academic terms, oldest first
+ *   POST   /terms                       { name, starts_on } (admin)
+ *   DELETE /students/:id                 the record is kept so it can be restored
+ *   POST   /students/:id/restore         bring a deleted student back under the same id; 409 when
+ *                                       its roll number was taken since
+ *   GET    /audit                       student_id, actor, action, from, to, page/limit
+ *   GET    /events?access_token=        Server-Sent Events stream of student changes
+ *   GET    /events/changes?after=       the same events after a cursor, for polling clients:
+ *                                       { cursor, events }; without `after` just the cursor
+ *   GET    /attendance                  class, date -> [{ student_id, status }] marked that day
+ *   PUT    /attendance                  { class, date, records: [{ student_id, status }] }; an empty
+ *                                       status unmarks the student
+ *   GET    /attendance/summary          student_id, class -> per-student status counts
+ *   POST   /promotions                  { moves: [{ student_id, to_class, version? }] } (admin): moves
+ *                                       every student or none (412 when any version is stale)
+ *   GET    /promotions                  promotion batches, newest first
+ *   POST   /promotions/:id/rollback     move the batch's students back to their old classes
+ *   GET    /classes                     class catalog [{ name, grade, section, teacher, capacity }]
+ *   POST   /classes                     add a class (admin); 409 when a spelling of it exists
+ *   PUT    /classes/:name               change grade, section, teacher or capacity (admin)
+ *   DELETE /classes/:name               remove a class without students (admin)
+ *   POST   /classes/merge               { into, from: [spellings] } (admin): moves the students of
+ *                                       every `from` spelling into the catalog class `into`
+ * Every create, update and delete records an audit entry with the acting user and a
+ * field-level before/after diff, and is pushed to every open /events stream as a
+ * `student` event: { action, student_id, student, actor, timestamp }. Records carry a `version` that each update bumps; it is
+ * also sent as the ETag of GET /students/:id.
+ *
+ * Marks are kept per term in `exams: [{ term, marks, subject_marks }]`. The record's own
+ * `marks`/`subject_marks` are its latest result and `term` names the term they belong to.
+ * Creates and updates write their marks to the body's `term` (default: the current, i.e.
+ * newest, term). An update without marks, or without `term` and with the marks of the latest
+ * result, keeps `exams` as they are. With `term`, GET /students lists only students with a
+ * result in that term, showing that result.
+ *
+ * Attendance statuses are present, absent, late and excused; the last two weeks of school days
+ * are seeded.
+ *
+ * Students may list guardians: [{ name, relationship, phone, email, primary }]. Phones are
+ * stored in E.164 form ("+15555550123", MOCK_PHONE_COUNTRY_CODE for numbers without a country
+ * code, default 1); exactly one guardian is primary. An update without `guardians` keeps them.
+ * `q` matches guardians by name or phone digits.
+ *
+ * Class names are matched ignoring case, spaces, hyphens and dots, so a student saved in
+ * "10-a" is stored in the catalog's "10A". One seeded student still has the legacy "10-A"
+ * to try the merge tool with.
+ *
+ * Demo users (password = username): admin, teacher (classes 10A and 10B), viewer.
+ */
+/* global require, process, console, URL, setInterval, clearInterval */
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.MOCK_API_PORT) || 3001;
+
+const USERS = [
+  { username: "admin", password: "admin", name: "Ada Admin", role: "admin", classes: [] },
+  { username: "teacher", password: "teacher", name: "Tom Teacher", role: "teacher", classes: ["10A", "10B"] },
+  { username: "viewer", password: "viewer", name: "Vera Viewer", role: "viewer", classes: [] },
+];
+
+// Country calling code for guardian phones typed without one
+const PHONE_COUNTRY_CODE = String(process.env.MOCK_PHONE_COUNTRY_CODE || "1").replace(/\D/g, "") || "1";
+
+// Fields compared for the audit diff; subject_marks is compared per subject and guardians
+// as a one-line summary
+const AUDITED_FIELDS = ["name", "roll_number", "student_class", "marks", "term", "gender", "contact"];
+
+// Keep-alive comment interval for open event streams
+const HEARTBEAT_MS = 25000;
+// Student events kept for GET /events/changes
+const CHANGES_KEPT = 500;
+
+const sessions = new Map();
+const streams = new Set();
+const students = [];
+// Deleted students by id, for POST /students/:id/restore
+const deletedStudents = new Map();
+const audit = [];
+// Recent student events, oldest first: { cursor (its audit entry id), event }
+const changes = [];
+// Academic terms, oldest first; the last one is the current term
+const terms = [
+  { name: "Final 2025", starts_on: "2025-04-07" },
+  { name: "Midterm 2026", starts_on: "2026-01-12" },
+  { name: "Final 2026", starts_on: "2026-04-06" },
+];
+// Attendance by date ("YYYY-MM-DD") -> Map of student id -> status
+const attendance = new Map();
+// Applied promotion batches, newest first
+const promotions = [];
+// Class catalog; student_class values matching an entry are stored with its spelling
+const classes = [
+  { name: "9C", grade: 9, section: "C", teacher: "Priya Nair", capacity: 30 },
+  { name: "10A", grade: 10, section: "A", teacher: "Tom Teacher", capacity: 30 },
+  { name: "10B", grade: 10, section: "B", teacher: "Tom Teacher", capacity: 30 },
+];
+let nextStudentId = 1;
+let nextAuditId = 1;
+let nextPromotionId = 1;
+
+// Seeded change of each student's average from one term to the next (oldest first)
+const TERM_TRENDS = [[4, 3], [-6, -5], [2, 1], [-3, 9], [8, 6]];
+
+const SEED_GUARDIANS = {
+  R001: [
+    { name: "Meera Rao", relationship: "Mother", phone: "+15555550101", email: "meera.rao@example.com", primary: true },
+    { name: "Vikram Rao", relationship: "Father", phone: "+15555550102", email: "", primary: false },
+  ],
+  R003: [{ name: "Li Wei", relationship: "Father", phone: "+15555550131", email: "li.wei@example.com", primary: true }],
+  R005: [{ name: "Selin Demir", relationship: "Guardian", phone: "+445555550150", email: "", primary: true }],
+};
+
+function seed() {
+  const rows = [
+    ["Asha Rao", "R001", "10A", { Mathematics: 92, Science: 88, English: 79 }],
+    ["Ben Clark", "R002", "10A", { Mathematics: 64, Science: 71, English: 58 }],
+    ["Chen Wei", "R003", "10B", { Mathematics: 85, Science: 90, English: 82 }],
+    ["Dara Okafor", "R004", "10B", { Mathematics: 55, Science: 49, English: 67 }],
+    ["Elif Demir", "R005", "9C", { Mathematics: 77, Science: 81, English: 88 }],
+    ["Farah Khan", "R006", "10-A", { Mathematics: 69, Science: 74, English: 91 }],
+  ];
+  rows.forEach(([name, roll, cls, marks], i) => {
+    // Earlier terms are derived from the latest marks, walking the trend backwards
+    const exams = [];
+    let offset = 0;
+    for (let t = terms.length - 1; t >= 0; t--) {
+      const subjectMarks = {};
+      for (const subject of Object.keys(marks)) subjectMarks[subject] = Math.max(0, Math.min(100, marks[subject] - offset));
+      exams.unshift(withAverage({ term: terms[t].name, subject_marks: subjectMarks }));
+      offset += (TERM_TRENDS[i % TERM_TRENDS.length][t - 1] || 0);
+    }
+    students.push(
+      syncLatest({
+        id: nextStudentId++,
+        version: 1,
+        name,
+        roll_number: roll,
+        student_class: cls,
+        gender: "",
+        contact: "",
+        guardians: SEED_GUARDIANS[roll] || [],
+        exams,
+      })
+    );
+  });
+}
+
+const termIndex = (name) => terms.findIndex((t) => t.name === name);
+const currentTerm = () => terms[terms.length - 1].name;
+
+// Copy of the student with its result for `term` replaced by `result` ({ marks, subject_marks? })
+function setExam(student, term, result) {
+  const exams = (student.exams || []).filter((e) => e.term !== term);
+  exams.push({ term, ...result });
+  exams.sort((a, b) => termIndex(a.term) - termIndex(b.term));
+  return syncLatest({ ...student, exams });
+}
+
+// Set marks, subject_marks and term from the newest exam result
+function syncLatest(student) {
+  const latest = (student.exams || [])[student.exams.length - 1];
+  if (!latest) return student;
+  student.term = latest.term;
+  student.marks = latest.marks;
+  if (latest.subject_marks) student.subject_marks = { ...latest.subject_marks };
+  else delete student.subject_marks;
+  return student;
+}
+
+// The student as seen in one term: that term's result, or null without one
+function inTerm(student, term) {
+  const exam = (student.exams || []).find((e) => e.term === term);
+  if (!exam) return null;
+  const view = { ...student, term, marks: exam.marks };
+  if (exam.subject_marks) view.subject_marks = { ...exam.subject_marks };
+  else delete view.subject_marks;
+  return view;
+}
+
+// Seeded attendance pattern per student (cycled over the seeded days)
+const ATTENDANCE_PATTERNS = ["PPPPPPPLPP", "PPAPLPPPEP", "PPPPPPPPPP", "PAPAAPLPAP", "PPPEPPPLPP"];
+const ATTENDANCE_CODES = { P: "present", A: "absent", L: "late", E: "excused" };
+const ATTENDANCE_STATUSES = Object.values(ATTENDANCE_CODES);
+
+function seedAttendance() {
+  const day = new Date();
+  let n = 0;
+  while (n < 10) {
+    day.setDate(day.getDate() - 1);
+    if (day.getDay() === 0 || day.getDay() === 6) continue;
+    const marks = new Map();
+    students.forEach((s, i) => {
+      const pattern = ATTENDANCE_PATTERNS[i % ATTENDANCE_PATTERNS.length];
+      marks.set(String(s.id), ATTENDANCE_CODES[pattern[n % pattern.length]]);
+    });
+    attendance.set(day.toISOString().slice(0, 10), marks);
+    n++;
+  }
+}
+
+function withAverage(student) {
+  const values = Object.values(student.subject_marks || {});
+  if (values.length) student.marks = Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+  return student;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match",
+    "Access-Control-Expose-Headers": "ETag",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function currentUser(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  return match ? sessions.get(match[1]) || null : null;
+}
+
+const RANK = { viewer: 1, teacher: 2, admin: 3 };
+
+function canEditClass(user, cls) {
+  if (user.role === "admin") return true;
+  const wanted = String(cls || "").trim().toLowerCase();
+  return user.role === "teacher" && user.classes.some((c) => c.toLowerCase() === wanted);
+}
+
+// [{ field, before, after }] for every audited field that differs
+function diff(before, after) {
+  const changes = [];
+  for (const field of AUDITED_FIELDS) {
+    const a = before ? before[field] ?? null : null;
+    const b = after ? after[field] ?? null : null;
+    if (a !== b) changes.push({ field, before: a, after: b });
+  }
+  const beforeGuardians = formatGuardians(before && before.guardians);
+  const afterGuardians = formatGuardians(after && after.guardians);
+  if (beforeGuardians !== afterGuardians) {
+    changes.push({ field: "guardians", before: beforeGuardians || null, after: afterGuardians || null });
+  }
+  const beforeMarks = (before && before.subject_marks) || {};
+  const afterMarks = (after && after.subject_marks) || {};
+  for (const subject of new Set([...Object.keys(beforeMarks), ...Object.keys(afterMarks)])) {
+    const a = beforeMarks[subject] ?? null;
+    const b = afterMarks[subject] ?? null;
+    if (a !== b) changes.push({ field: `subject_marks.${subject}`, before: a, after: b });
+  }
+  // Results of earlier terms (the latest one is covered by marks above)
+  const examMarks = (student) => Object.fromEntries(((student && student.exams) || []).map((e) => [e.term, e.marks]));
+  const beforeExams = examMarks(before);
+  const afterExams = examMarks(after);
+  const latest = (after || before).term;
+  for (const term of new Set([...Object.keys(beforeExams), ...Object.keys(afterExams)])) {
+    const a = beforeExams[term] ?? null;
+    const b = afterExams[term] ?? null;
+    if (term !== latest && a !== b) changes.push({ field: `exams.${term}`, before: a, after: b });
+  }
+  return changes;
+}
+
+function record(action, user, before, after) {
+  const student = after || before;
+  const entry = {
+    id: nextAuditId++,
+    action,
+    student_id: student.id,
+    student_name: student.name,
+    actor: user.username,
+    actor_role: user.role,
+    timestamp: new Date().toISOString(),
+    changes: diff(before, after),
+  };
+  audit.unshift(entry);
+  const event = {
+    action,
+    student_id: student.id,
+    student: after,
+    actor: entry.actor,
+    timestamp: entry.timestamp,
+  };
+  broadcast("student", event);
+  // Records are updated in place, so keep a copy as it is now
+  changes.push({ cursor: entry.id, event: { ...event, student: after && JSON.parse(JSON.stringify(after)) } });
+  if (changes.length > CHANGES_KEPT) changes.shift();
+}
+
+function broadcast(event, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of streams) res.write(frame);
+}
+
+// EventSource cannot send headers, so the stream takes the token as a query parameter
+function openStream(req, res, token) {
+  if (!sessions.has(token)) return send(res, 401, { detail: "Not authenticated" });
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write("retry: 5000\n\n");
+  streams.add(res);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    streams.delete(res);
+  });
+}
+
+// Phone in E.164 form, or "" when it cannot be one (as normalizePhone in src/guardians.js)
+function normalizePhone(raw) {
+  const text = String(raw || "").trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return "";
+  let digits = text.replace(/\D/g, "");
+  if (!text.startsWith("+")) {
+    digits = digits.startsWith("00") ? digits.slice(2) : PHONE_COUNTRY_CODE + digits.replace(/^0+/, "");
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : "";
+}
+
+// Validate guardians; returns [guardians with one primary, error message]
+function parseGuardians(list) {
+  if (!Array.isArray(list)) return [null, "Guardians must be a list."];
+  const guardians = [];
+  for (const g of list) {
+    const name = String((g && g.name) || "").trim();
+    const rawPhone = String((g && g.phone) || "").trim();
+    const email = String((g && g.email) || "").trim().toLowerCase();
+    const phone = rawPhone && normalizePhone(rawPhone);
+    if (!name) return [null, "Every guardian needs a name."];
+    if (!rawPhone && !email) return [null, `Add a phone or email for ${name}.`];
+    if (rawPhone && !phone) return [null, `Phone number of ${name} is invalid.`];
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return [null, `Email of ${name} is invalid.`];
+    guardians.push({ name, relationship: String(g.relationship || "").trim(), phone, email, primary: Boolean(g.primary) });
+  }
+  const primary = Math.max(0, guardians.findIndex((g) => g.primary));
+  guardians.forEach((g, i) => (g.primary = i === primary));
+  return [guardians, ""];
+}
+
+function formatGuardians(guardians) {
+  return (guardians || [])
+    .map((g) => `${g.name}${g.relationship ? ` (${g.relationship})` : ""}${g.primary ? " [primary]" : ""} ${g.phone || g.email}`)
+    .join("; ");
+}
+
+// A search word matches a guardian's name, or (phone-like, 3+ digits) its phone digits
+function matchesGuardian(guardian, value) {
+  if (guardian.name.toLowerCase().includes(value)) return true;
+  const digits = value.replace(/\D/g, "");
+  return /^\+?[\d\s().-]+$/.test(value) && digits.length >= 3 && guardian.phone.replace(/\D/g, "").includes(digits);
+}
+
+// Validate a create/update body; returns [student fields, error message]
+function parseStudent(body) {
+  if (!body || typeof body !== "object") return [null, "Invalid JSON body."];
+  const student = {
+    name: String(body.name || "").trim(),
+    roll_number: String(body.roll_number || "").trim(),
+    student_class: canonicalClass(body.student_class),
+    gender: body.gender || "",
+    contact: String(body.contact || "").trim(),
+    marks: Number(body.marks),
+  };
+  if (body.subject_marks && typeof body.subject_marks === "object") student.subject_marks = { ...body.subject_marks };
+  if (body.guardians !== undefined) {
+    const [guardians, error] = parseGuardians(body.guardians);
+    if (error) return [null, error];
+    student.guardians = guardians;
+  }
+  if (!student.name || !student.student_class) return [null, "Name and class are required."];
+  if (!Number.isFinite(student.marks) || student.marks < 0 || student.marks > 100) {
+    return [null, "Marks must be between 0 and 100."];
+  }
+  return [withAverage(student), ""];
+}
+
+function examResult(marks, subjectMarks) {
+  return subjectMarks ? { marks, subject_marks: subjectMarks } : { marks };
+}
+
+// Whether the student's latest result has these marks
+function sameResult(student, marks, subjectMarks) {
+  const scores = (map) => JSON.stringify(Object.entries(map || {}).map(([k, v]) => [k, Number(v)]).sort());
+  return student.marks === marks && scores(student.subject_marks) === scores(subjectMarks);
+}
+
+// `q` syntax as in src/search.js: every word must match; plain words match name, roll
+// number, class, contact or a guardian, prefixed words (name:, roll:, class:, contact:,
+// guardian:) one field
+const SEARCH_PREFIXES = {
+  name: "name",
+  roll: "roll_number",
+  class: "student_class",
+  contact: "contact",
+  guardian: "guardians",
+};
+
+function parseSearch(text) {
+  const terms = [];
+  for (const m of String(text || "").matchAll(/(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g)) {
+    const prefix = m[1] && m[1].toLowerCase();
+    const field = prefix && SEARCH_PREFIXES[prefix];
+    const value = (field ? m[2] ?? m[3] : m[4] ?? m[0]).trim().toLowerCase();
+    if (value) terms.push({ field: field || null, value });
+  }
+  return terms;
+}
+
+function matchesSearch(student, terms) {
+  const has = (field, value) =>
+    field === "guardians"
+      ? (student.guardians || []).some((g) => matchesGuardian(g, value))
+      : String(student[field] ?? "").toLowerCase().includes(value);
+  return terms.every((t) =>
+    t.field ? has(t.field, t.value) : Object.values(SEARCH_PREFIXES).some((f) => has(f, t.value))
+  );
+}
+
+// Value of a filter field; "subject_marks.<Subject>" reads one subject mark
+function fieldValue(student, field) {
+  if (field.startsWith("subject_marks.")) return (student.subject_marks || {})[field.slice("subject_marks.".length)];
+  return student[field];
+}
+
+// Advanced filter as built by src/filters.js: { match: "all"|"any", conditions: [{ field, op, value }] }
+function matchesCondition(student, { field, op, value }) {
+  const raw = fieldValue(student, field);
+  const empty = raw === undefined || raw === null || String(raw).trim() === "";
+  if (op === "empty") return empty;
+  if (op === "not_empty") return !empty;
+  if (empty) return op === "not_in";
+  const text = String(raw).trim().toLowerCase();
+  const num = Number(raw);
+  switch (op) {
+    case "contains": return text.includes(String(value).toLowerCase());
+    case "equals": return text === String(value).toLowerCase();
+    case "in": return value.some((v) => String(v).toLowerCase() === text);
+    case "not_in": return !value.some((v) => String(v).toLowerCase() === text);
+    case "between": return (value.min === null || num >= value.min) && (value.max === null || num <= value.max);
+    case "lt": return num < value;
+    case "lte": return num <= value;
+    case "gt": return num > value;
+    case "gte": return num >= value;
+    case "eq": return num === value;
+    default: return true;
+  }
+}
+
+function parseFilter(text) {
+  try {
+    const filter = JSON.parse(text);
+    return filter && Array.isArray(filter.conditions) && filter.conditions.length ? filter : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function matchesFilter(student, filter) {
+  if (!filter) return true;
+  const test = (c) => matchesCondition(student, c);
+  return filter.match === "any" ? filter.conditions.some(test) : filter.conditions.every(test);
+}
+
+function paged(list, query) {
+  if (!query.has("page") && !query.has("limit")) return list;
+  const page = Math.max(1, parseInt(query.get("page"), 10) || 1);
+  const limit = Math.max(1, parseInt(query.get("limit"), 10) || 25);
+  return { data: list.slice((page - 1) * limit, page * limit), total: list.length, page, limit };
+}
+
+function listStudents(query) {
+  const term = query.get("term");
+  const cls = query.get("class");
+  const min = query.get("min_marks");
+  const max = query.get("max_marks");
+  const sortBy = query.get("sort_by");
+  const dir = query.get("order") === "desc" ? -1 : 1;
+  const terms = parseSearch(query.get("q"));
+  const filter = parseFilter(query.get("filter"));
+  const source = term ? students.map((s) => inTerm(s, term)).filter(Boolean) : students;
+  let list = source.filter(
+    (s) =>
+      matchesSearch(s, terms) &&
+      matchesFilter(s, filter) &&
+      (!cls || s.student_class === cls) &&
+      (min === null || min === "" || s.marks >= Number(min)) &&
+      (max === null || max === "" || s.marks <= Number(max))
+  );
+  if (sortBy) {
+    list = [...list].sort((a, b) => {
+      const x = a[sortBy];
+      const y = b[sortBy];
+      return (typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y))) * dir;
+    });
+  }
+  return paged(list, query);
+}
+
+const sameClass = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// "10-A", "10 a" and "10A" share the key "10a" (see classKey in src/classes.js)
+const classKey = (name) => String(name || "").toLowerCase().replace(/[\s._-]+/g, "");
+
+// The catalog spelling of a class name, or the trimmed name when it is not listed
+function canonicalClass(name) {
+  const entry = classes.find((c) => classKey(c.name) === classKey(name));
+  return entry ? entry.name : String(name || "").trim();
+}
+
+// Validate a catalog entry body; returns [entry fields, error message]
+function parseClass(body) {
+  if (!body || typeof body !== "object") return [null, "Invalid JSON body."];
+  const optionalInt = (value) => (value === undefined || value === null || value === "" ? null : Number(value));
+  const entry = {
+    name: String(body.name || "").trim(),
+    grade: optionalInt(body.grade),
+    section: String(body.section || "").trim(),
+    teacher: String(body.teacher || "").trim(),
+    capacity: optionalInt(body.capacity),
+  };
+  if (!entry.name || entry.name.length > 20) return [null, "A class name of at most 20 characters is required."];
+  if (entry.grade !== null && (!Number.isInteger(entry.grade) || entry.grade < 0 || entry.grade > 99)) {
+    return [null, "Grade must be a whole number from 0 to 99."];
+  }
+  if (entry.capacity !== null && (!Number.isInteger(entry.capacity) || entry.capacity < 1)) {
+    return [null, "Capacity must be a positive whole number."];
+  }
+  if (entry.section.length > 10 || entry.teacher.length > 100) return [null, "Section or class teacher is too long."];
+  return [entry, ""];
+}
+
+// Move every student of the `from` spellings into the catalog class `into`; the merged
+// spellings leave the catalog
+function mergeClasses(body, user) {
+  const into = classes.find((c) => c.name === String((body && body.into) || "").trim());
+  if (!into) return [422, { success: false, message: "Merge into a class from the catalog." }];
+  const from = new Set((Array.isArray(body.from) ? body.from : []).map((n) => String(n)).filter((n) => n !== into.name));
+  if (!from.size) return [422, { success: false, message: "Pick the spellings to merge." }];
+  const moving = students.filter((s) => from.has(s.student_class));
+  for (const student of moving) moveStudent(student, into.name, user);
+  for (let i = classes.length - 1; i >= 0; i--) if (from.has(classes[i].name)) classes.splice(i, 1);
+  return [200, {
+    success: true,
+    message: `Moved ${moving.length} students into ${into.name}.`,
+    data: { into: into.name, moved: moving.length, classes },
+  }];
+}
+
+// Status counts per current student, optionally for one student or class
+function attendanceSummary(query) {
+  const studentId = query.get("student_id");
+  const cls = query.get("class");
+  return students
+    .filter((s) => (!studentId || String(s.id) === studentId) && (!cls || sameClass(s.student_class, cls)))
+    .map((s) => {
+      const counts = Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]));
+      for (const marks of attendance.values()) {
+        const status = marks.get(String(s.id));
+        if (status) counts[status]++;
+      }
+      return { student_id: s.id, student_class: s.student_class, ...counts };
+    });
+}
+
+// Change a student's class as `user`, with an audit entry and a live event
+function moveStudent(student, toClass, user) {
+  const before = { ...student };
+  Object.assign(student, { student_class: toClass, version: student.version + 1 });
+  record("update", user, before, student);
+}
+
+function promote(body, user) {
+  const moves = Array.isArray(body && body.moves) ? body.moves : [];
+  if (!moves.length) return [422, { success: false, message: "Nothing to promote." }];
+  const planned = [];
+  const stale = [];
+  for (const move of moves) {
+    const student = students.find((s) => String(s.id) === String(move.student_id));
+    const toClass = canonicalClass(move.to_class);
+    if (!student) return [422, { success: false, message: `Student ${move.student_id} not found.` }];
+    if (!toClass || toClass.length > 20) {
+      return [422, { success: false, message: `Invalid target class for ${student.name}.` }];
+    }
+    if (move.version !== undefined && String(move.version) !== String(student.version)) stale.push(student);
+    planned.push({ student, toClass });
+  }
+  if (stale.length) {
+    return [412, {
+      success: false,
+      message: `${stale.length} student(s) changed since the preview was made. Reload and review before promoting.`,
+      data: stale,
+    }];
+  }
+  const batch = {
+    id: nextPromotionId++,
+    actor: user.username,
+    created_at: new Date().toISOString(),
+    rolled_back_at: null,
+    moves: planned.map(({ student, toClass }) => ({
+      student_id: student.id,
+      name: student.name,
+      from_class: student.student_class,
+      to_class: toClass,
+    })),
+  };
+  for (const { student, toClass } of planned) moveStudent(student, toClass, user);
+  promotions.unshift(batch);
+  return [201, { success: true, message: `Promoted ${planned.length} students.`, data: batch }];
+}
+
+// Students still in their target class go back; others (moved or deleted since) are skipped
+function rollback(batch, user) {
+  if (batch.rolled_back_at) return [409, { success: false, message: "This promotion was already rolled back." }];
+  const skipped = [];
+  let restored = 0;
+  for (const move of batch.moves) {
+    const student = students.find((s) => s.id === move.student_id);
+    if (!student) skipped.push({ ...move, reason: "Deleted since the promotion." });
+    else if (student.student_class !== move.to_class) skipped.push({ ...move, reason: `Now in ${student.student_class}.` });
+    else {
+      moveStudent(student, move.from_class, user);
+      restored++;
+    }
+  }
+  batch.rolled_back_at = new Date().toISOString();
+  return [200, { success: true, message: `Moved ${restored} students back.`, data: { batch, restored, skipped } }];
+}
+
+function listAudit(query) {
+  const studentId = query.get("student_id");
+  const actor = (query.get("actor") || "").toLowerCase();
+  const action = query.get("action");
+  const from = query.get("from");
+  const to = query.get("to");
+  const list = audit.filter(
+    (e) =>
+      (!studentId || String(e.student_id) === studentId) &&
+      (!actor || e.actor.toLowerCase().includes(actor)) &&
+      (!action || e.action === action) &&
+      (!from || e.timestamp.slice(0, 10) >= from) &&
+      (!to || e.timestamp.slice(0, 10) <= to)
+  );
+  return paged(list, query);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  if (req.method === "POST" && path === "/auth/login") {
+    const body = (await readBody(req)) || {};
+    const user = USERS.find((u) => u.username === body.username && u.password === body.password);
+    if (!user) return send(res, 401, { message: "Invalid username or password." });
+    const token = crypto.randomBytes(18).toString("hex");
+    const profile = { ...user };
+    delete profile.password;
+    sessions.set(token, profile);
+    return send(res, 200, { token, user: profile });
+  }
+
+  if (req.method === "GET" && path === "/events") return openStream(req, res, url.searchParams.get("access_token"));
+
+  const user = currentUser(req);
+  if (!user) return send(res, 401, { detail: "Not authenticated" });
+
+  if (path === "/audit" && req.method === "GET") {
+    const needed = url.searchParams.get("student_id") ? "teacher" : "admin";
+    if (RANK[user.role] < RANK[needed]) return send(res, 403, { detail: "Not allowed" });
+    return send(res, 200, listAudit(url.searchParams));
+  }
+
+  if (path === "/students" && req.method === "GET") return send(res, 200, listStudents(url.searchParams));
+
+  if (path === "/events/changes" && req.method === "GET") {
+    const after = url.searchParams.has("after") ? Number(url.searchParams.get("after")) : Infinity;
+    const events = changes.filter((c) => c.cursor > after).map((c) => c.event);
+    return send(res, 200, { success: true, data: { cursor: nextAuditId - 1, events } });
+  }
+
+  if (path === "/promotions" || path.startsWith("/promotions/")) {
+    if (user.role !== "admin") return send(res, 403, { detail: "Not allowed" });
+    if (path === "/promotions" && req.method === "GET") return send(res, 200, { success: true, data: promotions });
+    if (path === "/promotions" && req.method === "POST") return send(res, ...promote(await readBody(req), user));
+    const rollbackMatch = /^\/promotions\/(\d+)\/rollback$/.exec(path);
+    const batch = rollbackMatch && promotions.find((p) => String(p.id) === rollbackMatch[1]);
+    if (batch && req.method === "POST") return send(res, ...rollback(batch, user));
+    return send(res, 404, { success: false, message: "Promotion not found." });
+  }
+
+  if (path === "/classes" && req.method === "GET") return send(res, 200, { success: true, data: classes });
+
+  if (path === "/classes" || path.startsWith("/classes/")) {
+    if (user.role !== "admin") return send(res, 403, { detail: "Not allowed" });
+    if (path === "/classes/merge" && req.method === "POST") return send(res, ...mergeClasses(await readBody(req), user));
+    if (path === "/classes" && req.method === "POST") {
+      const [entry, error] = parseClass(await readBody(req));
+      if (error) return send(res, 422, { success: false, message: error });
+      const existing = classes.find((c) => classKey(c.name) === classKey(entry.name));
+      if (existing) return send(res, 409, { success: false, message: `${existing.name} is already in the catalog.` });
+      classes.push(entry);
+      return send(res, 201, { success: true, message: "Class added.", data: entry });
+    }
+    const classMatch = /^\/classes\/([^/]+)$/.exec(path);
+    const entry = classMatch && classes.find((c) => c.name === decodeURIComponent(classMatch[1]));
+    if (!entry) return send(res, 404, { success: false, message: "Class not found." });
+    if (req.method === "PUT") {
+      // The name stays; spellings are folded together with the merge instead
+      const [fields, error] = parseClass({ ...entry, ...(await readBody(req)), name: entry.name });
+      if (error) return send(res, 422, { success: false, message: error });
+      Object.assign(entry, fields);
+      return send(res, 200, { success: true, message: "Class updated.", data: entry });
+    }
+    if (req.method === "DELETE") {
+      const count = students.filter((s) => s.student_class === entry.name).length;
+      if (count) return send(res, 409, { success: false, message: `${entry.name} still has ${count} students. Move or merge them first.` });
+      classes.splice(classes.indexOf(entry), 1);
+      return send(res, 200, { success: true, message: "Class removed." });
+    }
+  }
+
+  if (path === "/terms" && req.method === "GET") return send(res, 200, { success: true, data: terms });
+
+  if (path === "/terms" && req.method === "POST") {
+    if (user.role !== "admin") return send(res, 403, { detail: "Not allowed" });
+    const body = (await readBody(req)) || {};
+    const name = String(body.name || "").trim();
+    const startsOn = String(body.starts_on || "");
+    if (!name || !/^\d{4}-\d{2}-\d{2}$/.test(startsOn)) {
+      return send(res, 422, { success: false, message: "A term name and start date (YYYY-MM-DD) are required." });
+    }
+    if (terms.some((t) => t.name.toLowerCase() === name.toLowerCase())) {
+      return send(res, 409, { success: false, message: `A term named "${name}" already exists.` });
+    }
+    if (startsOn <= terms[terms.length - 1].starts_on) {
+      return send(res, 422, { success: false, message: "A new term must start after the current one." });
+    }
+    terms.push({ name, starts_on: startsOn });
+    return send(res, 201, { success: true, message: "Term added.", data: terms });
+  }
+
+  if (path === "/attendance/summary" && req.method === "GET") {
+    return send(res, 200, { success: true, data: attendanceSummary(url.searchParams) });
+  }
+
+  if (path === "/attendance" && (req.method === "GET" || req.method === "PUT")) {
+    if (RANK[user.role] < RANK.teacher) return send(res, 403, { detail: "Not allowed" });
+    const body = req.method === "PUT" ? (await readBody(req)) || {} : null;
+    const cls = body ? body.class : url.searchParams.get("class");
+    const date = body ? body.date : url.searchParams.get("date");
+    if (!cls || !/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      return send(res, 422, { success: false, message: "A class and a date (YYYY-MM-DD) are required." });
+    }
+    const roster = new Set(students.filter((s) => sameClass(s.student_class, cls)).map((s) => String(s.id)));
+    if (!body) {
+      const marks = attendance.get(date) || new Map();
+      const records = [...marks].filter(([id]) => roster.has(id)).map(([id, status]) => ({ student_id: Number(id), status }));
+      return send(res, 200, { success: true, data: records });
+    }
+    if (!canEditClass(user, cls)) return send(res, 403, { success: false, detail: "Not your class" });
+    const records = Array.isArray(body.records) ? body.records : [];
+    const invalid = records.find((r) => r.status && !ATTENDANCE_STATUSES.includes(r.status));
+    if (invalid) return send(res, 422, { success: false, message: `Unknown attendance status "${invalid.status}".` });
+    const stranger = records.find((r) => !roster.has(String(r.student_id)));
+    if (stranger) return send(res, 422, { success: false, message: `Student ${stranger.student_id} is not in class ${cls}.` });
+    const marks = attendance.get(date) || new Map();
+    for (const r of records) {
+      if (r.status) marks.set(String(r.student_id), r.status);
+      else marks.delete(String(r.student_id));
+    }
+    attendance.set(date, marks);
+    return send(res, 200, { success: true, message: "Attendance saved." });
+  }
+
+  if (path === "/students" && req.method === "POST") {
+    const body = await readBody(req);
+    const [fields, error] = parseStudent(body);
+    if (error) return send(res, 422, { success: false, message: error });
+    const term = (body && body.term) || currentTerm();
+    if (termIndex(term) < 0) return send(res, 422, { success: false, message: `Unknown term "${term}".` });
+    if (!canEditClass(user, fields.student_class)) return send(res, 403, { success: false, detail: "Not your class" });
+    if (fields.roll_number && students.some((s) => s.roll_number === fields.roll_number)) {
+      return send(res, 409, { success: false, message: "Roll Number is already taken." });
+    }
+    const { marks, subject_marks: subjectMarks, ...rest } = fields;
+    const student = setExam({ id: nextStudentId++, version: 1, ...rest }, term, examResult(marks, subjectMarks));
+    students.push(student);
+    record("create", user, null, student);
+    return send(res, 201, { success: true, message: "Student added.", data: student });
+  }
+
+  const restoreMatch = /^\/students\/([^/]+)\/restore$/.exec(path);
+  if (restoreMatch && req.method === "POST") {
+    const id = decodeURIComponent(restoreMatch[1]);
+    const student = deletedStudents.get(id);
+    if (!student) return send(res, 404, { success: false, message: "No deleted student with this id." });
+    if (!canEditClass(user, student.student_class)) return send(res, 403, { success: false, detail: "Not your class" });
+    if (student.roll_number && students.some((s) => s.roll_number === student.roll_number)) {
+      return send(res, 409, { success: false, message: "Roll Number is already taken." });
+    }
+    deletedStudents.delete(id);
+    const restored = { ...student, version: student.version + 1 };
+    students.push(restored);
+    record("create", user, null, restored);
+    return send(res, 200, { success: true, message: "Student restored.", data: restored });
+  }
+
+  const match = /^\/students\/([^/]+)$/.exec(path);
+  if (match) {
+    const student = students.find((s) => String(s.id) === decodeURIComponent(match[1]));
+    if (!student) return send(res, 404, { success: false, message: "Student not found." });
+    if (req.method === "GET") return send(res, 200, { success: true, data: student }, { ETag: `"${student.version}"` });
+    if (!canEditClass(user, student.student_class)) return send(res, 403, { success: false, detail: "Not your class" });
+
+    if (req.method === "PUT") {
+      const body = await readBody(req);
+      // If-Match: "3" (or W/"3"), else a `version` field in the body; neither = unconditional
+      const ifMatch = (req.headers["if-match"] || "").replace(/^W\//, "").replace(/"/g, "");
+      const expected = ifMatch || (body && body.version !== undefined ? String(body.version) : "");
+      if (expected && expected !== String(student.version)) {
+        return send(res, 412, {
+          success: false,
+          message: "This student was changed by someone else. Reload to see the latest version.",
+          data: student,
+        });
+      }
+      const hasMarks = Boolean(body && (body.marks !== undefined || body.subject_marks));
+      const [fields, error] = parseStudent(hasMarks ? body : { ...body, marks: student.marks });
+      if (error) return send(res, 422, { success: false, message: error });
+      if (!canEditClass(user, fields.student_class)) return send(res, 403, { success: false, detail: "Not your class" });
+      const term = body.term || currentTerm();
+      if (termIndex(term) < 0) return send(res, 422, { success: false, message: `Unknown term "${term}".` });
+      // The edit form does not send the roll number; keep the stored one
+      if (!fields.roll_number) delete fields.roll_number;
+      const { marks, subject_marks: subjectMarks, ...rest } = fields;
+      const before = { ...student };
+      const updated = { ...student, ...rest, version: student.version + 1 };
+      // Edits that leave the latest result as it is do not record it again in another term
+      const keepExams = !hasMarks || (!body.term && sameResult(student, marks, subjectMarks));
+      const next = keepExams ? updated : setExam(updated, term, examResult(marks, subjectMarks));
+      Object.keys(student).forEach((key) => delete student[key]);
+      Object.assign(student, next);
+      record("update", user, before, student);
+      // A save for a named term answers with the student as seen in that term
+      const data = body.term ? inTerm(student, term) : student;
+      return send(res, 200, { success: true, message: "Student updated.", data });
+    }
+    if (req.method === "DELETE") {
+      students.splice(students.indexOf(student), 1);
+      deletedStudents.set(String(student.id), student);
+      record("delete", user, student, null);
+      return send(res, 200, { success: true, message: "Student deleted." });
+    }
+  }
+
+  return send(res, 404, { message: "Not found." });
+}
+
+seed();
+seedAttendance();
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, { message: err.message }));
+  })
+  .listen(PORT, () => {
+    console.log(`Mock students API on http://localhost:${PORT} (users: admin, teacher, viewer)`);
+  });
@@ -0,0 +1,85 @@
+/* global self, caches, fetch, URL */
+/**
+ * Service worker for the offline app shell.
+ *
+ * Precaches the page shell and the build's bundles (listed in asset-manifest.json) on
+ * install and serves the shell for navigations when the network is down, so the app opens
+ * offline from the first visit on. Built assets under static/ have hashed names and are
+ * cached the first time they load. API requests are left alone: offline data and the
+ * change outbox are handled in the app (src/api.js) with IndexedDB.
+ * Paths are relative to the worker's scope, so the app works when deployed under a
+ * sub-path (PUBLIC_URL / "homepage").
+ * Registered from src/serviceWorkerRegistration.js in production builds only.
+ */
+const CACHE = "student-management-shell-v2";
+// Scope path of the app, e.g. "/" or "/students-app/"
+const BASE = new URL(self.registration.scope).pathname;
+const SHELL = ["", "index.html", "manifest.json", "favicon.ico"].map((path) => BASE + path);
+const SHELL_PAGE = `${BASE}index.html`;
+
+// Bundles of the current build; asset-manifest.json paths already include PUBLIC_URL
+function buildAssets() {
+  return fetch(`${BASE}asset-manifest.json`)
+    .then((res) => (res.ok ? res.json() : { files: {} }))
+    .then((manifest) => Object.values(manifest.files || {}).filter((path) => !path.endsWith(".map")))
+    .catch(() => []);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    buildAssets().then((assets) =>
+      caches.open(CACHE).then((cache) => cache.addAll([...new Set([...SHELL, ...assets])]))
+    )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, the cached shell when offline. Only a good
+  // response replaces the shell, so an error page is never served offline.
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(SHELL_PAGE, copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match(SHELL_PAGE))
+    );
+    return;
+  }
+
+  // Hashed build assets never change: cache first
+  if (url.pathname.startsWith(`${BASE}static/`) || SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(
+        (cached) =>
+          cached ||
+          fetch(request).then((res) => {
+            if (res.ok) {
+              const copy = res.clone();
+              caches.open(CACHE).then((cache) => cache.put(request, copy));
+            }
+            return res;
+          })
+      )
+    );
+  }
+});
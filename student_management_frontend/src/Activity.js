@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { listAudit } from "./api";
+import { AUDIT_ACTIONS, normalizeAuditEntry } from "./audit";
+import AuditTimeline from "./AuditTimeline";
+
+/**
+ * PUBLIC_INTERFACE
+ * Activity page (/activity): every recorded create, update and delete across all students,
+ * newest first, with who made the change and the field-level before/after values.
+ *
+ * Filters (kept in the URL): actor, action, date range (from/to) and student_id.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_SECONDARY = "#424242";
+const COLOR_ERROR = "#b80000";
+
+const PAGE_SIZE = 25;
+const FILTER_KEYS = ["actor", "action", "from", "to", "student_id"];
+
+function Activity() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = Object.fromEntries(FILTER_KEYS.map((k) => [k, searchParams.get(k) || ""]));
+  const page = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  // Actor is typed, so it is only applied on Enter/Apply
+  const [actorInput, setActorInput] = useState(filters.actor);
+
+  // Merge filter changes into the URL; any filter change goes back to page 1
+  const updateParams = (next) => {
+    setSearchParams((prev) => {
+      const params = new URLSearchParams(prev);
+      for (const key of Object.keys(next)) {
+        if (next[key]) params.set(key, next[key]);
+        else params.delete(key);
+      }
+      if (!("page" in next)) params.delete("page");
+      return params;
+    });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setFetchError("");
+    listAudit({
+      actor: filters.actor,
+      action: filters.action,
+      from: filters.from,
+      to: filters.to,
+      studentId: filters.student_id,
+      page,
+      limit: PAGE_SIZE,
+    })
+      .then((res) => {
+        if (cancelled) return;
+        setEntries(res.items.map(normalizeAuditEntry));
+        setTotal(res.total);
+      })
+      .catch((err) => !cancelled && setFetchError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line
+  }, [searchParams]);
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const hasFilters = FILTER_KEYS.some((k) => filters[k]);
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        minHeight: "100vh",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+        padding: "24px 4vw 50px 4vw",
+        maxWidth: 1020,
+        margin: "0 auto"
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.75rem", margin: "18px 0 8px 0" }}>
+        Activity
+        {!loading && !fetchError && (
+          <span style={{ marginLeft: 12, fontSize: 16, fontWeight: 500, color: "#777" }}>({total} changes)</span>
+        )}
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 20 }}>
+        Who created, changed or deleted student records, and what changed.
+      </p>
+
+      <form
+        style={{ display: "flex", flexWrap: "wrap", gap: 18, alignItems: "center", marginBottom: 24 }}
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateParams({ actor: actorInput.trim() });
+        }}
+      >
+        <input
+          className="input"
+          type="text"
+          placeholder="User..."
+          aria-label="Filter by user"
+          value={actorInput}
+          onChange={(e) => setActorInput(e.target.value)}
+          style={{ ...controlCss, minWidth: 160 }}
+        />
+        <label style={labelCss}>
+          Action:&nbsp;
+          <select value={filters.action} onChange={(e) => updateParams({ action: e.target.value })} style={controlCss}>
+            <option value="">All</option>
+            {AUDIT_ACTIONS.map((a) => (
+              <option key={a.value} value={a.value}>
+                {a.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelCss}>
+          From:&nbsp;
+          <input type="date" value={filters.from} onChange={(e) => updateParams({ from: e.target.value })} style={controlCss} />
+        </label>
+        <label style={labelCss}>
+          To:&nbsp;
+          <input type="date" value={filters.to} onChange={(e) => updateParams({ to: e.target.value })} style={controlCss} />
+        </label>
+        <button type="submit" style={pagerBtnCss(false)}>
+          Apply
+        </button>
+        {hasFilters && (
+          <button
+            type="button"
+            style={{ ...pagerBtnCss(false), background: "#f1f1f1", color: COLOR_SECONDARY }}
+            onClick={() => {
+              setActorInput("");
+              setSearchParams({});
+            }}
+          >
+            Clear filters
+          </button>
+        )}
+      </form>
+      {filters.student_id && (
+        <div style={{ fontSize: 14.5, color: COLOR_SECONDARY, marginBottom: 16 }}>
+          Showing one student's history only.
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ margin: "55px 0", color: "#aaa", fontSize: 19 }}>Loading...</div>
+      ) : fetchError ? (
+        <div role="alert" style={{ color: COLOR_ERROR, background: "#fff1f16d", borderRadius: 5, fontSize: 16, padding: 16 }}>
+          {fetchError}
+        </div>
+      ) : entries.length === 0 ? (
+        <div
+          style={{
+            border: "1px dashed #d6e2ef",
+            color: "#bbb",
+            fontSize: 17,
+            padding: "28px",
+            borderRadius: 8,
+            background: "#fcfcfc",
+          }}
+        >
+          {hasFilters ? "No activity matches these filters." : "No activity recorded yet."}
+        </div>
+      ) : (
+        <>
+          <AuditTimeline entries={entries} showStudent linkStudents />
+          {pageCount > 1 && (
+            <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 12, fontSize: 14.5 }}>
+              <button
+                type="button"
+                style={pagerBtnCss(page <= 1)}
+                disabled={page <= 1}
+                onClick={() => updateParams({ page: String(page - 1) })}
+              >
+                ‹ Newer
+              </button>
+              <span style={{ color: COLOR_SECONDARY }}>
+                Page {page} of {pageCount}
+              </span>
+              <button
+                type="button"
+                style={pagerBtnCss(page >= pageCount)}
+                disabled={page >= pageCount}
+                onClick={() => updateParams({ page: String(page + 1) })}
+              >
+                Older ›
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const labelCss = { fontSize: 15, color: COLOR_SECONDARY };
+
+const controlCss = {
+  fontSize: 15,
+  borderRadius: 5,
+  border: "1px solid #d4d7da",
+  padding: "5px 10px",
+  color: COLOR_SECONDARY,
+};
+
+function pagerBtnCss(disabled) {
+  return {
+    background: disabled ? "#f1f1f1" : "#e3e8ee",
+    color: disabled ? "#aaa" : COLOR_PRIMARY,
+    border: "none",
+    borderRadius: 5,
+    fontWeight: 600,
+    fontSize: 14,
+    padding: "6px 13px",
+    cursor: disabled ? "not-allowed" : "pointer"
+  };
+}
+
+export default Activity;
@@ -1,13 +1,28 @@
 import React, { useEffect, useState } from "react";
+import { listStudents, createStudent } from "./api";
+import { validateFields } from "./validation";
+import { blankSubjectMarks, subjectMarksFields } from "./subjects";
+import SubjectMarksGrid from "./SubjectMarksGrid";
+import { loadGradingScale } from "./grading";
+import { useAuth } from "./AuthContext";
+import { classPermissionError } from "./permissions";
+import { useClassCatalog } from "./classes";
+import ClassField from "./ClassField";
+import { normalizeGuardians } from "./guardians";
+import GuardiansEditor from "./GuardiansEditor";
 
 /**
  * PUBLIC_INTERFACE
  * AddStudent page for adding a new student with validation and backend integration.
  *
- * Fields: Name, Roll Number, Class/Grade, Subject Marks, Optional Gender, Optional Contact.
- * Validates: required fields, unique Roll Number, numeric marks, feedback on submit.
+ * Fields: Name, Roll Number, Class/Grade, Subject Marks, Optional Gender, Optional Contact,
+ * Optional Guardians (see guardians.js; phones are saved in international form).
+ * Subject Marks is a grid of the configured subjects (see subjects.js); rows can be removed/added,
+ * and the average is previewed with its letter grade and pass/fail.
+ * Validates: required fields, unique Roll Number, numeric 0-100 marks per subject, feedback on submit.
+ * The class is picked from the class catalog (see classes.js); teachers are offered their
+ * assigned classes only.
  */
-const API_BASE = process.env.REACT_APP_API_BASE || "http://localhost:3001";
 
 const COLOR_PRIMARY = "#1976d2";
 const COLOR_ACCENT = "#ffc107";
@@ -23,9 +38,10 @@ function AddStudent({ onSuccessNav }) {
     name: "",
     roll_number: "",
     student_class: "",
-    marks: "",
+    subject_marks: blankSubjectMarks(),
     gender: "",
     contact: "",
+    guardians: [],
   });
 
   // List of existing students (for Roll Number uniqueness)
@@ -39,11 +55,17 @@ function AddStudent({ onSuccessNav }) {
 
   const [loading, setLoading] = useState(false);
 
+  // Grading scale for the live grade preview under the marks grid
+  const [gradingScale] = useState(loadGradingScale);
+
+  const { user } = useAuth();
+  const { classes: catalog } = useClassCatalog();
+
   // Load existing students (needed for roll number uniqueness)
   useEffect(() => {
-    fetch(`${API_BASE}/students`)
-      .then((res) => res.ok ? res.json() : [])
-      .then((data) => setExisting(data || []));
+    listStudents()
+      .then(setExisting)
+      .catch(() => setExisting([]));
   }, []);
 
   // Input change handler
@@ -53,38 +75,25 @@ function AddStudent({ onSuccessNav }) {
     setErrors((prev) => ({ ...prev, [name]: undefined }));
   }
 
-  // Validate form fields
-  function validateFields(formData) {
-    const errs = {};
-    if (!formData.name.trim()) errs.name = "Name is required";
-    if (!formData.roll_number.trim()) errs.roll_number = "Roll Number is required";
-    if (!formData.student_class.trim()) errs.student_class = "Class/Grade required";
-    if (formData.marks === "" || formData.marks === undefined) errs.marks = "Marks required";
-    else if (!/^\d+$/.test(formData.marks)) errs.marks = "Marks must be a number";
-    else if (+formData.marks < 0 || +formData.marks > 100) errs.marks = "Marks must be 0-100";
-    // Roll Number uniqueness (client-side precaution)
-    if (
-      formData.roll_number.trim() &&
-      existing.some(
-        (stu) =>
-          stu.roll_number &&
-          stu.roll_number.toString().toLowerCase() === formData.roll_number.trim().toLowerCase()
-      )
-    ) {
-      errs.roll_number = "Roll Number must be unique";
-    }
-    // Optional: Contact number (if provided, must be valid phone)
-    if (formData.contact && !/^[\d ()+\-]{7,24}$/.test(formData.contact)) {
-      errs.contact = "Contact number is invalid";
-    }
-    return errs;
+  // Marks grid change handler
+  function handleSubjectMarksChange(subjectMarks) {
+    setForm((prev) => ({ ...prev, subject_marks: subjectMarks }));
+    setErrors((prev) => ({ ...prev, marks: undefined, subject_marks: undefined }));
+  }
+
+  // Guardians editor change handler
+  function handleGuardiansChange(guardians) {
+    setForm((prev) => ({ ...prev, guardians }));
+    setErrors((prev) => ({ ...prev, guardians: undefined }));
   }
 
   // Submit handler
   async function handleSubmit(e) {
     e.preventDefault();
 
-    const errs = validateFields(form);
+    const errs = validateFields(form, { existing });
+    const classError = classPermissionError(user, form.student_class);
+    if (classError) errs.student_class = classError;
     setErrors(errs);
     setStatus({ type: "", message: "" });
 
@@ -94,60 +103,44 @@ function AddStudent({ onSuccessNav }) {
 
     // Backend expects: name, student_class, marks (not roll_number/gender/contact)
     // Backend POST will return { success, message, ... }
+    // marks is sent as the average of the subject marks
     const postBody = {
       name: form.name.trim(),
       student_class: form.student_class.trim(),
-      marks: parseInt(form.marks, 10),
+      ...subjectMarksFields(form.subject_marks),
       roll_number: form.roll_number.trim(),
       gender: form.gender,
       contact: form.contact.trim(),
+      guardians: normalizeGuardians(form.guardians),
     };
 
     // Send all fields; backend ignores extra fields but receives roll_number.
     try {
-      const response = await fetch(`${API_BASE}/students`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(postBody),
+      const res = await createStudent(postBody);
+      setStatus({ type: "success", message: res.queued ? res.message : "Student added successfully!" });
+      setForm({
+        name: "",
+        roll_number: "",
+        student_class: "",
+        subject_marks: blankSubjectMarks(),
+        gender: "",
+        contact: "",
+        guardians: [],
       });
-      if (response.status === 409) {
+      setErrors({});
+      // Optional: navigation callback after success (if supplied)
+      if (onSuccessNav) setTimeout(() => onSuccessNav(), 900);
+      // Reload students for latest roll numbers
+      listStudents()
+        .then(setExisting)
+        .catch(() => {});
+    } catch (err) {
+      if (err.status === 409) {
         setStatus({ type: "error", message: "Roll Number is already taken." });
         setErrors({ roll_number: "Roll Number must be unique" });
-        setLoading(false);
-        return;
-      }
-      const data = await response.json();
-      if (response.status === 201 && data.success) {
-        setStatus({ type: "success", message: "Student added successfully!" });
-        setForm({
-          name: "",
-          roll_number: "",
-          student_class: "",
-          marks: "",
-          gender: "",
-          contact: "",
-        });
-        setErrors({});
-        // Optional: navigation callback after success (if supplied)
-        if (onSuccessNav) setTimeout(() => onSuccessNav(), 900);
-        // Reload students for latest roll numbers
-        fetch(`${API_BASE}/students`)
-          .then((res) => res.ok ? res.json() : [])
-          .then((data) => setExisting(data || []));
       } else {
-        let msg =
-          data && data.message
-            ? data.message
-            : "Failed to save student. " +
-              (data && data.detail
-                ? (Array.isArray(data.detail)
-                    ? data.detail.map((d) => d.msg).join("; ")
-                    : data.detail)
-                : "");
-        setStatus({ type: "error", message: msg });
+        setStatus({ type: "error", message: err.message });
       }
-    } catch (err) {
-      setStatus({ type: "error", message: "Network or server error." });
     }
     setLoading(false);
   }
@@ -230,29 +223,20 @@ function AddStudent({ onSuccessNav }) {
           autoComplete="off"
         />
         {/* Class/Grade */}
-        <FormField
-          label="Class / Grade"
-          name="student_class"
-          type="text"
+        <ClassField
           value={form.student_class}
           onChange={handleChange}
+          catalog={catalog}
+          user={user}
           error={errors.student_class}
-          maxLength={20}
-          placeholder="e.g. 10A"
-          required
         />
-        {/* Marks */}
-        <FormField
-          label="Marks"
-          name="marks"
-          type="number"
-          value={form.marks}
-          onChange={handleChange}
+        {/* Subject Marks */}
+        <SubjectMarksGrid
+          value={form.subject_marks}
+          errors={errors.subject_marks}
           error={errors.marks}
-          min={0}
-          max={100}
-          placeholder="0-100"
-          required
+          scale={gradingScale}
+          onChange={handleSubjectMarksChange}
         />
 
         {/* Optional: Gender */}
@@ -298,6 +282,9 @@ function AddStudent({ onSuccessNav }) {
           placeholder="e.g., +1 555-9012"
         />
 
+        {/* Optional: Guardians */}
+        <GuardiansEditor value={form.guardians} errors={errors.guardians} onChange={handleGuardiansChange} />
+
         <button
           type="submit"
           style={{
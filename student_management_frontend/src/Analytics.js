@@ -1,20 +1,64 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useState, useMemo } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { canAccess } from "./permissions";
+import { listStudents, listAttendanceSummary } from "./api";
+import { useStudentEvents, applyStudentEvent } from "./liveUpdates";
+import {
+  computeStats, marksOf, subjectStats, subjectClassAverages, groupByClass, passRate, gradeDistribution, quartiles
+} from "./stats";
+import { loadGradingScale } from "./grading";
+import { normalizeSummary, classAttendance, lowAttendance, formatRate, LOW_ATTENDANCE_RATE } from "./attendance";
+import { inTerm, previousTerm, compareTerms, formatChange, useTerms } from "./terms";
+import ChartCanvas from "./ChartCanvas";
 
 /**
  * PUBLIC_INTERFACE
  * Analytics/Summary Page for Student Management System.
  * Fetches all student records, computes stats (total students, average marks, highest/lowest scorer per class and overall),
- * and renders key summary figures with minimal charts.
+ * and renders key summary figures with Chart.js charts (marks histogram, average per class,
+ * marks spread per class as a box plot, class sizes). Clicking a histogram bar or a class
+ * opens the dashboard filtered to that marks range or class.
+ * Pass rates and the grade histogram use the saved grading scale (see GradingSettings).
+ * Students with per-subject marks also feed subject averages, subject toppers and a
+ * subject-by-class heatmap of average marks.
+ * Changes made by other users are applied as they arrive, so the stats stay current.
+ * Attendance records (see Attendance) add attendance-rate cards per class and a list of
+ * students below the low-attendance threshold.
+ * A term selector switches every figure to one academic term's results (see terms.js), and
+ * a term-over-term section compares two terms: average change per class and the most
+ * improved and most declined students.
  */
-const API_BASE = "http://localhost:3001";
 const COLOR_PRIMARY = "#1976d2";
 const COLOR_ACCENT = "#ffc107";
 const COLOR_ERROR = "#b80000";
 
+// Slice colours for the class-size pie
+const PALETTE = ["#1976d2", "#ffc107", "#188542", "#c60f0f", "#7b1fa2", "#00838f", "#ef6c00", "#5d4037", "#546e7a", "#ad1457"];
+
+// Tooltip labels
+const studentsTooltip = (n) => ` ${n} student${n === 1 ? "" : "s"}`;
+const averageTooltip = (avg) => ` Average: ${avg.toFixed(2)}`;
+
 function Analytics() {
-  const [students, setStudents] = useState([]);
+  // Every student with all its term results; `students` below is the selected term's view
+  const [allStudents, setAllStudents] = useState([]);
   const [fetchError, setFetchError] = useState("");
   const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canReport = canAccess(user, "/reports");
+  const [gradingScale] = useState(loadGradingScale);
+  // Histogram buckets: "ranges" (fixed 20-point ranges) or "grades" (grade bands)
+  const [histMode, setHistMode] = useState("ranges");
+  // Term shown ("" = each student's latest result) and the terms compared ("" = default)
+  const { terms, current: currentTermName } = useTerms();
+  const [term, setTerm] = useState("");
+  const [comparison, setComparison] = useState({ from: "", to: "" });
+  const students = useMemo(() => inTerm(allStudents, term), [allStudents, term]);
+  // Per-student attendance summaries; null until loaded, error shown in the section
+  const [attendance, setAttendance] = useState(null);
+  const [attendanceError, setAttendanceError] = useState("");
 
   // Fetch all students on mount
   useEffect(() => {
@@ -22,80 +66,99 @@ function Analytics() {
       setLoading(true);
       setFetchError("");
       try {
-        const res = await fetch(`${API_BASE}/students?sort_by=marks&order=desc`);
-        if (!res.ok) throw new Error("Failed to fetch student records");
-        const data = await res.json();
-        setStudents(data || []);
+        const data = await listStudents({ sortBy: "marks", sortOrder: "desc" });
+        setAllStudents(data);
       } catch (e) {
         setFetchError("Could not fetch student records.");
       }
       setLoading(false);
     };
     fetchAll();
+    listAttendanceSummary()
+      .then((list) => setAttendance(list.map(normalizeSummary)))
+      .catch(() => setAttendanceError("Could not load attendance."));
   }, []);
 
-  // Compute key statistics
-  const stats = useMemo(() => {
-    if (!students.length) return null;
-    const total = students.length;
-    const marks = students.map(s => typeof s.marks === "number" ? s.marks : parseFloat(s.marks)).filter(m => !isNaN(m));
-    const sum = marks.reduce((acc, m) => acc + m, 0);
-    const avg = marks.length ? (sum / marks.length) : 0;
-
-    let highest = null, lowest = null;
-    if (students.length) {
-      highest = students.reduce((a, b) => (a.marks > b.marks ? a : b), students[0]);
-      lowest = students.reduce((a, b) => (a.marks < b.marks ? a : b), students[0]);
-    }
-    // Average, hi/lo by class:
-    const classesMap = {};
-    for (let stu of students) {
-      if (!stu.student_class) continue;
-      if (!classesMap[stu.student_class]) classesMap[stu.student_class] = [];
-      classesMap[stu.student_class].push(stu);
-    }
-    const classStats = Object.keys(classesMap).map(cls => {
-      const arr = classesMap[cls];
-      const sum = arr.reduce((acc, s) => acc + (typeof s.marks === "number" ? s.marks : parseFloat(s.marks)), 0);
-      return {
-        class: cls,
-        count: arr.length,
-        avgMarks: arr.length ? (sum / arr.length) : 0,
-        highest: arr.reduce((a, b) => (a.marks > b.marks ? a : b), arr[0]),
-        lowest: arr.reduce((a, b) => (a.marks < b.marks ? a : b), arr[0]),
-      };
-    });
+  // Keep the stats current as other users change students
+  useStudentEvents((event) => setAllStudents((prev) => applyStudentEvent(prev, event)));
 
-    return {
-      total, avg, highest, lowest, classStats,
-    };
-  }, [students]);
+  // Compute key statistics
+  const stats = useMemo(() => computeStats(students), [students]);
 
-  // Marks Distribution (Histogram buckets: 0-19, 20-39,... 80-100)
+  // Marks Distribution (Histogram buckets: 0-19, 20-39,... 80-100, or one per grade band)
   const hist = useMemo(() => {
-    if (!students.length) return [];
+    if (!students.length) return { labels: [], counts: [], ranges: [] };
+    if (histMode === "grades") return gradeDistribution(students, gradingScale);
     const bins = [0, 20, 40, 60, 80, 101]; // 5 bins (0-19,20-39,40-59...)
     const labels = ["0-19", "20-39", "40-59", "60-79", "80-100"];
+    const ranges = [{ min: 0, max: 19 }, { min: 20, max: 39 }, { min: 40, max: 59 }, { min: 60, max: 79 }, { min: 80, max: 100 }];
     const counts = [0,0,0,0,0];
     for (let stu of students) {
-      const m = typeof stu.marks === "number" ? stu.marks : parseFloat(stu.marks);
+      const m = marksOf(stu);
       let idx = bins.findIndex(b => m < b) - 1;
       if (idx < 0 || idx >= counts.length) idx = counts.length - 1;
       counts[idx]++;
     }
-    return { labels, counts };
-  }, [students]);
-
-  // Bar Chart Data: Avg marks per class
-  const avgMarksPerClass = useMemo(() => {
-    if (!stats?.classStats) return [];
-    return stats.classStats
-      .sort((a, b) => a.class.localeCompare(b.class))
-      .map(cs => ({
-        label: cs.class,
-        avg: cs.avgMarks,
-      }));
-  }, [stats]);
+    return { labels, counts, ranges };
+  }, [students, histMode, gradingScale]);
+
+  // Pass rate overall and per class
+  const passing = useMemo(() => passRate(students, gradingScale), [students, gradingScale]);
+  const classPassRates = useMemo(() => {
+    const classesMap = groupByClass(students);
+    return Object.fromEntries(Object.keys(classesMap).map(cls => [cls, passRate(classesMap[cls], gradingScale)]));
+  }, [students, gradingScale]);
+
+  // Per-class chart data (classes sorted by name): averages, sizes and marks spread
+  const classCharts = useMemo(() => {
+    const classesMap = groupByClass(students);
+    const classes = Object.keys(classesMap).sort((a, b) => a.localeCompare(b));
+    const classStats = Object.fromEntries((stats?.classStats || []).map(cs => [cs.class, cs]));
+    return {
+      classes,
+      averages: classes.map(cls => classStats[cls].avgMarks),
+      counts: classes.map(cls => classesMap[cls].length),
+      boxes: classes.map(cls => quartiles(classesMap[cls].map(marksOf))),
+    };
+  }, [students, stats]);
+
+  // Chart clicks open the dashboard filtered to the clicked marks range or class
+  const openDashboard = useCallback(
+    (params) => navigate(`/dashboard?${new URLSearchParams(term ? { ...params, term } : params)}`),
+    [navigate, term]
+  );
+  const selectRange = useCallback(
+    (i) => openDashboard({ min_marks: hist.ranges[i].min, max_marks: hist.ranges[i].max }),
+    [hist, openDashboard]
+  );
+  const selectClass = useCallback(
+    (i) => openDashboard({ class: classCharts.classes[i] }),
+    [classCharts, openDashboard]
+  );
+
+  // Per-subject figures (only students with subject marks count)
+  const subjects = useMemo(() => subjectStats(students), [students]);
+  const heatmap = useMemo(() => subjectClassAverages(students), [students]);
+  const subjectLabels = useMemo(() => subjects.map(ss => ss.subject), [subjects]);
+  const subjectAverages = useMemo(() => subjects.map(ss => ss.avg), [subjects]);
+
+  // Attendance per class and students below the threshold (records of deleted students skipped)
+  const attendanceStats = useMemo(() => {
+    if (!attendance) return null;
+    const byId = new Map(allStudents.map(s => [String(s.id), s]));
+    const current = attendance
+      .filter(a => byId.has(String(a.studentId)))
+      .map(a => ({ ...a, student: byId.get(String(a.studentId)), studentClass: byId.get(String(a.studentId)).student_class }));
+    return { classes: classAttendance(current).filter(c => c.rate !== null), low: lowAttendance(current) };
+  }, [attendance, allStudents]);
+
+  // Term over term: the selected (or current) term against the one before it by default
+  const compareTo = comparison.to || term || currentTermName;
+  const compareFrom = comparison.from || previousTerm(terms, compareTo);
+  const termChange = useMemo(
+    () => (compareFrom && compareTo && compareFrom !== compareTo ? compareTerms(allStudents, compareFrom, compareTo) : null),
+    [allStudents, compareFrom, compareTo]
+  );
 
   return (
     <div
@@ -121,8 +184,30 @@ function Analytics() {
         Analytics & Summary
       </h2>
       <p style={{ fontSize: 19, color: "#595959", marginBottom: 31, fontWeight: 500 }}>
-        Overview of student statistics and key metrics. This page provides real-time insights using the latest data.
+        Overview of student statistics and key metrics. This page provides real-time insights using the latest data.{" "}
+        {canReport && (
+          <Link to="/reports" style={{ color: COLOR_PRIMARY, fontWeight: 600, fontSize: 16 }}>
+            Printable reports
+          </Link>
+        )}
       </p>
+      {terms.length > 0 && (
+        <label style={{ display: "block", fontSize: 15, color: "#424242", marginTop: -16, marginBottom: 26 }}>
+          Results for:&nbsp;
+          <select
+            value={term}
+            onChange={(e) => setTerm(e.target.value)}
+            style={{ fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", color: COLOR_PRIMARY, padding: "3px 8px" }}
+          >
+            <option value="">Latest results</option>
+            {[...terms].reverse().map((t) => (
+              <option key={t.name} value={t.name}>
+                {t.name}{t.name === currentTermName ? " (current)" : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
       {loading ? (
         <div style={{ color: "#aaa", fontSize: 19, marginTop: 50 }}>Loading...</div>
       ) : fetchError ? (
@@ -146,7 +231,7 @@ function Analytics() {
           textAlign: "center",
           marginTop: 60
         }}>
-          No student records available to show analytics.
+          {term ? `No results recorded for ${term}.` : "No student records available to show analytics."}
         </div>
       ) : (
         <>
@@ -165,32 +250,277 @@ function Analytics() {
             />
             <StatCard
               title="Top Scorer"
-              value={(stats.highest?.name || "-") + (stats.highest ? ` (${stats.highest.marks})` : "")}
+              value={<StudentLink student={stats.highest} />}
               icon="🥇"
               color="#188542"
               subtitle={stats.highest?.student_class && `Class: ${stats.highest.student_class}`}
             />
             <StatCard
               title="Lowest Scorer"
-              value={(stats.lowest?.name || "-") + (stats.lowest ? ` (${stats.lowest.marks})` : "")}
+              value={<StudentLink student={stats.lowest} />}
               icon="🥲"
               color="#c60f0f"
               subtitle={stats.lowest?.student_class && `Class: ${stats.lowest.student_class}`}
             />
+            <StatCard
+              title="Pass Rate"
+              value={`${passing.rate.toFixed(1)}%`}
+              icon="✅"
+              color="#188542"
+              subtitle={`${passing.passed} of ${passing.graded} at or above ${gradingScale.passMark}`}
+            />
           </section>
 
           <section style={{ marginBottom: 44 }}>
             <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.25rem" }}>
               Marks Distribution
             </h3>
-            <Histogram labels={hist.labels} counts={hist.counts} color={COLOR_PRIMARY} />
+            <label style={{ fontSize: 15, color: "#424242" }}>
+              Group by:&nbsp;
+              <select
+                value={histMode}
+                onChange={(e) => setHistMode(e.target.value)}
+                style={{ fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", color: COLOR_PRIMARY, padding: "3px 8px" }}
+              >
+                <option value="ranges">Marks ranges</option>
+                <option value="grades">Grade bands</option>
+              </select>
+            </label>
+            <BarChart
+              labels={hist.labels}
+              values={hist.counts}
+              color={COLOR_PRIMARY}
+              xTitle={histMode === "grades" ? "Grade" : "Marks"}
+              yTitle="Students"
+              tooltip={studentsTooltip}
+              onSelect={selectRange}
+            />
           </section>
 
           <section style={{ marginBottom: 36 }}>
             <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
               Average Marks Per Class
             </h3>
-            <BarChart data={avgMarksPerClass} color={COLOR_ACCENT} />
+            <BarChart
+              labels={classCharts.classes}
+              values={classCharts.averages}
+              color={COLOR_ACCENT}
+              xTitle="Class"
+              yTitle="Average marks"
+              tooltip={averageTooltip}
+              onSelect={selectClass}
+            />
+          </section>
+
+          <section style={{ display: "flex", flexWrap: "wrap", gap: 36, marginBottom: 36 }}>
+            <div style={{ flex: "2 1 420px", minWidth: 0 }}>
+              <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
+                Marks Spread Per Class
+              </h3>
+              <BoxPlot
+                classes={classCharts.classes}
+                boxes={classCharts.boxes}
+                color="rgba(25, 118, 210, 0.25)"
+                onSelect={selectClass}
+              />
+            </div>
+            <div style={{ flex: "1 1 280px", minWidth: 0 }}>
+              <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
+                Students Per Class
+              </h3>
+              <ClassPie classes={classCharts.classes} counts={classCharts.counts} onSelect={selectClass} />
+            </div>
+          </section>
+
+          {subjects.length > 0 && (
+            <>
+              <section style={{ marginBottom: 36 }}>
+                <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
+                  Average Marks Per Subject
+                </h3>
+                <BarChart
+                  labels={subjectLabels}
+                  values={subjectAverages}
+                  color={COLOR_PRIMARY}
+                  xTitle="Subject"
+                  yTitle="Average marks"
+                  tooltip={averageTooltip}
+                  horizontal
+                  height={Math.max(160, subjects.length * 44)}
+                />
+              </section>
+
+              <section style={{ marginBottom: 36 }}>
+                <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.13rem" }}>
+                  Subject Toppers
+                </h3>
+                <div style={{ overflowX: "auto" }}>
+                <table
+                  style={{
+                    minWidth: 540,
+                    width: "90%",
+                    background: "#fff",
+                    borderCollapse: "collapse",
+                    fontSize: 16,
+                    borderRadius: 8,
+                    boxShadow: "0 2px 13px rgba(33,40,60,0.05)",
+                    marginTop: 7,
+                  }}
+                >
+                  <thead>
+                    <tr style={{ background: "#e7f1ff" }}>
+                      <th style={thCss}>Subject</th>
+                      <th style={thCss}>Students</th>
+                      <th style={thCss}>Avg. Marks</th>
+                      <th style={thCss}>Topper</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {subjects.map((ss) => (
+                      <tr key={ss.subject}>
+                        <td style={tdCss}>{ss.subject}</td>
+                        <td style={tdCss}>{ss.count}</td>
+                        <td style={tdCss}>{ss.avg.toFixed(2)}</td>
+                        <td style={tdCss}>
+                          {canAccess(user, "/students/:id") ? (
+                            <Link
+                              to={`/students/${ss.topper.id}`}
+                              style={{ color: COLOR_PRIMARY, textDecoration: "none" }}
+                              title="View profile"
+                            >
+                              {ss.topper.name} ({ss.topMarks})
+                            </Link>
+                          ) : (
+                            `${ss.topper.name} (${ss.topMarks})`
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                </div>
+              </section>
+
+              <section style={{ marginBottom: 36 }}>
+                <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.13rem" }}>
+                  Subject × Class Average Marks
+                </h3>
+                <Heatmap {...heatmap} />
+              </section>
+            </>
+          )}
+
+          {terms.length > 1 && (
+            <section style={{ marginBottom: 36 }}>
+              <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
+                Term over Term
+              </h3>
+              <div style={{ fontSize: 15, color: "#424242", marginBottom: 10 }}>
+                Compare{" "}
+                <TermSelect
+                  terms={terms}
+                  value={compareFrom}
+                  onChange={(from) => setComparison((prev) => ({ ...prev, from }))}
+                  label="Earlier term"
+                />{" "}
+                with{" "}
+                <TermSelect
+                  terms={terms}
+                  value={compareTo}
+                  onChange={(to) => setComparison((prev) => ({ ...prev, to }))}
+                  label="Later term"
+                />
+              </div>
+              {!termChange || !termChange.count ? (
+                <EmptyChart
+                  text={compareFrom === compareTo ? "Pick two different terms." : "No students have results in both terms."}
+                />
+              ) : (
+                <>
+                  <div style={{ overflowX: "auto" }}>
+                  <table
+                    style={{
+                      minWidth: 480,
+                      width: "90%",
+                      background: "#fff",
+                      borderCollapse: "collapse",
+                      fontSize: 16,
+                      borderRadius: 8,
+                      boxShadow: "0 2px 13px rgba(33,40,60,0.05)",
+                      marginTop: 7,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ background: "#e7f1ff" }}>
+                        <th style={thCss}>Class</th>
+                        <th style={thCss}>Students</th>
+                        <th style={thCss}>{compareFrom}</th>
+                        <th style={thCss}>{compareTo}</th>
+                        <th style={thCss}>Avg. Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {termChange.classes.map((c) => (
+                        <tr key={c.class}>
+                          <td style={tdCss}>{c.class}</td>
+                          <td style={tdCss}>{c.count}</td>
+                          <td style={tdCss}>{c.before.toFixed(2)}</td>
+                          <td style={tdCss}>{c.after.toFixed(2)}</td>
+                          <td style={{ ...tdCss, fontWeight: 600, color: changeColor(c.change) }}>
+                            {formatChange(c.change)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  </div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 36, marginTop: 18 }}>
+                    <ChangeList title="Most Improved" rows={termChange.improved} empty="No student improved." />
+                    <ChangeList title="Most Declined" rows={termChange.declined} empty="No student declined." />
+                  </div>
+                </>
+              )}
+            </section>
+          )}
+
+          <section style={{ marginBottom: 36 }}>
+            <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.22rem" }}>
+              Attendance Rate Per Class
+            </h3>
+            {attendanceError ? (
+              <EmptyChart text={attendanceError} />
+            ) : !attendanceStats ? (
+              <EmptyChart text="Loading attendance..." />
+            ) : !attendanceStats.classes.length ? (
+              <EmptyChart text="No attendance recorded yet." />
+            ) : (
+              <>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 18, marginTop: 7 }}>
+                  {attendanceStats.classes.map((c) => (
+                    <AttendanceCard key={c.class} summary={c} />
+                  ))}
+                </div>
+                <h4 style={{ color: COLOR_ERROR, fontWeight: 700, fontSize: "1.05rem", margin: "22px 0 8px 0" }}>
+                  Low Attendance (below {LOW_ATTENDANCE_RATE}%)
+                </h4>
+                {attendanceStats.low.length ? (
+                  <ul style={{ margin: 0, paddingLeft: 20, fontSize: 15.3, lineHeight: 1.8 }}>
+                    {attendanceStats.low.map((a) => (
+                      <li key={a.studentId}>
+                        <StudentName student={a.student} />{" "}
+                        <span style={{ color: "#666" }}>({a.studentClass})</span> –{" "}
+                        <strong style={{ color: COLOR_ERROR }}>{formatRate(a.rate)}</strong>{" "}
+                        <span style={{ color: "#666" }}>
+                          ({a.counts.absent} absent of {a.counts.present + a.counts.late + a.counts.absent} days)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div style={{ color: "#188542", fontSize: 15 }}>No students below {LOW_ATTENDANCE_RATE}%.</div>
+                )}
+              </>
+            )}
           </section>
 
           {/* List table of classes & their summary */}
@@ -219,6 +549,8 @@ function Analytics() {
                   <th style={thCss}>Avg. Marks</th>
                   <th style={thCss}>Topper</th>
                   <th style={thCss}>Lowest Scorer</th>
+                  <th style={thCss}>Pass Rate</th>
+                  {canReport && <th style={thCss}>Report</th>}
                 </tr>
               </thead>
               <tbody>
@@ -230,11 +562,22 @@ function Analytics() {
                     <td style={tdCss}>{cs.count}</td>
                     <td style={tdCss}>{cs.avgMarks.toFixed(2)}</td>
                     <td style={tdCss}>
-                      {cs.highest ? `${cs.highest.name} (${cs.highest.marks})` : "-"}
+                      <StudentLink student={cs.highest} color={COLOR_PRIMARY} />
                     </td>
                     <td style={tdCss}>
-                      {cs.lowest ? `${cs.lowest.name} (${cs.lowest.marks})` : "-"}
+                      <StudentLink student={cs.lowest} color={COLOR_PRIMARY} />
                     </td>
+                    <td style={tdCss}>{classPassRates[cs.class].rate.toFixed(1)}%</td>
+                    {canReport && (
+                      <td style={tdCss}>
+                        <Link
+                          to={`/reports?${new URLSearchParams({ class: cs.class })}`}
+                          style={{ color: COLOR_PRIMARY, fontWeight: 600 }}
+                        >
+                          View
+                        </Link>
+                      </td>
+                    )}
                   </tr>
                 ))}
               </tbody>
@@ -247,6 +590,98 @@ function Analytics() {
   );
 }
 
+// "Name (marks)" linking to the student's profile (plain text for roles without profiles)
+function StudentLink({ student, color = "inherit" }) {
+  const { user } = useAuth();
+  if (!student) return "-";
+  if (!canAccess(user, "/students/:id")) return `${student.name} (${student.marks})`;
+  return (
+    <Link to={`/students/${student.id}`} style={{ color, textDecoration: "none" }} title="View profile">
+      {student.name} ({student.marks})
+    </Link>
+  );
+}
+
+// Student name linking to the profile (plain text for roles without profiles)
+function StudentName({ student }) {
+  const { user } = useAuth();
+  if (!canAccess(user, "/students/:id")) return student.name;
+  return (
+    <Link to={`/students/${student.id}`} style={{ color: COLOR_PRIMARY, textDecoration: "none" }} title="View profile">
+      {student.name}
+    </Link>
+  );
+}
+
+// Green for gains, red for drops
+const changeColor = (change) => (change > 0 ? "#188542" : change < 0 ? COLOR_ERROR : "#666");
+
+// Term picker of the term-over-term section
+function TermSelect({ terms, value, onChange, label }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+      style={{ fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", color: COLOR_PRIMARY, padding: "3px 8px" }}
+    >
+      {terms.map((t) => (
+        <option key={t.name} value={t.name}>
+          {t.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Students with the largest changes between the compared terms: "Name (10A) 64 → 71 (+7)"
+function ChangeList({ title, rows, empty }) {
+  return (
+    <div style={{ flex: "1 1 300px", minWidth: 0 }}>
+      <h4 style={{ color: "#2e3b55", fontWeight: 700, fontSize: "1.02rem", margin: "0 0 8px 0" }}>{title}</h4>
+      {rows.length ? (
+        <ol style={{ margin: 0, paddingLeft: 22, fontSize: 15.3, lineHeight: 1.8 }}>
+          {rows.map((r) => (
+            <li key={r.student.id}>
+              <StudentName student={r.student} />{" "}
+              <span style={{ color: "#666" }}>({r.student.student_class})</span> {r.before} → {r.after}{" "}
+              <strong style={{ color: changeColor(r.change) }}>({formatChange(r.change)})</strong>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div style={{ color: "#888", fontSize: 15 }}>{empty}</div>
+      )}
+    </div>
+  );
+}
+
+// Attendance rate of one class with its status counts; red below the threshold
+function AttendanceCard({ summary }) {
+  const { counts, rate } = summary;
+  const low = rate < LOW_ATTENDANCE_RATE;
+  return (
+    <div
+      style={{
+        minWidth: 150,
+        flex: "0 1 180px",
+        background: "#f7f8fa",
+        border: `1.5px solid ${low ? "#ffc0c0" : "#e3e8ee"}`,
+        borderRadius: 10,
+        padding: "14px 18px",
+      }}
+    >
+      <div style={{ fontSize: 15.5, color: "#2e3b55", fontWeight: 600 }}>{summary.class}</div>
+      <div style={{ fontWeight: 700, fontSize: 26, color: low ? COLOR_ERROR : "#188542", margin: "4px 0" }}>
+        {formatRate(rate)}
+      </div>
+      <div style={{ color: "#666", fontSize: 13 }}>
+        {counts.present} present · {counts.late} late · {counts.absent} absent · {counts.excused} excused
+      </div>
+    </div>
+  );
+}
+
 // Card component for showing single stat
 function StatCard({ title, value, icon, color, subtitle }) {
   return (
@@ -281,76 +716,209 @@ function StatCard({ title, value, icon, color, subtitle }) {
   );
 }
 
-// Mini bar chart (horizontal): label+value per class (simple SVG)
-function BarChart({ data, color }) {
-  // data: [{label, avg}]
-  const maxValue = Math.max(...(data.map(d => d.avg)), 100);
+// Bar chart with axis titles and tooltips; `onSelect(index)` makes bars clickable
+function BarChart({ labels, values, color, xTitle, yTitle, tooltip, horizontal = false, onSelect, height }) {
+  const data = useMemo(
+    () => ({
+      labels,
+      datasets: [{ data: values, backgroundColor: color, borderRadius: 6, maxBarThickness: 56 }],
+    }),
+    [labels, values, color]
+  );
+  const options = useMemo(() => {
+    const valueAxis = { beginAtZero: true, title: { display: true, text: yTitle } };
+    const labelAxis = { title: { display: true, text: xTitle } };
+    return {
+      indexAxis: horizontal ? "y" : "x",
+      plugins: { legend: { display: false }, tooltip: { callbacks: { label: (ctx) => tooltip(ctx.raw) } } },
+      scales: horizontal ? { x: valueAxis, y: labelAxis } : { x: labelAxis, y: valueAxis },
+      ...clickableOptions(onSelect),
+    };
+  }, [xTitle, yTitle, tooltip, horizontal, onSelect]);
+
+  if (!labels.length) return <EmptyChart text="No data per class." />;
+  return <ChartCanvas type="bar" data={data} options={options} height={height} label={`${yTitle} by ${xTitle}`} />;
+}
+
+// Box plot of marks per class: floating bars span Q1-Q3, the plugin draws whiskers and medians
+function BoxPlot({ classes, boxes, color, onSelect }) {
+  const data = useMemo(
+    () => ({
+      labels: classes,
+      datasets: [
+        {
+          data: boxes.map((b) => [b.q1, b.q3]),
+          boxStats: boxes,
+          backgroundColor: color,
+          borderColor: "#2e3b55",
+          borderWidth: 1.5,
+          borderSkipped: false,
+          maxBarThickness: 48,
+        },
+      ],
+    }),
+    [classes, boxes, color]
+  );
+  const options = useMemo(
+    () => ({
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const b = boxes[ctx.dataIndex];
+              const f = (v) => Number(v.toFixed(1));
+              return [`Max: ${f(b.max)}`, `Q3: ${f(b.q3)}`, `Median: ${f(b.median)}`, `Q1: ${f(b.q1)}`, `Min: ${f(b.min)}`];
+            },
+          },
+        },
+      },
+      scales: {
+        x: { title: { display: true, text: "Class" } },
+        y: { min: 0, max: 100, title: { display: true, text: "Marks" } },
+      },
+      ...clickableOptions(onSelect),
+    }),
+    [boxes, onSelect]
+  );
+
+  if (!classes.length) return <EmptyChart text="No data per class." />;
+  return (
+    <ChartCanvas
+      type="bar"
+      data={data}
+      options={options}
+      plugins={[boxPlotWhiskers]}
+      label="Spread of marks per class"
+    />
+  );
+}
+
+// Draws min/max whiskers and the median line over each box of a BoxPlot
+const boxPlotWhiskers = {
+  id: "boxPlotWhiskers",
+  afterDatasetsDraw(chart) {
+    const stats = chart.data.datasets[0].boxStats;
+    const y = chart.scales.y;
+    const { ctx } = chart;
+    const line = (x1, y1, x2, y2) => {
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    };
+    ctx.save();
+    ctx.strokeStyle = "#2e3b55";
+    ctx.lineWidth = 1.5;
+    chart.getDatasetMeta(0).data.forEach((bar, i) => {
+      const b = stats[i];
+      const half = bar.width / 2;
+      line(bar.x, y.getPixelForValue(b.q3), bar.x, y.getPixelForValue(b.max));
+      line(bar.x, y.getPixelForValue(b.q1), bar.x, y.getPixelForValue(b.min));
+      line(bar.x - half / 2, y.getPixelForValue(b.max), bar.x + half / 2, y.getPixelForValue(b.max));
+      line(bar.x - half / 2, y.getPixelForValue(b.min), bar.x + half / 2, y.getPixelForValue(b.min));
+      ctx.lineWidth = 3;
+      line(bar.x - half, y.getPixelForValue(b.median), bar.x + half, y.getPixelForValue(b.median));
+      ctx.lineWidth = 1.5;
+    });
+    ctx.restore();
+  },
+};
+
+// Pie of class sizes with a legend; clicking a slice selects that class
+function ClassPie({ classes, counts, onSelect }) {
+  const data = useMemo(
+    () => ({
+      labels: classes,
+      datasets: [{ data: counts, backgroundColor: classes.map((_, i) => PALETTE[i % PALETTE.length]) }],
+    }),
+    [classes, counts]
+  );
+  const options = useMemo(
+    () => ({
+      plugins: {
+        legend: { position: "right" },
+        tooltip: { callbacks: { label: (ctx) => ` ${ctx.label}: ${ctx.raw} student${ctx.raw === 1 ? "" : "s"}` } },
+      },
+      ...clickableOptions(onSelect),
+    }),
+    [onSelect]
+  );
+
+  if (!classes.length) return <EmptyChart text="No data per class." />;
+  return <ChartCanvas type="pie" data={data} options={options} label="Students per class" />;
+}
+
+// Chart.js click/hover options that call onSelect with the clicked element's index
+function clickableOptions(onSelect) {
+  if (!onSelect) return {};
+  return {
+    onClick: (evt, elements) => {
+      if (elements.length) onSelect(elements[0].index);
+    },
+    onHover: (evt, elements) => {
+      evt.native.target.style.cursor = elements.length ? "pointer" : "default";
+    },
+  };
+}
 
+// Placeholder shown instead of a chart without data
+function EmptyChart({ text }) {
   return (
-    <div style={{ width: "100%", marginTop: 14, marginBottom: 7 }}>
-      {data.length === 0 ? (
-        <div style={{
-          color: "#aaa",
-          background: "#f4f4f7",
-          padding: "14px 12px",
-          borderRadius: 6,
-          fontSize: 15
-        }}>
-          No data per class.
-        </div>
-      ) : (
-        <div>
-          {data.map(({ label, avg }) => (
-            <div key={label} style={{ display: "flex", alignItems: "center", marginBottom: 7 }}>
-              <div style={{ width: 56, minWidth: 46, fontWeight: 500, color: "#1976d2" }}>{label}</div>
-              <div style={{
-                background: color,
-                height: 18,
-                width: `${(avg / maxValue) * 88 + 12}%`,
-                minWidth: 32,
-                maxWidth: 300,
-                borderRadius: 7,
-                marginLeft: 15,
-                transition: "width 0.18s"
-              }} />
-              <div style={{
-                marginLeft: 15,
-                fontWeight: 600,
-                color: "#282b37",
-                fontSize: 15.6,
-                letterSpacing: ".01em"
-              }}>{avg.toFixed(2)}</div>
-            </div>
-          ))}
-        </div>
-      )}
+    <div style={{
+      color: "#aaa",
+      background: "#f4f4f7",
+      padding: "14px 12px",
+      borderRadius: 6,
+      fontSize: 15,
+      marginTop: 14
+    }}>
+      {text}
     </div>
   );
 }
 
-// Mini histogram with 5 buckets (SVG bars)
-function Histogram({ labels, counts, color }) {
-  const max = Math.max(...counts, 1);
+// Subject rows x class columns, each cell shaded by its average marks (darker = higher)
+function Heatmap({ subjects, classes, cells }) {
   return (
-    <div style={{ marginTop: 14, display: "flex", alignItems: "flex-end", gap: 17 }}>
-      {labels.map((lab, i) => (
-        <div key={lab} style={{ textAlign: "center", minWidth: 45 }}>
-          <div
-            style={{
-              height: `${Math.round((counts[i] / max) * 86) + 8}px`,
-              width: 22,
-              background: color,
-              borderRadius: "7px 7px 0 0",
-              margin: "0 auto 6px auto",
-              opacity: 0.88,
-              transition: "height 0.23s"
-            }}
-            title={`Count: ${counts[i]}`}
-          ></div>
-          <div style={{ fontSize: 15, fontWeight: 500, color: "#1976d2" }}>{counts[i]}</div>
-          <div style={{ fontSize: 12.7, color: "#888", marginTop: 2 }}>{lab}</div>
-        </div>
-      ))}
+    <div style={{ overflowX: "auto", marginTop: 7 }}>
+      <table style={{ borderCollapse: "separate", borderSpacing: 3, fontSize: 15 }}>
+        <thead>
+          <tr>
+            <th style={{ ...thCss, background: "none" }}>Subject</th>
+            {classes.map((cls) => (
+              <th key={cls} style={{ ...thCss, textAlign: "center", minWidth: 56 }}>{cls}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {subjects.map((subject) => (
+            <tr key={subject}>
+              <td style={{ ...tdCss, fontWeight: 500, color: "#1976d2", background: "none" }}>{subject}</td>
+              {classes.map((cls) => {
+                const avg = cells[subject][cls];
+                const alpha = avg === null ? 0 : Math.max(0.08, avg / 100);
+                return (
+                  <td
+                    key={cls}
+                    title={avg === null ? `${subject}, ${cls}: no marks` : `${subject}, ${cls}: ${avg.toFixed(2)}`}
+                    style={{
+                      ...tdCss,
+                      textAlign: "center",
+                      borderRadius: 5,
+                      fontWeight: 600,
+                      background: avg === null ? "#f4f4f7" : `rgba(25, 118, 210, ${alpha})`,
+                      color: avg === null ? "#aaa" : alpha > 0.55 ? "#fff" : "#282b37",
+                    }}
+                  >
+                    {avg === null ? "-" : avg.toFixed(1)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
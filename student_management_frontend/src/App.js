@@ -1,11 +1,9 @@
 import React, { useEffect, useState } from "react";
 import "./App.css";
 import DeleteConfirmationModal from "./DeleteConfirmationModal";
-
-/**
- * API endpoint base - set from environment variable for deployment.
- */
-const API_BASE = process.env.REACT_APP_API_BASE || "http://localhost:3001";
+import { listStudents, createStudent, updateStudent } from "./api";
+import { useDeletion } from "./DeletionContext";
+import { useClassCatalog } from "./classes";
 
 // Theme palette
 const COLOR_PRIMARY = "#1976d2";
@@ -39,21 +37,24 @@ function App() {
   // Form validation errors
   const [errors, setErrors] = useState({});
 
+  // Class catalog, suggested in the Class field
+  const { classes: catalog } = useClassCatalog();
+
+  // Soft delete with undo (pending deletions are hidden from the table)
+  const { scheduleDelete, pendingIds, changeCount } = useDeletion();
+
   // Fetch students list
   const fetchStudents = async () => {
     setLoading(true);
-    let params = [];
-    if (sortBy) params.push(`sort_by=${sortBy}`);
-    if (sortOrder) params.push(`order=${sortOrder}`);
-    if (filterClass) params.push(`class=${encodeURIComponent(filterClass)}`);
-    if (filterMinMarks) params.push(`min_marks=${filterMinMarks}`);
-    if (filterMaxMarks) params.push(`max_marks=${filterMaxMarks}`);
-    const url = `${API_BASE}/students${params.length ? "?" + params.join("&") : ""}`;
     try {
-      const res = await fetch(url);
-      if (!res.ok) throw new Error("Failed to fetch students");
-      const data = await res.json();
-      setStudents(data || []);
+      const data = await listStudents({
+        sortBy,
+        sortOrder,
+        studentClass: filterClass,
+        minMarks: filterMinMarks,
+        maxMarks: filterMaxMarks,
+      });
+      setStudents(data);
     } catch (e) {
       setFeedback({ type: "error", message: "Error fetching students" });
     } finally {
@@ -64,7 +65,7 @@ function App() {
   useEffect(() => {
     fetchStudents();
     // eslint-disable-next-line
-  }, [sortBy, sortOrder, filterClass, filterMinMarks, filterMaxMarks]);
+  }, [sortBy, sortOrder, filterClass, filterMinMarks, filterMaxMarks, changeCount]);
 
   // PUBLIC_INTERFACE
   // Form input change handler
@@ -97,24 +98,15 @@ function App() {
 
     setLoading(true);
     setFeedback({ type: "", message: "" });
-    // If editId set, do PUT, else do POST
-    const method = editId ? "PUT" : "POST";
-    const url = editId ? `${API_BASE}/students/${editId}` : `${API_BASE}/students`;
     const payload = {
       name: form.name.trim(),
       student_class: form.student_class.trim(),
       marks: parseInt(form.marks, 10),
     };
     try {
-      const res = await fetch(url, {
-        method,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      const data = await res.json();
-      if (!res.ok || !data.success) {
-        throw new Error(data?.message || "Failed to save student");
-      }
+      // If editId set, do PUT, else do POST
+      if (editId) await updateStudent(editId, payload);
+      else await createStudent(payload);
       setFeedback({
         type: "success",
         message: `Student ${editId ? "updated" : "added"} successfully!`,
@@ -160,26 +152,13 @@ function App() {
     setFeedback({ type: "", message: "" });
   };
 
-  // Handle actual confirm (after modal confirmed)
-  const confirmDeleteStudent = async () => {
+  // Handle actual confirm (after modal confirmed): hide now, DELETE after the undo window
+  const confirmDeleteStudent = () => {
     if (!studentToDelete) return;
-    setLoading(true);
     setDeleteModalOpen(false);
     setFeedback({ type: "", message: "" });
-    try {
-      const res = await fetch(`${API_BASE}/students/${studentToDelete.id}`, {
-        method: "DELETE",
-      });
-      const data = await res.json();
-      if (!res.ok || !data.success) throw new Error(data?.message || "Failed to delete student");
-      setFeedback({ type: "success", message: `Student deleted.` });
-      fetchStudents();
-    } catch (err) {
-      setFeedback({ type: "error", message: err.message });
-    } finally {
-      setStudentToDelete(null);
-      setLoading(false);
-    }
+    scheduleDelete([studentToDelete]);
+    setStudentToDelete(null);
   };
 
   // Handle modal close/cancel
@@ -294,9 +273,15 @@ function App() {
                 maxLength={20}
                 placeholder="e.g. 10A"
                 tabIndex={2}
+                list="class-catalog"
                 value={form.student_class}
                 onChange={handleInputChange}
               />
+              <datalist id="class-catalog">
+                {catalog.map((c) => (
+                  <option key={c.name} value={c.name} />
+                ))}
+              </datalist>
               {errors?.student_class && <ErrorMsg text={errors.student_class} />}
             </div>
             {/* Marks */}
@@ -535,7 +520,7 @@ function App() {
         {/* Student Table */}
         <section style={{ marginTop: 13 }}>
           <TableSection
-            students={students}
+            students={students.filter((s) => !pendingIds.has(s.id))}
             loading={loading}
             onEdit={handleEditClick}
             onDelete={handleDeleteClick}
@@ -1,8 +1,26 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import { DeletionProvider } from './DeletionContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+beforeEach(() => {
+  global.fetch = jest.fn((url) =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve(/\/classes$/.test(url) ? [] : [{ id: 1, name: 'Asha Rao', student_class: '10A', marks: 86 }]),
+    })
+  );
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('renders the student form and the loaded students', async () => {
+  render(<DeletionProvider><App /></DeletionProvider>);
+  expect(screen.getByRole('heading', { name: 'Student Management System' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Add Student' })).toBeInTheDocument();
+  expect(await screen.findByText('Asha Rao')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Delete Asha Rao' })).toBeInTheDocument();
 });
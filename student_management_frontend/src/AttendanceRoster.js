@@ -0,0 +1,317 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { listStudents, getAttendance, saveAttendance } from "./api";
+import { useAuth } from "./AuthContext";
+import { canEditClass } from "./permissions";
+import { groupByClass } from "./stats";
+import { ATTENDANCE_STATUSES, rosterStatuses, todayISO } from "./attendance";
+
+/**
+ * PUBLIC_INTERFACE
+ * AttendanceRoster page (/attendance?class=10A&date=2026-10-19): pick a class and a date, then
+ * mark every student of the class present, absent, late or excused in one roster grid and
+ * save. Teachers see their assigned classes only; admins see every class.
+ *
+ * Rates built from these records appear on student profiles and in Analytics.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ERROR = "#b80000";
+const COLOR_SUCCESS = "#2e7d32";
+
+function AttendanceRoster() {
+  const { user } = useAuth();
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Statuses as saved on the backend and as currently marked, keyed by student id
+  const [saved, setSaved] = useState({});
+  const [marks, setMarks] = useState({});
+  const [rosterLoading, setRosterLoading] = useState(false);
+  const [rosterError, setRosterError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState({ type: "", message: "" });
+
+  useEffect(() => {
+    listStudents({ sortBy: "name", sortOrder: "asc" })
+      .then(setStudents)
+      .catch(() => setFetchError("Could not fetch student records."))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const classesMap = useMemo(() => groupByClass(students), [students]);
+  const classes = useMemo(
+    () => Object.keys(classesMap).filter((c) => canEditClass(user, c)).sort((a, b) => a.localeCompare(b)),
+    [classesMap, user]
+  );
+  const selectedClass = classes.includes(searchParams.get("class")) ? searchParams.get("class") : classes[0] || "";
+  const date = searchParams.get("date") || todayISO();
+  const roster = classesMap[selectedClass] || [];
+
+  useEffect(() => {
+    if (!selectedClass) return undefined;
+    let cancelled = false;
+    setRosterLoading(true);
+    setRosterError("");
+    setStatus({ type: "", message: "" });
+    getAttendance(selectedClass, date)
+      .then((records) => {
+        if (cancelled) return;
+        const map = rosterStatuses(records);
+        setSaved(map);
+        setMarks(map);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setSaved({});
+        setMarks({});
+        setRosterError(err.message || "Could not load attendance.");
+      })
+      .finally(() => {
+        if (!cancelled) setRosterLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedClass, date]);
+
+  const changedCount = roster.filter((s) => (marks[s.id] || "") !== (saved[s.id] || "")).length;
+  const unmarkedCount = roster.filter((s) => !marks[s.id]).length;
+  const counts = ATTENDANCE_STATUSES.map((st) => ({
+    ...st,
+    count: roster.filter((s) => marks[s.id] === st.key).length,
+  }));
+
+  // Switching class or date drops unsaved marks, so ask first
+  const choose = (next) => {
+    if (changedCount && !window.confirm("Discard unsaved attendance changes?")) return;
+    setSearchParams({ class: selectedClass, date, ...next }, { replace: true });
+  };
+
+  const mark = (id, value) => {
+    setStatus({ type: "", message: "" });
+    setMarks((prev) => ({ ...prev, [id]: value }));
+  };
+
+  const markAllPresent = () => {
+    setStatus({ type: "", message: "" });
+    setMarks((prev) => {
+      const next = { ...prev };
+      for (const s of roster) if (!next[s.id]) next[s.id] = "present";
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const records = roster.map((s) => ({ student_id: s.id, status: marks[s.id] || "" }));
+      await saveAttendance(selectedClass, date, records);
+      setSaved(marks);
+      setStatus({ type: "success", message: `Attendance saved for ${selectedClass} on ${date}.` });
+    } catch (err) {
+      setStatus({ type: "error", message: err.message || "Failed to save attendance." });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        minHeight: "100vh",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+        padding: "24px 4vw 50px 4vw",
+        maxWidth: 1020,
+        margin: "0 auto",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.75rem", margin: "18px 0 8px 0" }}>
+        Attendance
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+        Mark each student present, absent, late or excused for a class and date. Rates appear on
+        student profiles and in{" "}
+        <Link to="/analytics" style={{ color: COLOR_PRIMARY, fontWeight: 600 }}>
+          Analytics
+        </Link>
+        .
+      </p>
+
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 19 }}>Loading...</div>
+      ) : fetchError ? (
+        <div role="alert" style={alertCss}>
+          {fetchError}
+        </div>
+      ) : !classes.length ? (
+        <div style={{ color: "#888", border: "1px dashed #ccc", borderRadius: 8, padding: 28 }}>
+          {Object.keys(classesMap).length
+            ? "You are not assigned to any class with students."
+            : "No classes to take attendance for yet."}
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 18, marginBottom: 18 }}>
+            <label style={{ fontSize: 15, color: "#424242" }}>
+              Class:&nbsp;
+              <select value={selectedClass} onChange={(e) => choose({ class: e.target.value })} style={inputCss}>
+                {classes.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={{ fontSize: 15, color: "#424242" }}>
+              Date:&nbsp;
+              <input
+                type="date"
+                value={date}
+                max={todayISO()}
+                onChange={(e) => e.target.value && choose({ date: e.target.value })}
+                style={inputCss}
+              />
+            </label>
+            <button
+              type="button"
+              style={btnCss("#f1f1f1", "#424242")}
+              onClick={markAllPresent}
+              disabled={rosterLoading || !unmarkedCount}
+              title="Mark every unmarked student present"
+            >
+              Mark all present
+            </button>
+            <button
+              type="button"
+              style={btnCss(COLOR_PRIMARY)}
+              onClick={handleSave}
+              disabled={rosterLoading || saving || !changedCount}
+            >
+              {saving ? "Saving..." : changedCount ? `Save (${changedCount})` : "Saved"}
+            </button>
+          </div>
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px 18px", fontSize: 14.5, color: "#555", marginBottom: 12 }}>
+            {counts.map((st) => (
+              <span key={st.key}>
+                <span style={{ color: st.color, fontWeight: 700 }}>{st.count}</span> {st.label.toLowerCase()}
+              </span>
+            ))}
+            <span>
+              <span style={{ fontWeight: 700 }}>{unmarkedCount}</span> unmarked
+            </span>
+          </div>
+
+          {status.message && (
+            <div
+              role={status.type === "error" ? "alert" : "status"}
+              style={status.type === "error" ? alertCss : { color: COLOR_SUCCESS, fontSize: 15, marginBottom: 12 }}
+            >
+              {status.message}
+            </div>
+          )}
+          {rosterError && (
+            <div role="alert" style={alertCss}>
+              {rosterError}
+            </div>
+          )}
+
+          {rosterLoading ? (
+            <div style={{ color: "#aaa", fontSize: 17 }}>Loading attendance...</div>
+          ) : (
+            <table style={tableCss}>
+              <thead>
+                <tr>
+                  <th style={thCss}>Name</th>
+                  <th style={thCss}>Roll No.</th>
+                  {ATTENDANCE_STATUSES.map((st) => (
+                    <th key={st.key} style={{ ...thCss, textAlign: "center" }}>
+                      {st.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {roster.map((s) => {
+                  const changed = (marks[s.id] || "") !== (saved[s.id] || "");
+                  return (
+                    <tr key={s.id} style={changed ? { background: "#fffbe6" } : null}>
+                      <td style={tdCss}>
+                        <Link to={`/students/${s.id}`} style={{ color: "#222", textDecoration: "none", fontWeight: 600 }}>
+                          {s.name}
+                        </Link>
+                      </td>
+                      <td style={tdCss}>{s.roll_number}</td>
+                      {ATTENDANCE_STATUSES.map((st) => (
+                        <td key={st.key} style={{ ...tdCss, textAlign: "center" }}>
+                          <input
+                            type="radio"
+                            name={`attendance-${s.id}`}
+                            checked={marks[s.id] === st.key}
+                            onChange={() => mark(s.id, st.key)}
+                            aria-label={`${s.name}: ${st.label}`}
+                            style={{ accentColor: st.color, width: 17, height: 17, cursor: "pointer" }}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const alertCss = {
+  color: COLOR_ERROR,
+  background: "#ffe7e6",
+  borderRadius: 7,
+  padding: "12px 16px",
+  marginBottom: 12,
+};
+
+const tableCss = { width: "100%", borderCollapse: "collapse", fontSize: 15 };
+
+const thCss = {
+  padding: "8px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  background: "#e3e8ee",
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #eef1f4",
+  color: "#222",
+};
+
+const inputCss = {
+  fontSize: 15,
+  borderRadius: 5,
+  border: "1px solid #d4d7da",
+  color: COLOR_PRIMARY,
+  padding: "3px 8px",
+};
+
+function btnCss(bg, color = "#fff") {
+  return {
+    background: bg,
+    color,
+    border: "none",
+    borderRadius: 6,
+    padding: "8px 18px",
+    fontWeight: 600,
+    fontSize: 15,
+    cursor: "pointer",
+  };
+}
+
+export default AttendanceRoster;
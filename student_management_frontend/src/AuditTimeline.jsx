@@ -0,0 +1,86 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { fieldLabel, formatAuditValue, summarizeEntry } from "./audit";
+
+/**
+ * PUBLIC_INTERFACE
+ * AuditTimeline - Vertical timeline of audit entries, newest first, each with its actor,
+ * time and field-level before/after values.
+ *
+ * Props:
+ *   entries (array): Normalized entries (normalizeAuditEntry in audit.js).
+ *   showStudent (bool): Name the student on each entry (global Activity page).
+ *   linkStudents (bool): Link student names to their profile (deleted students are never linked).
+ */
+function AuditTimeline({ entries, showStudent = false, linkStudents = false }) {
+  return (
+    <ol style={styles.list}>
+      {entries.map((entry) => (
+        <li key={entry.id} style={styles.item}>
+          <span style={{ ...styles.dot, background: ACTION_COLORS[entry.action] || "#888" }} aria-hidden="true" />
+          <div style={styles.header}>
+            <span style={{ fontWeight: 600, color: ACTION_COLORS[entry.action] || "#222" }}>{summarizeEntry(entry)}</span>
+            {showStudent && (
+              <>
+                {" · "}
+                {linkStudents && entry.action !== "delete" && entry.studentId !== undefined ? (
+                  <Link to={`/students/${entry.studentId}`} style={{ color: "#1976d2", textDecoration: "none" }}>
+                    {entry.studentName || `#${entry.studentId}`}
+                  </Link>
+                ) : (
+                  entry.studentName || `#${entry.studentId}`
+                )}
+              </>
+            )}
+          </div>
+          <div style={styles.meta}>
+            by <b>{entry.actor}</b>
+            {entry.actorRole && ` (${entry.actorRole})`}
+            {entry.timestamp && (
+              <>
+                {" · "}
+                <time dateTime={entry.timestamp}>{new Date(entry.timestamp).toLocaleString()}</time>
+              </>
+            )}
+          </div>
+          {entry.changes.length > 0 && (
+            <table style={styles.table}>
+              <tbody>
+                {entry.changes.map((c) => (
+                  <tr key={c.field}>
+                    <td style={{ ...styles.cell, color: "#555", width: 150 }}>{fieldLabel(c.field)}</td>
+                    <td style={styles.cell}>
+                      {entry.action !== "create" && (
+                        <span style={entry.action === "update" ? styles.before : undefined}>
+                          {formatAuditValue(c.before)}
+                        </span>
+                      )}
+                      {entry.action === "update" && <span style={{ color: "#999" }}> → </span>}
+                      {entry.action !== "delete" && <span style={styles.after}>{formatAuditValue(c.after)}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+const ACTION_COLORS = { create: "#188542", update: "#1976d2", delete: "#b80000" };
+
+const styles = {
+  list: { listStyle: "none", margin: 0, padding: "0 0 0 18px", borderLeft: "2px solid #e3e8ee" },
+  item: { position: "relative", padding: "0 0 18px 14px" },
+  dot: { position: "absolute", left: -25, top: 5, width: 12, height: 12, borderRadius: "50%", border: "2px solid #fff" },
+  header: { fontSize: 15.5 },
+  meta: { fontSize: 13.5, color: "#777", marginTop: 2 },
+  table: { borderCollapse: "collapse", marginTop: 7, fontSize: 14 },
+  cell: { padding: "3px 10px 3px 0", verticalAlign: "top" },
+  before: { color: "#b80000", textDecoration: "line-through" },
+  after: { color: "#188542", fontWeight: 600 },
+};
+
+export default AuditTimeline;
@@ -0,0 +1,86 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { login as apiLogin, onUnauthorized, setAuthToken } from "./api";
+import { setOutboxOwner } from "./outbox";
+
+/**
+ * PUBLIC_INTERFACE
+ * Signed-in user and token shared by the whole app.
+ *
+ * The session ({ token, user }) is kept in localStorage so it survives reloads, and the
+ * token is handed to api.js, which sends it with every request, and the username to the
+ * outbox, which only replays changes that user queued. A 401 from any request ends the
+ * session and leaves a notice for the sign-in page.
+ * Mounted once at the root (index.js), outside every other provider.
+ */
+const SESSION_KEY = "auth";
+
+const AuthContext = createContext(null);
+
+function loadSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+    return session && session.token && session.user ? session : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Provider holding the session and the login/logout actions.
+ */
+export function AuthProvider({ children }) {
+  // Set the token while initializing: child effects (first fetches) run before ours
+  const [session, setSession] = useState(() => {
+    const saved = loadSession();
+    setAuthToken(saved && saved.token);
+    setOutboxOwner(saved && saved.user.username);
+    return saved;
+  });
+  // Why the user was signed out, shown on the sign-in page
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    if (session) window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else window.localStorage.removeItem(SESSION_KEY);
+  }, [session]);
+
+  const logout = useCallback((message = "") => {
+    setAuthToken(null);
+    setOutboxOwner(null);
+    setSession(null);
+    setNotice(message);
+  }, []);
+
+  useEffect(() => {
+    onUnauthorized((err) => logout(err.message));
+    return () => onUnauthorized(null);
+  }, [logout]);
+
+  // Throws ApiError on bad credentials
+  const login = useCallback(async (username, password) => {
+    const next = await apiLogin(username, password);
+    setAuthToken(next.token);
+    setOutboxOwner(next.user.username);
+    setSession(next);
+    setNotice("");
+    return next.user;
+  }, []);
+
+  const value = useMemo(
+    () => ({ user: session ? session.user : null, token: session ? session.token : null, login, logout, notice }),
+    [session, login, logout, notice]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Access the session: { user, token, login, logout, notice }.
+ */
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>");
+  return ctx;
+}
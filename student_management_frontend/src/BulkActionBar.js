@@ -0,0 +1,200 @@
+import React, { useState } from "react";
+
+/**
+ * PUBLIC_INTERFACE
+ * BulkActionBar - actions for the students selected in the ViewStudents table.
+ *
+ * Props:
+ *   count (number): Number of selected students.
+ *   busy (bool): A bulk action is running; disables the controls.
+ *   progress ({done, total}): Progress of the running action.
+ *   classOptions (array): Classes offered for "Set class".
+ *   restrictClasses (bool): Only classOptions may be picked (a select, fed from the class
+ *     catalog); otherwise a free-text input suggests them.
+ *   classError (func): Optional; returns why the user may not move students into a class, or "".
+ *   onDelete (func): Delete the selection (the caller confirms first).
+ *   onSetClass (func): Called with the new class.
+ *   onAdjustMarks (func): Called with ("add", points) or ("scale", factor).
+ *   onClear (func): Clear the selection.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ERROR = "#b80000";
+const COLOR_SECONDARY = "#424242";
+
+/**
+ * PUBLIC_INTERFACE
+ * Apply a bulk marks adjustment, rounding and clamping the result to 0-100.
+ * @param {(number|string)} marks
+ * @param {"add"|"scale"} mode
+ * @param {number} value Points to add (may be negative) or factor to scale by
+ */
+export function adjustMarks(marks, mode, value) {
+  const current = parseFloat(marks) || 0;
+  const next = mode === "scale" ? current * value : current + value;
+  return Math.min(100, Math.max(0, Math.round(next)));
+}
+
+function BulkActionBar({
+  count,
+  busy,
+  progress,
+  classOptions,
+  restrictClasses,
+  classError,
+  onDelete,
+  onSetClass,
+  onAdjustMarks,
+  onClear,
+}) {
+  const [newClass, setNewClass] = useState("");
+  const [marksMode, setMarksMode] = useState("add");
+  const [marksValue, setMarksValue] = useState("");
+  const [error, setError] = useState("");
+
+  function handleSetClass() {
+    const cls = newClass.trim();
+    if (!cls) return setError(restrictClasses ? "Pick a class" : "Enter a class");
+    if (cls.length > 20) return setError("Class must be at most 20 characters");
+    const denied = classError ? classError(cls) : "";
+    if (denied) return setError(denied);
+    setError("");
+    onSetClass(cls);
+  }
+
+  function handleMarks() {
+    const value = parseFloat(marksValue);
+    if (marksMode === "add" && (!/^-?\d+$/.test(marksValue.trim()) || Math.abs(value) > 100)) {
+      return setError("Points to add must be a whole number between -100 and 100");
+    }
+    if (marksMode === "scale" && (isNaN(value) || value < 0 || value > 10)) {
+      return setError("Scale factor must be between 0 and 10");
+    }
+    setError("");
+    onAdjustMarks(marksMode, value);
+  }
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Bulk actions"
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: 14,
+        background: "#e7f1ff",
+        border: "1px solid #cfe0f7",
+        borderRadius: 8,
+        padding: "10px 14px",
+        marginBottom: 16,
+        fontSize: 15,
+        color: COLOR_SECONDARY,
+      }}
+    >
+      <b style={{ color: COLOR_PRIMARY }}>
+        {busy ? `Working… ${progress.done}/${progress.total}` : `${count} selected`}
+      </b>
+
+      <button type="button" style={btnCss("#dc3545", busy)} disabled={busy} onClick={onDelete}>
+        Delete
+      </button>
+
+      <span style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+        {restrictClasses ? (
+          <select
+            aria-label="New class"
+            value={newClass}
+            onChange={(e) => setNewClass(e.target.value)}
+            style={{ fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", padding: "4px 6px" }}
+            disabled={busy}
+          >
+            <option value="">New class</option>
+            {classOptions.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <>
+            <input
+              className="input"
+              list="bulk-class-options"
+              placeholder="New class"
+              aria-label="New class"
+              maxLength={20}
+              value={newClass}
+              onChange={(e) => setNewClass(e.target.value)}
+              style={{ width: 100, padding: "5px 8px" }}
+              disabled={busy}
+            />
+            <datalist id="bulk-class-options">
+              {classOptions.map((c) => (
+                <option key={c} value={c} />
+              ))}
+            </datalist>
+          </>
+        )}
+        <button type="button" style={btnCss(COLOR_PRIMARY, busy)} disabled={busy} onClick={handleSetClass}>
+          Set class
+        </button>
+      </span>
+
+      <span style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+        <select
+          aria-label="Marks adjustment"
+          value={marksMode}
+          onChange={(e) => setMarksMode(e.target.value)}
+          style={{ fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", padding: "4px 6px" }}
+          disabled={busy}
+        >
+          <option value="add">Add points</option>
+          <option value="scale">Scale by</option>
+        </select>
+        <input
+          className="input"
+          aria-label={marksMode === "add" ? "Points to add" : "Scale factor"}
+          placeholder={marksMode === "add" ? "e.g. 5" : "e.g. 1.1"}
+          value={marksValue}
+          onChange={(e) => setMarksValue(e.target.value)}
+          style={{ width: 70, padding: "5px 8px" }}
+          disabled={busy}
+        />
+        <button type="button" style={btnCss(COLOR_PRIMARY, busy)} disabled={busy} onClick={handleMarks}>
+          Apply marks
+        </button>
+      </span>
+
+      <button
+        type="button"
+        style={{ ...btnCss("#f1f1f1", busy), color: COLOR_SECONDARY }}
+        disabled={busy}
+        onClick={onClear}
+      >
+        Clear selection
+      </button>
+
+      {error && (
+        <div style={{ flexBasis: "100%", color: COLOR_ERROR, fontSize: 13.5, fontWeight: 500 }} aria-live="polite">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function btnCss(bg, disabled) {
+  return {
+    background: bg,
+    color: "#fff",
+    border: "none",
+    borderRadius: 5,
+    fontWeight: 600,
+    fontSize: 14,
+    padding: "6px 13px",
+    cursor: disabled ? "not-allowed" : "pointer",
+    opacity: disabled ? 0.6 : 1,
+  };
+}
+
+export default BulkActionBar;
@@ -0,0 +1,26 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import BulkActionBar, { adjustMarks } from './BulkActionBar';
+
+test('adjustMarks adds or scales, rounds and clamps to 0-100', () => {
+  expect(adjustMarks(64, 'add', 5)).toBe(69);
+  expect(adjustMarks(95, 'add', 10)).toBe(100);
+  expect(adjustMarks(4, 'add', -10)).toBe(0);
+  expect(adjustMarks(67, 'scale', 1.1)).toBe(74);
+  expect(adjustMarks(80, 'scale', 1.5)).toBe(100);
+  expect(adjustMarks('72.4', 'add', 0)).toBe(72);
+  expect(adjustMarks('', 'add', 5)).toBe(5);
+});
+
+test('Apply marks passes a valid adjustment on and rejects an out-of-range one', () => {
+  const onAdjustMarks = jest.fn();
+  render(<BulkActionBar count={2} classOptions={[]} onAdjustMarks={onAdjustMarks} />);
+  fireEvent.change(screen.getByLabelText('Points to add'), { target: { value: '150' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply marks' }));
+  expect(screen.getByText('Points to add must be a whole number between -100 and 100')).toBeInTheDocument();
+  expect(onAdjustMarks).not.toHaveBeenCalled();
+
+  fireEvent.change(screen.getByLabelText('Marks adjustment'), { target: { value: 'scale' } });
+  fireEvent.change(screen.getByLabelText('Scale factor'), { target: { value: '1.1' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply marks' }));
+  expect(onAdjustMarks).toHaveBeenCalledWith('scale', 1.1);
+});
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from "react";
+import Chart from "chart.js/auto";
+
+/**
+ * PUBLIC_INTERFACE
+ * ChartCanvas - Thin React wrapper around a Chart.js chart.
+ *
+ * The chart is created on mount, updated in place when `data`/`options` change and
+ * destroyed on unmount. It is responsive and fills the width of its container.
+ *
+ * Props:
+ *   type (string): Chart.js chart type ("bar", "pie", ...).
+ *   data (object): Chart.js data ({ labels, datasets }).
+ *   options (object): Chart.js options.
+ *   plugins (array): Optional inline Chart.js plugins (only read on mount).
+ *   height (number): Container height in px (default 280).
+ *   label (string): Accessible description of the chart.
+ */
+function ChartCanvas({ type, data, options, plugins, height = 280, label }) {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    chartRef.current = new Chart(canvasRef.current, {
+      type,
+      data,
+      options: { responsive: true, maintainAspectRatio: false, ...options },
+      plugins,
+    });
+    return () => {
+      chartRef.current.destroy();
+      chartRef.current = null;
+    };
+    // Recreate only when the chart type changes; data/options are applied below
+    // eslint-disable-next-line
+  }, [type]);
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    chart.data = data;
+    chart.options = { responsive: true, maintainAspectRatio: false, ...options };
+    chart.update();
+  }, [data, options]);
+
+  return (
+    <div style={{ position: "relative", width: "100%", height }}>
+      <canvas ref={canvasRef} role="img" aria-label={label} />
+    </div>
+  );
+}
+
+export default ChartCanvas;
@@ -0,0 +1,85 @@
+import React from "react";
+import { classOptions } from "./classes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ClassField - Class / Grade field of the student forms, fed from the class catalog.
+ *
+ * Renders a select of the catalog classes the user may edit. A record whose class is not
+ * in the catalog keeps it as an extra "(not in catalog)" option. Without a catalog (none
+ * defined, or the backend has no /classes) it falls back to a free-text input that suggests
+ * a teacher's assigned classes.
+ *
+ * Props:
+ *   value (string): Current class.
+ *   onChange (func): Input change handler; receives an event with name "student_class".
+ *   catalog (array): Classes from useClassCatalog().
+ *   user (object): Signed-in user, for the teacher's assigned classes.
+ *   error (string): Validation message.
+ *   disabled (bool)
+ */
+function ClassField({ value, onChange, catalog, user, error, disabled }) {
+  const options = classOptions(catalog, user, value);
+  const listed = new Set((catalog || []).map((c) => c.name));
+  const teacherOf = Object.fromEntries((catalog || []).map((c) => [c.name, c.teacher]));
+  const assigned = user && user.role === "teacher" ? user.classes || [] : [];
+  const style = error ? styles.error : {};
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "2px" }}>
+      <label htmlFor="student_class" style={{ fontWeight: 500, fontSize: 15, color: "#222" }}>
+        Class / Grade <span style={{ color: "#b70000" }}>*</span>
+      </label>
+      {catalog && catalog.length ? (
+        <select
+          className="input"
+          id="student_class"
+          name="student_class"
+          value={value}
+          onChange={onChange}
+          disabled={disabled}
+          required
+          style={style}
+        >
+          <option value="">{options.length ? "Select a class" : "No classes assigned to you"}</option>
+          {options.map((name) => (
+            <option key={name} value={name}>
+              {name}
+              {!listed.has(name) ? " (not in catalog)" : teacherOf[name] ? ` – ${teacherOf[name]}` : ""}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <input
+          className="input"
+          id="student_class"
+          name="student_class"
+          type="text"
+          value={value}
+          onChange={onChange}
+          disabled={disabled}
+          maxLength={20}
+          placeholder={assigned.length ? `e.g. ${assigned[0]}` : "e.g. 10A"}
+          list={assigned.length ? "assigned-classes" : undefined}
+          required
+          style={style}
+        />
+      )}
+      {!(catalog && catalog.length) && assigned.length > 0 && (
+        <datalist id="assigned-classes">
+          {assigned.map((c) => (
+            <option key={c} value={c} />
+          ))}
+        </datalist>
+      )}
+      {error && <div style={styles.message}>{error}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  error: { border: "1.6px solid #d91b1b", background: "#ffeaea", color: "#b80000", outline: "none" },
+  message: { marginTop: 4, color: "#c60f0f", fontSize: 13.5, fontWeight: 500, letterSpacing: "0.01em", minHeight: 18 },
+};
+
+export default ClassField;
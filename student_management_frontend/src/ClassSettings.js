@@ -0,0 +1,447 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listStudents, createClass, updateClass, deleteClass, mergeClasses } from "./api";
+import {
+  useClassCatalog,
+  suggestClassFields,
+  validateClass,
+  classUsage,
+  unlistedClasses,
+  duplicateGroups,
+} from "./classes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ClassSettings page: manage the class catalog and merge duplicate class spellings (admin).
+ *
+ * Classes have a grade, section, class teacher and capacity; the student forms offer them as
+ * a select. Records saved before the catalog may use other spellings ("10-A", "10 a"); the
+ * merge tool moves their students into one catalog class, with an audit entry per student.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+const EMPTY_FORM = { name: "", grade: "", section: "", teacher: "", capacity: "" };
+
+function ClassSettings() {
+  const { classes: catalog, loading, error: catalogError, reload } = useClassCatalog();
+  const [students, setStudents] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  // Name of the class being edited, "" when adding
+  const [editing, setEditing] = useState("");
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ type: "", message: "" });
+  const [saving, setSaving] = useState(false);
+  const [merge, setMerge] = useState({ into: "", from: [] });
+
+  const loadStudents = () =>
+    listStudents()
+      .then(setStudents)
+      .catch(() => setStudents([]));
+
+  useEffect(() => {
+    loadStudents();
+    // eslint-disable-next-line
+  }, []);
+
+  const usage = useMemo(() => classUsage(students), [students]);
+  const unlisted = useMemo(() => unlistedClasses(usage, catalog), [usage, catalog]);
+  const suggestions = useMemo(() => duplicateGroups(usage, catalog).filter((g) => g.listed), [usage, catalog]);
+  const mergeSources = Object.keys(usage)
+    .filter((name) => name !== merge.into)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  }
+
+  // Prefill grade and section from a name like "10A" when they are still empty
+  function handleNameBlur() {
+    const { grade, section } = suggestClassFields(form.name);
+    setForm((prev) => ({ ...prev, grade: prev.grade || grade, section: prev.section || section }));
+  }
+
+  function startEdit(cls) {
+    setEditing(cls.name);
+    setErrors({});
+    setStatus({ type: "", message: "" });
+    setForm({
+      name: cls.name,
+      grade: cls.grade ?? "",
+      section: cls.section || "",
+      teacher: cls.teacher || "",
+      capacity: cls.capacity ?? "",
+    });
+  }
+
+  function startAdd(name) {
+    setEditing("");
+    setErrors({});
+    setForm({ ...EMPTY_FORM, name, ...suggestClassFields(name) });
+  }
+
+  function cancelEdit() {
+    setEditing("");
+    setErrors({});
+    setForm(EMPTY_FORM);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const errs = validateClass(form, catalog, editing);
+    setErrors(errs);
+    setStatus({ type: "", message: "" });
+    if (Object.keys(errs).length > 0) return;
+
+    const toNumber = (value) => (String(value).trim() === "" ? null : Number(value));
+    const body = {
+      grade: toNumber(form.grade),
+      section: form.section.trim(),
+      teacher: form.teacher.trim(),
+      capacity: toNumber(form.capacity),
+    };
+    setSaving(true);
+    try {
+      if (editing) {
+        await updateClass(editing, body);
+        setStatus({ type: "success", message: `${editing} updated.` });
+      } else {
+        const saved = await createClass({ name: form.name.trim(), ...body });
+        setStatus({ type: "success", message: `${saved.name} added to the catalog.` });
+      }
+      setEditing("");
+      setForm(EMPTY_FORM);
+      await reload();
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(cls) {
+    if (!window.confirm(`Remove ${cls.name} from the catalog?`)) return;
+    setStatus({ type: "", message: "" });
+    try {
+      await deleteClass(cls.name);
+      if (editing === cls.name) cancelEdit();
+      setStatus({ type: "success", message: `${cls.name} removed.` });
+      await reload();
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    }
+  }
+
+  function toggleSource(name) {
+    setMerge((prev) => ({
+      ...prev,
+      from: prev.from.includes(name) ? prev.from.filter((n) => n !== name) : [...prev.from, name],
+    }));
+  }
+
+  async function handleMerge(into, from) {
+    const count = from.reduce((n, name) => n + (usage[name] || 0), 0);
+    if (!window.confirm(`Move ${count} student${count === 1 ? "" : "s"} from ${from.join(", ")} into ${into}?`)) return;
+    setSaving(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const result = await mergeClasses(into, from);
+      setMerge({ into: "", from: [] });
+      setStatus({ type: "success", message: `Moved ${result.moved} student${result.moved === 1 ? "" : "s"} into ${result.into}.` });
+      await Promise.all([reload(), loadStudents()]);
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        maxWidth: 860,
+        margin: "36px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 22px 28px 22px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, margin: 0, fontWeight: 700, fontSize: "1.55rem", marginBottom: 8 }}>
+        Classes
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+        The student forms offer these classes. Spellings are matched ignoring case, spaces and
+        hyphens, so "10-A" is saved as "10A".
+      </p>
+
+      {status.message && (
+        <div
+          aria-live="polite"
+          role="alert"
+          style={{
+            background: status.type === "success" ? COLOR_ACCENT : "#ffd6d6",
+            color: status.type === "success" ? "#444" : COLOR_ERROR,
+            border: status.type === "success" ? "1.5px solid #fff2c0" : "1.5px solid #ffaeb5",
+            borderRadius: 7,
+            padding: "10px 16px",
+            fontWeight: 500,
+            fontSize: 16,
+            marginBottom: 18,
+          }}
+        >
+          {status.message}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 17, marginBottom: 18 }}>Loading...</div>
+      ) : catalogError ? (
+        <div role="alert" style={{ color: COLOR_ERROR, fontSize: 15, marginBottom: 18 }}>{catalogError}</div>
+      ) : catalog.length === 0 ? (
+        <div style={{ color: "#888", fontSize: 15, marginBottom: 18 }}>No classes yet.</div>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 15.5, marginBottom: 24 }}>
+          <thead>
+            <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+              <th style={thCss}>Class</th>
+              <th style={thCss}>Grade</th>
+              <th style={thCss}>Section</th>
+              <th style={thCss}>Class teacher</th>
+              <th style={thCss}>Students</th>
+              <th style={thCss} aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {catalog.map((c) => {
+              const count = usage[c.name] || 0;
+              const full = c.capacity && count > c.capacity;
+              return (
+                <tr key={c.name} style={editing === c.name ? { background: "#fffbe6" } : null}>
+                  <td style={{ ...tdCss, fontWeight: 600 }}>{c.name}</td>
+                  <td style={tdCss}>{c.grade ?? "-"}</td>
+                  <td style={tdCss}>{c.section || "-"}</td>
+                  <td style={tdCss}>{c.teacher || "-"}</td>
+                  <td style={{ ...tdCss, color: full ? COLOR_ERROR : "#222" }} title={full ? "Over capacity" : undefined}>
+                    {count}
+                    {c.capacity ? ` / ${c.capacity}` : ""}
+                  </td>
+                  <td style={{ ...tdCss, whiteSpace: "nowrap", textAlign: "right" }}>
+                    <button type="button" style={linkBtnCss(COLOR_PRIMARY)} onClick={() => startEdit(c)}>
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      style={{ ...linkBtnCss(COLOR_ERROR), marginLeft: 12, opacity: count ? 0.45 : 1 }}
+                      onClick={() => handleDelete(c)}
+                      disabled={count > 0}
+                      title={count ? "Move or merge its students first" : undefined}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleSubmit} autoComplete="off" style={{ display: "flex", flexWrap: "wrap", gap: 14, alignItems: "flex-start" }}>
+        <Field label={editing ? `Editing ${editing}` : "New class"} name="name" error={errors.name} required>
+          <input
+            className="input"
+            id="name"
+            name="name"
+            value={form.name}
+            onChange={handleChange}
+            onBlur={handleNameBlur}
+            disabled={Boolean(editing)}
+            maxLength={20}
+            placeholder="e.g. 11A"
+            style={{ width: 110 }}
+          />
+        </Field>
+        <Field label="Grade" name="grade" error={errors.grade}>
+          <input className="input" id="grade" name="grade" value={form.grade} onChange={handleChange} inputMode="numeric" style={{ width: 70 }} />
+        </Field>
+        <Field label="Section" name="section" error={errors.section}>
+          <input className="input" id="section" name="section" value={form.section} onChange={handleChange} maxLength={10} style={{ width: 80 }} />
+        </Field>
+        <Field label="Class teacher" name="teacher" error={errors.teacher}>
+          <input className="input" id="teacher" name="teacher" value={form.teacher} onChange={handleChange} maxLength={100} style={{ width: 170 }} />
+        </Field>
+        <Field label="Capacity" name="capacity" error={errors.capacity}>
+          <input className="input" id="capacity" name="capacity" value={form.capacity} onChange={handleChange} inputMode="numeric" style={{ width: 80 }} />
+        </Field>
+        <div style={{ alignSelf: "flex-end", display: "flex", gap: 8 }}>
+          <button type="submit" disabled={saving} style={btnCss(COLOR_PRIMARY, "#fff", saving)}>
+            {saving ? "Saving..." : editing ? "Save class" : "Add class"}
+          </button>
+          {editing && (
+            <button type="button" onClick={cancelEdit} style={btnCss("#e3e8ee", "#424242")}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {unlisted.length > 0 && (
+        <section style={{ marginTop: 32 }}>
+          <h3 style={sectionTitleCss}>Classes not in the catalog</h3>
+          <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 15 }}>
+            {unlisted.map((u) => (
+              <li key={u.name} style={{ padding: "6px 0", borderBottom: "1px solid #eef1f4" }}>
+                <strong>{u.name}</strong>{" "}
+                <span style={{ color: "#666" }}>
+                  ({u.count} student{u.count === 1 ? "" : "s"})
+                </span>
+                {u.match ? (
+                  <button
+                    type="button"
+                    style={{ ...linkBtnCss(COLOR_PRIMARY), marginLeft: 12 }}
+                    onClick={() => handleMerge(u.match, [u.name])}
+                    disabled={saving}
+                  >
+                    Merge into {u.match}
+                  </button>
+                ) : (
+                  <button type="button" style={{ ...linkBtnCss(COLOR_PRIMARY), marginLeft: 12 }} onClick={() => startAdd(u.name)}>
+                    Add to catalog
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {catalog.length > 0 && (
+        <section style={{ marginTop: 32 }}>
+          <h3 style={sectionTitleCss}>Merge classes</h3>
+          <p style={{ color: "#595959", fontSize: 14.5, marginTop: 0 }}>
+            Move every student of the checked classes into one catalog class. The checked classes
+            leave the catalog.
+          </p>
+          {suggestions.length > 0 && (
+            <div style={{ fontSize: 14.5, marginBottom: 12 }}>
+              Suggested:{" "}
+              {suggestions.map((g) => (
+                <button
+                  key={g.into}
+                  type="button"
+                  style={{ ...linkBtnCss(COLOR_PRIMARY), marginRight: 14 }}
+                  onClick={() => setMerge({ into: g.into, from: g.from.map((f) => f.name) })}
+                >
+                  {g.from.map((f) => f.name).join(", ")} → {g.into}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 18, alignItems: "flex-start" }}>
+            <label style={{ fontSize: 15, color: "#222" }}>
+              Into&nbsp;
+              <select
+                value={merge.into}
+                onChange={(e) => setMerge((prev) => ({ into: e.target.value, from: prev.from.filter((n) => n !== e.target.value) }))}
+                style={{ fontSize: 15, padding: "3px 8px", borderRadius: 5, border: "1px solid #d4d7da" }}
+              >
+                <option value="">Select a class</option>
+                {catalog.map((c) => (
+                  <option key={c.name} value={c.name}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <fieldset style={{ border: "none", padding: 0, margin: 0, display: "flex", flexWrap: "wrap", gap: "4px 16px" }}>
+              <legend style={{ fontSize: 15, color: "#222", padding: 0, marginBottom: 4 }}>From</legend>
+              {mergeSources.map((name) => (
+                <label key={name} style={{ fontSize: 14.5, color: "#333" }}>
+                  <input type="checkbox" checked={merge.from.includes(name)} onChange={() => toggleSource(name)} /> {name}{" "}
+                  <span style={{ color: "#888" }}>({usage[name]})</span>
+                </label>
+              ))}
+            </fieldset>
+            <button
+              type="button"
+              style={btnCss(COLOR_PRIMARY, "#fff", saving || !merge.into || !merge.from.length)}
+              disabled={saving || !merge.into || !merge.from.length}
+              onClick={() => handleMerge(merge.into, merge.from)}
+            >
+              Merge
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+function Field({ label, name, error, required, children }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      <label htmlFor={name} style={labelCss}>
+        {label} {required && <span style={{ color: "#b70000" }}>*</span>}
+      </label>
+      {children}
+      {error && <div style={errorCss}>{error}</div>}
+    </div>
+  );
+}
+
+const thCss = {
+  padding: "9px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  fontSize: 15,
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #eef1f4",
+};
+
+const labelCss = { fontWeight: 500, fontSize: 15, color: "#222" };
+
+const errorCss = {
+  marginTop: 6,
+  color: COLOR_ERROR,
+  fontSize: 13.5,
+  fontWeight: 500,
+  maxWidth: 180,
+};
+
+const sectionTitleCss = { color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem", margin: "0 0 10px 0" };
+
+function linkBtnCss(color) {
+  return {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color,
+    fontWeight: 600,
+    fontSize: 14.5,
+    cursor: "pointer",
+  };
+}
+
+function btnCss(bg, color, disabled = false) {
+  return {
+    background: bg,
+    color,
+    border: "none",
+    borderRadius: 8,
+    padding: "9px 22px",
+    fontWeight: 600,
+    fontSize: 16,
+    cursor: disabled ? "not-allowed" : "pointer",
+    opacity: disabled ? 0.63 : 1,
+  };
+}
+
+export default ClassSettings;
@@ -0,0 +1,105 @@
+import React from "react";
+import { formatAuditValue } from "./audit";
+
+/**
+ * PUBLIC_INTERFACE
+ * ConflictResolver - Shown by EditStudent when a save is rejected because someone else
+ * changed the student meanwhile. Lists every field where the user's values and the
+ * server's current values differ and lets them pick a side per field.
+ *
+ * Props:
+ *   rows (array): From conflictRows() in conflicts.js.
+ *   choices (object): Current pick per row key ("mine" | "theirs").
+ *   onChoose (func): Called with (key, "mine" | "theirs").
+ *   onSave (func): Save the merged values.
+ *   onEditMerged (func): Put the merged values back in the form for further edits.
+ *   onDiscard (func): Drop the user's changes and load the server's values.
+ *   saving (bool): Disables the buttons while saving.
+ */
+function ConflictResolver({ rows, choices, onChoose, onSave, onEditMerged, onDiscard, saving }) {
+  const conflicts = rows.filter((r) => r.conflict).length;
+  return (
+    <div role="region" aria-label="Resolve edit conflict">
+      <div style={styles.banner} role="alert">
+        Someone else saved changes to this student while you were editing.
+        {conflicts > 0
+          ? ` ${conflicts} field${conflicts === 1 ? " was" : "s were"} changed by both of you.`
+          : " None of their changes touch the fields you edited."}{" "}
+        Choose which value to keep for each field.
+      </div>
+
+      {rows.length === 0 ? (
+        <p style={{ color: "#595959", fontSize: 15 }}>Your values already match the current record.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+              <th style={styles.th}>Field</th>
+              <th style={styles.th}>Your value</th>
+              <th style={styles.th}>Current value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} style={row.conflict ? { background: "#fff8e1" } : undefined}>
+                <td style={{ ...styles.td, fontWeight: 600, color: "#555" }}>
+                  {row.label}
+                  {row.conflict && <div style={styles.both}>changed by both</div>}
+                </td>
+                {["mine", "theirs"].map((side) => (
+                  <td key={side} style={styles.td}>
+                    <label style={{ display: "flex", gap: 8, alignItems: "center", cursor: "pointer" }}>
+                      <input
+                        type="radio"
+                        name={`merge-${row.key}`}
+                        checked={choices[row.key] === side}
+                        onChange={() => onChoose(row.key, side)}
+                        disabled={saving}
+                      />
+                      <span style={choices[row.key] === side ? { fontWeight: 600 } : { color: "#777" }}>
+                        {formatAuditValue(row[side])}
+                      </span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginTop: 20 }}>
+        <button type="button" style={styles.primary} onClick={onSave} disabled={saving}>
+          {saving ? "Saving..." : "Save merged version"}
+        </button>
+        <button type="button" style={styles.secondary} onClick={onEditMerged} disabled={saving}>
+          Edit merged values
+        </button>
+        <button type="button" style={{ ...styles.secondary, color: "#b80000" }} onClick={onDiscard} disabled={saving}>
+          Discard my changes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  banner: {
+    background: "#ffd6d6", color: "#b80000", border: "1.5px solid #ffaeb5", borderRadius: 7,
+    padding: "10px 16px", fontWeight: 500, fontSize: 15.5, marginBottom: 18
+  },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 15, background: "#fff" },
+  th: { padding: "9px 10px", textAlign: "left", fontWeight: 600, fontSize: 15 },
+  td: { padding: "8px 10px", borderBottom: "1px solid #eee", verticalAlign: "top" },
+  both: { fontSize: 12, fontWeight: 600, color: "#a36b00", marginTop: 2 },
+  primary: {
+    background: "#1976d2", color: "#fff", border: "none", borderRadius: 8, padding: "10px 24px",
+    fontWeight: 600, fontSize: 16, cursor: "pointer"
+  },
+  secondary: {
+    background: "#f2f2f2", color: "#343334", border: "1.3px solid #ccc", borderRadius: 8,
+    padding: "9px 18px", fontWeight: 600, fontSize: 15, cursor: "pointer"
+  }
+};
+
+export default ConflictResolver;
@@ -9,8 +9,9 @@ import React from "react";
  *   onCancel (func): Called when user cancels or closes the modal.
  *   onConfirm (func): Called when user confirms deletion.
  *   studentName (string): Name of the student to display in the prompt.
+ *   count (number): Optional; when above 1 the prompt names the number of students instead.
  */
-function DeleteConfirmationModal({ open, onCancel, onConfirm, studentName }) {
+function DeleteConfirmationModal({ open, onCancel, onConfirm, studentName, count }) {
   if (!open) return null;
 
   // Modal background and window; style minimal/modern
@@ -19,12 +20,22 @@ function DeleteConfirmationModal({ open, onCancel, onConfirm, studentName }) {
       <div style={styles.modal}>
         <h3 style={{ ...styles.title, marginBottom: 13 }}>Confirm Delete</h3>
         <div style={{ fontSize: 16, marginBottom: 25, color: "#222" }}>
-          Are you sure you want to <b>delete</b> student{' '}
-          <span style={{ color: "#b80000", fontWeight: 600 }}>
-            {studentName ? `"${studentName}"` : "this student"}
-          </span>
-          ?<br />
-          This action cannot be undone.
+          {count > 1 ? (
+            <>
+              Are you sure you want to <b>delete</b>{' '}
+              <span style={{ color: "#b80000", fontWeight: 600 }}>{count} students</span>
+              ?<br />
+            </>
+          ) : (
+            <>
+              Are you sure you want to <b>delete</b> student{' '}
+              <span style={{ color: "#b80000", fontWeight: 600 }}>
+                {studentName ? `"${studentName}"` : "this student"}
+              </span>
+              ?<br />
+            </>
+          )}
+          You can undo this for a few seconds afterwards.
         </div>
         <div style={{ display: "flex", justifyContent: "flex-end", gap: 12 }}>
           <button
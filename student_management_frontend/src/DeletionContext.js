@@ -0,0 +1,147 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { deleteStudent, restoreStudent } from "./api";
+import UndoToast from "./UndoToast";
+
+/**
+ * PUBLIC_INTERFACE
+ * Soft-delete flow shared by every page that deletes students.
+ *
+ * scheduleDelete() hides the students right away and shows an "Undo" toast; the
+ * DELETE requests are only sent once the toast expires. Committed deletions are kept
+ * in a session-scoped "Recently deleted" list from which they can be restored under their
+ * original id (see restoreStudent in api.js).
+ * Mounted once at the root (index.js) so pending deletions survive route changes.
+ */
+export const UNDO_WINDOW_MS = 6000;
+
+const RECENT_KEY = "recentlyDeletedStudents";
+const RECENT_LIMIT = 100;
+
+const DeletionContext = createContext(null);
+
+function loadRecent() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(RECENT_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Provider holding pending deletions, the recently deleted list and the undo toast.
+ */
+export function DeletionProvider({ children }) {
+  // Pending batches: [{ id, students, expiresAt, committing }]
+  const [batches, setBatches] = useState([]);
+  // Error notices shown as toasts: [{ id, message }]
+  const [notices, setNotices] = useState([]);
+  // Committed deletions: [{ student, deletedAt }]
+  const [recent, setRecent] = useState(loadRecent);
+  // Bumped whenever the server-side data changed, so pages can refetch
+  const [changeCount, setChangeCount] = useState(0);
+  const timers = useRef({});
+
+  useEffect(() => {
+    window.sessionStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+  }, [recent]);
+
+  const addNotice = useCallback((message) => {
+    setNotices((prev) => [...prev, { id: `${Date.now()}-${Math.random()}`, message }]);
+  }, []);
+
+  const commit = useCallback(
+    async (batch) => {
+      delete timers.current[batch.id];
+      setBatches((prev) => prev.map((b) => (b.id === batch.id ? { ...b, committing: true } : b)));
+      const deleted = [];
+      const failures = [];
+      for (const stu of batch.students) {
+        try {
+          await deleteStudent(stu.id, { label: stu.name });
+          deleted.push({ student: stu, deletedAt: new Date().toISOString() });
+        } catch (err) {
+          failures.push(`${stu.name}: ${err.message}`);
+        }
+      }
+      setBatches((prev) => prev.filter((b) => b.id !== batch.id));
+      if (deleted.length) setRecent((prev) => [...deleted, ...prev].slice(0, RECENT_LIMIT));
+      if (failures.length) {
+        addNotice(`Could not delete ${failures.length} student${failures.length === 1 ? "" : "s"}: ${failures.join("; ")}`);
+      }
+      setChangeCount((c) => c + 1);
+    },
+    [addNotice]
+  );
+
+  // Hide the students now and delete them when the undo window expires
+  const scheduleDelete = useCallback(
+    (students) => {
+      if (!students.length) return;
+      const batch = { id: `${Date.now()}-${Math.random()}`, students, expiresAt: Date.now() + UNDO_WINDOW_MS };
+      setBatches((prev) => [...prev, batch]);
+      timers.current[batch.id] = setTimeout(() => commit(batch), UNDO_WINDOW_MS);
+    },
+    [commit]
+  );
+
+  const undo = useCallback((batchId) => {
+    if (!timers.current[batchId]) return;
+    clearTimeout(timers.current[batchId]);
+    delete timers.current[batchId];
+    setBatches((prev) => prev.filter((b) => b.id !== batchId));
+  }, []);
+
+  // Restore a committed deletion under its original id; throws ApiError on failure
+  const restore = useCallback(async (entry) => {
+    await restoreStudent(entry.student.id, { label: entry.student.name });
+    setRecent((prev) => prev.filter((e) => e !== entry));
+    setChangeCount((c) => c + 1);
+  }, []);
+
+  const clearRecent = useCallback(() => setRecent([]), []);
+
+  // Pending deletions are not sent if the tab closes: warn before leaving
+  useEffect(() => {
+    if (!batches.length) return undefined;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [batches.length]);
+
+  const pendingIds = useMemo(() => {
+    const ids = new Set();
+    for (const b of batches) for (const stu of b.students) ids.add(stu.id);
+    return ids;
+  }, [batches]);
+
+  const value = useMemo(
+    () => ({ scheduleDelete, undo, restore, clearRecent, pendingIds, recent, changeCount }),
+    [scheduleDelete, undo, restore, clearRecent, pendingIds, recent, changeCount]
+  );
+
+  return (
+    <DeletionContext.Provider value={value}>
+      {children}
+      <UndoToast
+        batches={batches}
+        notices={notices}
+        onUndo={undo}
+        onDismiss={(id) => setNotices((prev) => prev.filter((n) => n.id !== id))}
+      />
+    </DeletionContext.Provider>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Access the soft-delete API: { scheduleDelete, undo, restore, clearRecent, pendingIds, recent, changeCount }.
+ */
+export function useDeletion() {
+  const ctx = useContext(DeletionContext);
+  if (!ctx) throw new Error("useDeletion must be used inside <DeletionProvider>");
+  return ctx;
+}
@@ -0,0 +1,68 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { DeletionProvider, useDeletion, UNDO_WINDOW_MS } from './DeletionContext';
+
+const ann = { id: 7, name: 'Ann', roll_number: 'R7', student_class: '9A', marks: 64 };
+
+function Harness() {
+  const { scheduleDelete, pendingIds } = useDeletion();
+  return (
+    <div>
+      <button onClick={() => scheduleDelete([ann])}>delete</button>
+      <span>{pendingIds.has(7) ? 'hidden' : 'visible'}</span>
+    </div>
+  );
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.sessionStorage.clear();
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true }) })
+  );
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('undo cancels the pending DELETE', () => {
+  render(<DeletionProvider><Harness /></DeletionProvider>);
+  fireEvent.click(screen.getByText('delete'));
+  expect(screen.getByText('hidden')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Undo'));
+  expect(screen.getByText('visible')).toBeInTheDocument();
+  act(() => jest.advanceTimersByTime(UNDO_WINDOW_MS));
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('DELETE is sent when the undo window expires', async () => {
+  render(<DeletionProvider><Harness /></DeletionProvider>);
+  fireEvent.click(screen.getByText('delete'));
+  expect(global.fetch).not.toHaveBeenCalled();
+  await act(async () => {
+    jest.advanceTimersByTime(UNDO_WINDOW_MS);
+  });
+  expect(global.fetch).toHaveBeenCalledWith(
+    expect.stringMatching(/\/students\/7$/),
+    expect.objectContaining({ method: 'DELETE' })
+  );
+  expect(JSON.parse(window.sessionStorage.getItem('recentlyDeletedStudents'))[0].student).toEqual(ann);
+});
+
+test('restore brings the deleted student back under the same id', async () => {
+  function RestoreHarness() {
+    const { recent, restore } = useDeletion();
+    return <button onClick={() => restore(recent[0])}>restore {recent.length}</button>;
+  }
+  window.sessionStorage.setItem('recentlyDeletedStudents', JSON.stringify([{ student: ann, deletedAt: '2024-05-01T10:00:00Z' }]));
+  render(<DeletionProvider><RestoreHarness /></DeletionProvider>);
+  await act(async () => {
+    fireEvent.click(screen.getByText('restore 1'));
+  });
+  expect(global.fetch).toHaveBeenCalledWith(
+    expect.stringMatching(/\/students\/7\/restore$/),
+    expect.objectContaining({ method: 'POST' })
+  );
+  expect(screen.getByText('restore 0')).toBeInTheDocument();
+});
@@ -1,27 +1,93 @@
 import React, { useEffect, useState } from "react";
+import { getStudentWithVersion, updateStudent, isConflict } from "./api";
+import { marksEntered, validateFields } from "./validation";
+import { blankSubjectMarks, subjectMarksFields, subjectMarksOf } from "./subjects";
+import SubjectMarksGrid from "./SubjectMarksGrid";
+import { loadGradingScale } from "./grading";
+import { useAuth } from "./AuthContext";
+import { canEditClass, classPermissionError } from "./permissions";
+import { conflictRows, defaultChoice, mergeForms } from "./conflicts";
+import ConflictResolver from "./ConflictResolver";
+import { termResult, useTerms } from "./terms";
+import { useClassCatalog } from "./classes";
+import ClassField from "./ClassField";
+import { guardiansOf, normalizeGuardians } from "./guardians";
+import GuardiansEditor from "./GuardiansEditor";
 
 /**
  * PUBLIC_INTERFACE
  * EditStudent page: fetch existing student by ID, display in editable form, submit with PUT.
  *
- * Fields: Name, Roll Number (disabled), Class/Grade, Marks, Optional Gender, Optional Contact.
+ * Fields: Name, Roll Number (disabled), Class/Grade, Subject Marks, Optional Gender, Optional Contact,
+ * Optional Guardians.
  * Form pre-fills with GET /students/:id, submits with PUT /students/:id.
+ * Students saved before per-subject marks start with an empty grid showing their old overall mark.
+ * The class is picked from the class catalog (see classes.js); a class not in the catalog
+ * stays selectable for the record that has it. Teachers can only save students of their
+ * assigned classes, and only move them between those.
+ *
+ * Marks belong to an academic term (see terms.js): the form opens on the `term` prop (set
+ * when editing from a term view) or else the current term, and picking another term loads
+ * (or starts) that term's marks. The PUT sends the chosen `term`, so a student whose latest
+ * result is from an earlier term gets a new result instead of overwriting that one. A term
+ * without results may keep an empty grid: the other fields are then saved without marks and
+ * the earlier results stay as they are.
+ *
+ * Saves are versioned: the version (ETag) read on load is sent with the PUT, and if someone
+ * else changed the student meanwhile (409/412) a ConflictResolver offers a per-field merge of
+ * the user's values with the current ones.
  */
-const API_BASE = "http://localhost:3001";
 
 const COLOR_PRIMARY = "#1976d2";
 const COLOR_ACCENT = "#ffc107";
 const COLOR_ERROR = "#b80000";
 
-function EditStudent({ studentId, onSuccessNav }) {
+// Where the marks of `term` live: its exam result, the record itself for its own (latest)
+// term or when no term is chosen, else nothing yet
+function marksRecord(s, term) {
+  if (!term || term === s.term) return termResult(s, term) || s;
+  return termResult(s, term) || {};
+}
+
+// Student record -> form state for a term (marks as strings; the configured subjects when it has none)
+function toForm(s, term) {
+  const subjectMarks = subjectMarksOf(marksRecord(s, term));
+  const hasSubjects = Object.keys(subjectMarks).length > 0;
+  return {
+    name: s.name || "",
+    roll_number: s.roll_number || "",
+    student_class: s.student_class || "",
+    subject_marks: hasSubjects
+      ? Object.fromEntries(Object.keys(subjectMarks).map((k) => [k, String(subjectMarks[k])]))
+      : blankSubjectMarks(),
+    gender: s.gender || "",
+    contact: s.contact || "",
+    guardians: guardiansOf(s).map((g) => ({
+      name: g.name || "",
+      relationship: g.relationship || "",
+      phone: g.phone || "",
+      email: g.email || "",
+      primary: Boolean(g.primary),
+    })),
+  };
+}
+
+// Overall mark shown for a record (or term result) that has no subject marks yet
+function legacyMarksOf(s, term) {
+  const source = marksRecord(s, term);
+  return Object.keys(subjectMarksOf(source)).length ? null : source.marks ?? null;
+}
+
+function EditStudent({ studentId, term: initialTerm, onSuccessNav }) {
   // Form state
   const [form, setForm] = useState({
     name: "",
     roll_number: "",
     student_class: "",
-    marks: "",
+    subject_marks: blankSubjectMarks(),
     gender: "",
     contact: "",
+    guardians: [],
   });
 
   // Validation errors per field
@@ -32,26 +98,50 @@ function EditStudent({ studentId, onSuccessNav }) {
 
   const [loading, setLoading] = useState(false);
 
+  // Grading scale for the live grade preview under the marks grid
+  const [gradingScale] = useState(loadGradingScale);
+
+  // Overall mark of a record that has no subject marks yet
+  const [legacyMarks, setLegacyMarks] = useState(null);
+
+  const { user } = useAuth();
+  // False once loaded if the student is outside the user's classes (form stays read-only)
+  const [editable, setEditable] = useState(true);
+
+  // Version the form is based on, and the form as loaded at that version (merge base)
+  const [version, setVersion] = useState(null);
+  const [baseForm, setBaseForm] = useState(null);
+
+  // Pending conflict: { theirs, version, rows, choices }
+  const [conflict, setConflict] = useState(null);
+
+  // Record as loaded (holds every term's results) and the term being edited ("" = current)
+  const [record, setRecord] = useState(null);
+  const [term, setTerm] = useState("");
+  const { terms, current: currentTerm } = useTerms();
+  const { classes: catalog } = useClassCatalog();
+
   // Fetch student data for edit form
   useEffect(() => {
     if (!studentId) return;
     setLoading(true);
-    fetch(`${API_BASE}/students/${studentId}`)
-      .then((res) => res.ok ? res.json() : Promise.reject("Not found"))
-      .then((data) => {
-        let s = data.data ? data.data : (data.success === undefined ? data : null);
-        if (!s) throw new Error("Invalid response");
-        setForm({
-          name: s.name || "",
-          roll_number: s.roll_number || "",
-          student_class: s.student_class || "",
-          marks: typeof s.marks === "number" ? s.marks.toString() : s.marks || "",
-          gender: s.gender || "",
-          contact: s.contact || "",
-        });
+    getStudentWithVersion(studentId)
+      .then(({ student: s, version: v }) => {
+        const t = initialTerm || "";
+        setRecord(s);
+        setTerm(t);
+        setLegacyMarks(legacyMarksOf(s, t));
+        if (!canEditClass(user, s.student_class)) {
+          setEditable(false);
+          setStatus({ type: "error", message: "You can only edit students in your assigned classes." });
+        }
+        setForm(toForm(s, t));
+        setBaseForm(toForm(s, t));
+        setVersion(v);
       })
       .catch(() => setStatus({ type: "error", message: "Could not load student data." }))
       .finally(() => setLoading(false));
+    // eslint-disable-next-line
   }, [studentId]);
 
   // Input change handler
@@ -61,26 +151,51 @@ function EditStudent({ studentId, onSuccessNav }) {
     setErrors((prev) => ({ ...prev, [name]: undefined }));
   }
 
-  // Validate form fields
-  function validateFields(formData) {
-    const errs = {};
-    if (!formData.name.trim()) errs.name = "Name is required";
-    if (!formData.student_class.trim()) errs.student_class = "Class/Grade required";
-    if (formData.marks === "" || formData.marks === undefined) errs.marks = "Marks required";
-    else if (!/^\d+$/.test(formData.marks)) errs.marks = "Marks must be a number";
-    else if (+formData.marks < 0 || +formData.marks > 100) errs.marks = "Marks must be 0-100";
-    // Optional: Contact number validation
-    if (formData.contact && !/^[\d ()+\-]{7,24}$/.test(formData.contact)) {
-      errs.contact = "Contact number is invalid";
-    }
-    return errs;
+  // Marks grid change handler
+  function handleSubjectMarksChange(subjectMarks) {
+    setForm((prev) => ({ ...prev, subject_marks: subjectMarks }));
+    setErrors((prev) => ({ ...prev, marks: undefined, subject_marks: undefined }));
   }
 
+  // Guardians editor change handler
+  function handleGuardiansChange(guardians) {
+    setForm((prev) => ({ ...prev, guardians }));
+    setErrors((prev) => ({ ...prev, guardians: undefined }));
+  }
+
+  // Switch the marks grid to another term's results (other fields keep their edits)
+  function switchTerm(t) {
+    setTerm(t);
+    setForm((prev) => ({ ...prev, subject_marks: toForm(record, t).subject_marks }));
+    setBaseForm(toForm(record, t));
+    setLegacyMarks(legacyMarksOf(record, t));
+    setErrors((prev) => ({ ...prev, marks: undefined, subject_marks: undefined }));
+  }
+
+  function handleTermChange(e) {
+    switchTerm(e.target.value);
+    setStatus({ type: "", message: "" });
+  }
+
+  // Without a term from the caller, marks are edited in the current term once terms load
+  useEffect(() => {
+    if (record && !term && currentTerm) switchTerm(currentTerm);
+    // eslint-disable-next-line
+  }, [record, currentTerm]);
+
   // Submit handler
-  async function handleSubmit(e) {
+  function handleSubmit(e) {
     e.preventDefault();
+    save(form, version, baseForm);
+  }
 
-    const errs = validateFields(form);
+  // Validate and PUT `values` against `ver`; a version conflict opens the merge screen
+  async function save(values, ver, base) {
+    const newTerm = Boolean(record && term && term !== record.term && !termResult(record, term));
+    const withMarks = marksEntered(values);
+    const errs = validateFields(values, { requireRollNumber: false, requireMarks: !newTerm });
+    const classError = classPermissionError(user, values.student_class);
+    if (classError) errs.student_class = classError;
     setErrors(errs);
     setStatus({ type: "", message: "" });
 
@@ -90,42 +205,65 @@ function EditStudent({ studentId, onSuccessNav }) {
 
     // Only name/class/marks are required for backend PUT, but passing all for compatibility
     const putBody = {
-      name: form.name.trim(),
-      student_class: form.student_class.trim(),
-      marks: parseInt(form.marks, 10),
-      gender: form.gender,
-      contact: form.contact.trim(),
+      name: values.name.trim(),
+      student_class: values.student_class.trim(),
+      ...(withMarks ? subjectMarksFields(values.subject_marks) : {}),
+      gender: values.gender,
+      contact: values.contact.trim(),
+      guardians: normalizeGuardians(values.guardians),
     };
+    if (term && withMarks) putBody.term = term;
 
     try {
-      const response = await fetch(`${API_BASE}/students/${studentId}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(putBody),
-      });
-      const data = await response.json();
-      if (response.status === 200 && data.success) {
-        setStatus({ type: "success", message: "Student updated successfully!" });
-        setErrors({});
-        if (onSuccessNav) setTimeout(() => onSuccessNav(), 900);
+      const res = await updateStudent(studentId, putBody, { version: ver });
+      setStatus({ type: "success", message: res.queued ? res.message : "Student updated successfully!" });
+      setErrors({});
+      if (onSuccessNav) setTimeout(() => onSuccessNav(), 900);
+    } catch (err) {
+      if (isConflict(err)) {
+        await openConflict(values, base);
       } else {
-        let msg =
-          data && data.message
-            ? data.message
-            : "Failed to update student. " +
-                (data && data.detail
-                  ? Array.isArray(data.detail)
-                    ? data.detail.map((d) => d.msg).join("; ")
-                    : data.detail
-                  : "");
-        setStatus({ type: "error", message: msg });
+        setStatus({ type: "error", message: err.message });
       }
-    } catch (err) {
-      setStatus({ type: "error", message: "Network or server error." });
     }
     setLoading(false);
   }
 
+  // Load the current record and compare it with what the user tried to save
+  async function openConflict(values, base) {
+    try {
+      const latest = await getStudentWithVersion(studentId);
+      const theirs = toForm(latest.student, term);
+      const rows = conflictRows(base || theirs, values, theirs);
+      setConflict({
+        student: latest.student,
+        theirs,
+        version: latest.version,
+        rows,
+        choices: Object.fromEntries(rows.map((r) => [r.key, defaultChoice(r)])),
+      });
+    } catch (err) {
+      setStatus({
+        type: "error",
+        message: `Someone else changed this student, and the latest version could not be loaded: ${err.message}`,
+      });
+    }
+  }
+
+  // Continue from the server's version with the merged (or discarded) values
+  function resolveConflict(mode) {
+    const { student, theirs, version: latestVersion, choices } = conflict;
+    const values = mode === "discard" ? theirs : mergeForms(form, theirs, choices);
+    setConflict(null);
+    setForm(values);
+    setBaseForm(theirs);
+    setVersion(latestVersion);
+    setRecord(student);
+    setLegacyMarks(legacyMarksOf(student, term));
+    if (mode === "save") save(values, latestVersion, theirs);
+    else if (mode === "discard") setStatus({ type: "success", message: "Loaded the latest saved values." });
+  }
+
   // UI: render form
   return (
     <div style={{
@@ -170,147 +308,193 @@ function EditStudent({ studentId, onSuccessNav }) {
         </div>
       )}
 
-      <form
-        style={{ display: "flex", flexDirection: "column", gap: 18 }}
-        onSubmit={handleSubmit}
-        autoComplete="off"
-      >
-        {/* Name */}
-        <FormField
-          label="Name"
-          name="name"
-          type="text"
-          value={form.name}
-          onChange={handleChange}
-          error={errors.name}
-          autoFocus
-          maxLength={100}
-          placeholder="Full name"
-          required
-        />
-        {/* Roll Number (disabled for editing, always shown but cannot change) */}
-        <FormField
-          label="Roll Number"
-          name="roll_number"
-          type="text"
-          value={form.roll_number}
-          onChange={() => {}}
-          error={undefined}
-          maxLength={32}
-          placeholder="Unique identifier"
-          disabled
-          required
-        />
-        {/* Class/Grade */}
-        <FormField
-          label="Class / Grade"
-          name="student_class"
-          type="text"
-          value={form.student_class}
-          onChange={handleChange}
-          error={errors.student_class}
-          maxLength={20}
-          placeholder="e.g. 10A"
-          required
-        />
-        {/* Marks */}
-        <FormField
-          label="Marks"
-          name="marks"
-          type="number"
-          value={form.marks}
-          onChange={handleChange}
-          error={errors.marks}
-          min={0}
-          max={100}
-          placeholder="0-100"
-          required
+      {conflict ? (
+        <ConflictResolver
+          rows={conflict.rows}
+          choices={conflict.choices}
+          onChoose={(key, side) =>
+            setConflict((prev) => ({ ...prev, choices: { ...prev.choices, [key]: side } }))
+          }
+          onSave={() => resolveConflict("save")}
+          onEditMerged={() => resolveConflict("edit")}
+          onDiscard={() => resolveConflict("discard")}
+          saving={loading}
         />
+      ) : (
+        <form
+          style={{ display: "flex", flexDirection: "column", gap: 18 }}
+          onSubmit={handleSubmit}
+          autoComplete="off"
+        >
+          {/* Name */}
+          <FormField
+            label="Name"
+            name="name"
+            type="text"
+            value={form.name}
+            onChange={handleChange}
+            error={errors.name}
+            autoFocus
+            maxLength={100}
+            placeholder="Full name"
+            required
+          />
+          {/* Roll Number (disabled for editing, always shown but cannot change) */}
+          <FormField
+            label="Roll Number"
+            name="roll_number"
+            type="text"
+            value={form.roll_number}
+            onChange={() => {}}
+            error={undefined}
+            maxLength={32}
+            placeholder="Unique identifier"
+            disabled
+            required
+          />
+          {/* Class/Grade */}
+          <ClassField
+            value={form.student_class}
+            onChange={handleChange}
+            catalog={catalog}
+            user={user}
+            error={errors.student_class}
+          />
+          {/* Subject Marks, for the chosen term */}
+          <div>
+            {terms.length > 0 && (
+              <div style={{ marginBottom: 8 }}>
+                <label htmlFor="term" style={{ fontWeight: 500, fontSize: 15, color: "#222" }}>
+                  Marks for term&nbsp;
+                </label>
+                <select
+                  id="term"
+                  value={term}
+                  onChange={handleTermChange}
+                  style={{
+                    fontSize: 15,
+                    border: "1px solid #d4d7da",
+                    padding: "5px 8px",
+                    borderRadius: 7,
+                    background: "#fff",
+                  }}
+                >
+                  {!term && <option value="">Current term</option>}
+                  {[...terms].reverse().map((t) => (
+                    <option key={t.name} value={t.name}>
+                      {t.name}
+                    </option>
+                  ))}
+                </select>
+                {record && term && !termResult(record, term) && term !== record.term && (
+                  <div style={{ fontSize: 14, color: "#666", marginTop: 6 }}>
+                    No {term} results yet. Enter marks to record them, or leave them empty to keep the earlier results.
+                  </div>
+                )}
+              </div>
+            )}
+            {legacyMarks !== null && (
+              <div style={{ fontSize: 14, color: "#666", marginBottom: 6 }}>
+                Saved with a single overall mark ({legacyMarks}). Enter subject marks to replace it.
+              </div>
+            )}
+            <SubjectMarksGrid
+              value={form.subject_marks}
+              errors={errors.subject_marks}
+              error={errors.marks}
+              scale={gradingScale}
+              onChange={handleSubjectMarksChange}
+            />
+          </div>
 
-        {/* Optional: Gender */}
-        <div>
-          <label
-            htmlFor="gender"
-            style={{ fontWeight: 500, fontSize: 15, color: "#222" }}
-          >
-            Gender (optional)&nbsp;
-          </label>
-          <select
-            name="gender"
-            id="gender"
-            value={form.gender}
+          {/* Optional: Gender */}
+          <div>
+            <label
+              htmlFor="gender"
+              style={{ fontWeight: 500, fontSize: 15, color: "#222" }}
+            >
+              Gender (optional)&nbsp;
+            </label>
+            <select
+              name="gender"
+              id="gender"
+              value={form.gender}
+              onChange={handleChange}
+              style={{
+                minWidth: 110,
+                fontSize: 15,
+                border: "1px solid #d4d7da",
+                padding: "7px 10px",
+                borderRadius: 7,
+                outline: "none",
+                background: "#fff",
+              }}
+              tabIndex={5}
+            >
+              <option value="">-- Select --</option>
+              <option value="Female">Female</option>
+              <option value="Male">Male</option>
+              <option value="Other">Other/Prefer not to say</option>
+            </select>
+          </div>
+
+          {/* Optional: Contact */}
+          <FormField
+            label="Contact (optional)"
+            name="contact"
+            type="text"
+            value={form.contact}
             onChange={handleChange}
+            error={errors.contact}
+            maxLength={24}
+            placeholder="e.g., +1 555-9012"
+          />
+
+          {/* Optional: Guardians */}
+          <GuardiansEditor value={form.guardians} errors={errors.guardians} onChange={handleGuardiansChange} />
+
+          <button
+            type="submit"
             style={{
-              minWidth: 110,
-              fontSize: 15,
-              border: "1px solid #d4d7da",
-              padding: "7px 10px",
-              borderRadius: 7,
-              outline: "none",
-              background: "#fff",
+              background: COLOR_PRIMARY,
+              color: "#fff",
+              border: "none",
+              borderRadius: 8,
+              padding: "11px 29px",
+              fontWeight: 600,
+              fontSize: 17,
+              letterSpacing: "0.04em",
+              cursor: loading || !editable ? "not-allowed" : "pointer",
+              opacity: loading || !editable ? 0.63 : 1,
+              transition: "all 0.18s",
+              marginTop: 9,
             }}
-            tabIndex={5}
+            disabled={loading || !editable}
           >
-            <option value="">-- Select --</option>
-            <option value="Female">Female</option>
-            <option value="Male">Male</option>
-            <option value="Other">Other/Prefer not to say</option>
-          </select>
-        </div>
-
-        {/* Optional: Contact */}
-        <FormField
-          label="Contact (optional)"
-          name="contact"
-          type="text"
-          value={form.contact}
-          onChange={handleChange}
-          error={errors.contact}
-          maxLength={24}
-          placeholder="e.g., +1 555-9012"
-        />
-
-        <button
-          type="submit"
-          style={{
-            background: COLOR_PRIMARY,
-            color: "#fff",
-            border: "none",
-            borderRadius: 8,
-            padding: "11px 29px",
-            fontWeight: 600,
-            fontSize: 17,
-            letterSpacing: "0.04em",
-            cursor: loading ? "not-allowed" : "pointer",
-            opacity: loading ? 0.63 : 1,
-            transition: "all 0.18s",
-            marginTop: 9,
-          }}
-          disabled={loading}
-        >
-          {loading ? "Updating..." : "Update Student"}
-        </button>
-        <button
-          type="button"
-          style={{
-            background: "#f2f2f2",
-            color: "#343334",
-            border: `1.3px solid #ccc`,
-            borderRadius: 8,
-            fontWeight: 600,
-            fontSize: 16,
-            marginLeft: 0,
-            marginTop: 3,
-            padding: "10px 18px",
-            cursor: loading ? "not-allowed" : "pointer",
-            opacity: loading ? 0.67 : 1,
-          }}
-          onClick={() => { if (onSuccessNav) onSuccessNav(); }}
-          disabled={loading}
-        >
-          Cancel
-        </button>
-      </form>
+            {loading ? "Updating..." : "Update Student"}
+          </button>
+          <button
+            type="button"
+            style={{
+              background: "#f2f2f2",
+              color: "#343334",
+              border: `1.3px solid #ccc`,
+              borderRadius: 8,
+              fontWeight: 600,
+              fontSize: 16,
+              marginLeft: 0,
+              marginTop: 3,
+              padding: "10px 18px",
+              cursor: loading ? "not-allowed" : "pointer",
+              opacity: loading ? 0.67 : 1,
+            }}
+            onClick={() => { if (onSuccessNav) onSuccessNav(); }}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
     </div>
   );
 }
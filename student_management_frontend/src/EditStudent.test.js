@@ -0,0 +1,64 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import EditStudent from './EditStudent';
+import { AuthProvider } from './AuthContext';
+import { SUBJECTS } from './subjects';
+
+const TERMS = [
+  { name: 'Midterm 2026', starts_on: '2026-01-12' },
+  { name: 'Final 2026', starts_on: '2026-04-06' },
+];
+
+// Latest result is from the previous term
+const student = {
+  id: 3,
+  name: 'Ann Lee',
+  student_class: '10A',
+  marks: 72,
+  subject_marks: { Science: 72 },
+  term: 'Midterm 2026',
+  exams: [{ term: 'Midterm 2026', marks: 72, subject_marks: { Science: 72 } }],
+  version: 4,
+};
+
+beforeEach(() => {
+  window.localStorage.setItem('auth', JSON.stringify({ token: 't', user: { username: 'admin', role: 'admin' } }));
+  global.fetch = jest.fn((url, opts = {}) => {
+    const body = opts.method === 'PUT' ? { success: true } : /\/terms$/.test(url) ? TERMS : /\/classes$/.test(url) ? [] : student;
+    return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+  });
+});
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('marks edited without a chosen term are recorded in the current term', async () => {
+  render(<AuthProvider><EditStudent studentId={3} /></AuthProvider>);
+  await waitFor(() => expect(screen.getByLabelText(/Marks for term/)).toHaveValue('Final 2026'));
+  expect(screen.getByText(/^No Final 2026 results yet\. Enter marks to record them/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Science')).toHaveValue(null);
+
+  for (const subject of SUBJECTS) fireEvent.change(screen.getByLabelText(subject), { target: { value: '80' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Update Student' }));
+
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/students\/3$/), expect.objectContaining({ method: 'PUT' })));
+  const put = global.fetch.mock.calls.find(([, opts]) => opts && opts.method === 'PUT');
+  expect(JSON.parse(put[1].body)).toMatchObject({ term: 'Final 2026', marks: 80 });
+});
+
+test('other fields save without marks when the current term has no results yet', async () => {
+  render(<AuthProvider><EditStudent studentId={3} /></AuthProvider>);
+  await waitFor(() => expect(screen.getByLabelText(/Marks for term/)).toHaveValue('Final 2026'));
+
+  fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Ann Li' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Update Student' }));
+
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/students\/3$/), expect.objectContaining({ method: 'PUT' })));
+  expect(screen.queryByText('Marks required')).not.toBeInTheDocument();
+  const body = JSON.parse(global.fetch.mock.calls.find(([, opts]) => opts && opts.method === 'PUT')[1].body);
+  expect(body).toMatchObject({ name: 'Ann Li' });
+  expect(body).not.toHaveProperty('marks');
+  expect(body).not.toHaveProperty('subject_marks');
+  expect(body).not.toHaveProperty('term');
+});
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * PUBLIC_INTERFACE
+ * EditableCell - Table cell content that can be edited in place (ViewStudents).
+ *
+ * Shows `children` until editing starts (double-click, or Enter while focused), then an
+ * input seeded with `value`. Enter, Tab/Shift+Tab and leaving the field commit the draft;
+ * Escape cancels. The parent owns which cell is being edited and saves the value, so the
+ * cell only reports what the user did.
+ *
+ * Props:
+ *   value (string|number): Value the editor starts from.
+ *   editing (bool): Show the input.
+ *   onStart (func): User asked to edit this cell.
+ *   onCommit (func): Called with (draft, move) where move is "down" (Enter), "next" (Tab),
+ *     "prev" (Shift+Tab) or null (blur). Returns false to keep the editor open (invalid draft).
+ *   onCancel (func): Escape pressed.
+ *   saving (bool): A save of this cell is in flight.
+ *   error (string): Last validation or save error for this cell.
+ *   label (string): Accessible name, e.g. "Marks for Ann".
+ *   inputProps (object): Extra attributes for the input (type, list, min, max, style.width).
+ *   children (node): Read-only rendering of the value.
+ */
+function EditableCell({ value, editing, onStart, onCommit, onCancel, saving, error, label, inputProps = {}, children }) {
+  const [draft, setDraft] = useState("");
+  const inputRef = useRef(null);
+  const displayRef = useRef(null);
+  // Set once a key already committed/cancelled, so the blur that follows is ignored
+  const settled = useRef(false);
+  const wasEditing = useRef(false);
+
+  useEffect(() => {
+    if (editing) {
+      settled.current = false;
+      setDraft(value === undefined || value === null ? "" : String(value));
+      if (inputRef.current) {
+        inputRef.current.focus();
+        inputRef.current.select();
+      }
+    } else if (wasEditing.current && document.activeElement === document.body && displayRef.current) {
+      // Keep keyboard focus on the cell after Escape/Enter so editing can resume
+      displayRef.current.focus();
+    }
+    wasEditing.current = editing;
+    // eslint-disable-next-line
+  }, [editing]);
+
+  const commit = (move) => {
+    if (settled.current) return;
+    // An invalid draft keeps the editor open (with its error) until fixed or cancelled
+    if (onCommit(draft, move) !== false) settled.current = true;
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commit("down");
+    } else if (e.key === "Tab") {
+      e.preventDefault();
+      commit(e.shiftKey ? "prev" : "next");
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      settled.current = true;
+      onCancel();
+    }
+  };
+
+  const message = error ? <div style={styles.error}>{error}</div> : null;
+
+  if (editing) {
+    const { style: inputStyle, ...rest } = inputProps;
+    return (
+      <div>
+        <input
+          ref={inputRef}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => commit(null)}
+          aria-label={label}
+          aria-invalid={!!error}
+          style={{ ...styles.input, ...(error ? styles.inputError : null), ...inputStyle }}
+          {...rest}
+        />
+        {message}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div
+        ref={displayRef}
+        role="button"
+        tabIndex={0}
+        aria-label={`${label} (press Enter to edit)`}
+        title="Double-click to edit"
+        onDoubleClick={onStart}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && e.target === e.currentTarget) {
+            e.preventDefault();
+            onStart();
+          }
+        }}
+        style={{ ...styles.display, ...(saving ? styles.saving : null), ...(error ? styles.displayError : null) }}
+      >
+        {children}
+        {saving && <span style={styles.savingNote}>Saving…</span>}
+      </div>
+      {message}
+    </div>
+  );
+}
+
+const styles = {
+  display: {
+    cursor: "text", borderRadius: 4, padding: "2px 4px", margin: "-2px -4px",
+    border: "1px dashed transparent", outlineOffset: 1
+  },
+  displayError: { border: "1px dashed #b80000", background: "#fff4f4" },
+  saving: { opacity: 0.6 },
+  savingNote: { marginLeft: 8, fontSize: 12.5, color: "#777" },
+  input: {
+    width: "100%", minWidth: 60, boxSizing: "border-box", padding: "4px 6px", fontSize: 15,
+    border: "1.5px solid #1976d2", borderRadius: 4, outline: "none"
+  },
+  inputError: { borderColor: "#b80000" },
+  error: { color: "#b80000", fontSize: 12.5, marginTop: 3 }
+};
+
+export default EditableCell;
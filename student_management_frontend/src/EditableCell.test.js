@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import EditableCell from './EditableCell';
+
+function Harness({ onCommit }) {
+  const [editing, setEditing] = useState(false);
+  return (
+    <EditableCell
+      value="64"
+      label="Marks for Ann"
+      editing={editing}
+      onStart={() => setEditing(true)}
+      onCommit={(draft, move) => {
+        const ok = onCommit(draft, move);
+        if (ok !== false) setEditing(false);
+        return ok;
+      }}
+      onCancel={() => setEditing(false)}
+    >
+      64
+    </EditableCell>
+  );
+}
+
+test('double-click edits, Enter and Tab commit with a move, Escape cancels', () => {
+  const onCommit = jest.fn();
+  render(<Harness onCommit={onCommit} />);
+  fireEvent.doubleClick(screen.getByRole('button', { name: /Marks for Ann/ }));
+  fireEvent.change(screen.getByLabelText('Marks for Ann'), { target: { value: '70' } });
+  fireEvent.keyDown(screen.getByLabelText('Marks for Ann'), { key: 'Enter' });
+  expect(onCommit).toHaveBeenLastCalledWith('70', 'down');
+  expect(screen.queryByRole('textbox')).toBeNull();
+
+  fireEvent.keyDown(screen.getByRole('button', { name: /Marks for Ann/ }), { key: 'Enter' });
+  fireEvent.keyDown(screen.getByLabelText('Marks for Ann'), { key: 'Tab', shiftKey: true });
+  expect(onCommit).toHaveBeenLastCalledWith('64', 'prev');
+
+  fireEvent.doubleClick(screen.getByRole('button', { name: /Marks for Ann/ }));
+  fireEvent.keyDown(screen.getByLabelText('Marks for Ann'), { key: 'Escape' });
+  expect(onCommit).toHaveBeenCalledTimes(2);
+  expect(screen.queryByRole('textbox')).toBeNull();
+});
+
+test('an invalid draft keeps the editor open', () => {
+  const onCommit = jest.fn(() => false);
+  render(<Harness onCommit={onCommit} />);
+  fireEvent.doubleClick(screen.getByRole('button', { name: /Marks for Ann/ }));
+  fireEvent.keyDown(screen.getByLabelText('Marks for Ann'), { key: 'Tab' });
+  expect(screen.getByRole('textbox')).toHaveValue('64');
+});
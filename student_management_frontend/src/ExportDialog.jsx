@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+
+/**
+ * PUBLIC_INTERFACE
+ * ExportDialog - Modal dialog to choose columns, format and scope for a student export.
+ *
+ * Props:
+ *   open (bool): Whether the modal is visible.
+ *   columns (array): [{ key, label }] columns that can be exported.
+ *   pageCount (number): Rows shown on the current page (after search).
+ *   total (number|null): Rows matching across all pages, if known up front.
+ *   busy (bool): Export in progress; disables the buttons.
+ *   onCancel (func): Called when user cancels or closes the modal.
+ *   onExport (func): Called with { columns: [keys], format: "csv"|"excel", scope: "page"|"all" }.
+ */
+function ExportDialog({ open, columns, pageCount, total, busy, onCancel, onExport }) {
+  const [selected, setSelected] = useState(() => columns.map((c) => c.key));
+  const [format, setFormat] = useState("csv");
+  const [scope, setScope] = useState("page");
+
+  if (!open) return null;
+
+  const toggle = (key) =>
+    setSelected((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.modal} role="dialog" aria-label="Export students">
+        <h3 style={{ ...styles.title, marginBottom: 13 }}>Export Students</h3>
+
+        <fieldset style={styles.fieldset}>
+          <legend style={styles.legend}>Columns</legend>
+          {columns.map((c) => (
+            <label key={c.key} style={styles.option}>
+              <input type="checkbox" checked={selected.includes(c.key)} onChange={() => toggle(c.key)} /> {c.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <fieldset style={styles.fieldset}>
+          <legend style={styles.legend}>Format</legend>
+          <label style={styles.option}>
+            <input type="radio" name="export-format" checked={format === "csv"} onChange={() => setFormat("csv")} /> CSV
+          </label>
+          <label style={styles.option}>
+            <input type="radio" name="export-format" checked={format === "excel"} onChange={() => setFormat("excel")} />{" "}
+            Excel-compatible CSV (UTF-8 BOM, local delimiter)
+          </label>
+        </fieldset>
+
+        <fieldset style={styles.fieldset}>
+          <legend style={styles.legend}>Rows</legend>
+          <label style={styles.option}>
+            <input type="radio" name="export-scope" checked={scope === "page"} onChange={() => setScope("page")} /> Current
+            page ({pageCount})
+          </label>
+          <label style={styles.option}>
+            <input type="radio" name="export-scope" checked={scope === "all"} onChange={() => setScope("all")} /> All
+            matching students{typeof total === "number" ? ` (${total})` : ""}
+          </label>
+        </fieldset>
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 12 }}>
+          <button type="button" style={styles.cancelBtn} onClick={onCancel} aria-label="Cancel export" autoFocus>
+            Cancel
+          </button>
+          <button
+            type="button"
+            style={{ ...styles.exportBtn, opacity: busy || !selected.length ? 0.6 : 1 }}
+            disabled={busy || !selected.length}
+            onClick={() =>
+              onExport({
+                // Keep the table's column order regardless of click order
+                columns: columns.map((c) => c.key).filter((k) => selected.includes(k)),
+                format,
+                scope,
+              })
+            }
+          >
+            {busy ? "Exporting..." : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: "fixed", top: 0, left: 0, width: "100vw", height: "100vh",
+    background: "rgba(22,28,35,0.23)", zIndex: 1003, display: "flex",
+    alignItems: "center", justifyContent: "center",
+  },
+  modal: {
+    background: "#fff", borderRadius: 14, maxWidth: 380, minWidth: 295,
+    boxShadow: "0 8px 58px rgba(33,40,60,0.23)", padding: "26px 20px 19px 20px",
+    border: "1.5px solid #e3e8ee", fontFamily: "Segoe UI, Arial, sans-serif"
+  },
+  title: {
+    color: "#1976d2", fontWeight: 700, fontSize: "1.17rem",
+    letterSpacing: "0.01em"
+  },
+  fieldset: {
+    border: "1px solid #e3e8ee", borderRadius: 8, padding: "8px 12px 10px 12px",
+    marginBottom: 14
+  },
+  legend: {
+    fontWeight: 600, fontSize: 14, color: "#424242", padding: "0 4px"
+  },
+  option: {
+    display: "block", fontSize: 15, color: "#222", margin: "4px 0", cursor: "pointer"
+  },
+  cancelBtn: {
+    background: "#f7f9fb", color: "#444", border: "1px solid #c1c7ce",
+    borderRadius: 7, padding: "8px 20px", fontWeight: 600, fontSize: 15,
+    minWidth: 74, cursor: "pointer"
+  },
+  exportBtn: {
+    background: "#1976d2", color: "#fff", border: "none",
+    borderRadius: 7, padding: "8px 23px", fontWeight: 700, fontSize: 15,
+    minWidth: 80, cursor: "pointer", boxShadow: "0 1.5px 4px rgba(25,118,210,0.1)"
+  }
+};
+
+export default ExportDialog;
@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import {
+  FILTER_FIELDS,
+  OP_LABELS,
+  fieldFor,
+  opsFor,
+  newCondition,
+  emptyValue,
+  normalizeFilter,
+} from "./filters";
+
+/**
+ * PUBLIC_INTERFACE
+ * FilterBuilder - Panel for building an advanced dashboard filter (see filters.js).
+ *
+ * Each row is one condition (field, operator, value); the conditions are combined with
+ * AND ("all") or OR ("any"). Incomplete rows are ignored when applying.
+ *
+ * Props:
+ *   filter (object): Filter currently applied; the panel edits a copy.
+ *   classOptions (array): Known classes offered as checkboxes for Class conditions.
+ *   onApply (func): Called with the normalized filter.
+ *   onCancel (func): Close without applying.
+ *   onSavePreset (func): Called with (name, filter) to save the draft as a named preset.
+ */
+function FilterBuilder({ filter, classOptions, onApply, onCancel, onSavePreset }) {
+  const [match, setMatch] = useState(filter.match);
+  const [conditions, setConditions] = useState(filter.conditions.length ? filter.conditions : [newCondition()]);
+  const [presetName, setPresetName] = useState("");
+  const [saved, setSaved] = useState("");
+
+  const draft = { match, conditions };
+  const usable = normalizeFilter(draft).conditions.length;
+
+  const update = (index, next) => {
+    setSaved("");
+    setConditions((prev) => prev.map((c, i) => (i === index ? next : c)));
+  };
+
+  const changeOp = (index, cond, op) => {
+    const empty = emptyValue(op);
+    // Keep the value when the new operator takes the same kind of value
+    const sameShape = Array.isArray(empty) === Array.isArray(cond.value) && typeof empty === typeof cond.value;
+    update(index, { ...cond, op, value: sameShape ? cond.value : empty });
+  };
+
+  const savePreset = () => {
+    onSavePreset(presetName, draft);
+    setSaved(`Saved preset “${presetName.trim()}”.`);
+    setPresetName("");
+  };
+
+  return (
+    <div style={styles.panel} role="region" aria-label="Advanced filters">
+      <div style={{ marginBottom: 12, fontSize: 15, color: "#424242" }}>
+        Show students matching{" "}
+        <select value={match} onChange={(e) => setMatch(e.target.value)} style={styles.select} aria-label="Combine conditions">
+          <option value="all">all (AND)</option>
+          <option value="any">any (OR)</option>
+        </select>{" "}
+        of these conditions:
+      </div>
+
+      {conditions.map((cond, index) => (
+        <div key={index} style={styles.row}>
+          <select
+            value={cond.field}
+            onChange={(e) => update(index, newCondition(e.target.value))}
+            style={styles.select}
+            aria-label={`Condition ${index + 1} field`}
+          >
+            {FILTER_FIELDS.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={cond.op}
+            onChange={(e) => changeOp(index, cond, e.target.value)}
+            style={styles.select}
+            aria-label={`Condition ${index + 1} operator`}
+          >
+            {opsFor(cond.field).map((op) => (
+              <option key={op} value={op}>
+                {OP_LABELS[op]}
+              </option>
+            ))}
+          </select>
+          <ConditionValue
+            cond={cond}
+            classOptions={classOptions}
+            label={`Condition ${index + 1} value`}
+            onChange={(value) => update(index, { ...cond, value })}
+          />
+          <button
+            type="button"
+            style={styles.remove}
+            onClick={() => setConditions((prev) => prev.filter((_, i) => i !== index))}
+            aria-label={`Remove condition ${index + 1}`}
+            title="Remove condition"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <button type="button" style={styles.link} onClick={() => setConditions((prev) => [...prev, newCondition()])}>
+        + Add condition
+      </button>
+
+      <div style={styles.footer}>
+        <button type="button" style={styles.primary} onClick={() => onApply(normalizeFilter(draft))}>
+          Apply filters
+        </button>
+        <button type="button" style={styles.secondary} onClick={onCancel}>
+          Cancel
+        </button>
+        <span style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center" }}>
+          <input
+            value={presetName}
+            onChange={(e) => {
+              setPresetName(e.target.value);
+              setSaved("");
+            }}
+            placeholder="Preset name, e.g. Failing in 10th grade"
+            aria-label="Preset name"
+            style={{ ...styles.input, width: 250 }}
+          />
+          <button
+            type="button"
+            style={styles.secondary}
+            onClick={savePreset}
+            disabled={!presetName.trim() || !usable}
+            title={usable ? "Save these conditions as a preset" : "Add a complete condition first"}
+          >
+            Save as preset
+          </button>
+        </span>
+      </div>
+      {saved && <div style={{ color: "#2e7d32", fontSize: 14, marginTop: 8 }}>{saved}</div>}
+    </div>
+  );
+}
+
+// Value input(s) for one condition, depending on its operator
+function ConditionValue({ cond, classOptions, label, onChange }) {
+  const { op, value } = cond;
+  if (op === "empty" || op === "not_empty") return null;
+  if (op === "in" || op === "not_in") {
+    const field = fieldFor(cond.field);
+    return (
+      <ChoiceValue
+        options={field.options || classOptions}
+        allowOther={!field.options}
+        value={Array.isArray(value) ? value : []}
+        label={label}
+        onChange={onChange}
+      />
+    );
+  }
+  if (op === "between") {
+    const range = value || { min: "", max: "" };
+    return (
+      <span style={{ display: "flex", gap: 5, alignItems: "center" }}>
+        <input
+          type="number"
+          value={range.min ?? ""}
+          onChange={(e) => onChange({ ...range, min: e.target.value })}
+          placeholder="min"
+          aria-label={`${label} minimum`}
+          style={{ ...styles.input, width: 70 }}
+        />
+        –
+        <input
+          type="number"
+          value={range.max ?? ""}
+          onChange={(e) => onChange({ ...range, max: e.target.value })}
+          placeholder="max"
+          aria-label={`${label} maximum`}
+          style={{ ...styles.input, width: 70 }}
+        />
+      </span>
+    );
+  }
+  const numeric = fieldFor(cond.field).kind === "number";
+  return (
+    <input
+      type={numeric ? "number" : "text"}
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+      style={{ ...styles.input, width: numeric ? 80 : 180 }}
+    />
+  );
+}
+
+// Checkboxes for the options (plus any chosen values not among them) and, for open-ended
+// fields such as Class, a box to add other values (comma-separated)
+function ChoiceValue({ options, allowOther, value, label, onChange }) {
+  const [other, setOther] = useState("");
+  const all = Array.from(new Set([...options, ...value]));
+  const toggle = (opt) => onChange(value.includes(opt) ? value.filter((v) => v !== opt) : [...value, opt]);
+  const addOther = () => {
+    const extra = other.split(",").map((v) => v.trim()).filter(Boolean);
+    if (extra.length) onChange(Array.from(new Set([...value, ...extra])));
+    setOther("");
+  };
+  return (
+    <span style={{ display: "flex", flexWrap: "wrap", gap: "4px 12px", alignItems: "center" }} role="group" aria-label={label}>
+      {all.map((opt) => (
+        <label key={opt} style={{ fontSize: 14.5, cursor: "pointer" }}>
+          <input type="checkbox" checked={value.includes(opt)} onChange={() => toggle(opt)} /> {opt}
+        </label>
+      ))}
+      {allowOther && (
+        <input
+          value={other}
+          onChange={(e) => setOther(e.target.value)}
+          onBlur={addOther}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              addOther();
+            }
+          }}
+          placeholder={all.length ? "Other…" : "e.g. 10A, 10B"}
+          aria-label={`${label}: add values`}
+          style={{ ...styles.input, width: 110 }}
+        />
+      )}
+    </span>
+  );
+}
+
+const styles = {
+  panel: {
+    background: "#f7faff", border: "1px solid #d3e9ff", borderRadius: 8,
+    padding: "14px 16px", marginBottom: 18
+  },
+  row: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, marginBottom: 8 },
+  select: {
+    fontSize: 15, borderRadius: 5, border: "1px solid #d4d7da", color: "#424242", padding: "3px 8px"
+  },
+  input: {
+    fontSize: 15, padding: "3px 6px", border: "1px solid #d4d7da", borderRadius: 5
+  },
+  remove: {
+    background: "none", border: "none", color: "#b80000", fontSize: 20, lineHeight: 1, cursor: "pointer"
+  },
+  link: {
+    background: "none", border: "none", padding: 0, color: "#1976d2", fontWeight: 600,
+    fontSize: 14.5, cursor: "pointer"
+  },
+  footer: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10, marginTop: 14 },
+  primary: {
+    background: "#1976d2", color: "#fff", border: "none", borderRadius: 5, fontWeight: 600,
+    fontSize: 14, padding: "7px 15px", cursor: "pointer"
+  },
+  secondary: {
+    background: "#f1f1f1", color: "#424242", border: "none", borderRadius: 5, fontWeight: 500,
+    fontSize: 14, padding: "7px 13px", cursor: "pointer"
+  }
+};
+
+export default FilterBuilder;
@@ -0,0 +1,39 @@
+import React from "react";
+import { gradeFor, isPass } from "./grading";
+
+/**
+ * PUBLIC_INTERFACE
+ * GradeBadge - Letter grade and Pass/Fail chips for a marks value.
+ *
+ * Props:
+ *   marks (number|string): Marks to grade; renders "-" when missing.
+ *   scale (object): Grading scale from loadGradingScale().
+ *   showPass (bool): Also show the Pass/Fail chip (default true).
+ */
+function GradeBadge({ marks, scale, showPass = true }) {
+  const grade = gradeFor(marks, scale);
+  if (!grade) return <span style={{ color: "#aaa" }}>-</span>;
+  const pass = isPass(marks, scale);
+  return (
+    <span style={{ display: "inline-flex", gap: 6, alignItems: "center", whiteSpace: "nowrap" }}>
+      <span style={styles.grade} title={`Grade ${grade}`}>
+        {grade}
+      </span>
+      {showPass && (
+        <span style={{ ...styles.result, ...(pass ? styles.pass : styles.fail) }}>{pass ? "Pass" : "Fail"}</span>
+      )}
+    </span>
+  );
+}
+
+const styles = {
+  grade: {
+    display: "inline-block", minWidth: 22, textAlign: "center", background: "#e3e8ee", color: "#1976d2",
+    borderRadius: 5, padding: "1px 7px", fontWeight: 700, fontSize: 14
+  },
+  result: { borderRadius: 5, padding: "1px 7px", fontWeight: 600, fontSize: 12.5 },
+  pass: { background: "#e3f5e8", color: "#188542" },
+  fail: { background: "#ffe7e6", color: "#b80000" }
+};
+
+export default GradeBadge;
@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import { DEFAULT_SCALE, loadGradingScale, saveGradingScale, validateScale } from "./grading";
+
+/**
+ * PUBLIC_INTERFACE
+ * GradingSettings page: edit the letter-grade bands (label + lowest marks) and the pass mark.
+ * The scale is saved in this browser (localStorage) and used by the dashboard, the student
+ * forms and Analytics.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+// Scale -> editable form state (numbers as strings)
+function toForm(scale) {
+  return {
+    bands: scale.bands.map((b) => ({ label: b.label, min: String(b.min) })),
+    passMark: String(scale.passMark),
+  };
+}
+
+// Form state -> scale; non-numeric input becomes NaN and fails validation
+function toScale(form) {
+  const num = (v) => (/^\d+$/.test(String(v).trim()) ? parseInt(v, 10) : NaN);
+  return {
+    bands: form.bands.map((b) => ({ label: b.label.trim(), min: num(b.min) })),
+    passMark: num(form.passMark),
+  };
+}
+
+function GradingSettings() {
+  const [form, setForm] = useState(() => toForm(loadGradingScale()));
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ type: "", message: "" });
+
+  const setBand = (index, key, value) => {
+    setForm((prev) => ({
+      ...prev,
+      bands: prev.bands.map((b, i) => (i === index ? { ...b, [key]: value } : b)),
+    }));
+    setErrors((prev) => ({ ...prev, bands: undefined }));
+  };
+
+  const removeBand = (index) => {
+    setForm((prev) => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }));
+    setErrors((prev) => ({ ...prev, bands: undefined }));
+  };
+
+  const addBand = () => setForm((prev) => ({ ...prev, bands: [...prev.bands, { label: "", min: "" }] }));
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const scale = toScale(form);
+    const errs = validateScale(scale);
+    setErrors(errs);
+    if (Object.keys(errs).length > 0) {
+      setStatus({ type: "", message: "" });
+      return;
+    }
+    setForm(toForm(saveGradingScale(scale)));
+    setStatus({ type: "success", message: "Grading scale saved." });
+  }
+
+  function handleReset() {
+    setForm(toForm(DEFAULT_SCALE));
+    setErrors({});
+    setStatus({ type: "", message: "" });
+  }
+
+  // "90-100" style range for each band, from the cut-offs as currently entered
+  const scale = toScale(form);
+  const rangeOf = (band) => {
+    if (isNaN(band.min)) return "";
+    const above = scale.bands.map((b) => b.min).filter((m) => m > band.min);
+    return `${band.min}-${above.length ? Math.min(...above) - 1 : 100}`;
+  };
+
+  return (
+    <div
+      style={{
+        maxWidth: 560,
+        margin: "36px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 22px 28px 22px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, margin: 0, fontWeight: 700, fontSize: "1.55rem", marginBottom: 8 }}>
+        Grading Scale
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+        A student gets the grade of the highest band whose cut-off their marks reach.
+      </p>
+
+      {status.message && (
+        <div
+          aria-live="polite"
+          role="alert"
+          style={{
+            background: COLOR_ACCENT,
+            color: "#444",
+            border: "1.5px solid #fff2c0",
+            borderRadius: 7,
+            padding: "10px 16px",
+            fontWeight: 500,
+            fontSize: 16,
+            marginBottom: 18,
+          }}
+        >
+          {status.message}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} autoComplete="off" style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 15.5 }}>
+          <thead>
+            <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+              <th style={thCss}>Grade</th>
+              <th style={thCss}>Lowest marks</th>
+              <th style={thCss}>Range</th>
+              <th style={thCss} aria-label="Remove" />
+            </tr>
+          </thead>
+          <tbody>
+            {form.bands.map((band, i) => (
+              <tr key={i}>
+                <td style={tdCss}>
+                  <input
+                    className="input"
+                    aria-label={`Grade label ${i + 1}`}
+                    value={band.label}
+                    maxLength={4}
+                    onChange={(e) => setBand(i, "label", e.target.value)}
+                    style={{ width: 70 }}
+                  />
+                </td>
+                <td style={tdCss}>
+                  <input
+                    className="input"
+                    type="number"
+                    min={0}
+                    max={100}
+                    aria-label={`Lowest marks for grade ${band.label || i + 1}`}
+                    value={band.min}
+                    onChange={(e) => setBand(i, "min", e.target.value)}
+                    style={{ width: 80 }}
+                  />
+                </td>
+                <td style={{ ...tdCss, color: "#666" }}>{rangeOf(scale.bands[i])}</td>
+                <td style={tdCss}>
+                  <button
+                    type="button"
+                    style={{ background: "none", border: "none", color: "#888", fontSize: 20, cursor: "pointer" }}
+                    onClick={() => removeBand(i)}
+                    aria-label={`Remove grade ${band.label || i + 1}`}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <button type="button" style={secondaryBtnCss} onClick={addBand}>
+            + Add band
+          </button>
+          {errors.bands && <div style={errorCss}>{errors.bands}</div>}
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <label htmlFor="passMark" style={{ fontWeight: 500, fontSize: 15, color: "#222" }}>
+            Pass mark <span style={{ color: "#b70000" }}>*</span>
+          </label>
+          <input
+            className="input"
+            id="passMark"
+            type="number"
+            min={0}
+            max={100}
+            value={form.passMark}
+            onChange={(e) => {
+              setForm((prev) => ({ ...prev, passMark: e.target.value }));
+              setErrors((prev) => ({ ...prev, passMark: undefined }));
+            }}
+            style={{ width: 100 }}
+          />
+          {errors.passMark && <div style={errorCss}>{errors.passMark}</div>}
+        </div>
+
+        <div style={{ display: "flex", gap: 10 }}>
+          <button
+            type="submit"
+            style={{
+              background: COLOR_PRIMARY,
+              color: "#fff",
+              border: "none",
+              borderRadius: 8,
+              padding: "11px 29px",
+              fontWeight: 600,
+              fontSize: 17,
+              cursor: "pointer",
+            }}
+          >
+            Save
+          </button>
+          <button type="button" style={secondaryBtnCss} onClick={handleReset}>
+            Reset to defaults
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const thCss = {
+  padding: "9px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  fontSize: 15,
+};
+
+const tdCss = {
+  padding: "6px 8px",
+  verticalAlign: "middle",
+};
+
+const secondaryBtnCss = {
+  background: "#f2f2f2",
+  color: "#343334",
+  border: "1.3px solid #ccc",
+  borderRadius: 8,
+  fontWeight: 600,
+  fontSize: 15,
+  padding: "8px 16px",
+  cursor: "pointer",
+};
+
+const errorCss = {
+  marginTop: 6,
+  color: COLOR_ERROR,
+  fontSize: 13.5,
+  fontWeight: 500,
+};
+
+export default GradingSettings;
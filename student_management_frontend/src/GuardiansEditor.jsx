@@ -0,0 +1,146 @@
+import React from "react";
+import { RELATIONSHIPS, blankGuardian, normalizePhone } from "./guardians";
+
+/**
+ * PUBLIC_INTERFACE
+ * GuardiansEditor - Editable list of guardian contacts used by AddStudent and EditStudent.
+ *
+ * Each row has a name, relationship, phone and email; one row is marked primary. A valid
+ * phone is rewritten in international form when its input loses focus.
+ *
+ * Props:
+ *   value (array): Guardian rows ({ name, relationship, phone, email, primary }) as strings.
+ *   errors (object): Optional { [index]: { [field]: message } } per-row validation messages.
+ *   disabled (bool): Disables every input.
+ *   onChange (func): Called with the next array of rows.
+ */
+function GuardiansEditor({ value, errors = {}, disabled, onChange }) {
+  const update = (index, patch) => onChange(value.map((g, i) => (i === index ? { ...g, ...patch } : g)));
+
+  const setPrimary = (index) => onChange(value.map((g, i) => ({ ...g, primary: i === index })));
+
+  const remove = (index) => {
+    const next = value.filter((_, i) => i !== index);
+    if (next.length && !next.some((g) => g.primary)) next[0] = { ...next[0], primary: true };
+    onChange(next);
+  };
+
+  const add = () => onChange([...value, blankGuardian(value.length === 0)]);
+
+  const tidyPhone = (index) => {
+    const phone = normalizePhone(value[index].phone);
+    if (phone && phone !== value[index].phone) update(index, { phone });
+  };
+
+  return (
+    <fieldset style={styles.fieldset} disabled={disabled}>
+      <legend style={styles.legend}>Guardians (optional)</legend>
+      {value.length === 0 && <div style={styles.empty}>No guardians added.</div>}
+      {value.map((g, i) => {
+        const rowErrs = errors[i] || {};
+        const id = (field) => `guardian-${i}-${field}`;
+        return (
+          <div key={i} style={styles.guardian}>
+            <div style={styles.row}>
+              <input
+                className="input"
+                id={id("name")}
+                aria-label={`Guardian ${i + 1} name`}
+                placeholder="Name"
+                maxLength={100}
+                value={g.name}
+                onChange={(e) => update(i, { name: e.target.value })}
+                style={{ ...styles.wide, ...(rowErrs.name ? styles.inputError : {}) }}
+              />
+              <select
+                aria-label={`Guardian ${i + 1} relationship`}
+                value={g.relationship}
+                onChange={(e) => update(i, { relationship: e.target.value })}
+                style={styles.select}
+              >
+                <option value="">Relationship</option>
+                {RELATIONSHIPS.map((r) => (
+                  <option key={r} value={r}>
+                    {r}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                style={styles.removeBtn}
+                onClick={() => remove(i)}
+                aria-label={`Remove guardian ${i + 1}`}
+                title="Remove guardian"
+              >
+                ×
+              </button>
+            </div>
+            <div style={{ ...styles.row, marginTop: 6 }}>
+              <input
+                className="input"
+                id={id("phone")}
+                type="tel"
+                aria-label={`Guardian ${i + 1} phone`}
+                placeholder="Phone, e.g. +1 555-0123"
+                maxLength={24}
+                value={g.phone}
+                onChange={(e) => update(i, { phone: e.target.value })}
+                onBlur={() => tidyPhone(i)}
+                style={{ ...styles.wide, ...(rowErrs.phone ? styles.inputError : {}) }}
+              />
+              <input
+                className="input"
+                id={id("email")}
+                type="email"
+                aria-label={`Guardian ${i + 1} email`}
+                placeholder="Email"
+                maxLength={254}
+                value={g.email}
+                onChange={(e) => update(i, { email: e.target.value })}
+                style={{ ...styles.wide, ...(rowErrs.email ? styles.inputError : {}) }}
+              />
+            </div>
+            <label style={styles.primary}>
+              <input type="radio" name="primary-guardian" checked={Boolean(g.primary)} onChange={() => setPrimary(i)} /> Primary
+              contact
+            </label>
+            {["name", "phone", "email"]
+              .filter((field) => rowErrs[field])
+              .map((field) => (
+                <div key={field} style={styles.error}>
+                  {rowErrs[field]}
+                </div>
+              ))}
+          </div>
+        );
+      })}
+      <button type="button" style={styles.addBtn} onClick={add}>
+        + Add guardian
+      </button>
+    </fieldset>
+  );
+}
+
+const styles = {
+  fieldset: {
+    border: "1px solid #e3e8ee", borderRadius: 8, padding: "10px 14px 12px 14px", margin: 0, background: "#fff"
+  },
+  legend: { fontWeight: 500, fontSize: 15, color: "#222", padding: "0 4px" },
+  empty: { color: "#888", fontSize: 14, marginBottom: 8 },
+  guardian: { paddingBottom: 10, marginBottom: 10, borderBottom: "1px solid #eef1f4" },
+  row: { display: "flex", alignItems: "center", gap: 10 },
+  wide: { flex: 1, minWidth: 0 },
+  inputError: { border: "1.6px solid #d91b1b", background: "#ffeaea", color: "#b80000", outline: "none" },
+  select: { fontSize: 15, border: "1px solid #d4d7da", padding: "6px 9px", borderRadius: 7, background: "#fff" },
+  primary: { display: "inline-block", marginTop: 6, fontSize: 14, color: "#444", cursor: "pointer" },
+  removeBtn: {
+    background: "none", border: "none", color: "#888", fontSize: 20, lineHeight: 1, cursor: "pointer", padding: "0 4px"
+  },
+  addBtn: {
+    background: "#e3e8ee", color: "#1976d2", border: "none", borderRadius: 6, fontWeight: 600,
+    fontSize: 14, padding: "7px 13px", cursor: "pointer"
+  },
+  error: { marginTop: 4, color: "#c60f0f", fontSize: 13.5, fontWeight: 500, letterSpacing: "0.01em" }
+};
+
+export default GuardiansEditor;
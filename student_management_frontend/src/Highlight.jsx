@@ -0,0 +1,27 @@
+import React from "react";
+import { highlightParts } from "./search";
+
+/**
+ * PUBLIC_INTERFACE
+ * Highlight - Text with the parts matching a search marked.
+ *
+ * Props:
+ *   text (string|number): Text to show.
+ *   terms (array): Strings to mark (case-insensitive), e.g. from termsFor() in search.js.
+ */
+function Highlight({ text, terms }) {
+  if (!terms || !terms.length) return text ?? null;
+  return highlightParts(text, terms).map((part, i) =>
+    part.match ? (
+      <mark key={i} style={markStyle}>
+        {part.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{part.text}</React.Fragment>
+    )
+  );
+}
+
+const markStyle = { background: "#fff176", color: "inherit", padding: 0, borderRadius: 2 };
+
+export default Highlight;
@@ -1,5 +1,7 @@
 import React from "react";
 import { Link } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { canAccess } from "./permissions";
 
 /**
  * PUBLIC_INTERFACE
@@ -8,11 +10,12 @@ import { Link } from "react-router-dom";
  * Features:
  * - Heading: 'Student Management System'
  * - Description about the system
- * - Navigation buttons for "Admin Dashboard" and "Add New Student"
+ * - Navigation buttons for "Admin Dashboard" and "Add New Student" (the latter only for roles that can add)
  * - Modern, minimal styling using provided CSS variables/colors
  * - Optional logo/banner (simple SVG icon in this example)
  */
 function Homepage() {
+  const { user } = useAuth();
   return (
     <div
       style={{
@@ -75,14 +78,16 @@ function Homepage() {
             color: "var(--button-text)",
           }}
         />
-        <NavBtn
-          to="/add"
-          label="Add New Student"
-          style={{
-            background: "#ffc107",
-            color: "#333",
-          }}
-        />
+        {canAccess(user, "/add") && (
+          <NavBtn
+            to="/add"
+            label="Add New Student"
+            style={{
+              background: "#ffc107",
+              color: "#333",
+            }}
+          />
+        )}
       </div>
       <div style={{ color: "#aaa", fontSize: 14 }}>
         &copy; {new Date().getFullYear()} Minimal Student Records Admin Tool
@@ -0,0 +1,574 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { listStudents, createStudent } from "./api";
+import { parseCSV } from "./csv";
+import { validateFields, isRollNumberTaken } from "./validation";
+import { SUBJECTS, subjectMarksFields } from "./subjects";
+import { useClassCatalog, canonicalClass, unlistedClassError } from "./classes";
+
+/**
+ * PUBLIC_INTERFACE
+ * ImportStudents page: bulk-add students from a CSV file.
+ *
+ * Steps: choose a CSV file, map its columns onto the AddStudent fields, preview each row
+ * (validated with the AddStudent rules, incl. roll number uniqueness), then submit the
+ * valid rows one by one with progress and a final succeeded/queued/failed/skipped summary.
+ *
+ * Columns named after the configured subjects (see subjects.js) map onto subject marks; a row
+ * with subject marks gets `marks` set to their average, like AddStudent. A single Marks column
+ * is enough when the file has no subject columns.
+ *
+ * Classes are checked against the class catalog (see classes.js): other spellings of a catalog
+ * class ("10-a") are imported in the catalog spelling ("10A"), and rows with a class the
+ * catalog does not list are skipped.
+ *
+ * Roll numbers are checked against the existing students; while those cannot be loaded the
+ * import is blocked and a Retry is offered, so duplicates are not let through unchecked.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+const COLOR_SECONDARY = "#424242";
+
+// AddStudent fields a CSV column can be mapped to; aliases drive the automatic mapping
+const IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["name", "student name", "full name"] },
+  { key: "roll_number", label: "Roll Number", required: true, aliases: ["roll number", "roll no", "roll", "rollno"] },
+  { key: "student_class", label: "Class / Grade", required: true, aliases: ["class", "student class", "grade", "class grade"] },
+  { key: "marks", label: "Marks", aliases: ["marks", "mark", "score"] },
+  { key: "gender", label: "Gender", aliases: ["gender", "sex"] },
+  { key: "contact", label: "Contact", aliases: ["contact", "phone", "mobile", "contact number"] },
+];
+
+// One optional column per configured subject
+const SUBJECT_FIELDS = SUBJECTS.map((subject) => ({
+  key: `subject:${subject}`,
+  label: subject,
+  subject,
+  aliases: [normalizeHeader(subject)],
+}));
+
+const GENDERS = ["Female", "Male", "Other"];
+
+const STEPS = ["Choose file", "Map columns", "Preview & import"];
+
+// "Roll No." -> "roll no"
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Map each field to the index of the first CSV header matching one of its aliases
+function guessMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const field of [...IMPORT_FIELDS, ...SUBJECT_FIELDS]) {
+    const idx = normalized.findIndex((h) => field.aliases.includes(h));
+    mapping[field.key] = idx >= 0 ? String(idx) : "";
+  }
+  return mapping;
+}
+
+// "f", "FEMALE" -> "Female"; unknown values are kept for validation to flag
+function normalizeGender(value) {
+  const v = value.trim().toLowerCase();
+  if (!v) return "";
+  const match = GENDERS.find((g) => g.toLowerCase() === v || g[0].toLowerCase() === v);
+  return match || value.trim();
+}
+
+// Cell of a CSV row for a mapped field, "" when the field is not mapped
+function cellFor(cells, mapping, field) {
+  const idx = mapping[field.key];
+  return idx === "" || idx === undefined ? "" : (cells[+idx] || "").trim();
+}
+
+// Build an AddStudent-shaped form object from one CSV row; `subject_marks` is set only when
+// the row has marks in a subject column, so validation falls back to `marks` otherwise
+function mapRow(cells, mapping) {
+  const form = {};
+  for (const field of IMPORT_FIELDS) form[field.key] = cellFor(cells, mapping, field);
+  form.gender = normalizeGender(form.gender);
+  const subjectMarks = {};
+  for (const field of SUBJECT_FIELDS) {
+    const value = cellFor(cells, mapping, field);
+    if (value !== "") subjectMarks[field.subject] = value;
+  }
+  if (Object.keys(subjectMarks).length) form.subject_marks = subjectMarks;
+  return form;
+}
+
+// Error messages of a preview row, subject marks included ("Science: Marks must be 0-100")
+function errorMessages(errors) {
+  return Object.entries(errors).flatMap(([key, msg]) =>
+    key === "subject_marks" ? Object.entries(msg).map(([subject, m]) => `${subject}: ${m}`) : [msg]
+  );
+}
+
+function ImportStudents() {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState("");
+
+  // Existing students (for Roll Number uniqueness)
+  const [existing, setExisting] = useState([]);
+  const [existingLoading, setExistingLoading] = useState(true);
+  const [existingError, setExistingError] = useState("");
+  const { classes: catalog, loading: catalogLoading } = useClassCatalog();
+
+  // Import run state
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState(null);
+
+  function loadExisting() {
+    setExistingLoading(true);
+    setExistingError("");
+    listStudents()
+      .then(setExisting)
+      .catch((err) => setExistingError(`Could not load the existing students to check roll numbers: ${err.message}`))
+      .finally(() => setExistingLoading(false));
+  }
+
+  useEffect(() => {
+    loadExisting();
+    // eslint-disable-next-line
+  }, []);
+
+  // Read and parse the chosen CSV file
+  async function handleFile(e) {
+    const file = e.target.files && e.target.files[0];
+    setFileError("");
+    setResults(null);
+    if (!file) return;
+    try {
+      const rows = parseCSV(await file.text());
+      if (rows.length < 2) {
+        setFileError("The file needs a header row and at least one student row.");
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(rows[0].map((h) => h.trim()));
+      setDataRows(rows.slice(1));
+      setMapping(guessMapping(rows[0]));
+      setStep(1);
+    } catch (err) {
+      setFileError("Could not read the file.");
+    }
+  }
+
+  const mappedSubjects = SUBJECT_FIELDS.filter((f) => mapping[f.key] !== undefined && mapping[f.key] !== "");
+  const missingRequired = IMPORT_FIELDS.filter(
+    (f) => (f.required || (f.key === "marks" && !mappedSubjects.length)) && mapping[f.key] === ""
+  );
+
+  // Map and validate every row; rows accepted so far count for roll number uniqueness
+  const preview = useMemo(() => {
+    const accepted = [];
+    return dataRows.map((cells, i) => {
+      const form = mapRow(cells, mapping);
+      form.student_class = canonicalClass(form.student_class, catalog);
+      const errors = validateFields(form, { existing });
+      if (!errors.student_class) {
+        const classError = unlistedClassError(form.student_class, catalog);
+        if (classError) errors.student_class = classError;
+      }
+      if (!errors.roll_number && isRollNumberTaken(form.roll_number, accepted)) {
+        errors.roll_number = "Roll Number repeated in this file";
+      }
+      if (form.gender && !GENDERS.includes(form.gender)) {
+        errors.gender = "Gender must be Female, Male or Other";
+      }
+      const valid = Object.keys(errors).length === 0;
+      if (valid) accepted.push(form);
+      // line: 1-based line in the file, after the header row
+      return { line: i + 2, form, errors, valid };
+    });
+  }, [dataRows, mapping, existing, catalog]);
+
+  const validRows = preview.filter((r) => r.valid);
+  // Roll numbers and classes must have been checked against the loaded students and catalog
+  const importBlocked = importing || catalogLoading || existingLoading || !!existingError || !validRows.length;
+
+  // Submit valid rows one at a time so progress and per-row failures can be reported
+  async function handleImport() {
+    setImporting(true);
+    setProgress({ done: 0, total: validRows.length });
+    // queued: accepted while offline; the backend may still reject them when the outbox replays
+    const outcome = { succeeded: [], queued: [], failed: [], skipped: preview.filter((r) => !r.valid) };
+    for (const row of validRows) {
+      const { form } = row;
+      try {
+        const res = await createStudent({
+          name: form.name,
+          student_class: form.student_class,
+          ...(form.subject_marks ? subjectMarksFields(form.subject_marks) : { marks: parseInt(form.marks, 10) }),
+          roll_number: form.roll_number,
+          gender: form.gender,
+          contact: form.contact,
+        });
+        (res && res.queued ? outcome.queued : outcome.succeeded).push(row);
+      } catch (err) {
+        outcome.failed.push({
+          ...row,
+          message: err.status === 409 ? "Roll Number is already taken." : err.message,
+        });
+      }
+      setProgress((p) => ({ ...p, done: p.done + 1 }));
+    }
+    setResults(outcome);
+    setImporting(false);
+  }
+
+  // Start over; reload students so the next file sees the rows just imported
+  function reset() {
+    if (results) loadExisting();
+    setStep(0);
+    setFileName("");
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+    setResults(null);
+    setProgress({ done: 0, total: 0 });
+  }
+
+  return (
+    <div
+      style={{
+        maxWidth: 980,
+        margin: "36px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 22px 28px 22px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, margin: 0, fontWeight: 700, fontSize: "1.55rem", marginBottom: 8 }}>
+        Import Students
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 20 }}>
+        Upload a CSV class list with a header row. Columns can be mapped onto Name, Roll Number,
+        Class, Marks, Gender, Contact and one column per subject.
+      </p>
+
+      {existingError && (
+        <div>
+          <Message type="error" text={existingError} />
+          <button type="button" style={{ ...secondaryBtnCss, marginBottom: 16 }} onClick={loadExisting}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {/* Step indicator */}
+      <ol style={{ display: "flex", gap: 22, listStyle: "none", padding: 0, margin: "0 0 24px 0" }}>
+        {STEPS.map((label, i) => (
+          <li
+            key={label}
+            style={{
+              fontWeight: 600,
+              fontSize: 15,
+              color: i === step ? COLOR_PRIMARY : i < step ? "#207820" : "#aaa",
+            }}
+          >
+            {i + 1}. {label}
+          </li>
+        ))}
+      </ol>
+
+      {/* Step 1: file */}
+      {step === 0 && (
+        <div>
+          <label htmlFor="csv-file" style={{ fontWeight: 500, fontSize: 15, color: "#222" }}>
+            CSV file
+          </label>
+          <div style={{ marginTop: 6 }}>
+            <input id="csv-file" type="file" accept=".csv,text/csv" onChange={handleFile} />
+          </div>
+          {fileError && <Message type="error" text={fileError} />}
+        </div>
+      )}
+
+      {/* Step 2: column mapping */}
+      {step === 1 && (
+        <div>
+          <div style={{ fontSize: 15, color: COLOR_SECONDARY, marginBottom: 14 }}>
+            <b>{fileName}</b>: {dataRows.length} row{dataRows.length === 1 ? "" : "s"} found.
+          </div>
+          <table style={{ borderCollapse: "collapse", fontSize: 15, marginBottom: 18 }}>
+            <tbody>
+              {[...IMPORT_FIELDS, ...SUBJECT_FIELDS].map((field) => (
+                <tr key={field.key}>
+                  <td style={{ ...tdCss, fontWeight: 500, background: "transparent" }}>
+                    <label htmlFor={`map-${field.key}`}>
+                      {field.subject ? `${field.label} marks` : field.label}{" "}
+                      {field.required && <span style={{ color: "#b70000" }}>*</span>}
+                    </label>
+                  </td>
+                  <td style={{ ...tdCss, background: "transparent" }}>
+                    <select
+                      id={`map-${field.key}`}
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping((m) => ({ ...m, [field.key]: e.target.value }))}
+                      style={selectCss}
+                    >
+                      <option value="">-- Not in file --</option>
+                      {headers.map((h, i) => (
+                        <option key={i} value={String(i)}>
+                          {h || `Column ${i + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 14, color: "#666", marginBottom: 12 }}>
+            Map either Marks or at least one subject; with subject columns, Marks is their average.
+          </div>
+          {missingRequired.length > 0 && (
+            <Message
+              type="error"
+              text={`Map a column for: ${missingRequired.map((f) => f.label).join(", ")}`}
+            />
+          )}
+          <div style={{ display: "flex", gap: 10 }}>
+            <button type="button" style={secondaryBtnCss} onClick={reset}>
+              Back
+            </button>
+            <button
+              type="button"
+              style={primaryBtnCss(missingRequired.length > 0)}
+              disabled={missingRequired.length > 0}
+              onClick={() => setStep(2)}
+            >
+              Preview
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3: preview, import and summary */}
+      {step === 2 && (
+        <div>
+          {!results && (
+            <div style={{ fontSize: 15, color: COLOR_SECONDARY, marginBottom: 12 }}>
+              {validRows.length} of {preview.length} rows ready to import;{" "}
+              {preview.length - validRows.length} with errors will be skipped.
+            </div>
+          )}
+
+          {(importing || results) && (
+            <div style={{ marginBottom: 16 }} aria-live="polite">
+              <div style={{ fontSize: 15, marginBottom: 6 }}>
+                Imported {progress.done} of {progress.total}
+              </div>
+              <div style={{ background: "#e3e8ee", borderRadius: 6, height: 10, overflow: "hidden" }}>
+                <div
+                  style={{
+                    background: COLOR_PRIMARY,
+                    height: "100%",
+                    width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%`,
+                    transition: "width 0.2s",
+                  }}
+                />
+              </div>
+            </div>
+          )}
+
+          {results && <ImportSummary results={results} />}
+
+          <div style={{ maxHeight: 420, overflow: "auto", marginBottom: 18 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 15, background: "#fff" }}>
+              <thead>
+                <tr style={{ background: "#e3e8ee" }}>
+                  <th style={thCss}>Line</th>
+                  {[...IMPORT_FIELDS, ...mappedSubjects].map((f) => (
+                    <th key={f.key} style={thCss}>
+                      {f.label}
+                    </th>
+                  ))}
+                  <th style={thCss}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((row) => (
+                  <tr key={row.line}>
+                    <td style={tdCss}>{row.line}</td>
+                    {IMPORT_FIELDS.map((f) => (
+                      <td
+                        key={f.key}
+                        style={{ ...tdCss, ...(row.errors[f.key] ? { background: "#ffeaea", color: COLOR_ERROR } : {}) }}
+                      >
+                        {row.form[f.key]}
+                      </td>
+                    ))}
+                    {mappedSubjects.map((f) => (
+                      <td
+                        key={f.key}
+                        style={{
+                          ...tdCss,
+                          ...(row.errors.subject_marks && row.errors.subject_marks[f.subject]
+                            ? { background: "#ffeaea", color: COLOR_ERROR }
+                            : {}),
+                        }}
+                      >
+                        {row.form.subject_marks ? row.form.subject_marks[f.subject] : ""}
+                      </td>
+                    ))}
+                    <td style={{ ...tdCss, minWidth: 180 }}>
+                      {row.valid ? (
+                        <span style={{ color: "#207820", fontWeight: 600 }}>&#10003; Ready</span>
+                      ) : (
+                        <span style={{ color: COLOR_ERROR, fontSize: 13.5 }}>
+                          {errorMessages(row.errors).join("; ")}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: "flex", gap: 10 }}>
+            {results ? (
+              <>
+                <button type="button" style={secondaryBtnCss} onClick={reset}>
+                  Import another file
+                </button>
+                <Link to="/dashboard" style={{ ...primaryBtnCss(false), textDecoration: "none" }}>
+                  Go to Dashboard
+                </Link>
+              </>
+            ) : (
+              <>
+                <button type="button" style={secondaryBtnCss} disabled={importing} onClick={() => setStep(1)}>
+                  Back
+                </button>
+                <button
+                  type="button"
+                  style={primaryBtnCss(importBlocked)}
+                  disabled={importBlocked}
+                  onClick={handleImport}
+                >
+                  {importing ? "Importing..." : `Import ${validRows.length} student${validRows.length === 1 ? "" : "s"}`}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Final succeeded/queued/failed/skipped counts with the failed rows listed
+function ImportSummary({ results }) {
+  const { succeeded, queued, failed, skipped } = results;
+  return (
+    <div style={{ marginBottom: 18 }}>
+      <Message
+        type={failed.length ? "error" : "success"}
+        text={`${succeeded.length} imported, ${queued.length ? `${queued.length} queued, ` : ""}${failed.length} failed, ${skipped.length} skipped.`}
+      />
+      {queued.length > 0 && (
+        <div style={{ color: COLOR_SECONDARY, fontSize: 14.5, margin: "0 0 10px 0" }}>
+          {queued.length} student{queued.length === 1 ? " was" : "s were"} queued while offline and will be sent
+          when the connection is back; the server may still reject them then.
+        </div>
+      )}
+      {failed.length > 0 && (
+        <ul style={{ color: COLOR_ERROR, fontSize: 14.5, margin: "0 0 10px 0" }}>
+          {failed.map((row) => (
+            <li key={row.line}>
+              Line {row.line} ({row.form.name || row.form.roll_number}): {row.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Success/error message box
+function Message({ type, text }) {
+  return (
+    <div
+      aria-live="polite"
+      role="alert"
+      style={{
+        background: type === "success" ? COLOR_ACCENT : "#ffd6d6",
+        color: type === "success" ? "#444" : COLOR_ERROR,
+        border: type === "success" ? "1.5px solid #fff2c0" : "1.5px solid #ffaeb5",
+        borderRadius: 7,
+        padding: "10px 16px",
+        fontWeight: 500,
+        fontSize: 15,
+        margin: "12px 0",
+        letterSpacing: "0.01em",
+      }}
+    >
+      {text}
+    </div>
+  );
+}
+
+function primaryBtnCss(disabled) {
+  return {
+    display: "inline-block",
+    background: COLOR_PRIMARY,
+    color: "#fff",
+    border: "none",
+    borderRadius: 8,
+    padding: "10px 24px",
+    fontWeight: 600,
+    fontSize: 16,
+    cursor: disabled ? "not-allowed" : "pointer",
+    opacity: disabled ? 0.63 : 1,
+  };
+}
+
+const secondaryBtnCss = {
+  background: "#f2f2f2",
+  color: "#343334",
+  border: "1.3px solid #ccc",
+  borderRadius: 8,
+  fontWeight: 600,
+  fontSize: 16,
+  padding: "10px 18px",
+  cursor: "pointer",
+};
+
+const selectCss = {
+  minWidth: 180,
+  fontSize: 15,
+  border: "1px solid #d4d7da",
+  padding: "6px 10px",
+  borderRadius: 7,
+  background: "#fff",
+};
+
+const thCss = {
+  padding: "10px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  fontSize: 15,
+  position: "sticky",
+  top: 0,
+  background: "#e3e8ee",
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #f0f0f0",
+  verticalAlign: "top",
+  background: "#fff",
+};
+
+export default ImportStudents;
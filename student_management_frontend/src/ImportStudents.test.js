@@ -0,0 +1,27 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ImportStudents from './ImportStudents';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('a failed load of the existing students is reported and can be retried', async () => {
+  let studentsUp = false;
+  global.fetch = jest.fn((url) =>
+    /\/students/.test(url) && !studentsUp
+      ? Promise.resolve({ ok: false, status: 500, json: () => Promise.resolve({ message: 'Database unavailable.' }) })
+      : Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) })
+  );
+  render(
+    <MemoryRouter>
+      <ImportStudents />
+    </MemoryRouter>
+  );
+  expect(await screen.findByText(/Could not load the existing students to check roll numbers: Database unavailable\./)).toBeInTheDocument();
+
+  studentsUp = true;
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  await waitFor(() => expect(screen.queryByRole('button', { name: 'Retry' })).toBeNull());
+  expect(screen.queryByText(/Could not load the existing students/)).toBeNull();
+});
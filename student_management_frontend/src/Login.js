@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+
+/**
+ * PUBLIC_INTERFACE
+ * Login page: username/password sign-in. On success returns to the page the user was
+ * sent here from (RequireAuth passes it as `state.from`), otherwise the dashboard.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+function Login() {
+  const { user, login, notice } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from = location.state?.from || "/dashboard";
+
+  const [form, setForm] = useState({ username: "", password: "" });
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  if (user && !loading) return <Navigate to={from} replace />;
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setError("");
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.username.trim() || !form.password) {
+      setError("Enter your username and password.");
+      return;
+    }
+    setLoading(true);
+    try {
+      await login(form.username.trim(), form.password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        maxWidth: 400,
+        margin: "56px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 22px 28px 22px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, margin: 0, fontWeight: 700, fontSize: "1.55rem", marginBottom: 18 }}>
+        Sign in
+      </h2>
+
+      {(error || notice) && (
+        <div
+          aria-live="polite"
+          role="alert"
+          style={{
+            background: error ? "#ffd6d6" : COLOR_ACCENT,
+            color: error ? COLOR_ERROR : "#444",
+            border: error ? "1.5px solid #ffaeb5" : "1.5px solid #fff2c0",
+            borderRadius: 7,
+            padding: "10px 16px",
+            fontWeight: 500,
+            fontSize: 16,
+            marginBottom: 18,
+          }}
+        >
+          {error || notice}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <label htmlFor="username" style={labelCss}>
+            Username
+          </label>
+          <input
+            className="input"
+            id="username"
+            name="username"
+            value={form.username}
+            onChange={handleChange}
+            autoComplete="username"
+            autoFocus
+          />
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <label htmlFor="password" style={labelCss}>
+            Password
+          </label>
+          <input
+            className="input"
+            id="password"
+            name="password"
+            type="password"
+            value={form.password}
+            onChange={handleChange}
+            autoComplete="current-password"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          style={{
+            background: COLOR_PRIMARY,
+            color: "#fff",
+            border: "none",
+            borderRadius: 8,
+            padding: "11px 29px",
+            fontWeight: 600,
+            fontSize: 17,
+            cursor: loading ? "not-allowed" : "pointer",
+            opacity: loading ? 0.63 : 1,
+            marginTop: 9,
+          }}
+        >
+          {loading ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const labelCss = { fontWeight: 500, fontSize: 15, color: "#222" };
+
+export default Login;
@@ -1,10 +1,13 @@
-import React from "react";
-import { Link, useLocation } from "react-router-dom";
+import React, { useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { canAccess } from "./permissions";
 
 /**
  * PUBLIC_INTERFACE
- * NavBar - Fixed navigation bar for all main pages (Home, Dashboard, Add Student, Analytics).
- * Minimal modern design, always visible at top.
+ * NavBar - Fixed navigation bar for all main pages (Home, Dashboard, Add Student, Import, Promotion, Attendance, Analytics, Activity, Grading, Terms, Classes).
+ * Minimal modern design, always visible at top. Only the pages the signed-in user's role may
+ * open are listed; the user menu on the right shows who is signed in and signs out.
  */
 const navStyle = {
   position: "sticky",
@@ -35,18 +38,45 @@ const itemStyle = {
   cursor: "pointer",
 };
 
+const menuBtnStyle = {
+  background: "rgba(255,255,255,0.13)",
+  color: "#fff",
+  border: "1px solid rgba(255,255,255,0.4)",
+  borderRadius: 7,
+  padding: "6px 14px",
+  fontWeight: 600,
+  fontSize: 14.5,
+  cursor: "pointer",
+};
+
 function NavBar() {
   const { pathname } = useLocation();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+  const [menuOpen, setMenuOpen] = useState(false);
   const routes = [
     { path: "/", label: "Home" },
     { path: "/dashboard", label: "Dashboard" },
     { path: "/add", label: "Add Student" },
+    { path: "/import", label: "Import" },
+    { path: "/promotion", label: "Promotion" },
+    { path: "/attendance", label: "Attendance" },
     { path: "/analytics", label: "Analytics" },
+    { path: "/activity", label: "Activity" },
+    { path: "/settings/grading", label: "Grading" },
+    { path: "/settings/terms", label: "Terms" },
+    { path: "/settings/classes", label: "Classes" },
   ];
 
+  function handleLogout() {
+    setMenuOpen(false);
+    logout();
+    navigate("/login");
+  }
+
   return (
     <nav style={navStyle}>
-      {routes.map((route) => (
+      {routes.filter((route) => canAccess(user, route.path)).map((route) => (
         <Link
           key={route.path}
           to={route.path}
@@ -60,6 +90,73 @@ function NavBar() {
           {route.label}
         </Link>
       ))}
+      <div style={{ position: "absolute", right: 22, top: 0, height: 57, display: "flex", alignItems: "center" }}>
+        {user ? (
+          <>
+            <button
+              type="button"
+              style={menuBtnStyle}
+              aria-haspopup="menu"
+              aria-expanded={menuOpen}
+              onClick={() => setMenuOpen((open) => !open)}
+            >
+              {user.name || user.username} · {user.role} &#9662;
+            </button>
+            {menuOpen && (
+              <div
+                role="menu"
+                style={{
+                  position: "absolute",
+                  right: 0,
+                  top: 50,
+                  minWidth: 200,
+                  background: "#fff",
+                  color: "#222",
+                  border: "1px solid #e3e8ee",
+                  borderRadius: 8,
+                  boxShadow: "0 4px 17px rgba(33,40,60,0.13)",
+                  padding: "10px 0",
+                  fontSize: 14.5,
+                }}
+              >
+                <div style={{ padding: "2px 16px 8px", color: "#595959", borderBottom: "1px solid #eee" }}>
+                  Signed in as <b style={{ color: "#222" }}>{user.username}</b>
+                  {user.role === "teacher" && (
+                    <div style={{ fontSize: 13, marginTop: 3 }}>
+                      Classes: {user.classes.length ? user.classes.join(", ") : "none assigned"}
+                    </div>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  role="menuitem"
+                  onClick={handleLogout}
+                  style={{
+                    display: "block",
+                    width: "100%",
+                    textAlign: "left",
+                    background: "none",
+                    border: "none",
+                    padding: "9px 16px",
+                    fontSize: 14.5,
+                    fontWeight: 600,
+                    color: "#b80000",
+                    cursor: "pointer",
+                  }}
+                >
+                  Sign out
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          pathname !== "/login" && (
+            <Link to="/login" style={{ ...menuBtnStyle, textDecoration: "none" }}>
+              Sign in
+            </Link>
+          )
+        )}
+      </div>
     </nav>
   );
 }
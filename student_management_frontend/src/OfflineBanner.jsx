@@ -0,0 +1,78 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useOffline } from "./OfflineContext";
+
+const TYPE_LABELS = { create: "Add", update: "Edit", delete: "Delete", restore: "Restore" };
+
+/**
+ * PUBLIC_INTERFACE
+ * OfflineBanner - Strip under the NavBar showing offline mode and the change outbox.
+ *
+ * Says when the backend cannot be reached (lists are read-only, changes are queued),
+ * how many changes are waiting or being sent, and lists queued changes the server
+ * rejected when they were replayed, with a link to retry edits. Renders nothing while
+ * online with an empty outbox. Reads everything from OfflineContext.
+ */
+function OfflineBanner() {
+  const { online, queue, failures, dismissFailure, syncing } = useOffline();
+  if (online && !queue.length && !failures.length) return null;
+
+  const waiting = `${queue.length} change${queue.length === 1 ? "" : "s"}`;
+
+  return (
+    <div className="no-print" style={styles.wrap} aria-live="polite">
+      {!online && (
+        <div role="status" style={{ ...styles.bar, ...styles.offline }}>
+          <strong>You are offline.</strong> Showing saved data; lists are read-only.
+          {queue.length > 0 && ` ${waiting} will be sent when the connection returns.`}
+        </div>
+      )}
+      {online && queue.length > 0 && (
+        <div role="status" style={{ ...styles.bar, ...styles.syncing }}>
+          {syncing ? `Sending ${waiting} made while offline…` : `${waiting} waiting to be sent.`}
+        </div>
+      )}
+      {failures.map(({ entry, error }) => (
+        <div key={entry.id} role="alert" style={{ ...styles.bar, ...styles.error }}>
+          <span style={{ flex: 1 }}>
+            {TYPE_LABELS[entry.type]} “{entry.label}” made offline was not saved: {error.message}
+            {entry.type === "update" && (
+              <>
+                {" "}
+                <Link to={`/edit/${entry.studentId}`} style={styles.link} onClick={() => dismissFailure(entry.id)}>
+                  Open the latest version
+                </Link>
+              </>
+            )}
+          </span>
+          <button
+            type="button"
+            style={styles.closeBtn}
+            onClick={() => dismissFailure(entry.id)}
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { position: "sticky", top: 57, zIndex: 99, fontFamily: "Segoe UI, Arial, sans-serif" },
+  bar: {
+    display: "flex", alignItems: "center", justifyContent: "center", gap: 6, flexWrap: "wrap",
+    padding: "8px 22px", fontSize: 15, borderBottom: "1px solid rgba(0,0,0,0.06)"
+  },
+  offline: { background: "#fff3cd", color: "#7a5a00" },
+  syncing: { background: "#e3f2fd", color: "#0d47a1" },
+  error: { background: "#ffd6d6", color: "#b80000", justifyContent: "flex-start" },
+  link: { color: "#b80000", fontWeight: 600 },
+  closeBtn: {
+    background: "none", border: "none", color: "inherit", fontSize: 20,
+    lineHeight: 1, cursor: "pointer"
+  }
+};
+
+export default OfflineBanner;
@@ -0,0 +1,106 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { isReachable, onConnectivityChange, replayOutbox, listStudentsPage } from "./api";
+import { getOutbox, loadOutbox, subscribeOutbox } from "./outbox";
+import { useAuth } from "./AuthContext";
+
+/**
+ * PUBLIC_INTERFACE
+ * Offline mode shared by every page.
+ *
+ * Tracks whether the backend can be reached (browser online/offline events plus the
+ * outcome of every API request), exposes the queued-mutation outbox and replays it in
+ * order as soon as the connection returns and someone is signed in (a replay cut short by
+ * an expired session resumes after the next sign-in). Changes the server rejects during a
+ * replay (edit conflicts, duplicates, permissions) are kept in `failures` until dismissed.
+ * Mounted once at the root (index.js), inside AuthProvider.
+ */
+const PROBE_INTERVAL_MS = 20000;
+
+const OfflineContext = createContext(null);
+
+function browserOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Provider holding the connection state, the outbox and replay failures.
+ */
+export function OfflineProvider({ children }) {
+  const { user } = useAuth();
+  const [online, setOnline] = useState(() => browserOnline() && isReachable());
+  const [queue, setQueue] = useState(getOutbox);
+  // Rejected replays: [{ entry, error }]
+  const [failures, setFailures] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  // Bumped after a replay sent something, so pages can refetch
+  const [syncCount, setSyncCount] = useState(0);
+
+  useEffect(() => {
+    const unsubscribe = subscribeOutbox(setQueue);
+    loadOutbox().then(setQueue);
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    const unsubscribe = onConnectivityChange(setOnline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  const replay = useCallback(async () => {
+    if (!getOutbox().length) return;
+    setSyncing(true);
+    try {
+      const result = await replayOutbox();
+      if (!result) return;
+      if (result.failed.length) setFailures((prev) => [...prev, ...result.failed]);
+      if (result.sent || result.failed.length) setSyncCount((c) => c + 1);
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  // Send the queue whenever the connection comes back or someone signs in (and on load, if
+  // anything is queued)
+  useEffect(() => {
+    if (online && user && queue.length) replay();
+  }, [online, user, queue.length, replay]);
+
+  // While offline, check now and then whether the backend answers again
+  useEffect(() => {
+    if (online) return undefined;
+    const timer = setInterval(() => {
+      if (browserOnline()) listStudentsPage({ page: 1, limit: 1 }).catch(() => {});
+    }, PROBE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [online]);
+
+  const dismissFailure = useCallback((entryId) => {
+    setFailures((prev) => prev.filter((f) => f.entry.id !== entryId));
+  }, []);
+
+  const value = useMemo(
+    () => ({ online, queue, failures, dismissFailure, syncing, syncCount, replay }),
+    [online, queue, failures, dismissFailure, syncing, syncCount, replay]
+  );
+
+  return <OfflineContext.Provider value={value}>{children}</OfflineContext.Provider>;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Access offline mode: { online, queue, failures, dismissFailure, syncing, syncCount, replay }.
+ */
+export function useOffline() {
+  const ctx = useContext(OfflineContext);
+  if (!ctx) throw new Error("useOffline must be used inside <OfflineProvider>");
+  return ctx;
+}
@@ -0,0 +1,455 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { listStudents, promoteStudents, listPromotions, rollbackPromotion, isConflict } from "./api";
+import { groupByClass } from "./stats";
+import { loadGradingScale } from "./grading";
+import { overallMarks } from "./subjects";
+import {
+  ALUMNI_CLASS,
+  suggestMapping,
+  validateMapping,
+  planPromotion,
+  summarizePlan,
+  toMoves,
+} from "./promotion";
+
+/**
+ * PUBLIC_INTERFACE
+ * PromotionWizard page (/promotion): year-end wizard that moves whole classes forward (admin).
+ *
+ * 1. Classes: map each class to its next class (suggested, e.g. 9A -> 10A, final grade ->
+ *    Alumni); leave a target empty to keep a class where it is.
+ * 2. Students: hold individual students back, optionally everyone below the pass mark.
+ * 3. Preview: counts per class, then apply every move in one batch.
+ * A batch can be rolled back afterwards from the confirmation or the Recent promotions list.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+const COLOR_SECONDARY = "#424242";
+
+const STEPS = ["Classes", "Students", "Preview"];
+
+function PromotionWizard() {
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [fetchError, setFetchError] = useState("");
+  const [scale] = useState(loadGradingScale);
+
+  const [step, setStep] = useState(0);
+  const [mapping, setMapping] = useState({});
+  const [overrides, setOverrides] = useState({});
+  const [holdFailing, setHoldFailing] = useState(false);
+
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState({ type: "", message: "" });
+  // Batch applied from this page, offered for rollback
+  const [applied, setApplied] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  const loadStudents = () =>
+    listStudents({ sortBy: "name", sortOrder: "asc" })
+      .then((list) => {
+        setStudents(list);
+        return list;
+      })
+      .catch(() => {
+        setFetchError("Could not fetch student records.");
+        return [];
+      });
+
+  const loadHistory = () =>
+    listPromotions()
+      .then(setHistory)
+      .catch(() => setHistory([]));
+
+  useEffect(() => {
+    loadStudents()
+      .then((list) => {
+        const classes = Object.keys(groupByClass(list)).sort((a, b) => a.localeCompare(b));
+        setMapping(suggestMapping(classes));
+      })
+      .finally(() => setLoading(false));
+    loadHistory();
+    // eslint-disable-next-line
+  }, []);
+
+  const classesMap = useMemo(() => groupByClass(students), [students]);
+  const classes = useMemo(() => Object.keys(classesMap).sort((a, b) => a.localeCompare(b)), [classesMap]);
+  const mappingErrors = validateMapping(mapping);
+  const plan = useMemo(
+    () => planPromotion(students, mapping, { overrides, holdFailing, scale }),
+    [students, mapping, overrides, holdFailing, scale]
+  );
+  const summary = useMemo(() => summarizePlan(plan), [plan]);
+  const failingCount = useMemo(
+    () => planPromotion(students, mapping, { holdFailing: true, scale }).filter((r) => r.status === "hold").length,
+    [students, mapping, scale]
+  );
+
+  const setTarget = (cls, value) => setMapping((prev) => ({ ...prev, [cls]: value }));
+  const toggleStudent = (row) =>
+    setOverrides((prev) => ({ ...prev, [row.student.id]: row.status === "promote" ? "hold" : "promote" }));
+
+  const goTo = (next) => {
+    setStatus({ type: "", message: "" });
+    setStep(next);
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const batch = await promoteStudents(toMoves(plan));
+      setApplied(batch);
+      setOverrides({});
+      setStep(0);
+      setStatus({ type: "success", message: `Promoted ${batch.moves.length} students.` });
+      await Promise.all([loadStudents(), loadHistory()]);
+    } catch (err) {
+      if (isConflict(err)) {
+        await loadStudents();
+        setStatus({
+          type: "error",
+          message: "Some students were changed by someone else meanwhile, so nothing was promoted. The list has been reloaded; review the preview and apply again.",
+        });
+      } else {
+        setStatus({ type: "error", message: err.message });
+      }
+    }
+    setBusy(false);
+  };
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(`Move the ${batch.moves.length} students of this promotion back to their previous classes?`)) return;
+    setBusy(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const result = await rollbackPromotion(batch.id);
+      const skipped = result.skipped || [];
+      setApplied(null);
+      setStatus({
+        type: skipped.length ? "error" : "success",
+        message:
+          `Moved ${result.restored} students back.` +
+          (skipped.length ? ` Skipped: ${skipped.map((m) => `${m.name} (${m.reason})`).join("; ")}` : ""),
+      });
+      await Promise.all([loadStudents(), loadHistory()]);
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        minHeight: "100vh",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+        padding: "24px 4vw 50px 4vw",
+        maxWidth: 1020,
+        margin: "0 auto",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.75rem", margin: "18px 0 8px 0" }}>
+        Promotion
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+        Move whole classes up a grade at the end of the year. Nothing changes until you apply the preview.
+      </p>
+
+      {status.message && (
+        <div
+          role="alert"
+          style={{
+            background: status.type === "success" ? COLOR_ACCENT : "#ffe7e6",
+            color: status.type === "success" ? "#444" : COLOR_ERROR,
+            borderRadius: 7,
+            padding: "12px 16px",
+            fontSize: 15.5,
+            marginBottom: 18,
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 12,
+          }}
+        >
+          <span>{status.message}</span>
+          {applied && !applied.rolled_back_at && (
+            <button type="button" style={btnCss("#fff", COLOR_ERROR)} onClick={() => handleRollback(applied)} disabled={busy}>
+              Roll back
+            </button>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 19 }}>Loading...</div>
+      ) : fetchError ? (
+        <div role="alert" style={{ color: COLOR_ERROR, background: "#ffe7e6", borderRadius: 7, padding: "16px 18px" }}>
+          {fetchError}
+        </div>
+      ) : !classes.length ? (
+        <div style={{ color: "#888", border: "1px dashed #ccc", borderRadius: 8, padding: 28 }}>No classes to promote.</div>
+      ) : (
+        <>
+          <ol style={{ display: "flex", gap: 8, listStyle: "none", padding: 0, margin: "0 0 20px 0" }}>
+            {STEPS.map((label, i) => (
+              <li
+                key={label}
+                aria-current={i === step ? "step" : undefined}
+                style={{
+                  padding: "6px 14px",
+                  borderRadius: 16,
+                  fontSize: 14.5,
+                  fontWeight: 600,
+                  background: i === step ? COLOR_PRIMARY : i < step ? "#d3e9ff" : "#f1f1f1",
+                  color: i === step ? "#fff" : COLOR_SECONDARY,
+                }}
+              >
+                {i + 1}. {label}
+              </li>
+            ))}
+          </ol>
+
+          {step === 0 && (
+            <section>
+              <table style={tableCss}>
+                <thead>
+                  <tr>
+                    <th style={thCss}>Class</th>
+                    <th style={thCss}>Students</th>
+                    <th style={thCss}>Moves to</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {classes.map((cls) => (
+                    <tr key={cls}>
+                      <td style={{ ...tdCss, fontWeight: 600 }}>{cls}</td>
+                      <td style={tdCss}>{classesMap[cls].length}</td>
+                      <td style={tdCss}>
+                        <input
+                          value={mapping[cls] ?? ""}
+                          onChange={(e) => setTarget(cls, e.target.value)}
+                          list="promotion-class-options"
+                          placeholder="Keep in class"
+                          aria-label={`Target class for ${cls}`}
+                          maxLength={24}
+                          style={{ ...inputCss, width: 150 }}
+                        />
+                        {mappingErrors[cls] && <span style={{ color: COLOR_ERROR, fontSize: 13.5, marginLeft: 8 }}>{mappingErrors[cls]}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <datalist id="promotion-class-options">
+                {Array.from(new Set([...classes, ...Object.values(mapping).filter(Boolean), ALUMNI_CLASS])).map((c) => (
+                  <option key={c} value={c} />
+                ))}
+              </datalist>
+              <StepButtons
+                onNext={() => goTo(1)}
+                nextDisabled={!plan.length || Object.keys(mappingErrors).length > 0}
+                nextLabel="Next: choose students"
+              />
+            </section>
+          )}
+
+          {step === 1 && (
+            <section>
+              <label style={{ display: "block", fontSize: 15, color: COLOR_SECONDARY, marginBottom: 14 }}>
+                <input type="checkbox" checked={holdFailing} onChange={(e) => setHoldFailing(e.target.checked)} />{" "}
+                Hold back students below the pass mark ({scale.passMark}) – {failingCount} student{failingCount === 1 ? "" : "s"}
+              </label>
+              {summary.classes.map((c) => (
+                <div key={c.from} style={{ marginBottom: 20 }}>
+                  <h4 style={{ color: COLOR_PRIMARY, margin: "0 0 6px 0", fontSize: "1.05rem" }}>
+                    {c.from} → {c.to}
+                  </h4>
+                  <table style={tableCss}>
+                    <tbody>
+                      {plan
+                        .filter((row) => row.from === c.from)
+                        .map((row) => (
+                          <tr key={row.student.id} style={row.status === "hold" ? { background: "#fff4e5" } : null}>
+                            <td style={{ ...tdCss, width: 36 }}>
+                              <input
+                                type="checkbox"
+                                checked={row.status === "promote"}
+                                onChange={() => toggleStudent(row)}
+                                aria-label={`Promote ${row.student.name}`}
+                              />
+                            </td>
+                            <td style={tdCss}>{row.student.name}</td>
+                            <td style={{ ...tdCss, color: "#666" }}>{row.student.roll_number}</td>
+                            <td style={tdCss}>{formatMarks(overallMarks(row.student))}</td>
+                            <td style={{ ...tdCss, color: row.status === "hold" ? "#a36b00" : "#666", fontSize: 14 }}>
+                              {row.reason}
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+              <StepButtons onBack={() => goTo(0)} onNext={() => goTo(2)} nextLabel="Next: preview" />
+            </section>
+          )}
+
+          {step === 2 && (
+            <section>
+              <table style={tableCss}>
+                <thead>
+                  <tr>
+                    <th style={thCss}>From</th>
+                    <th style={thCss}>To</th>
+                    <th style={thCss}>Promoted</th>
+                    <th style={thCss}>Held back</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.classes.map((c) => (
+                    <tr key={c.from}>
+                      <td style={{ ...tdCss, fontWeight: 600 }}>{c.from}</td>
+                      <td style={tdCss}>{c.to}</td>
+                      <td style={tdCss}>{c.promoted}</td>
+                      <td style={{ ...tdCss, color: c.held ? "#a36b00" : "#222" }}>{c.held}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {summary.held > 0 && (
+                <p style={{ fontSize: 15, color: COLOR_SECONDARY }}>
+                  Staying in their class:{" "}
+                  {plan
+                    .filter((row) => row.status === "hold")
+                    .map((row) => `${row.student.name} (${row.from})`)
+                    .join(", ")}
+                </p>
+              )}
+              <StepButtons
+                onBack={() => goTo(1)}
+                onNext={handleApply}
+                nextDisabled={busy || !summary.promoted}
+                nextLabel={busy ? "Promoting..." : `Promote ${summary.promoted} student${summary.promoted === 1 ? "" : "s"}`}
+              />
+            </section>
+          )}
+        </>
+      )}
+
+      {history.length > 0 && (
+        <section style={{ marginTop: 40 }}>
+          <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem" }}>Recent promotions</h3>
+          <table style={tableCss}>
+            <thead>
+              <tr>
+                <th style={thCss}>When</th>
+                <th style={thCss}>By</th>
+                <th style={thCss}>Students</th>
+                <th style={thCss}>Classes</th>
+                <th style={thCss} aria-label="Rollback" />
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((batch) => (
+                <tr key={batch.id}>
+                  <td style={tdCss}>{new Date(batch.created_at).toLocaleString()}</td>
+                  <td style={tdCss}>{batch.actor}</td>
+                  <td style={tdCss}>{batch.moves.length}</td>
+                  <td style={{ ...tdCss, fontSize: 14 }}>{describeMoves(batch.moves)}</td>
+                  <td style={tdCss}>
+                    {batch.rolled_back_at ? (
+                      <span style={{ color: "#888", fontSize: 14 }}>Rolled back</span>
+                    ) : (
+                      <button type="button" style={linkBtnCss} onClick={() => handleRollback(batch)} disabled={busy}>
+                        Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: 14, color: "#777" }}>
+            Each move also appears in the <Link to="/activity" style={{ color: COLOR_PRIMARY }}>Activity</Link> log.
+          </p>
+        </section>
+      )}
+    </div>
+  );
+}
+
+function StepButtons({ onBack, onNext, nextDisabled, nextLabel }) {
+  return (
+    <div style={{ display: "flex", gap: 10, marginTop: 18 }}>
+      {onBack && (
+        <button type="button" style={btnCss("#f1f1f1", COLOR_SECONDARY)} onClick={onBack}>
+          Back
+        </button>
+      )}
+      <button type="button" style={btnCss(COLOR_PRIMARY)} onClick={onNext} disabled={nextDisabled}>
+        {nextLabel}
+      </button>
+    </div>
+  );
+}
+
+// "9A → 10A, 12B → Alumni"
+function describeMoves(moves) {
+  const pairs = Array.from(new Set(moves.map((m) => `${m.from_class} → ${m.to_class}`)));
+  return pairs.sort((a, b) => a.localeCompare(b)).join(", ");
+}
+
+function formatMarks(value) {
+  return isNaN(value) ? "-" : Number(value.toFixed(1));
+}
+
+const tableCss = { width: "100%", borderCollapse: "collapse", fontSize: 15, marginBottom: 8 };
+
+const thCss = {
+  padding: "8px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  background: "#e3e8ee",
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #eef1f4",
+  color: "#222",
+};
+
+const inputCss = {
+  fontSize: 15,
+  padding: "4px 8px",
+  border: "1px solid #d4d7da",
+  borderRadius: 5,
+};
+
+const linkBtnCss = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: COLOR_ERROR,
+  fontWeight: 600,
+  fontSize: 14.5,
+  cursor: "pointer",
+};
+
+function btnCss(bg, color = "#fff") {
+  return {
+    background: bg,
+    color,
+    border: bg === "#fff" ? `1.5px solid ${color}` : "none",
+    borderRadius: 6,
+    padding: "8px 18px",
+    fontWeight: 600,
+    fontSize: 15,
+    cursor: "pointer",
+  };
+}
+
+export default PromotionWizard;
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useDeletion } from "./DeletionContext";
+import { useAuth } from "./AuthContext";
+import { canEditStudent } from "./permissions";
+
+/**
+ * PUBLIC_INTERFACE
+ * RecentlyDeleted page: students deleted during this browser session, with Restore.
+ * Restoring brings the student back under the same id, with its marks history, attendance and
+ * audit trail; teachers can only restore students of their own classes.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ERROR = "#b80000";
+
+function RecentlyDeleted() {
+  const { recent, restore, clearRecent } = useDeletion();
+  const { user } = useAuth();
+  // Per-row restore state, keyed by list entry
+  const [restoring, setRestoring] = useState(null);
+  const [errors, setErrors] = useState(new Map());
+
+  async function handleRestore(entry) {
+    setRestoring(entry);
+    try {
+      await restore(entry);
+    } catch (err) {
+      const message =
+        err.status === 409
+          ? "Roll Number is now used by another student."
+          : err.status === 404
+          ? "This student can no longer be restored."
+          : err.message;
+      setErrors((prev) => new Map(prev).set(entry, message));
+    }
+    setRestoring(null);
+  }
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        minHeight: "100vh",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+        padding: "24px 4vw 50px 4vw",
+        maxWidth: 1020,
+        margin: "0 auto"
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.75rem", margin: "18px 0 8px 0" }}>
+        Recently Deleted
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 20 }}>
+        Students deleted in this session. Restoring brings the student back with their marks history and attendance.{" "}
+        <Link to="/dashboard" style={{ color: COLOR_PRIMARY, fontWeight: 600 }}>
+          Back to Dashboard
+        </Link>
+      </p>
+
+      {recent.length === 0 ? (
+        <div
+          style={{
+            border: "1px dashed #d6e2ef",
+            color: "#bbb",
+            fontSize: 17,
+            padding: "28px",
+            borderRadius: 8,
+            background: "#fcfcfc",
+          }}
+        >
+          Nothing deleted in this session.
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX: "auto" }}>
+            <table
+              style={{
+                minWidth: 710,
+                width: "100%",
+                borderCollapse: "collapse",
+                fontSize: 16,
+                background: "#fff",
+                borderRadius: 10,
+                boxShadow: "0 4px 16px rgba(41,56,114,0.045)",
+                overflow: "hidden"
+              }}
+            >
+              <thead>
+                <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+                  <th style={thCss}>Name</th>
+                  <th style={thCss}>Roll Number</th>
+                  <th style={thCss}>Class</th>
+                  <th style={thCss}>Marks</th>
+                  <th style={thCss}>Deleted</th>
+                  <th style={thCss}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recent.map((entry) => (
+                  <tr key={`${entry.student.id}-${entry.deletedAt}`}>
+                    <td style={tdCss}>{entry.student.name}</td>
+                    <td style={tdCss}>{entry.student.roll_number}</td>
+                    <td style={tdCss}>{entry.student.student_class}</td>
+                    <td style={tdCss}>{entry.student.marks}</td>
+                    <td style={tdCss}>{new Date(entry.deletedAt).toLocaleTimeString()}</td>
+                    <td style={{ ...tdCss, minWidth: 140 }}>
+                      {canEditStudent(user, entry.student) ? (
+                        <button
+                          type="button"
+                          style={{
+                            background: COLOR_PRIMARY,
+                            color: "#fff",
+                            border: "none",
+                            borderRadius: 6,
+                            padding: "7px 18px",
+                            fontWeight: 600,
+                            fontSize: 15,
+                            cursor: restoring ? "not-allowed" : "pointer",
+                            opacity: restoring ? 0.6 : 1,
+                          }}
+                          disabled={!!restoring}
+                          onClick={() => handleRestore(entry)}
+                        >
+                          {restoring === entry ? "Restoring..." : "Restore"}
+                        </button>
+                      ) : (
+                        <span style={{ color: "#999", fontSize: 14 }} title="Not one of your classes">
+                          Read only
+                        </span>
+                      )}
+                      {errors.get(entry) && (
+                        <div style={{ color: COLOR_ERROR, fontSize: 13.5, marginTop: 5 }}>{errors.get(entry)}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            type="button"
+            style={{
+              marginTop: 16,
+              background: "#f1f1f1",
+              color: "#424242",
+              border: "none",
+              borderRadius: 5,
+              fontWeight: 500,
+              fontSize: 14,
+              padding: "7px 14px",
+              cursor: "pointer"
+            }}
+            onClick={clearRecent}
+          >
+            Clear list
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+const thCss = {
+  padding: "13px 10px",
+  textAlign: "left",
+  fontWeight: 600,
+  fontSize: 16,
+};
+
+const tdCss = {
+  padding: "10px 10px",
+  verticalAlign: "middle",
+  fontSize: 15.5,
+  color: "#222",
+  background: "#fff",
+};
+
+export default RecentlyDeleted;
@@ -0,0 +1,392 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { listStudents } from "./api";
+import { groupByClass } from "./stats";
+import { loadGradingScale } from "./grading";
+import { classReport, studentReport, classReportPdf, studentReportPdf, formatMarks } from "./reports";
+import { jpegFromCanvas } from "./pdf";
+import ChartCanvas from "./ChartCanvas";
+import GradeBadge from "./GradeBadge";
+
+/**
+ * PUBLIC_INTERFACE
+ * ReportCards page (/reports?class=10A[&student=ID]): print-ready class report or student
+ * report card with roster/subjects, marks, grades, class average, topper and charts.
+ *
+ * "Print" uses the print stylesheet in index.css (NavBar and controls hidden);
+ * "Download PDF" builds the same report client-side with pdf.js, embedding the charts.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+// Charts are exported as images, so they are drawn without animation
+const CHART_BASE_OPTIONS = { animation: false, plugins: { legend: { display: false } } };
+
+function ReportCards() {
+  const [students, setStudents] = useState([]);
+  const [fetchError, setFetchError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [gradingScale] = useState(loadGradingScale);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sheetRef = useRef(null);
+
+  useEffect(() => {
+    listStudents({ sortBy: "name", sortOrder: "asc" })
+      .then(setStudents)
+      .catch(() => setFetchError("Could not fetch student records."))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const classesMap = useMemo(() => groupByClass(students), [students]);
+  const classes = useMemo(() => Object.keys(classesMap).sort((a, b) => a.localeCompare(b)), [classesMap]);
+  const selectedClass = searchParams.get("class") || classes[0] || "";
+  const student = students.find((s) => String(s.id) === searchParams.get("student")) || null;
+
+  const report = useMemo(() => {
+    if (student) return studentReport(student, students, gradingScale);
+    if (selectedClass) return classReport(students, selectedClass, gradingScale);
+    return null;
+  }, [student, students, selectedClass, gradingScale]);
+
+  // Charts shown in the report (and embedded in the PDF, in this order)
+  const charts = useMemo(() => {
+    if (!report) return [];
+    if (student) {
+      if (!report.subjects.length) return [];
+      return [
+        {
+          title: "Marks per subject vs class average",
+          data: {
+            labels: report.subjects.map((s) => s.subject),
+            datasets: [
+              { label: student.name, data: report.subjects.map((s) => s.marks), backgroundColor: COLOR_PRIMARY },
+              {
+                label: "Class average",
+                data: report.subjects.map((s) => s.classAverage),
+                backgroundColor: COLOR_ACCENT,
+              },
+            ],
+          },
+          options: {
+            ...CHART_BASE_OPTIONS,
+            plugins: { legend: { display: true, position: "bottom" } },
+            scales: { y: { min: 0, max: 100, title: { display: true, text: "Marks" } } },
+          },
+        },
+      ];
+    }
+    const list = [
+      {
+        title: "Grade distribution",
+        data: {
+          labels: report.grades.labels,
+          datasets: [{ data: report.grades.counts, backgroundColor: COLOR_PRIMARY, borderRadius: 5 }],
+        },
+        options: {
+          ...CHART_BASE_OPTIONS,
+          scales: {
+            x: { title: { display: true, text: "Grade" } },
+            y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: "Students" } },
+          },
+        },
+      },
+    ];
+    if (report.subjects.length) {
+      list.push({
+        title: "Average marks per subject",
+        data: {
+          labels: report.subjects,
+          datasets: [{ data: report.subjectAverages, backgroundColor: COLOR_ACCENT, borderRadius: 5 }],
+        },
+        options: {
+          ...CHART_BASE_OPTIONS,
+          scales: { y: { min: 0, max: 100, title: { display: true, text: "Average marks" } } },
+        },
+      });
+    }
+    return list;
+  }, [report, student]);
+
+  const chooseClass = (cls) => setSearchParams(cls ? { class: cls } : {}, { replace: true });
+  const chooseStudent = (id) =>
+    setSearchParams(id ? { class: selectedClass, student: id } : { class: selectedClass }, { replace: true });
+
+  // Build the PDF from the report data plus snapshots of the rendered charts
+  const downloadPdf = () => {
+    const canvases = sheetRef.current ? Array.from(sheetRef.current.querySelectorAll("canvas")) : [];
+    const images = charts.map((c, i) => ({ title: c.title, image: jpegFromCanvas(canvases[i]) }));
+    const date = new Date().toISOString().slice(0, 10);
+    if (student) {
+      studentReportPdf(report, gradingScale, images).save(fileName(`report-card_${student.name}_${date}`));
+    } else {
+      classReportPdf(report, gradingScale, images).save(fileName(`class-report_${selectedClass}_${date}`));
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        minHeight: "100vh",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+        padding: "24px 4vw 50px 4vw",
+        maxWidth: 1020,
+        margin: "0 auto",
+      }}
+    >
+      <div className="no-print">
+        <h2 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.75rem", margin: "18px 0 8px 0" }}>
+          Reports
+        </h2>
+        <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+          Print-ready class reports and student report cards.{" "}
+          <Link to="/analytics" style={{ color: COLOR_PRIMARY, fontWeight: 600 }}>
+            Back to Analytics
+          </Link>
+        </p>
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 18, marginBottom: 22 }}>
+          <label style={{ fontSize: 15, color: "#424242" }}>
+            Class:&nbsp;
+            <select value={selectedClass} onChange={(e) => chooseClass(e.target.value)} style={selectCss}>
+              {classes.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ fontSize: 15, color: "#424242" }}>
+            Report for:&nbsp;
+            <select value={student ? String(student.id) : ""} onChange={(e) => chooseStudent(e.target.value)} style={selectCss}>
+              <option value="">Whole class</option>
+              {(classesMap[selectedClass] || []).map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" style={btnCss(COLOR_PRIMARY)} onClick={() => window.print()} disabled={!report}>
+            Print
+          </button>
+          <button type="button" style={btnCss("#188542")} onClick={downloadPdf} disabled={!report}>
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 19 }}>Loading...</div>
+      ) : fetchError ? (
+        <div role="alert" style={{ color: COLOR_ERROR, background: "#ffe7e6", borderRadius: 7, padding: "16px 18px" }}>
+          {fetchError}
+        </div>
+      ) : !report ? (
+        <div style={{ color: "#888", border: "1px dashed #ccc", borderRadius: 8, padding: 28 }}>
+          No classes to report on yet.
+        </div>
+      ) : (
+        <article className="report-sheet" ref={sheetRef} style={sheetCss}>
+          {student ? (
+            <StudentSheet report={report} scale={gradingScale} />
+          ) : (
+            <ClassSheet report={report} scale={gradingScale} />
+          )}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 24, marginTop: 10 }}>
+            {charts.map((c) => (
+              <section key={c.title} className="report-avoid-break" style={{ flex: "1 1 380px", minWidth: 0 }}>
+                <h4 style={sectionTitleCss}>{c.title}</h4>
+                <ChartCanvas type="bar" data={c.data} options={c.options} height={240} label={c.title} />
+              </section>
+            ))}
+          </div>
+        </article>
+      )}
+    </div>
+  );
+}
+
+// Class report: summary figures and ranked roster
+function ClassSheet({ report, scale }) {
+  return (
+    <>
+      <SheetTitle
+        title={`Class Report – ${report.cls}`}
+        subtitle={`Generated ${new Date().toLocaleDateString()} · Pass mark ${scale.passMark}`}
+      />
+      <Facts
+        items={[
+          ["Students", report.rows.length],
+          ["Class average", formatMarks(report.average)],
+          ["Topper", report.topper ? `${report.topper.student.name} (${formatMarks(report.topper.marks)})` : "-"],
+          ["Pass rate", `${report.passing.rate.toFixed(1)}%`],
+        ]}
+      />
+      <h4 style={sectionTitleCss}>Roster</h4>
+      <table style={tableCss}>
+        <thead>
+          <tr>
+            <th style={thCss}>#</th>
+            <th style={thCss}>Name</th>
+            <th style={thCss}>Roll No.</th>
+            {report.subjects.map((s) => (
+              <th key={s} style={thCss}>
+                {s}
+              </th>
+            ))}
+            <th style={thCss}>{report.subjects.length ? "Average" : "Marks"}</th>
+            <th style={thCss}>Grade</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.rows.map((r) => (
+            <tr key={r.student.id}>
+              <td style={tdCss}>{r.rank ?? "-"}</td>
+              <td style={tdCss}>{r.student.name}</td>
+              <td style={tdCss}>{r.student.roll_number}</td>
+              {report.subjects.map((s) => (
+                <td key={s} style={tdCss}>
+                  {formatMarks(r.subjectMarks[s])}
+                </td>
+              ))}
+              <td style={{ ...tdCss, fontWeight: 600 }}>{formatMarks(r.marks)}</td>
+              <td style={tdCss}>
+                <GradeBadge marks={r.marks} scale={scale} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+// Student report card: overall result, ranks and per-subject table
+function StudentSheet({ report, scale }) {
+  const { student } = report;
+  return (
+    <>
+      <SheetTitle
+        title={`Report Card – ${student.name}`}
+        subtitle={`Roll No. ${student.roll_number || "-"} · Class ${student.student_class || "-"} · Generated ${new Date().toLocaleDateString()}`}
+      />
+      <Facts
+        items={[
+          [report.subjects.length ? "Average" : "Marks", formatMarks(report.marks)],
+          ["Grade", <GradeBadge marks={report.marks} scale={scale} />],
+          ["Class rank", report.classRank ? `${report.classRank.rank} of ${report.classRank.of}` : "-"],
+          ["Overall rank", report.overallRank ? `${report.overallRank.rank} of ${report.overallRank.of}` : "-"],
+          ["Class average", formatMarks(report.classAverage)],
+          [
+            "Class topper",
+            report.classTopper
+              ? `${report.classTopper.student.name} (${formatMarks(report.classTopper.marks)})`
+              : "-",
+          ],
+        ]}
+      />
+      {report.subjects.length > 0 && (
+        <>
+          <h4 style={sectionTitleCss}>Subjects</h4>
+          <table style={tableCss}>
+            <thead>
+              <tr>
+                <th style={thCss}>Subject</th>
+                <th style={thCss}>Marks</th>
+                <th style={thCss}>Grade</th>
+                <th style={thCss}>Class average</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.subjects.map((s) => (
+                <tr key={s.subject}>
+                  <td style={tdCss}>{s.subject}</td>
+                  <td style={{ ...tdCss, fontWeight: 600 }}>{formatMarks(s.marks)}</td>
+                  <td style={tdCss}>{s.grade || "-"}</td>
+                  <td style={tdCss}>{formatMarks(s.classAverage)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </>
+  );
+}
+
+function SheetTitle({ title, subtitle }) {
+  return (
+    <header style={{ marginBottom: 18 }}>
+      <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.6rem", margin: 0 }}>{title}</h3>
+      <div style={{ color: "#666", fontSize: 14, marginTop: 4 }}>{subtitle}</div>
+    </header>
+  );
+}
+
+// Label/value summary figures
+function Facts({ items }) {
+  return (
+    <dl style={{ display: "flex", flexWrap: "wrap", gap: "14px 34px", margin: "0 0 20px 0" }}>
+      {items.map(([label, value]) => (
+        <div key={label}>
+          <dt style={{ fontSize: 13, color: "#666" }}>{label}</dt>
+          <dd style={{ margin: "2px 0 0 0", fontSize: 18, fontWeight: 700, color: "#222" }}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+// Safe download name, e.g. "class-report_10A_2026-10-19.pdf"
+function fileName(base) {
+  return base.replace(/[^\w.-]+/g, "-") + ".pdf";
+}
+
+const sheetCss = {
+  background: "#fff",
+  border: "1px solid #e3e8ee",
+  borderRadius: 10,
+  padding: "30px 32px",
+  boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+};
+
+const sectionTitleCss = { color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.08rem", margin: "8px 0 10px 0" };
+
+const tableCss = { width: "100%", borderCollapse: "collapse", fontSize: 15, marginBottom: 20 };
+
+const thCss = {
+  padding: "8px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  background: "#e3e8ee",
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #eef1f4",
+  color: "#222",
+};
+
+const selectCss = {
+  fontSize: 15,
+  borderRadius: 5,
+  border: "1px solid #d4d7da",
+  color: COLOR_PRIMARY,
+  padding: "3px 8px",
+};
+
+function btnCss(bg) {
+  return {
+    background: bg,
+    color: "#fff",
+    border: "none",
+    borderRadius: 6,
+    padding: "8px 18px",
+    fontWeight: 600,
+    fontSize: 15,
+    cursor: "pointer",
+  };
+}
+
+export default ReportCards;
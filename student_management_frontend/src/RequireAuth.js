@@ -0,0 +1,45 @@
+import React from "react";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { canAccess } from "./permissions";
+
+/**
+ * PUBLIC_INTERFACE
+ * Route guard: sends signed-out users to /login (remembering where they were going) and
+ * shows a "not authorized" message when the user's role may not open `route`.
+ *
+ * Props:
+ *   route (string): The index.js route path being guarded (see permissions.js).
+ *   children: The page to render when allowed.
+ */
+function RequireAuth({ route, children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+  if (!canAccess(user, route)) {
+    return (
+      <div
+        style={{
+          minHeight: "60vh",
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          justifyContent: "center",
+          fontFamily: "Segoe UI, Arial, sans-serif",
+        }}
+      >
+        <h2 style={{ color: "#1976d2" }}>Not authorized</h2>
+        <p style={{ color: "#595959" }}>Your role ({user.role}) does not have access to this page.</p>
+        <Link to="/dashboard" style={{ color: "#007bff", fontWeight: 600, textDecoration: "none", marginTop: 8 }}>
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+  return children;
+}
+
+export default RequireAuth;
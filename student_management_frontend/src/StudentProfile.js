@@ -0,0 +1,410 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { getStudent, listStudents, listAudit, listAttendanceSummary } from "./api";
+import { groupByClass, rankWithin } from "./stats";
+import { subjectMarksOf, summarizeSubjectMarks, overallMarks } from "./subjects";
+import { loadGradingScale } from "./grading";
+import GradeBadge from "./GradeBadge";
+import { useDeletion } from "./DeletionContext";
+import { useAuth } from "./AuthContext";
+import { canEditStudent } from "./permissions";
+import DeleteConfirmationModal from "./DeleteConfirmationModal";
+import AuditTimeline from "./AuditTimeline";
+import { normalizeAuditEntry } from "./audit";
+import { normalizeSummary, formatRate, LOW_ATTENDANCE_RATE } from "./attendance";
+import { examsOf, formatChange, useTerms } from "./terms";
+import ChartCanvas from "./ChartCanvas";
+import { guardiansOf } from "./guardians";
+
+/**
+ * PUBLIC_INTERFACE
+ * StudentProfile page: read-only view of one student at /students/:id.
+ *
+ * Shows every field (with the per-subject marks breakdown and grade) plus the student's rank and percentile within their class and
+ * overall (same grouping as Analytics), with quick Edit, Delete and Report card actions.
+ * Edit and Delete are only offered to users who may change the student's class.
+ * A History timeline lists every recorded change to the record (audit trail).
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+// Number of audit entries shown in the History section
+const HISTORY_LIMIT = 50;
+
+// 1 -> "1st", 22 -> "22nd", 13 -> "13th"
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return n + ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+}
+
+function StudentProfile({ studentId, onEdit, onDeleted }) {
+  const [student, setStudent] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [fetchError, setFetchError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [gradingScale] = useState(loadGradingScale);
+  const { scheduleDelete } = useDeletion();
+  const { user } = useAuth();
+  // Audit trail: { entries, total, error }
+  const [history, setHistory] = useState(null);
+  // Attendance summary (see attendance.js), null while loading or unavailable
+  const [attendance, setAttendance] = useState(null);
+  const { terms } = useTerms();
+
+  useEffect(() => {
+    if (!studentId) return;
+    setLoading(true);
+    setFetchError("");
+    Promise.all([getStudent(studentId), listStudents()])
+      .then(([s, all]) => {
+        setStudent(s);
+        setStudents(all);
+      })
+      .catch(() => setFetchError("Could not load student data."))
+      .finally(() => setLoading(false));
+    setHistory(null);
+    listAudit({ studentId, limit: HISTORY_LIMIT })
+      .then((res) => setHistory({ entries: res.items.map(normalizeAuditEntry), total: res.total, error: "" }))
+      .catch((err) => setHistory({ entries: [], total: 0, error: err.message }));
+    setAttendance(null);
+    listAttendanceSummary({ studentId })
+      .then((list) => setAttendance(list.length ? normalizeSummary(list[0]) : null))
+      .catch(() => setAttendance(null));
+  }, [studentId]);
+
+  // Rank within the class and overall
+  const standing = useMemo(() => {
+    if (!student) return null;
+    // Use the fetched record for this student in place of its copy in the list
+    const others = students.filter((s) => String(s.id) !== String(student.id));
+    const overall = rankWithin(student, [...others, student]);
+    const classmates = (groupByClass(others)[student.student_class] || []).concat(student);
+    const inClass = student.student_class ? rankWithin(student, classmates) : null;
+    return { overall, inClass };
+  }, [student, students]);
+
+  const subjectMarks = student ? subjectMarksOf(student) : {};
+  const subjectSummary = summarizeSubjectMarks(subjectMarks);
+  const exams = student ? examsOf(student, terms) : [];
+
+  const handleDelete = () => {
+    setDeleteOpen(false);
+    scheduleDelete([student]);
+    if (onDeleted) onDeleted();
+  };
+
+  return (
+    <div
+      style={{
+        maxWidth: 640,
+        margin: "36px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 26px 28px 26px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 19 }}>Loading...</div>
+      ) : fetchError ? (
+        <div
+          role="alert"
+          style={{
+            color: COLOR_ERROR,
+            background: "#ffe7e6",
+            border: "1.5px solid #ffc0c0",
+            borderRadius: 7,
+            padding: "18px 19px",
+            fontWeight: 500,
+            fontSize: 16,
+          }}
+        >
+          {fetchError}
+        </div>
+      ) : (
+        <>
+          <h2 style={{ color: COLOR_PRIMARY, margin: "0 0 22px 0", fontWeight: 700, fontSize: "1.65rem" }}>
+            {student.name}
+          </h2>
+
+          <dl style={{ display: "grid", gridTemplateColumns: "140px 1fr", rowGap: 10, margin: "0 0 26px 0", fontSize: 16 }}>
+            <Field label="Roll Number" value={student.roll_number} />
+            <Field label="Class / Grade" value={student.student_class} />
+            <Field label="Marks" value={student.term ? `${student.marks} (${student.term})` : student.marks} />
+            <Field label="Grade" value={<GradeBadge marks={overallMarks(student)} scale={gradingScale} />} />
+            <Field label="Gender" value={student.gender} />
+            <Field label="Contact" value={student.contact} />
+            <Field label="Guardians" value={<GuardianList guardians={guardiansOf(student)} />} />
+            <Field label="Attendance" value={<AttendanceSummary summary={attendance} />} />
+          </dl>
+
+          {subjectSummary.count > 0 && (
+            <>
+              <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem", marginBottom: 12 }}>
+                Subject Marks
+              </h3>
+              <dl style={{ display: "grid", gridTemplateColumns: "180px 1fr", rowGap: 8, margin: "0 0 26px 0", fontSize: 16 }}>
+                {Object.keys(subjectMarks).map((subject) => (
+                  <Field key={subject} label={subject} value={subjectMarks[subject]} />
+                ))}
+                <Field label="Total" value={subjectSummary.total} />
+                <Field label="Average" value={subjectSummary.average.toFixed(1)} />
+              </dl>
+            </>
+          )}
+
+          {exams.length > 0 && (
+            <>
+              <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem", marginBottom: 12 }}>
+                Exam History
+              </h3>
+              <ExamHistory exams={exams} scale={gradingScale} />
+            </>
+          )}
+
+          <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem", marginBottom: 12 }}>Standing</h3>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 18, marginBottom: 28 }}>
+            <StandingCard
+              title={student.student_class ? `In class ${student.student_class}` : "In class"}
+              standing={standing.inClass}
+            />
+            <StandingCard title="Overall" standing={standing.overall} />
+          </div>
+
+          <div style={{ display: "flex", gap: 10 }}>
+            {canEditStudent(user, student) && (
+              <>
+                <button type="button" style={btnCss(COLOR_PRIMARY)} onClick={() => onEdit && onEdit(student)}>
+                  Edit
+                </button>
+                <button type="button" style={btnCss("#dc3545")} onClick={() => setDeleteOpen(true)}>
+                  Delete
+                </button>
+              </>
+            )}
+            <Link
+              to={`/reports?${new URLSearchParams({ class: student.student_class || "", student: student.id })}`}
+              style={{ ...btnCss("#188542"), textDecoration: "none" }}
+            >
+              Report card
+            </Link>
+          </div>
+
+          <h3 style={{ color: COLOR_PRIMARY, fontWeight: 700, fontSize: "1.15rem", margin: "32px 0 14px 0" }}>
+            History
+          </h3>
+          {!history ? (
+            <div style={{ color: "#aaa", fontSize: 15 }}>Loading history...</div>
+          ) : history.error ? (
+            <div style={{ color: COLOR_ERROR, fontSize: 15 }}>History is not available: {history.error}</div>
+          ) : history.entries.length === 0 ? (
+            <div style={{ color: "#aaa", fontSize: 15 }}>No recorded changes.</div>
+          ) : (
+            <>
+              <AuditTimeline entries={history.entries} />
+              {history.total > history.entries.length && (
+                <div style={{ color: "#777", fontSize: 14 }}>
+                  Showing the latest {history.entries.length} of {history.total} changes.
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      <DeleteConfirmationModal
+        open={deleteOpen}
+        studentName={student ? student.name : ""}
+        onCancel={() => setDeleteOpen(false)}
+        onConfirm={handleDelete}
+      />
+    </div>
+  );
+}
+
+// Marks, grade and change per term, with a trend line once there are two or more results
+function ExamHistory({ exams, scale }) {
+  const chartData = useMemo(
+    () => ({
+      labels: exams.map((e) => e.term),
+      datasets: [
+        {
+          data: exams.map((e) => e.marks),
+          borderColor: COLOR_PRIMARY,
+          backgroundColor: COLOR_PRIMARY,
+          pointRadius: 4,
+          tension: 0.25,
+        },
+      ],
+    }),
+    [exams]
+  );
+  const chartOptions = useMemo(
+    () => ({
+      plugins: { legend: { display: false } },
+      scales: { y: { min: 0, max: 100, title: { display: true, text: "Marks" } } },
+    }),
+    []
+  );
+  return (
+    <div style={{ marginBottom: 28 }}>
+      <table style={{ borderCollapse: "collapse", fontSize: 15.5, marginBottom: 14 }}>
+        <thead>
+          <tr>
+            {["Term", "Marks", "Grade", "Change"].map((h) => (
+              <th key={h} style={{ textAlign: "left", padding: "6px 18px 6px 0", color: "#555", fontWeight: 600 }}>
+                {h}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {exams.map((e, i) => {
+            const change = i > 0 ? e.marks - exams[i - 1].marks : null;
+            return (
+              <tr key={e.term} style={{ borderTop: "1px solid #eef1f4" }}>
+                <td style={{ padding: "6px 18px 6px 0" }}>{e.term}</td>
+                <td style={{ padding: "6px 18px 6px 0", fontWeight: 600 }}>{e.marks}</td>
+                <td style={{ padding: "6px 18px 6px 0" }}>
+                  <GradeBadge marks={e.marks} scale={scale} />
+                </td>
+                <td
+                  style={{
+                    padding: "6px 18px 6px 0",
+                    color: change > 0 ? "#188542" : change < 0 ? COLOR_ERROR : "#666",
+                  }}
+                >
+                  {change === null ? "—" : formatChange(change)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {exams.length > 1 && (
+        <div style={{ maxWidth: 560 }}>
+          <ChartCanvas type="line" data={chartData} options={chartOptions} height={220} label="Marks per term" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Label/value row of the details list
+// "92% (23 of 25 days; 2 late, 1 excused)", red below the low-attendance threshold
+function AttendanceSummary({ summary }) {
+  if (!summary || !summary.days) return <span style={{ color: "#888" }}>No attendance recorded</span>;
+  const { counts, rate } = summary;
+  const counted = counts.present + counts.late + counts.absent;
+  const extras = [counts.late && `${counts.late} late`, counts.excused && `${counts.excused} excused`].filter(Boolean);
+  const low = rate !== null && rate < LOW_ATTENDANCE_RATE;
+  return (
+    <span>
+      <strong style={{ color: low ? COLOR_ERROR : "#222" }}>{formatRate(rate)}</strong>{" "}
+      <span style={{ color: "#666" }}>
+        ({counts.present + counts.late} of {counted} days{extras.length ? `; ${extras.join(", ")}` : ""})
+      </span>
+    </span>
+  );
+}
+
+// Guardian contacts, primary first, with call and mail links
+function GuardianList({ guardians }) {
+  if (!guardians.length) return <span style={{ color: "#888" }}>None recorded</span>;
+  return (
+    <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+      {guardians.map((g) => (
+        <li key={`${g.name}-${g.phone}-${g.email}`} style={{ marginBottom: 6 }}>
+          <strong>{g.name}</strong>
+          {g.relationship && <span style={{ color: "#666" }}> ({g.relationship})</span>}
+          {g.primary && (
+            <span style={{ marginLeft: 8, fontSize: 12.5, fontWeight: 600, color: "#188542", background: "#e3f5e8", borderRadius: 5, padding: "1px 7px" }}>
+              Primary
+            </span>
+          )}
+          <div style={{ fontSize: 15, color: "#444" }}>
+            {g.phone && (
+              <a href={`tel:${g.phone}`} style={{ color: COLOR_PRIMARY, marginRight: 14 }}>
+                {g.phone}
+              </a>
+            )}
+            {g.email && (
+              <a href={`mailto:${g.email}`} style={{ color: COLOR_PRIMARY }}>
+                {g.email}
+              </a>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Field({ label, value }) {
+  return (
+    <>
+      <dt style={{ fontWeight: 600, color: "#555" }}>{label}</dt>
+      <dd style={{ margin: 0, color: "#222" }}>{value === undefined || value === null || value === "" ? "-" : value}</dd>
+    </>
+  );
+}
+
+// Rank and percentile card
+function StandingCard({ title, standing }) {
+  return (
+    <div
+      style={{
+        flex: "1 1 200px",
+        background: "#fff",
+        border: "1.5px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "16px 20px",
+      }}
+    >
+      <div style={{ fontSize: 14.5, color: "#2e3b55", fontWeight: 600, marginBottom: 6 }}>{title}</div>
+      {standing ? (
+        <>
+          <div style={{ fontWeight: 700, fontSize: 24, color: COLOR_PRIMARY }}>
+            #{standing.rank} <span style={{ fontSize: 15, color: "#777", fontWeight: 500 }}>of {standing.of}</span>
+          </div>
+          <div
+            style={{
+              display: "inline-block",
+              marginTop: 6,
+              background: COLOR_ACCENT,
+              color: "#444",
+              borderRadius: 5,
+              padding: "2px 8px",
+              fontSize: 13.5,
+              fontWeight: 600,
+            }}
+          >
+            {ordinal(Math.round(standing.percentile))} percentile
+          </div>
+        </>
+      ) : (
+        <div style={{ color: "#aaa", fontSize: 15 }}>Not available</div>
+      )}
+    </div>
+  );
+}
+
+function btnCss(bg) {
+  return {
+    background: bg,
+    color: "#fff",
+    border: "none",
+    borderRadius: 8,
+    padding: "10px 26px",
+    fontWeight: 600,
+    fontSize: 16,
+    cursor: "pointer",
+  };
+}
+
+export default StudentProfile;
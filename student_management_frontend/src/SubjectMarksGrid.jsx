@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { SUBJECTS, summarizeSubjectMarks } from "./subjects";
+import GradeBadge from "./GradeBadge";
+
+/**
+ * PUBLIC_INTERFACE
+ * SubjectMarksGrid - Editable grid of subject/marks rows used by AddStudent and EditStudent.
+ *
+ * Props:
+ *   value (object): { [subject]: marks } with marks as strings, in display order.
+ *   errors (object): Optional { [subject]: message } per-row validation messages.
+ *   error (string): Optional message for the grid as a whole.
+ *   disabled (bool): Disables every input.
+ *   scale (object): Optional grading scale; shows the average with its grade and pass/fail.
+ *   onChange (func): Called with the next { [subject]: marks } object.
+ */
+function SubjectMarksGrid({ value, errors = {}, error, disabled, scale, onChange }) {
+  const remaining = SUBJECTS.filter((s) => !(s in value));
+  const [toAdd, setToAdd] = useState("");
+  const addChoice = remaining.includes(toAdd) ? toAdd : remaining[0] || "";
+
+  const setMarks = (subject, marks) => onChange({ ...value, [subject]: marks });
+
+  const remove = (subject) => {
+    const next = { ...value };
+    delete next[subject];
+    onChange(next);
+  };
+
+  // Average of the rows filled in with valid marks so far
+  const filled = Object.fromEntries(
+    Object.keys(value)
+      .filter((s) => /^\d+$/.test(String(value[s])) && +value[s] <= 100)
+      .map((s) => [s, +value[s]])
+  );
+  const summary = summarizeSubjectMarks(filled);
+
+  const add = () => {
+    if (addChoice) onChange({ ...value, [addChoice]: "" });
+  };
+
+  return (
+    <fieldset style={styles.fieldset} disabled={disabled}>
+      <legend style={styles.legend}>
+        Subject Marks <span style={{ color: "#b70000" }}>*</span>
+      </legend>
+      {Object.keys(value).map((subject) => {
+        const id = `subject-${subject.replace(/\W+/g, "-")}`;
+        return (
+          <div key={subject} style={{ marginBottom: 8 }}>
+            <div style={styles.row}>
+              <label htmlFor={id} style={styles.subject}>
+                {subject}
+              </label>
+              <input
+                className="input"
+                id={id}
+                type="number"
+                min={0}
+                max={100}
+                placeholder="0-100"
+                value={value[subject]}
+                onChange={(e) => setMarks(subject, e.target.value)}
+                style={{ ...styles.input, ...(errors[subject] ? styles.inputError : {}) }}
+              />
+              <button
+                type="button"
+                style={styles.removeBtn}
+                onClick={() => remove(subject)}
+                aria-label={`Remove ${subject}`}
+                title="Remove subject"
+              >
+                ×
+              </button>
+            </div>
+            {errors[subject] && <div style={styles.error}>{errors[subject]}</div>}
+          </div>
+        );
+      })}
+      {remaining.length > 0 && (
+        <div style={{ ...styles.row, marginTop: 6 }}>
+          <select
+            aria-label="Subject to add"
+            value={addChoice}
+            onChange={(e) => setToAdd(e.target.value)}
+            style={styles.select}
+          >
+            {remaining.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+          <button type="button" style={styles.addBtn} onClick={add}>
+            + Add subject
+          </button>
+        </div>
+      )}
+      {error && <div style={styles.error}>{error}</div>}
+      {scale && summary.count > 0 && (
+        <div style={styles.summary}>
+          Average {Number(summary.average.toFixed(1))} <GradeBadge marks={summary.average} scale={scale} />
+        </div>
+      )}
+    </fieldset>
+  );
+}
+
+const styles = {
+  fieldset: {
+    border: "1px solid #e3e8ee", borderRadius: 8, padding: "10px 14px 12px 14px", margin: 0, background: "#fff"
+  },
+  legend: { fontWeight: 500, fontSize: 15, color: "#222", padding: "0 4px" },
+  row: { display: "flex", alignItems: "center", gap: 10 },
+  subject: { flex: 1, fontSize: 15, color: "#333" },
+  input: { width: 90 },
+  inputError: { border: "1.6px solid #d91b1b", background: "#ffeaea", color: "#b80000", outline: "none" },
+  removeBtn: {
+    background: "none", border: "none", color: "#888", fontSize: 20, lineHeight: 1, cursor: "pointer", padding: "0 4px"
+  },
+  select: {
+    flex: 1, fontSize: 15, border: "1px solid #d4d7da", padding: "6px 9px", borderRadius: 7, background: "#fff"
+  },
+  addBtn: {
+    background: "#e3e8ee", color: "#1976d2", border: "none", borderRadius: 6, fontWeight: 600,
+    fontSize: 14, padding: "7px 13px", cursor: "pointer"
+  },
+  summary: {
+    display: "flex", alignItems: "center", gap: 8, marginTop: 10, paddingTop: 9, borderTop: "1px solid #eef1f4",
+    fontSize: 14.5, color: "#444"
+  },
+  error: { marginTop: 4, color: "#c60f0f", fontSize: 13.5, fontWeight: 500, letterSpacing: "0.01em" }
+};
+
+export default SubjectMarksGrid;
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import { listTerms, createTerm } from "./api";
+import { sortTerms, currentTerm } from "./terms";
+
+/**
+ * PUBLIC_INTERFACE
+ * TermSettings page: list the academic terms and add the next one (admin).
+ * The newest term is the current term: new marks are recorded in it unless another term is
+ * picked in the edit form. Earlier terms keep their results for the exam history.
+ */
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_ACCENT = "#ffc107";
+const COLOR_ERROR = "#b80000";
+
+function TermSettings() {
+  const [terms, setTerms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: "", starts_on: "" });
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ type: "", message: "" });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    listTerms()
+      .then((list) => setTerms(sortTerms(list)))
+      .catch((err) => setStatus({ type: "error", message: err.message }))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const current = currentTerm(terms);
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const name = form.name.trim();
+    const errs = {};
+    if (!name) errs.name = "Enter a term name.";
+    else if (terms.some((t) => t.name.toLowerCase() === name.toLowerCase())) errs.name = "A term with this name exists.";
+    if (!form.starts_on) errs.starts_on = "Pick a start date.";
+    else if (terms.length && form.starts_on <= terms[terms.length - 1].starts_on) {
+      errs.starts_on = `Must start after ${current} (${terms[terms.length - 1].starts_on}).`;
+    }
+    setErrors(errs);
+    setStatus({ type: "", message: "" });
+    if (Object.keys(errs).length > 0) return;
+
+    setSaving(true);
+    try {
+      setTerms(sortTerms(await createTerm({ name, starts_on: form.starts_on })));
+      setForm({ name: "", starts_on: "" });
+      setStatus({ type: "success", message: `${name} added and is now the current term.` });
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        maxWidth: 560,
+        margin: "36px auto",
+        background: "#f7f9fb",
+        border: "1px solid #e3e8ee",
+        borderRadius: 10,
+        padding: "36px 22px 28px 22px",
+        boxShadow: "0 2px 11px rgba(33,40,60,0.07)",
+        fontFamily: "Segoe UI, Arial, sans-serif",
+      }}
+    >
+      <h2 style={{ color: COLOR_PRIMARY, margin: 0, fontWeight: 700, fontSize: "1.55rem", marginBottom: 8 }}>
+        Academic Terms
+      </h2>
+      <p style={{ color: "#595959", fontSize: 15, marginTop: 0, marginBottom: 18 }}>
+        Marks are recorded per term. The newest term is the current one.
+      </p>
+
+      {status.message && (
+        <div
+          aria-live="polite"
+          role="alert"
+          style={{
+            background: status.type === "success" ? COLOR_ACCENT : "#ffd6d6",
+            color: status.type === "success" ? "#444" : COLOR_ERROR,
+            border: status.type === "success" ? "1.5px solid #fff2c0" : "1.5px solid #ffaeb5",
+            borderRadius: 7,
+            padding: "10px 16px",
+            fontWeight: 500,
+            fontSize: 16,
+            marginBottom: 18,
+          }}
+        >
+          {status.message}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ color: "#aaa", fontSize: 17, marginBottom: 18 }}>Loading...</div>
+      ) : terms.length === 0 ? (
+        <div style={{ color: "#888", fontSize: 15, marginBottom: 18 }}>No terms yet.</div>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 15.5, marginBottom: 24 }}>
+          <thead>
+            <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+              <th style={thCss}>Term</th>
+              <th style={thCss}>Starts on</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...terms].reverse().map((t) => (
+              <tr key={t.name}>
+                <td style={tdCss}>
+                  {t.name}
+                  {t.name === current && (
+                    <span style={{ marginLeft: 8, fontSize: 13, color: "#188542", fontWeight: 600 }}>current</span>
+                  )}
+                </td>
+                <td style={{ ...tdCss, color: "#666" }}>{t.starts_on || "-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleSubmit} autoComplete="off" style={{ display: "flex", flexWrap: "wrap", gap: 14, alignItems: "flex-start" }}>
+        <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <label htmlFor="name" style={labelCss}>
+            New term <span style={{ color: "#b70000" }}>*</span>
+          </label>
+          <input
+            className="input"
+            id="name"
+            name="name"
+            value={form.name}
+            onChange={handleChange}
+            maxLength={40}
+            placeholder="e.g. Midterm 2027"
+            style={{ width: 200 }}
+          />
+          {errors.name && <div style={errorCss}>{errors.name}</div>}
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <label htmlFor="starts_on" style={labelCss}>
+            Starts on <span style={{ color: "#b70000" }}>*</span>
+          </label>
+          <input
+            className="input"
+            id="starts_on"
+            name="starts_on"
+            type="date"
+            value={form.starts_on}
+            onChange={handleChange}
+          />
+          {errors.starts_on && <div style={errorCss}>{errors.starts_on}</div>}
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          style={{
+            alignSelf: "flex-end",
+            background: COLOR_PRIMARY,
+            color: "#fff",
+            border: "none",
+            borderRadius: 8,
+            padding: "9px 22px",
+            fontWeight: 600,
+            fontSize: 16,
+            cursor: saving ? "not-allowed" : "pointer",
+            opacity: saving ? 0.63 : 1,
+          }}
+        >
+          {saving ? "Adding..." : "Add term"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const thCss = {
+  padding: "9px 8px",
+  textAlign: "left",
+  fontWeight: 600,
+  fontSize: 15,
+};
+
+const tdCss = {
+  padding: "7px 8px",
+  borderBottom: "1px solid #eef1f4",
+};
+
+const labelCss = { fontWeight: 500, fontSize: 15, color: "#222" };
+
+const errorCss = {
+  marginTop: 6,
+  color: COLOR_ERROR,
+  fontSize: 13.5,
+  fontWeight: 500,
+};
+
+export default TermSettings;
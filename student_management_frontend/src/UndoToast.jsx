@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * PUBLIC_INTERFACE
+ * UndoToast - Stack of toasts for pending deletions ("Undo") and deletion errors.
+ *
+ * Props:
+ *   batches (array): Pending deletions [{ id, students, expiresAt, committing }].
+ *   notices (array): Error notices [{ id, message }].
+ *   onUndo (func): Called with a batch id when the user clicks Undo.
+ *   onDismiss (func): Called with a notice id when the user closes an error.
+ */
+function UndoToast({ batches, notices, onUndo, onDismiss }) {
+  if (!batches.length && !notices.length) return null;
+
+  return (
+    <div className="no-print" style={styles.stack} aria-live="polite">
+      {batches.map((batch) => (
+        <PendingToast key={batch.id} batch={batch} onUndo={onUndo} />
+      ))}
+      {notices.map((notice) => (
+        <div key={notice.id} role="alert" style={{ ...styles.toast, ...styles.error }}>
+          <span style={{ flex: 1 }}>{notice.message}</span>
+          <button
+            type="button"
+            style={styles.closeBtn}
+            onClick={() => onDismiss(notice.id)}
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One pending deletion with a countdown bar until the DELETE is sent
+function PendingToast({ batch, onUndo }) {
+  const [started, setStarted] = useState(false);
+
+  // Start the countdown transition after the first paint
+  useEffect(() => {
+    const frame = window.requestAnimationFrame(() => setStarted(true));
+    return () => window.cancelAnimationFrame(frame);
+  }, []);
+
+  const remaining = Math.max(0, batch.expiresAt - Date.now());
+  const label =
+    batch.students.length === 1
+      ? `Deleted "${batch.students[0].name}".`
+      : `Deleted ${batch.students.length} students.`;
+
+  return (
+    <div style={styles.toast}>
+      <span style={{ flex: 1 }}>{batch.committing ? "Deleting…" : label}</span>
+      {!batch.committing && (
+        <button type="button" style={styles.undoBtn} onClick={() => onUndo(batch.id)}>
+          Undo
+        </button>
+      )}
+      <div
+        style={{
+          ...styles.countdown,
+          width: started ? "0%" : "100%",
+          transition: started ? `width ${remaining}ms linear` : "none",
+        }}
+      />
+    </div>
+  );
+}
+
+const styles = {
+  stack: {
+    position: "fixed", left: 22, bottom: 22, zIndex: 1004, display: "flex",
+    flexDirection: "column", gap: 10, maxWidth: 420, fontFamily: "Segoe UI, Arial, sans-serif"
+  },
+  toast: {
+    position: "relative", overflow: "hidden", display: "flex", alignItems: "center",
+    gap: 14, background: "#323232", color: "#fff", borderRadius: 8,
+    padding: "12px 16px", fontSize: 15, boxShadow: "0 6px 24px rgba(33,40,60,0.25)"
+  },
+  error: {
+    background: "#ffd6d6", color: "#b80000", border: "1.5px solid #ffaeb5"
+  },
+  undoBtn: {
+    background: "none", border: "none", color: "#ffc107", fontWeight: 700,
+    fontSize: 15, cursor: "pointer", letterSpacing: "0.04em", textTransform: "uppercase"
+  },
+  closeBtn: {
+    background: "none", border: "none", color: "inherit", fontSize: 20,
+    lineHeight: 1, cursor: "pointer"
+  },
+  countdown: {
+    position: "absolute", left: 0, bottom: 0, height: 3, background: "#ffc107"
+  }
+};
+
+export default UndoToast;
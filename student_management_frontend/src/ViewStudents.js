@@ -1,57 +1,299 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useEffect, useRef, useState, useMemo } from "react";
+import { Link, useSearchParams, useNavigate, useLocation } from "react-router-dom";
+import { listStudents, listStudentsPage, getStudent, updateStudent, toUpdatePayload, isConflict } from "./api";
+import { toCSV, downloadCSV, delimiterForLocale } from "./csv";
+import ExportDialog from "./ExportDialog";
+import BulkActionBar, { adjustMarks } from "./BulkActionBar";
+import DeleteConfirmationModal from "./DeleteConfirmationModal";
+import { useDeletion } from "./DeletionContext";
+import { useAuth } from "./AuthContext";
+import { useOffline } from "./OfflineContext";
+import { canAccess, canEditClass, canEditStudent, classPermissionError } from "./permissions";
+import { SUBJECTS, subjectMarksOf, subjectMarksFields, summarizeSubjectMarks, overallMarks } from "./subjects";
+import { loadGradingScale, gradeFor, isPass } from "./grading";
+import GradeBadge from "./GradeBadge";
+import { useStudentEvents } from "./liveUpdates";
+import { parseSearch, termsFor } from "./search";
+import Highlight from "./Highlight";
+import FilterBuilder from "./FilterBuilder";
+import { decodeFilter, encodeFilter, describeFilter, loadPresets, savePreset, deletePreset } from "./filters";
+import EditableCell from "./EditableCell";
+import { validateFields } from "./validation";
+import { useTerms } from "./terms";
+import { guardiansOf, guardianMatches } from "./guardians";
+import { useClassCatalog, canonicalClass, unlistedClassError, classOptions as catalogClassOptions } from "./classes";
 
 /**
  * PUBLIC_INTERFACE
  * ViewStudents page: display all students, support search/filter/sort,
  * render a table with edit/delete actions and modern minimal styling.
  *
- * - GET all students from backend (`/students`)
- * - Table columns: Name, Roll Number, Class, Marks/Average, Edit/Delete
- * - Search box: filter by Name or Roll Number (partial matches)
- * - Sorting/filtering controls for columns
+ * - GET one page of students from backend (`/students?page=&limit=`)
+ * - Table columns: Name, Roll Number, Class, Marks (average or total of the subject marks,
+ *   expandable to a per-subject breakdown), Grade (letter grade and pass/fail), Edit/Delete
+ * - Search box: sent to the backend as `q` (name, roll number, class, contact, guardian name or
+ *   phone; prefixes such as `class:10A` or `guardian:lee`, see search.js), debounced, with
+ *   matches highlighted
+ * - Sorting/filtering controls for columns, plus an advanced filter builder (AND/OR
+ *   conditions on any field, sent to the backend as `filter`) with per-user saved presets
+ * - Pager with page-size options
+ * - Export of the current view (or all matching students) to CSV / Excel-friendly CSV
+ * - Row checkboxes with bulk delete, set class and marks adjustment
+ * - Deletes are undoable for a few seconds (see DeletionContext)
+ * - Name, Class and Marks (or each subject mark) can be edited in place: double-click or
+ *   Enter to edit, Enter/Tab/blur to save, Escape to cancel; Enter moves down the column
+ * - Viewers get a read-only table; teachers can only select/edit/delete their classes' rows
+ * - Changes made by other users show up live (see liveUpdates.js) with a brief highlight
+ * - Term selector: latest results, or the results of one academic term (see terms.js);
+ *   marks edited while a term is selected are saved to that term
+ * - Search, sort, filter and paging state are kept in the URL query string
+ *   (e.g. /dashboard?class=10A&max_marks=40&order=desc) so views are bookmarkable
  */
-const API_BASE = "http://localhost:3001";
 
 const COLOR_PRIMARY = "#1976d2";
 const COLOR_ACCENT = "#ffc107";
 const COLOR_ERROR = "#b80000";
 const COLOR_SECONDARY = "#424242";
 
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+// How long a row changed by someone else stays highlighted
+const HIGHLIGHT_MS = 2500;
+// Live events arriving within this window (e.g. a promotion batch) share one refetch
+const LIVE_REFETCH_MS = 400;
+const DEFAULT_PAGE_SIZE = 25;
+
+// URL query params for the dashboard view; values equal to these defaults are left out
+const VIEW_DEFAULTS = {
+  q: "",
+  sort_by: "name",
+  order: "asc",
+  class: "",
+  min_marks: "",
+  max_marks: "",
+  filter: "",
+  term: "",
+  page: "1",
+  limit: String(DEFAULT_PAGE_SIZE),
+  marks_view: "average",
+};
+
+// Columns offered by the export dialog, in table order
+const EXPORT_COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "roll_number", label: "Roll Number" },
+  { key: "student_class", label: "Class" },
+  { key: "marks", label: "Marks" },
+  { key: "total", label: "Total" },
+  { key: "grade", label: "Grade" },
+  { key: "result", label: "Pass/Fail" },
+  ...SUBJECTS.map((subject) => ({ key: `subject:${subject}`, label: subject })),
+  { key: "gender", label: "Gender" },
+  { key: "contact", label: "Contact" },
+];
+
+// Value of an export column for one student
+function exportValue(stu, key, scale) {
+  if (key.startsWith("subject:")) return subjectMarksOf(stu)[key.slice("subject:".length)];
+  if (key === "total") {
+    const summary = summarizeSubjectMarks(subjectMarksOf(stu));
+    return summary.count ? summary.total : stu.marks;
+  }
+  if (key === "grade") return gradeFor(overallMarks(stu), scale);
+  if (key === "result") {
+    const marks = overallMarks(stu);
+    return isNaN(marks) ? "" : isPass(marks, scale) ? "Pass" : "Fail";
+  }
+  return stu[key];
+}
+
+// Inline editing: cells are keyed "<id>|<field>", subject marks as "subject:<Subject>"
+const SUBJECT_FIELD = "subject:";
+
+function cellKey(id, field) {
+  return `${id}|${field}`;
+}
+
+function fieldOf(key) {
+  return key.slice(key.indexOf("|") + 1);
+}
+
+// Editable fields of a row, in Tab order: subject marks replace the overall marks
+function inlineFields(stu) {
+  const subjects = Object.keys(subjectMarksOf(stu));
+  return ["name", "student_class", ...(subjects.length ? subjects.map((s) => SUBJECT_FIELD + s) : ["marks"])];
+}
+
+function inlineValue(stu, field) {
+  if (field.startsWith(SUBJECT_FIELD)) return subjectMarksOf(stu)[field.slice(SUBJECT_FIELD.length)];
+  return stu[field];
+}
+
+// Same rules as EditStudent, reported for the edited field only; a new class must be a
+// catalog class (the value is already in its catalog spelling)
+function inlineError(stu, field, value, user, catalog) {
+  const subject = field.startsWith(SUBJECT_FIELD) ? field.slice(SUBJECT_FIELD.length) : null;
+  const values = { name: stu.name, student_class: stu.student_class, marks: stu.marks };
+  if (subject) values.subject_marks = { ...subjectMarksOf(stu), [subject]: value };
+  else values[field] = value;
+  const errs = validateFields(values, { requireRollNumber: false });
+  if (subject) return (errs.subject_marks || {})[subject] || "";
+  if (field === "student_class" && !errs.student_class) {
+    return unlistedClassError(value, catalog) || classPermissionError(user, value);
+  }
+  return errs[field] || "";
+}
+
+// Record fields to change for an inline edit (a subject mark also recomputes `marks`)
+function inlineOverrides(stu, field, value) {
+  if (field.startsWith(SUBJECT_FIELD)) {
+    return subjectMarksFields({ ...subjectMarksOf(stu), [field.slice(SUBJECT_FIELD.length)]: value });
+  }
+  if (field === "marks") return { marks: parseInt(value, 10) };
+  return { [field]: value };
+}
+
+// e.g. "students_class-10A_marks-0-40_sort-marks-desc_2026-10-19.csv"
+function exportFileName({ search, term, filterClass, filterMinMarks, filterMaxMarks, filterParam, sortBy, sortOrder }) {
+  const parts = ["students"];
+  if (term) parts.push(term);
+  if (filterClass) parts.push(`class-${filterClass}`);
+  if (filterMinMarks || filterMaxMarks) parts.push(`marks-${filterMinMarks || 0}-${filterMaxMarks || 100}`);
+  if (filterParam) parts.push("filtered");
+  if (search.trim()) parts.push(`search-${search.trim()}`);
+  parts.push(`sort-${sortBy}-${sortOrder}`);
+  parts.push(new Date().toISOString().slice(0, 10));
+  return parts.map((p) => p.replace(/[^\w.-]+/g, "-")).join("_") + ".csv";
+}
+
 function ViewStudents({ onEdit, onDelete }) {
   const [students, setStudents] = useState([]);
+  const [total, setTotal] = useState(0);
   const [fetchError, setFetchError] = useState("");
   const [loading, setLoading] = useState(false);
+  // Set when the list came from the offline cache; the table is then read-only
+  const [savedAt, setSavedAt] = useState(null);
+
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { scheduleDelete, pendingIds, recent, changeCount } = useDeletion();
+  const { user } = useAuth();
+  const { syncCount } = useOffline();
+  // Viewers (and everyone, while offline) get no selection or action columns
+  const canManage = canAccess(user, "/edit/:id") && !savedAt;
+
+  // Search/filter/sort/paging state lives in the URL query string
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.get("q") || "";
+  // What is typed in the search box; copied to `q` once typing pauses
+  const [searchInput, setSearchInput] = useState(search);
+  const searchTerms = useMemo(() => parseSearch(search), [search]);
+  const sortBy = searchParams.get("sort_by") || VIEW_DEFAULTS.sort_by;
+  const sortOrder = searchParams.get("order") === "desc" ? "desc" : "asc";
+  const filterClass = searchParams.get("class") || "";
+  const filterMinMarks = searchParams.get("min_marks") || "";
+  const filterMaxMarks = searchParams.get("max_marks") || "";
+  // Advanced filter (filters.js) in its canonical query form; "" when none
+  const filterParam = encodeFilter(decodeFilter(searchParams.get("filter")));
+  const advancedFilter = useMemo(() => decodeFilter(filterParam), [filterParam]);
+  const [builderOpen, setBuilderOpen] = useState(false);
+  const [presets, setPresets] = useState(() => loadPresets(user));
+  const activePreset = presets.find((p) => encodeFilter(p.filter) === filterParam);
+  const page = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+  const limit = PAGE_SIZE_OPTIONS.includes(parseInt(searchParams.get("limit"), 10))
+    ? parseInt(searchParams.get("limit"), 10)
+    : DEFAULT_PAGE_SIZE;
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const marksView = searchParams.get("marks_view") === "total" ? "total" : "average";
+  // Academic term whose results are shown; "" for each student's latest result
+  const term = searchParams.get("term") || "";
+  const { terms, current: currentTermName } = useTerms();
+  // Edits made in a term view are saved to that term; otherwise to the current term
+  const termOverride = term ? { term } : {};
+
+  // Grades are derived from the saved grading scale
+  const [gradingScale] = useState(loadGradingScale);
 
-  // Search/filter/sort state
-  const [search, setSearch] = useState("");
-  const [sortBy, setSortBy] = useState("name");
-  const [sortOrder, setSortOrder] = useState("asc");
-  const [filterClass, setFilterClass] = useState("");
-  const [filterMinMarks, setFilterMinMarks] = useState("");
-  const [filterMaxMarks, setFilterMaxMarks] = useState("");
+  // Rows with their subject breakdown expanded, keyed by id
+  const [expanded, setExpanded] = useState({});
+
+  // Classes seen on any page so far (the list only holds the current page)
+  const [knownClasses, setKnownClasses] = useState([]);
 
   // Table action status
   const [actionStatus, setActionStatus] = useState({ type: "", message: "" });
 
-  // Fetch all students with applied sort/filter parameters
-  const fetchStudents = async () => {
-    setLoading(true);
-    setFetchError("");
-    let params = [];
-    if (sortBy) params.push(`sort_by=${sortBy}`);
-    if (sortOrder) params.push(`order=${sortOrder}`);
-    if (filterClass) params.push(`class=${encodeURIComponent(filterClass)}`);
-    if (filterMinMarks) params.push(`min_marks=${filterMinMarks}`);
-    if (filterMaxMarks) params.push(`max_marks=${filterMaxMarks}`);
+  // Bulk selection: selected students keyed by id (kept across pages)
+  const [selected, setSelected] = useState({});
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState({ done: 0, total: 0 });
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [bulkDeleteOpen, setBulkDeleteOpen] = useState(false);
+  const selectedCount = Object.keys(selected).length;
 
+  // Inline editing: the cell being edited and each cell's { saving, error }
+  const [editingCell, setEditingCell] = useState(null);
+  const [cellStatus, setCellStatus] = useState({});
+  // Saves of one student run one after another so each sends the version the previous
+  // one produced: { [id]: { row, pending, chain } }
+  const inlineSaves = useRef({});
+  // Number of the latest list request; responses to older ones are ignored
+  const fetchSeq = useRef(0);
+
+  // Merge view-state changes into the URL in one update; defaults are dropped
+  const updateParams = (next, { replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const params = new URLSearchParams(prev);
+      for (const key of Object.keys(next)) {
+        const value = next[key] === undefined || next[key] === null ? "" : String(next[key]);
+        if (value === "" || value === VIEW_DEFAULTS[key]) params.delete(key);
+        else params.set(key, value);
+      }
+      return params;
+    }, { replace });
+  };
+
+  // Fetch the current page of students with applied sort/filter parameters.
+  // A quiet fetch (live updates) keeps the current table on screen while it loads.
+  const fetchStudents = async ({ quiet = false } = {}) => {
+    const seq = ++fetchSeq.current;
+    if (!quiet) setLoading(true);
+    setFetchError("");
     try {
-      const url = `${API_BASE}/students${params.length ? "?" + params.join("&") : ""}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error("Failed to fetch students");
-      const data = await res.json();
-      setStudents(data || []);
+      const data = await listStudentsPage({
+        search,
+        sortBy,
+        sortOrder,
+        studentClass: filterClass,
+        minMarks: filterMinMarks,
+        maxMarks: filterMaxMarks,
+        filter: filterParam,
+        term,
+        page,
+        limit,
+      });
+      // A newer request (other filters, or a later live refetch) supersedes this one
+      if (seq !== fetchSeq.current) return;
+      // Filters shrank the result set below the current page: jump to the last page
+      if (!data.items.length && data.total > 0 && page > 1) {
+        updateParams({ page: Math.ceil(data.total / limit) }, { replace: true });
+        return;
+      }
+      setStudents(data.items);
+      setTotal(data.total);
+      setSavedAt(data.savedAt || null);
+      setKnownClasses((prev) =>
+        Array.from(new Set([...prev, ...data.items.map((s) => s.student_class).filter(Boolean)]))
+      );
     } catch (e) {
-      setFetchError("Error fetching students.");
+      if (quiet || seq !== fetchSeq.current) return;
+      setFetchError(
+        e.status === 0
+          ? "You are offline and this list has not been saved on this device yet."
+          : "Error fetching students."
+      );
     }
     setLoading(false);
   };
@@ -59,35 +301,373 @@ function ViewStudents({ onEdit, onDelete }) {
   useEffect(() => {
     fetchStudents();
     // eslint-disable-next-line
-  }, [sortBy, sortOrder, filterClass, filterMinMarks, filterMaxMarks]);
+  }, [search, sortBy, sortOrder, filterClass, filterMinMarks, filterMaxMarks, filterParam, term, page, limit]);
 
-  // Get unique classes from list for filter dropdown
+  // Debounce the search box into the URL (back/forward and links update the box)
+  useEffect(() => {
+    if (searchInput.trim() === search.trim()) return undefined;
+    const timer = setTimeout(() => updateParams({ q: searchInput.trim(), page: 1 }, { replace: true }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line
+  }, [searchInput]);
+
+  useEffect(() => {
+    setSearchInput((prev) => (prev.trim() === search.trim() ? prev : search));
+  }, [search]);
+
+  const applyFilter = (filter) => {
+    updateParams({ filter: encodeFilter(filter), page: 1 });
+    setBuilderOpen(false);
+  };
+
+  const clearSearch = () => {
+    setSearchInput("");
+    updateParams({ q: "", page: 1 });
+  };
+
+  // Get unique classes seen so far for filter dropdown
   const classOptions = useMemo(
+    () => Array.from(new Set([...knownClasses, filterClass].filter(Boolean))).sort(),
+    [knownClasses, filterClass]
+  );
+
+  // Classes students can be moved into: the catalog classes the user may edit, or without a
+  // catalog the classes seen so far
+  const { classes: catalog } = useClassCatalog();
+  const targetClasses = useMemo(
     () =>
-      Array.from(
-        new Set(students.map((s) => s.student_class).filter(Boolean))
-      ).sort(),
-    [students]
+      catalog.length ? catalogClassOptions(catalog, user) : classOptions.filter((c) => canEditClass(user, c)),
+    [catalog, user, classOptions]
+  );
+
+  // Rows on this page, hiding pending deletions
+  const filtered = useMemo(
+    () => students.filter((stu) => !pendingIds.has(stu.id)),
+    [students, pendingIds]
   );
+  const hiddenCount = students.filter((stu) => pendingIds.has(stu.id)).length;
+
+  // Refetch once deletions are committed or restored, or offline changes were sent
+  useEffect(() => {
+    if (changeCount || syncCount) fetchStudents();
+    // eslint-disable-next-line
+  }, [changeCount, syncCount]);
 
-  // Filter students by search text (name/roll_number)
-  const filtered = useMemo(() => {
-    if (!search.trim()) return students;
-    const s = search.trim().toLowerCase();
-    return students.filter(
-      (stu) =>
-        (stu.name && stu.name.toLowerCase().includes(s)) ||
-        (stu.roll_number && stu.roll_number.toString().toLowerCase().includes(s))
+  // Rows recently changed by someone else, highlighted for a moment: { [id]: true }
+  const [flashed, setFlashed] = useState({});
+  const flash = (id) => {
+    setFlashed((prev) => ({ ...prev, [id]: true }));
+    setTimeout(() => {
+      setFlashed((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    }, HIGHLIGHT_MS);
+  };
+
+  // One quiet refetch after a burst of live events, with the view state current by then
+  const latestFetch = useRef(fetchStudents);
+  latestFetch.current = fetchStudents;
+  const refetchTimer = useRef(null);
+  const scheduleRefetch = () => {
+    clearTimeout(refetchTimer.current);
+    refetchTimer.current = setTimeout(() => latestFetch.current({ quiet: true }), LIVE_REFETCH_MS);
+  };
+  useEffect(() => () => clearTimeout(refetchTimer.current), []);
+
+  // Updates to rows on this page are applied in place; anything else may change which
+  // students belong on the page, so it is refetched. Rows with inline saves in flight
+  // keep their local values. Events carry latest results, so a term view always refetches.
+  const liveMode = useStudentEvents((event) => {
+    if (inlineSaves.current[event.studentId]) return;
+    const onPage = students.some((s) => String(s.id) === String(event.studentId));
+    if (event.action === "update" && event.student && onPage && !term) replaceRow(event.student);
+    else scheduleRefetch();
+    if (event.action !== "delete" && (!user || event.actor !== user.username)) flash(event.studentId);
+  });
+
+  // "Select all matching" no longer describes the selection once the filters change
+  useEffect(() => {
+    setAllMatchingSelected(false);
+  }, [search, filterClass, filterMinMarks, filterMaxMarks, filterParam, term]);
+
+  // Only rows the user may change can be selected
+  const selectable = filtered.filter((stu) => canEditStudent(user, stu));
+  const pageAllSelected = selectable.length > 0 && selectable.every((stu) => selected[stu.id]);
+
+  const toggleRow = (stu) => {
+    setAllMatchingSelected(false);
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[stu.id]) delete next[stu.id];
+      else next[stu.id] = stu;
+      return next;
+    });
+  };
+
+  const togglePage = () => {
+    setAllMatchingSelected(false);
+    setSelected((prev) => {
+      const next = { ...prev };
+      for (const stu of selectable) {
+        if (pageAllSelected) delete next[stu.id];
+        else next[stu.id] = stu;
+      }
+      return next;
+    });
+  };
+
+  // Load every student matching the current filters/search into the selection
+  const selectAllMatching = async () => {
+    setBulkBusy(true);
+    try {
+      const all = await listStudents({
+        search,
+        sortBy,
+        sortOrder,
+        studentClass: filterClass,
+        minMarks: filterMinMarks,
+        maxMarks: filterMaxMarks,
+        filter: filterParam,
+        term,
+      });
+      const next = {};
+      for (const stu of all) if (canEditStudent(user, stu)) next[stu.id] = stu;
+      setSelected(next);
+      setAllMatchingSelected(true);
+    } catch (err) {
+      setActionStatus({ type: "error", message: err.message });
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const clearSelection = () => {
+    setSelected({});
+    setAllMatchingSelected(false);
+  };
+
+  // Run an action on every selected student one at a time, collecting per-record failures.
+  // Failed students stay selected so the action can be retried; students changed by
+  // someone else meanwhile (version conflict) are reloaded so a retry applies to the latest values.
+  const runBulk = async (action, verb) => {
+    const targets = Object.values(selected);
+    setBulkBusy(true);
+    setBulkFailures([]);
+    setActionStatus({ type: "", message: "" });
+    setBulkProgress({ done: 0, total: targets.length });
+    const failures = [];
+    for (const stu of targets) {
+      try {
+        await action(stu);
+      } catch (err) {
+        if (isConflict(err)) {
+          const latest = await getStudent(stu.id).catch(() => stu);
+          failures.push({ student: latest, message: "Changed by someone else meanwhile. Retry to apply to the latest version." });
+        } else {
+          failures.push({ student: stu, message: err.message });
+        }
+      }
+      setBulkProgress((p) => ({ ...p, done: p.done + 1 }));
+    }
+    const done = targets.length - failures.length;
+    setSelected(Object.fromEntries(failures.map((f) => [f.student.id, f.student])));
+    setAllMatchingSelected(false);
+    setBulkFailures(failures);
+    setActionStatus({
+      type: failures.length ? "error" : "success",
+      message:
+        `${verb} ${done} of ${targets.length} students.` +
+        (failures.length ? ` ${failures.length} failed.` : ""),
+    });
+    setBulkBusy(false);
+    fetchStudents();
+  };
+
+  // Bulk deletes go through the undo window like single deletes
+  const handleBulkDelete = () => {
+    setBulkDeleteOpen(false);
+    setBulkFailures([]);
+    setActionStatus({ type: "", message: "" });
+    scheduleDelete(Object.values(selected));
+    clearSelection();
+  };
+
+  const handleBulkSetClass = (name) => {
+    const cls = canonicalClass(name, catalog);
+    return runBulk(
+      (stu) => updateStudent(stu.id, toUpdatePayload(stu, { student_class: cls, ...termOverride })),
+      "Updated class for"
     );
-  }, [students, search]);
+  };
+
+  // Students with subject marks get each subject adjusted (and their average recomputed)
+  const handleBulkMarks = (mode, value) =>
+    runBulk((stu) => {
+      const subjectMarks = subjectMarksOf(stu);
+      const subjects = Object.keys(subjectMarks);
+      const overrides = subjects.length
+        ? subjectMarksFields(
+            Object.fromEntries(subjects.map((k) => [k, adjustMarks(subjectMarks[k], mode, value)]))
+          )
+        : { marks: adjustMarks(stu.marks, mode, value) };
+      return updateStudent(stu.id, toUpdatePayload(stu, { ...overrides, ...termOverride }));
+    }, "Updated marks for");
+
+  // Editable cells on this page in Tab order
+  const inlineCells = canManage
+    ? filtered.filter((stu) => canEditStudent(user, stu)).flatMap((stu) => inlineFields(stu).map((f) => cellKey(stu.id, f)))
+    : [];
+
+  // Subject marks are edited in the breakdown row, so open it first
+  const startEditing = (key) => {
+    if (fieldOf(key).startsWith(SUBJECT_FIELD)) {
+      const id = key.slice(0, key.indexOf("|"));
+      setExpanded((prev) => ({ ...prev, [id]: true }));
+    }
+    setEditingCell(key);
+  };
+
+  // After a commit: Tab/Shift+Tab go to the next/previous cell, Enter to the same field
+  // in the next row, blur just closes the editor
+  const moveEditing = (key, move) => {
+    if (!move) {
+      setEditingCell((prev) => (prev === key ? null : prev));
+      return;
+    }
+    const index = inlineCells.indexOf(key);
+    const target =
+      move === "next"
+        ? inlineCells[index + 1]
+        : move === "prev"
+          ? inlineCells[index - 1]
+          : inlineCells.slice(index + 1).find((k) => fieldOf(k) === fieldOf(key));
+    if (target) startEditing(target);
+    else setEditingCell(null);
+  };
+
+  const replaceRow = (row) => setStudents((prev) => prev.map((s) => (s.id === row.id ? row : s)));
+
+  // Show the new value right away and save it in the background; failures reload the row
+  const saveCell = (stu, field, value) => {
+    const key = cellKey(stu.id, field);
+    const entry = inlineSaves.current[stu.id] || { row: stu, edits: {}, pending: 0, chain: Promise.resolve() };
+    inlineSaves.current[stu.id] = entry;
+    const overrides = inlineOverrides(entry.row, field, value);
+    entry.row = { ...entry.row, ...overrides };
+    // Passed to toUpdatePayload so edited marks go to the current (or viewed) term
+    entry.edits = { ...entry.edits, ...overrides };
+    entry.pending += 1;
+    replaceRow(entry.row);
+    setCellStatus((prev) => ({ ...prev, [key]: { saving: true } }));
+    entry.chain = entry.chain.then(async () => {
+      let status = {};
+      try {
+        const res = await updateStudent(stu.id, toUpdatePayload(entry.row, { ...entry.edits, ...termOverride }));
+        // Keep the local values but take the new version (if the backend returns it)
+        entry.row = { ...entry.row, version: res.data?.version ?? entry.row.version };
+      } catch (err) {
+        entry.row = await getStudent(stu.id).catch(() => stu);
+        entry.edits = {};
+        status = {
+          error: isConflict(err) ? "Changed by someone else meanwhile. The latest values are shown." : err.message,
+        };
+      }
+      entry.pending -= 1;
+      if (!entry.pending) delete inlineSaves.current[stu.id];
+      replaceRow(entry.row);
+      setCellStatus((prev) => ({ ...prev, [key]: status }));
+    });
+  };
+
+  // Returns false (editor stays open) when the value is invalid
+  const commitCell = (stu, field, draft, move) => {
+    const key = cellKey(stu.id, field);
+    const value = field === "student_class" ? canonicalClass(draft, catalog) : draft.trim();
+    const current = inlineValue(stu, field);
+    if (value !== (current === undefined || current === null ? "" : String(current))) {
+      const error = inlineError(stu, field, value, user, catalog);
+      if (error) {
+        setCellStatus((prev) => ({ ...prev, [key]: { error } }));
+        return false;
+      }
+      saveCell(stu, field, value);
+    } else if (cellStatus[key] && cellStatus[key].error) {
+      setCellStatus((prev) => ({ ...prev, [key]: {} }));
+    }
+    moveEditing(key, move);
+    return true;
+  };
+
+  // Props for the EditableCell of one field
+  const cellProps = (stu, field, label) => {
+    const key = cellKey(stu.id, field);
+    const status = cellStatus[key] || {};
+    return {
+      value: inlineValue(stu, field),
+      editing: editingCell === key,
+      onStart: () => startEditing(key),
+      onCommit: (draft, move) => commitCell(stu, field, draft, move),
+      onCancel: () => {
+        setEditingCell(null);
+        setCellStatus((prev) => ({ ...prev, [key]: { saving: status.saving } }));
+      },
+      saving: !!status.saving,
+      error: status.error || "",
+      label: `${label} for ${stu.name}`,
+    };
+  };
+
+  // Export dialog
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Write the chosen rows/columns to a CSV download
+  const handleExport = async ({ columns, format, scope }) => {
+    setExporting(true);
+    setActionStatus({ type: "", message: "" });
+    try {
+      let rows = filtered;
+      if (scope === "all") {
+        rows = await listStudents({
+          search,
+          sortBy,
+          sortOrder,
+          studentClass: filterClass,
+          minMarks: filterMinMarks,
+          maxMarks: filterMaxMarks,
+          filter: filterParam,
+          term,
+        });
+      }
+      const header = columns.map((key) => EXPORT_COLUMNS.find((c) => c.key === key).label);
+      const data = rows.map((stu) => columns.map((key) => exportValue(stu, key, gradingScale)));
+      const excel = format === "excel";
+      const text = toCSV([header, ...data], {
+        delimiter: excel ? delimiterForLocale() : ",",
+        bom: excel,
+        guardFormulas: true,
+      });
+      downloadCSV(
+        text,
+        exportFileName({ search, term, filterClass, filterMinMarks, filterMaxMarks, filterParam, sortBy, sortOrder })
+      );
+      setExportOpen(false);
+      setActionStatus({ type: "success", message: `Exported ${rows.length} students.` });
+    } catch (err) {
+      setActionStatus({ type: "error", message: err.message });
+    } finally {
+      setExporting(false);
+    }
+  };
 
   // Handle sorting column (toggle order if same column selected)
   const handleSort = (col) => {
     if (sortBy === col) {
-      setSortOrder((old) => (old === "asc" ? "desc" : "asc"));
+      updateParams({ order: sortOrder === "asc" ? "desc" : "asc" });
     } else {
-      setSortBy(col);
-      setSortOrder("asc");
+      updateParams({ sort_by: col, order: "asc" });
     }
   };
 
@@ -98,27 +678,21 @@ function ViewStudents({ onEdit, onDelete }) {
       onEdit(student);
       setActionStatus({ type: "", message: "" });
     } else if (student && student.id) {
-      window.location.hash = `#/edit/${student.id}`;
+      // Remember this view so EditStudent can return to it
+      navigate(`/edit/${student.id}`, {
+        state: { from: location.pathname + location.search, term: term || undefined },
+      });
     }
   };
-  const handleDelete = async (student) => {
-    if (!window.confirm(`Delete student "${student.name}"?`)) return;
-    setLoading(true);
+  // Hide the row now; the DELETE is sent when the undo toast expires
+  const handleDelete = (student) => {
     setActionStatus({ type: "", message: "" });
-    try {
-      const res = await fetch(`${API_BASE}/students/${student.id}`, {
-        method: "DELETE",
-      });
-      const data = await res.json();
-      if (!res.ok || !data.success)
-        throw new Error(data?.message || "Failed to delete student");
-      setActionStatus({ type: "success", message: `Student deleted.` });
-      fetchStudents();
-    } catch (err) {
-      setActionStatus({ type: "error", message: err.message });
-    } finally {
-      setLoading(false);
-    }
+    setSelected((prev) => {
+      const next = { ...prev };
+      delete next[student.id];
+      return next;
+    });
+    scheduleDelete([student]);
   };
 
   // UI rendering
@@ -143,7 +717,38 @@ function ViewStudents({ onEdit, onDelete }) {
         }}
       >
         All Students
+        {!loading && !fetchError && (
+          <span style={{ marginLeft: 12, fontSize: 16, fontWeight: 500, color: "#777" }}>
+            ({total - hiddenCount} total)
+          </span>
+        )}
+        {(liveMode === "push" || liveMode === "polling") && !savedAt && (
+          <span
+            style={{ marginLeft: 12, fontSize: 13, fontWeight: 600, color: liveMode === "push" ? "#2e7d32" : "#777" }}
+            title={
+              liveMode === "push"
+                ? "Changes by other users appear as they happen"
+                : "Live updates unavailable; checking for changes every few seconds"
+            }
+          >
+            {liveMode === "push" ? "● Live" : "↻ Auto-refresh"}
+          </span>
+        )}
+        {recent.length > 0 && canAccess(user, "/recently-deleted") && (
+          <Link
+            to="/recently-deleted"
+            style={{ marginLeft: 16, fontSize: 14.5, fontWeight: 600, color: COLOR_SECONDARY }}
+          >
+            Recently deleted ({recent.length})
+          </Link>
+        )}
       </h2>
+      {savedAt && !fetchError && (
+        <div style={{ fontSize: 14.5, color: "#7a5a00", marginBottom: 12 }}>
+          Offline: showing the list as saved on {new Date(savedAt).toLocaleString()}. It is read-only until the
+          connection returns.
+        </div>
+      )}
       <div
         style={{
           display: "flex",
@@ -157,18 +762,18 @@ function ViewStudents({ onEdit, onDelete }) {
         <input
           className="input"
           type="text"
-          placeholder="Search name or roll number..."
+          placeholder="Search name, roll, class, contact or guardian (e.g. class:10A)"
           aria-label="Search"
-          value={search}
+          value={searchInput}
           style={{
-            minWidth: 210,
+            minWidth: 300,
             fontSize: 16,
             border: "1px solid #d4d7da",
             borderRadius: 7,
             padding: "8px 14px",
             outline: "none",
           }}
-          onChange={(e) => setSearch(e.target.value)}
+          onChange={(e) => setSearchInput(e.target.value)}
         />
 
         {/* Sort by */}
@@ -176,7 +781,7 @@ function ViewStudents({ onEdit, onDelete }) {
           Sort by:&nbsp;
           <select
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => updateParams({ sort_by: e.target.value })}
             style={{
               fontSize: 15,
               borderRadius: 5,
@@ -203,7 +808,7 @@ function ViewStudents({ onEdit, onDelete }) {
               fontSize: 16
             }}
             onClick={() =>
-              setSortOrder((s) => (s === "asc" ? "desc" : "asc"))
+              updateParams({ order: sortOrder === "asc" ? "desc" : "asc" })
             }
             aria-label={sortOrder === "asc" ? "Ascending" : "Descending"}
           >
@@ -216,7 +821,7 @@ function ViewStudents({ onEdit, onDelete }) {
           Class:&nbsp;
           <select
             value={filterClass}
-            onChange={(e) => setFilterClass(e.target.value)}
+            onChange={(e) => updateParams({ class: e.target.value })}
             style={{
               minWidth: 60,
               fontSize: 15,
@@ -242,7 +847,7 @@ function ViewStudents({ onEdit, onDelete }) {
             min={0}
             max={100}
             value={filterMinMarks}
-            onChange={e => setFilterMinMarks(e.target.value.replace(/\D/, ""))}
+            onChange={e => updateParams({ min_marks: e.target.value.replace(/\D/, "") }, { replace: true })}
             placeholder="min"
             style={{
               width: 58,
@@ -259,7 +864,7 @@ function ViewStudents({ onEdit, onDelete }) {
             min={0}
             max={100}
             value={filterMaxMarks}
-            onChange={e => setFilterMaxMarks(e.target.value.replace(/\D/, ""))}
+            onChange={e => updateParams({ max_marks: e.target.value.replace(/\D/, "") }, { replace: true })}
             placeholder="max"
             style={{
               width: 58,
@@ -271,6 +876,50 @@ function ViewStudents({ onEdit, onDelete }) {
             }}
           />
         </label>
+
+        {/* Academic term whose marks are shown */}
+        {terms.length > 0 && (
+          <label style={{ fontSize: 15, color: COLOR_SECONDARY }}>
+            Term:&nbsp;
+            <select
+              value={term}
+              onChange={(e) => updateParams({ term: e.target.value, page: 1 })}
+              style={{
+                fontSize: 15,
+                borderRadius: 5,
+                border: "1px solid #d4d7da",
+                color: COLOR_PRIMARY,
+                padding: "3px 8px"
+              }}
+            >
+              <option value="">Latest results</option>
+              {[...terms].reverse().map((t) => (
+                <option key={t.name} value={t.name}>
+                  {t.name}{t.name === currentTermName ? " (current)" : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {/* Marks shown as the subject average or total */}
+        <label style={{ fontSize: 15, color: COLOR_SECONDARY }}>
+          Show:&nbsp;
+          <select
+            value={marksView}
+            onChange={(e) => updateParams({ marks_view: e.target.value }, { replace: true })}
+            style={{
+              fontSize: 15,
+              borderRadius: 5,
+              border: "1px solid #d4d7da",
+              color: COLOR_PRIMARY,
+              padding: "3px 8px"
+            }}
+          >
+            <option value="average">Average</option>
+            <option value="total">Total</option>
+          </select>
+        </label>
         <button
           type="button"
           style={{
@@ -284,11 +933,65 @@ function ViewStudents({ onEdit, onDelete }) {
             padding: "7px 15px",
             cursor: "pointer"
           }}
-          onClick={fetchStudents}
+          onClick={() => fetchStudents()}
         >
           Apply
         </button>
-        {(!!filterClass || !!filterMinMarks || !!filterMaxMarks) && (
+        {/* Advanced filters and saved presets */}
+        <button
+          type="button"
+          style={{
+            background: builderOpen || filterParam ? "#d3e9ff" : "#fff",
+            color: COLOR_PRIMARY,
+            border: `1.5px solid ${COLOR_PRIMARY}`,
+            borderRadius: 5,
+            fontWeight: 600,
+            fontSize: 14,
+            padding: "5px 13px",
+            cursor: "pointer"
+          }}
+          onClick={() => setBuilderOpen((open) => !open)}
+          aria-expanded={builderOpen}
+        >
+          Filters{advancedFilter.conditions.length ? ` (${advancedFilter.conditions.length})` : ""}
+        </button>
+        {presets.length > 0 && (
+          <label style={{ fontSize: 15, color: COLOR_SECONDARY }}>
+            Preset:&nbsp;
+            <select
+              value={activePreset ? activePreset.name : ""}
+              onChange={(e) => {
+                const preset = presets.find((p) => p.name === e.target.value);
+                applyFilter(preset ? preset.filter : null);
+              }}
+              style={{
+                fontSize: 15,
+                borderRadius: 5,
+                border: "1px solid #d4d7da",
+                color: COLOR_SECONDARY,
+                maxWidth: 200
+              }}
+            >
+              <option value="">{filterParam && !activePreset ? "Custom filter" : "None"}</option>
+              {presets.map((p) => (
+                <option key={p.name} value={p.name}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+            {activePreset && (
+              <button
+                type="button"
+                style={{ ...linkBtnCss, marginLeft: 8, fontSize: 13, color: COLOR_ERROR }}
+                onClick={() => setPresets(deletePreset(user, activePreset.name))}
+                aria-label={`Delete preset ${activePreset.name}`}
+              >
+                Delete preset
+              </button>
+            )}
+          </label>
+        )}
+        {(!!filterClass || !!filterMinMarks || !!filterMaxMarks || !!filterParam) && (
           <button
             type="button"
             style={{
@@ -302,16 +1005,30 @@ function ViewStudents({ onEdit, onDelete }) {
               padding: "6px 13px",
               cursor: "pointer"
             }}
-            onClick={() => {
-              setFilterClass("");
-              setFilterMinMarks("");
-              setFilterMaxMarks("");
-            }}
+            onClick={() => updateParams({ class: "", min_marks: "", max_marks: "", filter: "", page: 1 })}
             aria-label="Clear all filters"
           >
             Clear Filters
           </button>
         )}
+        <button
+          type="button"
+          style={{
+            marginLeft: "auto",
+            background: "#fff",
+            color: COLOR_PRIMARY,
+            border: `1.5px solid ${COLOR_PRIMARY}`,
+            borderRadius: 5,
+            fontWeight: 600,
+            fontSize: 14,
+            padding: "6px 15px",
+            cursor: "pointer"
+          }}
+          onClick={() => setExportOpen(true)}
+          disabled={loading || !!fetchError}
+        >
+          Export
+        </button>
       </div>
 
       {/* Action status message */}
@@ -334,6 +1051,74 @@ function ViewStudents({ onEdit, onDelete }) {
           }}
         >
           {actionStatus.message}
+          {bulkFailures.length > 0 && (
+            <ul style={{ margin: "6px 0 0 0", paddingLeft: 20, fontSize: 14 }}>
+              {bulkFailures.map((f) => (
+                <li key={f.student.id}>
+                  {f.student.name}
+                  {f.student.roll_number ? ` (${f.student.roll_number})` : ""}: {f.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Bulk actions for selected rows */}
+      {(selectedCount > 0 || bulkBusy) && (
+        <BulkActionBar
+          count={selectedCount}
+          busy={bulkBusy}
+          progress={bulkProgress}
+          classOptions={targetClasses}
+          restrictClasses={catalog.length > 0}
+          classError={(cls) => unlistedClassError(cls, catalog) || classPermissionError(user, canonicalClass(cls, catalog))}
+          onDelete={() => setBulkDeleteOpen(true)}
+          onSetClass={handleBulkSetClass}
+          onAdjustMarks={handleBulkMarks}
+          onClear={clearSelection}
+        />
+      )}
+      {pageAllSelected && !bulkBusy && (
+        <div style={{ fontSize: 14.5, color: COLOR_SECONDARY, marginBottom: 12 }}>
+          {allMatchingSelected
+            ? `All ${selectedCount} matching students are selected.`
+            : `All ${selectable.length} students on this page are selected.`}{" "}
+          {!allMatchingSelected && total > selectable.length && (
+            <button type="button" style={linkBtnCss} onClick={selectAllMatching}>
+              Select all matching students
+            </button>
+          )}
+        </div>
+      )}
+
+      {builderOpen && (
+        <FilterBuilder
+          key={filterParam}
+          filter={advancedFilter}
+          classOptions={classOptions}
+          onApply={applyFilter}
+          onCancel={() => setBuilderOpen(false)}
+          onSavePreset={(name, filter) => setPresets(savePreset(user, name, filter))}
+        />
+      )}
+      {filterParam && !builderOpen && (
+        <div style={{ fontSize: 14.5, color: COLOR_SECONDARY, marginBottom: 12 }}>
+          <strong>{activePreset ? `${activePreset.name}:` : "Filtered:"}</strong> {describeFilter(advancedFilter)}{" "}
+          <button type="button" style={{ ...linkBtnCss, marginLeft: 6 }} onClick={() => setBuilderOpen(true)}>
+            Edit
+          </button>
+          <button type="button" style={{ ...linkBtnCss, marginLeft: 10 }} onClick={() => applyFilter(null)}>
+            Remove
+          </button>
+        </div>
+      )}
+      {search && !loading && !fetchError && (
+        <div style={{ fontSize: 15, color: COLOR_SECONDARY, marginBottom: 12 }}>
+          {total - hiddenCount} result{total - hiddenCount === 1 ? "" : "s"} for “{search}”{" "}
+          <button type="button" style={{ ...linkBtnCss, marginLeft: 6 }} onClick={clearSearch}>
+            Clear search
+          </button>
         </div>
       )}
 
@@ -367,7 +1152,7 @@ function ViewStudents({ onEdit, onDelete }) {
             background: "#fcfcfc",
           }}
         >
-          No student records to display.
+          {search ? `No students match “${search}”.` : "No student records to display."}
         </div>
       ) : (
         <div style={{ marginTop: 10, overflowX: "auto" }}>
@@ -385,6 +1170,17 @@ function ViewStudents({ onEdit, onDelete }) {
           >
             <thead>
               <tr style={{ background: "#e3e8ee", color: "#292929" }}>
+                {canManage && (
+                  <th style={{ ...thCss, width: 34 }}>
+                    <input
+                      type="checkbox"
+                      aria-label="Select all on this page"
+                      checked={pageAllSelected}
+                      onChange={togglePage}
+                      disabled={bulkBusy || !selectable.length}
+                    />
+                  </th>
+                )}
                 <ThSort
                   field="name"
                   sortBy={sortBy}
@@ -415,44 +1211,351 @@ function ViewStudents({ onEdit, onDelete }) {
                   sortOrder={sortOrder}
                   onClick={handleSort}
                 >
-                  Marks
+                  {marksView === "total" ? "Total" : "Marks"}
+                  {term && <span style={{ fontWeight: 400, fontSize: 13 }}> ({term})</span>}
                 </ThSort>
-                <th style={thCss}>Actions</th>
+                <th style={thCss}>Grade</th>
+                {canManage && <th style={thCss}>Actions</th>}
               </tr>
             </thead>
             <tbody>
-              {filtered.map((stu) => (
-                <tr key={stu.id} style={{}}>
-                  <td style={tdCss}>{stu.name}</td>
-                  <td style={tdCss}>{stu.roll_number}</td>
-                  <td style={tdCss}>{stu.student_class}</td>
-                  <td style={tdCss}>{stu.marks}</td>
-                  <td style={{ ...tdCss, minWidth: 112 }}>
-                    <button
-                      type="button"
-                      style={actionBtnCss({ color: "#fff", bg: COLOR_PRIMARY })}
-                      aria-label={`Edit ${stu.name}`}
-                      title="Edit"
-                      onClick={() => handleEdit(stu)}
-                    >
-                      Edit
-                    </button>
-                    <button
-                      type="button"
-                      style={actionBtnCss({ color: "#fff", bg: "#dc3545" })}
-                      aria-label={`Delete ${stu.name}`}
-                      title="Delete"
-                      onClick={() => handleDelete(stu)}
-                    >
-                      Delete
-                    </button>
-                  </td>
-                </tr>
-              ))}
+              {filtered.map((stu) => {
+                const rowCss = { ...tdCss, transition: "background 0.6s", ...(flashed[stu.id] ? flashTdCss : null) };
+                return (
+                  <React.Fragment key={stu.id}>
+                    <tr>
+                      {canManage && (
+                        <td style={{ ...rowCss, background: selected[stu.id] ? "#f0f7ff" : rowCss.background }}>
+                          <input
+                            type="checkbox"
+                            aria-label={`Select ${stu.name}`}
+                            checked={!!selected[stu.id]}
+                            onChange={() => toggleRow(stu)}
+                            disabled={bulkBusy || !canEditStudent(user, stu)}
+                          />
+                        </td>
+                      )}
+                      <td style={rowCss}>
+                        {canManage && canEditStudent(user, stu) ? (
+                          <div style={{ display: "flex", alignItems: "flex-start", gap: 6 }}>
+                            <div style={{ flex: 1 }}>
+                              <EditableCell {...cellProps(stu, "name", "Name")}>
+                                <Highlight text={stu.name} terms={termsFor(searchTerms, "name")} />
+                              </EditableCell>
+                            </div>
+                            {editingCell !== cellKey(stu.id, "name") && (
+                              <Link
+                                to={`/students/${stu.id}`}
+                                state={{ from: location.pathname + location.search }}
+                                style={{ color: COLOR_PRIMARY, fontSize: 14, textDecoration: "none" }}
+                                aria-label={`Open profile of ${stu.name}`}
+                                title="Open profile"
+                              >
+                                ↗
+                              </Link>
+                            )}
+                          </div>
+                        ) : canAccess(user, "/students/:id") ? (
+                          <Link
+                            to={`/students/${stu.id}`}
+                            state={{ from: location.pathname + location.search }}
+                            style={{ color: COLOR_PRIMARY, fontWeight: 500, textDecoration: "none" }}
+                          >
+                            <Highlight text={stu.name} terms={termsFor(searchTerms, "name")} />
+                          </Link>
+                        ) : (
+                          <Highlight text={stu.name} terms={termsFor(searchTerms, "name")} />
+                        )}
+                        <ContactMatch contact={stu.contact} terms={termsFor(searchTerms, "contact")} />
+                        <GuardianMatch student={stu} terms={termsFor(searchTerms, "guardians")} />
+                      </td>
+                      <td style={rowCss}>
+                        <Highlight text={stu.roll_number} terms={termsFor(searchTerms, "roll_number")} />
+                      </td>
+                      <td style={rowCss}>
+                        {canManage && canEditStudent(user, stu) ? (
+                          <EditableCell
+                            {...cellProps(stu, "student_class", "Class")}
+                            inputProps={{ list: "inline-class-options", style: { width: 90 } }}
+                          >
+                            <Highlight text={stu.student_class} terms={termsFor(searchTerms, "student_class")} />
+                          </EditableCell>
+                        ) : (
+                          <Highlight text={stu.student_class} terms={termsFor(searchTerms, "student_class")} />
+                        )}
+                      </td>
+                      <td style={rowCss}>
+                        {canManage && canEditStudent(user, stu) && !Object.keys(subjectMarksOf(stu)).length ? (
+                          <EditableCell
+                            {...cellProps(stu, "marks", "Marks")}
+                            inputProps={{ inputMode: "numeric", style: { width: 70 } }}
+                          >
+                            {stu.marks ?? "-"}
+                          </EditableCell>
+                        ) : (
+                          <MarksCell
+                            student={stu}
+                            view={marksView}
+                            expanded={!!expanded[stu.id]}
+                            onToggle={() => setExpanded((prev) => ({ ...prev, [stu.id]: !prev[stu.id] }))}
+                            onEdit={
+                              canManage && canEditStudent(user, stu)
+                                ? () => startEditing(cellKey(stu.id, inlineFields(stu)[2]))
+                                : undefined
+                            }
+                          />
+                        )}
+                      </td>
+                      <td style={rowCss}>
+                        <GradeBadge marks={overallMarks(stu)} scale={gradingScale} />
+                      </td>
+                      {canManage && (
+                        <td style={{ ...rowCss, minWidth: 112 }}>
+                          {canEditStudent(user, stu) ? (
+                            <>
+                              <button
+                                type="button"
+                                style={actionBtnCss({ color: "#fff", bg: COLOR_PRIMARY })}
+                                aria-label={`Edit ${stu.name}`}
+                                title="Edit"
+                                onClick={() => handleEdit(stu)}
+                              >
+                                Edit
+                              </button>
+                              <button
+                                type="button"
+                                style={actionBtnCss({ color: "#fff", bg: "#dc3545" })}
+                                aria-label={`Delete ${stu.name}`}
+                                title="Delete"
+                                onClick={() => handleDelete(stu)}
+                              >
+                                Delete
+                              </button>
+                            </>
+                          ) : (
+                            <span style={{ color: "#999", fontSize: 14 }} title="Not one of your classes">
+                              Read only
+                            </span>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                    {expanded[stu.id] && (
+                      <tr>
+                        {canManage && <td style={rowCss} />}
+                        <td colSpan={canManage ? 6 : 5} style={{ ...rowCss, paddingTop: 0 }}>
+                          <SubjectBreakdown
+                            subjectMarks={subjectMarksOf(stu)}
+                            renderMark={
+                              canManage && canEditStudent(user, stu)
+                                ? (subject, marks) => (
+                                    <EditableCell
+                                      {...cellProps(stu, SUBJECT_FIELD + subject, `${subject} marks`)}
+                                      inputProps={{ inputMode: "numeric", style: { width: 56 } }}
+                                    >
+                                      {marks}
+                                    </EditableCell>
+                                  )
+                                : undefined
+                            }
+                          />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
             </tbody>
           </table>
+          <datalist id="inline-class-options">
+            {targetClasses.map((cls) => (
+              <option key={cls} value={cls} />
+            ))}
+          </datalist>
         </div>
       )}
+
+      {/* Pager */}
+      {!fetchError && total > 0 && (
+        <Pager
+          page={page}
+          pageCount={pageCount}
+          limit={limit}
+          total={total}
+          disabled={loading}
+          onPage={(p) => updateParams({ page: p })}
+          onLimit={(l) => updateParams({ limit: l, page: 1 })}
+        />
+      )}
+
+      <ExportDialog
+        open={exportOpen}
+        columns={EXPORT_COLUMNS}
+        pageCount={filtered.length}
+        total={total}
+        busy={exporting}
+        onCancel={() => setExportOpen(false)}
+        onExport={handleExport}
+      />
+
+      <DeleteConfirmationModal
+        open={bulkDeleteOpen}
+        count={selectedCount}
+        studentName={selectedCount === 1 ? Object.values(selected)[0].name : ""}
+        onCancel={() => setBulkDeleteOpen(false)}
+        onConfirm={handleBulkDelete}
+      />
+    </div>
+  );
+}
+
+// Marks cell: plain marks for records without subjects, else average/total with a breakdown toggle.
+// With `onEdit`, double-clicking the value starts editing the subject marks.
+function MarksCell({ student, view, expanded, onToggle, onEdit }) {
+  const summary = summarizeSubjectMarks(subjectMarksOf(student));
+  if (!summary.count) return student.marks ?? "-";
+  const value = view === "total" ? summary.total : Number(summary.average.toFixed(1));
+  return (
+    <span style={{ whiteSpace: "nowrap" }}>
+      <span
+        onDoubleClick={onEdit}
+        title={onEdit ? "Double-click to edit subject marks" : undefined}
+        style={onEdit ? { cursor: "text" } : undefined}
+      >
+        {value}
+      </span>
+      <button
+        type="button"
+        style={{ ...linkBtnCss, marginLeft: 8, fontSize: 13, textDecoration: "none" }}
+        onClick={onToggle}
+        aria-expanded={expanded}
+        aria-label={`${expanded ? "Hide" : "Show"} subject marks for ${student.name}`}
+      >
+        {expanded ? "▾" : "▸"} {summary.count} subject{summary.count === 1 ? "" : "s"}
+      </button>
+    </span>
+  );
+}
+
+// Contact number under the name when the search matched it (contact has no column)
+function ContactMatch({ contact, terms }) {
+  const value = String(contact || "").toLowerCase();
+  if (!value || !terms.some((t) => value.includes(t.toLowerCase()))) return null;
+  return (
+    <div style={{ fontSize: 13, color: "#777", marginTop: 2 }}>
+      Contact: <Highlight text={contact} terms={terms} />
+    </div>
+  );
+}
+
+// Guardians the search matched by name or phone, under the name
+function GuardianMatch({ student, terms }) {
+  const matched = guardiansOf(student).filter((g) => terms.some((t) => guardianMatches(g, t)));
+  if (!matched.length) return null;
+  return (
+    <div style={{ fontSize: 13, color: "#777", marginTop: 2 }}>
+      {matched.map((g) => (
+        <div key={`${g.name}-${g.phone}`}>
+          {g.relationship || "Guardian"}: <Highlight text={g.name} terms={terms} />
+          {g.phone && ` · ${g.phone}`}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Per-subject marks shown under an expanded row; `renderMark` makes the marks editable
+function SubjectBreakdown({ subjectMarks, renderMark }) {
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+      {Object.keys(subjectMarks).map((subject) => (
+        <div
+          key={subject}
+          style={{
+            display: "flex",
+            alignItems: "baseline",
+            gap: 4,
+            background: "#f0f7ff",
+            border: "1px solid #d3e9ff",
+            borderRadius: 5,
+            padding: "3px 9px",
+            fontSize: 14,
+            color: COLOR_SECONDARY
+          }}
+        >
+          {subject}:{" "}
+          <strong style={{ color: COLOR_PRIMARY }}>
+            {renderMark ? renderMark(subject, subjectMarks[subject]) : subjectMarks[subject]}
+          </strong>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Pager below the table: prev/next, "x-y of total" and page-size select
+function Pager({ page, pageCount, limit, total, disabled, onPage, onLimit }) {
+  const first = (page - 1) * limit + 1;
+  const last = Math.min(page * limit, total);
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 14,
+        marginTop: 18,
+        fontSize: 15,
+        color: COLOR_SECONDARY
+      }}
+    >
+      <div>
+        Showing {first}–{last} of {total}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <button
+          type="button"
+          style={pagerBtnCss(disabled || page <= 1)}
+          disabled={disabled || page <= 1}
+          onClick={() => onPage(page - 1)}
+          aria-label="Previous page"
+        >
+          ‹ Prev
+        </button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <button
+          type="button"
+          style={pagerBtnCss(disabled || page >= pageCount)}
+          disabled={disabled || page >= pageCount}
+          onClick={() => onPage(page + 1)}
+          aria-label="Next page"
+        >
+          Next ›
+        </button>
+      </div>
+      <label>
+        Rows per page:&nbsp;
+        <select
+          value={limit}
+          onChange={(e) => onLimit(parseInt(e.target.value, 10))}
+          style={{
+            fontSize: 15,
+            borderRadius: 5,
+            border: "1px solid #d4d7da",
+            color: COLOR_PRIMARY,
+            padding: "3px 8px"
+          }}
+        >
+          {PAGE_SIZE_OPTIONS.map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      </label>
     </div>
   );
 }
@@ -500,6 +1603,37 @@ const tdCss = {
   background: "#fff",
 };
 
+// Cells of a row just changed by another user
+const flashTdCss = {
+  background: "#fff8e1",
+};
+
+// Inline text button (e.g. "Select all matching students")
+const linkBtnCss = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: COLOR_PRIMARY,
+  fontWeight: 600,
+  fontSize: 14.5,
+  cursor: "pointer",
+  textDecoration: "underline"
+};
+
+// Pager button styling
+function pagerBtnCss(disabled) {
+  return {
+    background: disabled ? "#f1f1f1" : "#e3e8ee",
+    color: disabled ? "#aaa" : COLOR_PRIMARY,
+    border: "none",
+    borderRadius: 5,
+    fontWeight: 600,
+    fontSize: 14,
+    padding: "6px 13px",
+    cursor: disabled ? "not-allowed" : "pointer"
+  };
+}
+
 // Action button styling
 function actionBtnCss({ color = "#fff", bg = "#1976d2" }) {
   return {
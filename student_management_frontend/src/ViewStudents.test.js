@@ -0,0 +1,108 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ViewStudents from './ViewStudents';
+import { AuthProvider } from './AuthContext';
+import { OfflineProvider } from './OfflineContext';
+import { DeletionProvider } from './DeletionContext';
+import { downloadCSV } from './csv';
+
+jest.mock('./csv', () => ({ ...jest.requireActual('./csv'), downloadCSV: jest.fn() }));
+
+const students = [
+  { id: 1, name: '=HYPERLINK("http://evil.example","Ann")', student_class: '10A', marks: 86, term: 'Final 2026' },
+  { id: 2, name: 'Bo Chen', student_class: '10A', marks: 64, term: 'Final 2026', version: 3 },
+  { id: 3, name: 'Cy Diaz', student_class: '10A', marks: 73, subject_marks: { Mathematics: 95, Science: 50 }, term: 'Final 2026', version: 7 },
+];
+
+function respond(url, opts) {
+  if (opts.method === 'PUT') return { success: true, message: 'Student updated.' };
+  if (/\/events\/changes/.test(url)) return { cursor: 0, events: [] };
+  if (/\/(terms|classes)$/.test(url)) return [];
+  return students;
+}
+
+function reply(status, body) {
+  return Promise.resolve({ ok: status < 300, status, json: () => Promise.resolve(body) });
+}
+
+const putBodies = () =>
+  global.fetch.mock.calls.filter(([, opts]) => opts && opts.method === 'PUT').map(([url, opts]) => [url, JSON.parse(opts.body)]);
+
+beforeEach(() => {
+  window.localStorage.setItem('auth', JSON.stringify({ token: 't', user: { username: 'admin', role: 'admin' } }));
+  global.fetch = jest.fn((url, opts = {}) => reply(200, respond(url, opts)));
+});
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+function renderPage() {
+  return render(
+    <MemoryRouter>
+      <AuthProvider>
+        <OfflineProvider>
+          <DeletionProvider>
+            <ViewStudents />
+          </DeletionProvider>
+        </OfflineProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+test('a plain CSV export neutralizes names that would run as formulas', async () => {
+  renderPage();
+  await screen.findAllByText(/HYPERLINK/);
+  fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+  const dialog = screen.getByRole('dialog', { name: 'Export students' });
+  fireEvent.click(screen.getByLabelText('CSV'));
+  fireEvent.click(Array.from(dialog.querySelectorAll('button')).find((b) => b.textContent === 'Export'));
+
+  await waitFor(() => expect(downloadCSV).toHaveBeenCalled());
+  const [text] = downloadCSV.mock.calls[0];
+  expect(text).toContain(`"'=HYPERLINK(""http://evil.example"",""Ann"")"`);
+  expect(text).not.toMatch(/(^|,)"?=HYPERLINK/m);
+});
+
+test('inline saves keep the version when the backend answers without the record', async () => {
+  renderPage();
+  const editMarks = (value) => {
+    fireEvent.doubleClick(screen.getByRole('button', { name: /Marks for Bo Chen/ }));
+    fireEvent.change(screen.getByLabelText('Marks for Bo Chen'), { target: { value } });
+    fireEvent.keyDown(screen.getByLabelText('Marks for Bo Chen'), { key: 'Enter' });
+  };
+
+  await screen.findByText('Bo Chen');
+  editMarks('70');
+  await waitFor(() => expect(putBodies()).toHaveLength(1));
+  await waitFor(() => expect(screen.queryByText('Saving…')).toBeNull());
+  editMarks('72');
+  await waitFor(() => expect(putBodies()).toHaveLength(2));
+  expect(putBodies().map(([, b]) => [b.marks, b.version])).toEqual([[70, 3], [72, 3]]);
+});
+
+test('bulk marks adjust each subject and report the students that failed', async () => {
+  global.fetch.mockImplementation((url, opts = {}) =>
+    opts.method === 'PUT' && /\/students\/2$/.test(url)
+      ? reply(422, { message: 'Marks are locked for this student.' })
+      : reply(200, respond(url, opts))
+  );
+  renderPage();
+  await screen.findByText('Bo Chen');
+  fireEvent.click(screen.getByLabelText('Select Bo Chen'));
+  fireEvent.click(screen.getByLabelText('Select Cy Diaz'));
+  fireEvent.change(screen.getByLabelText('Points to add'), { target: { value: '10' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply marks' }));
+
+  expect(await screen.findByText('Updated marks for 1 of 2 students. 1 failed.')).toBeInTheDocument();
+  expect(screen.getByText(/Marks are locked for this student\./)).toHaveTextContent('Bo Chen: Marks are locked for this student.');
+  expect(putBodies()).toEqual([
+    [expect.stringMatching(/\/students\/2$/), expect.objectContaining({ marks: 74, version: 3 })],
+    [expect.stringMatching(/\/students\/3$/), expect.objectContaining({ subject_marks: { Mathematics: 100, Science: 60 }, marks: 80, version: 7 })],
+  ]);
+  // Only the failed student stays selected, ready for a retry
+  expect(screen.getByLabelText('Select Bo Chen')).toBeChecked();
+  expect(screen.getByLabelText('Select Cy Diaz')).not.toBeChecked();
+});
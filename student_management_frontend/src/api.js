@@ -0,0 +1,763 @@
+import { isPersistent, readValue, writeValue, deleteValue } from "./offlineStore";
+import { enqueue, getOutbox, removeEntry } from "./outbox";
+
+/**
+ * PUBLIC_INTERFACE
+ * Students API client shared by every page.
+ *
+ * Wraps the backend `/students` endpoints (list, get, create, update, delete),
+ * builds sort/filter query strings and normalizes the backend's response shapes:
+ * - list responses may be a bare array or `{ data: [...] }`
+ * - single records may be a bare object or `{ success, data }`
+ * - errors may carry `message` or a `detail` string/array (validation errors)
+ * Every failure is thrown as an `ApiError`.
+ *
+ * Once signed in (see AuthContext) every request carries `Authorization: Bearer <token>`;
+ * a 401 response notifies the handler registered with onUnauthorized().
+ *
+ * Offline mode: student reads are cached in IndexedDB and served from there (with their
+ * `savedAt` time) when the backend is unreachable; creates, updates and deletes made while
+ * unreachable are queued in the outbox (outbox.js) and sent in order by replayOutbox().
+ */
+export const API_BASE = process.env.REACT_APP_API_BASE || "http://localhost:3001";
+
+/**
+ * PUBLIC_INTERFACE
+ * Error thrown by every API call.
+ *
+ * @property {number} status HTTP status code (0 when the request never reached the server)
+ * @property {Array<{field: string, msg: string}>} details Field-level validation messages, if any
+ * @property {*} data Raw response body, if one could be parsed
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = [], data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+    this.data = data;
+  }
+}
+
+// Bearer token sent with every request, and the handler told about rejected tokens
+let authToken = null;
+let unauthorizedHandler = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * Set (or clear, with null) the bearer token sent with every request.
+ * @param {?string} token
+ */
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Register the function called with the ApiError when a request gets a 401 (expired or
+ * revoked token). Pass null to unregister.
+ * @param {?function(ApiError): void} handler
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+// Whether the last request reached the backend, and who wants to know when that changes
+let reachable = true;
+const connectivityListeners = new Set();
+
+function setReachable(value) {
+  if (value === reachable) return;
+  reachable = value;
+  connectivityListeners.forEach((fn) => fn(value));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Be told when the backend becomes unreachable (false) or reachable again (true).
+ * Returns an unsubscribe function.
+ * @param {function(boolean): void} handler
+ */
+export function onConnectivityChange(handler) {
+  connectivityListeners.add(handler);
+  return () => connectivityListeners.delete(handler);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether the most recent request reached the backend.
+ */
+export function isReachable() {
+  return reachable;
+}
+
+// Map client-side param names onto the backend query parameters
+const QUERY_PARAMS = {
+  sortBy: "sort_by",
+  sortOrder: "order",
+  studentClass: "class",
+  minMarks: "min_marks",
+  maxMarks: "max_marks",
+  page: "page",
+  limit: "limit",
+  studentId: "student_id",
+  search: "q",
+};
+
+/**
+ * Build a query string from list params, skipping empty values.
+ * @param {Object} params e.g. { sortBy: "marks", sortOrder: "desc", studentClass: "10A" }
+ * @returns {string} "" or "?sort_by=marks&order=desc&class=10A"
+ */
+export function buildQuery(params = {}) {
+  const parts = [];
+  for (const key of Object.keys(params)) {
+    const value = params[key];
+    if (value === undefined || value === null || value === "") continue;
+    const name = QUERY_PARAMS[key] || key;
+    parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+  }
+  return parts.length ? "?" + parts.join("&") : "";
+}
+
+// Turn a FastAPI-style `detail` (string or [{loc, msg}]) into field messages
+function normalizeDetails(detail) {
+  if (!Array.isArray(detail)) return [];
+  return detail.map((d) => ({
+    field: Array.isArray(d.loc) ? String(d.loc[d.loc.length - 1]) : "",
+    msg: d.msg || String(d),
+  }));
+}
+
+function errorMessage(data, fallback) {
+  if (data && data.message) return data.message;
+  if (data && data.detail) {
+    const detail = Array.isArray(data.detail)
+      ? data.detail.map((d) => d.msg).join("; ")
+      : data.detail;
+    return `${fallback} ${detail}`;
+  }
+  return fallback;
+}
+
+// Unwrap `{ data: ... }` envelopes; bare payloads are returned as-is
+function unwrap(data) {
+  if (data && typeof data === "object" && !Array.isArray(data) && "data" in data) {
+    return data.data;
+  }
+  return data;
+}
+
+/**
+ * Low-level request helper.
+ * @param {string} path Path below API_BASE, e.g. "/students/3"
+ * @param {Object} options
+ * @param {string} [options.method]
+ * @param {Object} [options.body] JSON body
+ * @param {string} [options.fallback] Error message when the backend gives none
+ * @param {boolean} [options.requireSuccess] Treat a body without `success: true` as failure
+ * @param {boolean} [options.anonymous] Send no token and skip the 401 handler (sign-in)
+ * @param {Object} [options.headers] Extra request headers
+ * @param {boolean} [options.withEtag] Resolve with `{ data, etag }` instead of the body
+ */
+async function request(
+  path,
+  {
+    method = "GET",
+    body,
+    fallback = "Request failed.",
+    requireSuccess = false,
+    anonymous = false,
+    headers: extraHeaders,
+    withEtag = false,
+  } = {}
+) {
+  const headers = { ...extraHeaders };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (authToken && !anonymous) headers.Authorization = `Bearer ${authToken}`;
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    setReachable(false);
+    throw new ApiError("Network or server error.");
+  }
+  setReachable(true);
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (e) {
+    // Empty or non-JSON body; leave data as null
+  }
+
+  if (!res.ok || (requireSuccess && !(data && data.success))) {
+    let message = fallback;
+    if (res.status === 401 && !anonymous) message = "Your session has expired. Please sign in again.";
+    else if (res.status === 403) message = "You do not have permission to do that.";
+    const err = new ApiError(errorMessage(data, message), {
+      status: res.status,
+      details: normalizeDetails(data && data.detail),
+      data,
+    });
+    if (res.status === 401 && !anonymous && unauthorizedHandler) unauthorizedHandler(err);
+    throw err;
+  }
+  if (withEtag) return { data, etag: (res.headers && res.headers.get && res.headers.get("ETag")) || null };
+  return data;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether an update failed because the record changed since it was loaded
+ * (409 Conflict or 412 Precondition Failed on a versioned PUT).
+ * @param {*} err
+ */
+export function isConflict(err) {
+  return err instanceof ApiError && (err.status === 409 || err.status === 412);
+}
+
+// Most paths kept in the offline cache; every search, filter and page is its own path
+const CACHE_LIMIT = 50;
+const CACHE_INDEX_KEY = "cache-index";
+// Cached paths, most recently saved first (loaded on first use)
+let cacheIndex = null;
+
+// Move a path to the front of the cache index and drop the entries past CACHE_LIMIT
+function rememberCached(path) {
+  cacheIndex = (cacheIndex || readValue(CACHE_INDEX_KEY).then((list) => (Array.isArray(list) ? list : [])))
+    .then((list) => {
+      const next = [path, ...list.filter((p) => p !== path)];
+      next.slice(CACHE_LIMIT).forEach((p) => deleteValue(`cache:${p}`));
+      writeValue(CACHE_INDEX_KEY, next.slice(0, CACHE_LIMIT));
+      return next.slice(0, CACHE_LIMIT);
+    });
+  return cacheIndex;
+}
+
+// GET with the offline cache: successful bodies are saved per path (when IndexedDB is
+// available) and served with their `savedAt` time if the backend cannot be reached.
+// Only the CACHE_LIMIT most recently loaded paths are kept.
+async function cachedGet(path, options) {
+  try {
+    const result = await request(path, { ...options, withEtag: true });
+    if (isPersistent()) {
+      writeValue(`cache:${path}`, { ...result, savedAt: new Date().toISOString() });
+      rememberCached(path);
+    }
+    return { ...result, savedAt: null };
+  } catch (err) {
+    const cached = err.status === 0 ? await readValue(`cache:${path}`) : undefined;
+    if (!cached) throw err;
+    return cached;
+  }
+}
+
+// Result of a mutation that was queued instead of sent
+const QUEUED = {
+  success: true,
+  queued: true,
+  message: "Saved offline. It will be sent when the connection returns.",
+};
+
+// Per-type senders used for direct sends and outbox replay
+const SENDERS = {
+  create: (entry) =>
+    request("/students", {
+      method: "POST",
+      body: entry.body,
+      fallback: "Failed to save student.",
+      requireSuccess: true,
+    }),
+  update: (entry) =>
+    request(`/students/${encodeURIComponent(entry.studentId)}`, {
+      method: "PUT",
+      body: entry.body,
+      fallback: "Failed to update student.",
+      requireSuccess: true,
+      headers:
+        entry.version !== undefined && entry.version !== null ? { "If-Match": String(entry.version) } : undefined,
+    }),
+  delete: (entry) =>
+    request(`/students/${encodeURIComponent(entry.studentId)}`, {
+      method: "DELETE",
+      fallback: "Failed to delete student.",
+      requireSuccess: true,
+    }),
+  restore: (entry) =>
+    request(`/students/${encodeURIComponent(entry.studentId)}/restore`, {
+      method: "POST",
+      fallback: "Failed to restore student.",
+      requireSuccess: true,
+    }),
+};
+
+let replaying = false;
+
+// Send a mutation, or queue it when the backend is unreachable. While older changes are
+// still queued new ones go to the back of the queue so the server sees them in order.
+async function sendOrQueue(entry) {
+  if (getOutbox().length) {
+    enqueue(entry);
+    return QUEUED;
+  }
+  try {
+    return await SENDERS[entry.type](entry);
+  } catch (err) {
+    if (err.status !== 0) throw err;
+    enqueue(entry);
+    return QUEUED;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Send the queued mutations in order. Stops (keeping the rest queued) at the first
+ * network failure or 401, so an expired session keeps the queue for after the next sign-in;
+ * entries the server rejects (conflicts, validation, permissions) are dropped from the queue
+ * and returned in `failed` so they can be shown to the user.
+ * Resolves null when a replay is already running.
+ * @returns {Promise<?{sent: number, failed: Array<{entry: Object, error: ApiError}>, remaining: number}>}
+ */
+export async function replayOutbox() {
+  if (replaying) return null;
+  replaying = true;
+  const result = { sent: 0, failed: [], remaining: 0 };
+  try {
+    while (getOutbox().length) {
+      const entry = getOutbox()[0];
+      try {
+        await SENDERS[entry.type](entry);
+        result.sent += 1;
+      } catch (err) {
+        if (err.status === 0 || err.status === 401) break;
+        result.failed.push({ entry, error: err });
+      }
+      removeEntry(entry.id);
+    }
+  } finally {
+    replaying = false;
+  }
+  result.remaining = getOutbox().length;
+  return result;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * URL of the Server-Sent Events stream of student changes (see liveUpdates.js).
+ * EventSource cannot send an Authorization header, so the token goes in the query string.
+ */
+export function studentEventsUrl() {
+  return `${API_BASE}/events${authToken ? `?access_token=${encodeURIComponent(authToken)}` : ""}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Student changes after `cursor` (GET /events/changes), for polling when the event stream
+ * is unavailable. Without a cursor only the current one is returned, with no events.
+ * @param {number|null} cursor From the previous call
+ * @returns {Promise<{cursor: number, events: Array<Object>}>} Events as sent on the stream
+ */
+export async function listStudentChanges(cursor) {
+  const data = unwrap(
+    await request(`/events/changes${buildQuery({ after: cursor })}`, { fallback: "Could not load changes." })
+  );
+  return { cursor: data.cursor, events: Array.isArray(data.events) ? data.events : [] };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Sign in. Accepts `{ token | access_token, user }` bodies (optionally in a `data` envelope),
+ * where user is `{ username, name?, role: "admin"|"teacher"|"viewer", classes?: string[] }`.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{token: string, user: Object}>}
+ */
+export async function login(username, password) {
+  const data = unwrap(
+    await request("/auth/login", {
+      method: "POST",
+      body: { username, password },
+      fallback: "Invalid username or password.",
+      anonymous: true,
+    })
+  );
+  const token = data && (data.token || data.access_token);
+  if (!token) throw new ApiError("Sign-in failed: no token received.", { status: 200, data });
+  const user = data.user || { username, role: data.role, classes: data.classes };
+  return { token, user: { ...user, classes: user.classes || [] } };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * List students with optional sort/filter params. `search` is sent as `q` and matched by the
+ * backend against name, roll number, class, contact and guardians (syntax in search.js). With `term`,
+ * only students with a result in that term are listed, showing that result (see terms.js).
+ * @param {{search?: string, sortBy?: string, sortOrder?: "asc"|"desc", studentClass?: string, minMarks?: (string|number), maxMarks?: (string|number), term?: string}} [params]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listStudents(params = {}) {
+  const { data } = await cachedGet(`/students${buildQuery(params)}`, {
+    fallback: "Failed to fetch students.",
+  });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * List one page of students.
+ *
+ * Sends `page` (1-based) and `limit` to the backend and accepts a paginated body
+ * (`{ data|items: [...], total }`). A backend that ignores the params and returns
+ * the full array is paged client-side so callers always get the same shape.
+ * When offline, the page saved the last time it was loaded is returned with `savedAt` set.
+ * @param {Object} params Same as listStudents, plus `page` and `limit`
+ * @returns {Promise<{items: Array<Object>, total: number, page: number, limit: number, savedAt?: string}>}
+ */
+export async function listStudentsPage(params = {}) {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.max(1, parseInt(params.limit, 10) || 25);
+  const { data, savedAt } = await cachedGet(`/students${buildQuery({ ...params, page, limit })}`, {
+    fallback: "Failed to fetch students.",
+  });
+  return savedAt ? { ...toPage(data, page, limit), savedAt } : toPage(data, page, limit);
+}
+
+// Normalize a paginated body (or a bare array, paged locally) to { items, total, page, limit }
+function toPage(data, page, limit) {
+  if (Array.isArray(data)) {
+    const start = (page - 1) * limit;
+    return { items: data.slice(start, start + limit), total: data.length, page, limit };
+  }
+  const items = Array.isArray(data && data.items) ? data.items : unwrap(data);
+  const list = Array.isArray(items) ? items : [];
+  const total = Number(data && (data.total ?? data.count));
+  return { items: list, total: Number.isFinite(total) ? total : list.length, page, limit };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Fetch one student by id.
+ * @param {(string|number)} id
+ * @returns {Promise<Object>}
+ */
+export async function getStudent(id) {
+  return (await getStudentWithVersion(id)).student;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Fetch one student together with its version, for a later updateStudent(id, body, { version }).
+ * The version is the response's ETag header, else the record's `version` field, else null
+ * (backend without concurrency control).
+ * @param {(string|number)} id
+ * @returns {Promise<{student: Object, version: ?(string|number)}>}
+ */
+export async function getStudentWithVersion(id) {
+  const { data, etag } = await cachedGet(`/students/${encodeURIComponent(id)}`, {
+    fallback: "Could not load student data.",
+  });
+  const student = data && data.success === false ? null : unwrap(data);
+  if (!student || typeof student !== "object") {
+    throw new ApiError("Invalid response", { status: 200, data });
+  }
+  return { student, version: etag || (student.version ?? null) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Build the PUT body for a student record, optionally overriding some fields.
+ * Mirrors what EditStudent sends: name, student_class, marks, gender, contact, plus
+ * subject_marks and guardians and the record's `version` (so stale bulk edits are rejected).
+ * Marks passed as overrides are recorded in the current term, or in the `term` override when
+ * editing a term view. Without new marks the record's own `term` is sent, so its result stays
+ * where it is rather than being copied into the current term.
+ * @param {Object} student Student record as returned by the list/get endpoints
+ * @param {Object} [overrides]
+ */
+export function toUpdatePayload(student, overrides = {}) {
+  const merged = { ...student, ...overrides };
+  const payload = {
+    name: (merged.name || "").trim(),
+    student_class: (merged.student_class || "").trim(),
+    marks: parseInt(merged.marks, 10),
+    gender: merged.gender || "",
+    contact: (merged.contact || "").trim(),
+  };
+  if (merged.subject_marks) payload.subject_marks = merged.subject_marks;
+  if (Array.isArray(merged.guardians)) payload.guardians = merged.guardians;
+  if (merged.version !== undefined && merged.version !== null) payload.version = merged.version;
+  const marksChanged = "marks" in overrides || "subject_marks" in overrides;
+  if (overrides.term) payload.term = overrides.term;
+  else if (!marksChanged && merged.term) payload.term = merged.term;
+  return payload;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Create a student. Resolves with the backend body (`{ success, message, data? }`), or
+ * `{ success, queued: true, message }` when it was queued offline.
+ * A duplicate roll number surfaces as an ApiError with status 409.
+ * @param {Object} student
+ */
+export function createStudent(student) {
+  return sendOrQueue({ type: "create", body: student, label: student.name });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Update a student by id. With `options.version` (from getStudentWithVersion) the request
+ * carries `If-Match`, and a record changed by someone else in the meantime fails with a
+ * 409/412 ApiError (see isConflict) whose `data` may hold the current record.
+ * Queued offline like createStudent; the version goes with it, so a replay onto a record
+ * changed meanwhile is reported as a conflict.
+ * @param {(string|number)} id
+ * @param {Object} student
+ * @param {{version?: (string|number)}} [options]
+ */
+export function updateStudent(id, student, { version } = {}) {
+  return sendOrQueue({ type: "update", studentId: id, body: student, version, label: student.name });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Delete a student by id. Queued offline like createStudent.
+ * @param {(string|number)} id
+ * @param {{label?: string}} [options] Name shown for the queued change
+ */
+export function deleteStudent(id, { label } = {}) {
+  return sendOrQueue({ type: "delete", studentId: id, label: label || `#${id}` });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Bring back a deleted student under its original id, so its exam history, attendance and
+ * audit trail stay attached. Fails with 404 when the backend no longer has the record and
+ * 409 when its roll number was taken since. Queued offline like createStudent.
+ * @param {(string|number)} id
+ * @param {{label?: string}} [options] Name shown for the queued change
+ */
+export function restoreStudent(id, { label } = {}) {
+  return sendOrQueue({ type: "restore", studentId: id, label: label || `#${id}` });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * List one page of audit entries, newest first.
+ *
+ * Entries look like `{ id, action: "create"|"update"|"delete", student_id, student_name,
+ * actor, actor_role, timestamp, changes: [{ field, before, after }] }`; subject marks
+ * appear as fields named `subject_marks.<Subject>`.
+ * @param {{studentId?: (string|number), actor?: string, action?: string, from?: string, to?: string, page?: number, limit?: number}} [params]
+ *   `from`/`to` are YYYY-MM-DD dates (inclusive)
+ * @returns {Promise<{items: Array<Object>, total: number, page: number, limit: number}>}
+ */
+export async function listAudit(params = {}) {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.max(1, parseInt(params.limit, 10) || 25);
+  const data = await request(`/audit${buildQuery({ ...params, page, limit })}`, {
+    fallback: "Failed to load activity.",
+  });
+  return toPage(data, page, limit);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Attendance of one class on one date: `[{ student_id, status }]` for the students
+ * marked so far (status is "present", "absent", "late" or "excused").
+ * @param {string} studentClass
+ * @param {string} date YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAttendance(studentClass, date) {
+  const data = await request(`/attendance${buildQuery({ studentClass, date })}`, {
+    fallback: "Could not load attendance.",
+  });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : (list && list.records) || [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Save the attendance of one class on one date. Students left out (or with an empty
+ * status) are unmarked.
+ * @param {string} studentClass
+ * @param {string} date YYYY-MM-DD
+ * @param {Array<{student_id: *, status: string}>} records
+ */
+export function saveAttendance(studentClass, date, records) {
+  return request("/attendance", {
+    method: "PUT",
+    body: { class: studentClass, date, records },
+    fallback: "Failed to save attendance.",
+    requireSuccess: true,
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Per-student attendance counts: `[{ student_id, student_class, present, absent, late, excused }]`
+ * (see attendance.js to turn them into rates).
+ * @param {{studentId?: (string|number), studentClass?: string}} [params]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAttendanceSummary(params = {}) {
+  const data = await request(`/attendance/summary${buildQuery(params)}`, {
+    fallback: "Could not load attendance.",
+  });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Academic terms `[{ name, starts_on }]` (sort with sortTerms() in terms.js).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listTerms() {
+  const data = await request("/terms", { fallback: "Could not load terms." });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Add an academic term (admin). It must start after the current term and becomes the
+ * term new marks are recorded in. Resolves with the updated term list.
+ * @param {{name: string, starts_on: string}} term starts_on is YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export async function createTerm(term) {
+  const data = await request("/terms", {
+    method: "POST",
+    body: term,
+    fallback: "Failed to add the term.",
+    requireSuccess: true,
+  });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Move students to new classes in one batch (admin). Either every move is applied or none:
+ * when a student changed since its `version` was read the backend answers 412 (see isConflict).
+ * @param {Array<{student_id: *, to_class: string, version?: number}>} moves
+ * @returns {Promise<Object>} The batch: { id, actor, created_at, rolled_back_at, moves: [{ student_id, name, from_class, to_class }] }
+ */
+export async function promoteStudents(moves) {
+  const data = await request("/promotions", {
+    method: "POST",
+    body: { moves },
+    fallback: "Failed to promote students.",
+    requireSuccess: true,
+  });
+  return unwrap(data);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Applied promotion batches, newest first (admin).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPromotions() {
+  const data = await request("/promotions", { fallback: "Could not load promotions." });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Undo a promotion batch: students still in their new class go back to the old one.
+ * @param {(string|number)} id
+ * @returns {Promise<{batch: Object, restored: number, skipped: Array<Object>}>} skipped moves carry a `reason`
+ */
+export async function rollbackPromotion(id) {
+  const data = await request(`/promotions/${encodeURIComponent(id)}/rollback`, {
+    method: "POST",
+    fallback: "Failed to roll back the promotion.",
+    requireSuccess: true,
+  });
+  return unwrap(data);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Class catalog `[{ name, grade, section, teacher, capacity }]` (sort with sortClasses() in classes.js).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listClasses() {
+  const data = await request("/classes", { fallback: "Could not load classes." });
+  const list = unwrap(data);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Add a class to the catalog (admin). The backend answers 409 when a spelling of it
+ * ("10-A" for "10A") is already listed.
+ * @param {{name: string, grade?: number, section?: string, teacher?: string, capacity?: number}} cls
+ * @returns {Promise<Object>} The stored class
+ */
+export async function createClass(cls) {
+  const data = await request("/classes", {
+    method: "POST",
+    body: cls,
+    fallback: "Failed to add the class.",
+    requireSuccess: true,
+  });
+  return unwrap(data);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Change a class's grade, section, teacher or capacity (admin). Its name stays.
+ * @param {string} name
+ * @param {Object} cls
+ * @returns {Promise<Object>} The stored class
+ */
+export async function updateClass(name, cls) {
+  const data = await request(`/classes/${encodeURIComponent(name)}`, {
+    method: "PUT",
+    body: cls,
+    fallback: "Failed to update the class.",
+    requireSuccess: true,
+  });
+  return unwrap(data);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Remove a class from the catalog (admin); refused (409) while students are in it.
+ * @param {string} name
+ */
+export async function deleteClass(name) {
+  await request(`/classes/${encodeURIComponent(name)}`, {
+    method: "DELETE",
+    fallback: "Failed to remove the class.",
+    requireSuccess: true,
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Move the students of every `from` spelling into the catalog class `into` (admin); the
+ * merged spellings leave the catalog. Each moved student gets an audit entry.
+ * @param {string} into
+ * @param {Array<string>} from Class names exactly as stored on the students
+ * @returns {Promise<{into: string, moved: number, classes: Array<Object>}>}
+ */
+export async function mergeClasses(into, from) {
+  const data = await request("/classes/merge", {
+    method: "POST",
+    body: { into, from },
+    fallback: "Failed to merge the classes.",
+    requireSuccess: true,
+  });
+  return unwrap(data);
+}
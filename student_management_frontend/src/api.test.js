@@ -0,0 +1,184 @@
+import {
+  buildQuery, listStudents, listStudentsPage, getStudent, createStudent, ApiError,
+  login, setAuthToken, onUnauthorized, listAudit, getStudentWithVersion, updateStudent, isConflict,
+  deleteStudent, replayOutbox, toUpdatePayload,
+} from './api';
+import { getOutbox, setOutboxOwner } from './outbox';
+
+function mockFetch(status, body) {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      json: () => (body === undefined ? Promise.reject(new Error('empty')) : Promise.resolve(body)),
+    })
+  );
+}
+
+beforeAll(() => {
+  setOutboxOwner('admin');
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('buildQuery maps params and skips empty values', () => {
+  expect(buildQuery({ sortBy: 'marks', sortOrder: 'desc', studentClass: '10 A', minMarks: '' }))
+    .toBe('?sort_by=marks&order=desc&class=10%20A');
+  expect(buildQuery({})).toBe('');
+});
+
+test('listStudents accepts bare arrays and data envelopes', async () => {
+  mockFetch(200, [{ id: 1 }]);
+  await expect(listStudents()).resolves.toEqual([{ id: 1 }]);
+  mockFetch(200, { success: true, data: [{ id: 2 }] });
+  await expect(listStudents()).resolves.toEqual([{ id: 2 }]);
+});
+
+test('listStudentsPage reads paged bodies and pages bare arrays locally', async () => {
+  mockFetch(200, { data: [{ id: 1 }], total: 41 });
+  await expect(listStudentsPage({ page: 2, limit: 10 })).resolves.toEqual({
+    items: [{ id: 1 }], total: 41, page: 2, limit: 10,
+  });
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/students\?page=2&limit=10$/);
+  mockFetch(200, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  await expect(listStudentsPage({ page: 2, limit: 2 })).resolves.toEqual({
+    items: [{ id: 3 }], total: 3, page: 2, limit: 2,
+  });
+});
+
+test('getStudent unwraps data envelopes and bare objects', async () => {
+  mockFetch(200, { success: true, data: { id: 3, name: 'Ann' } });
+  await expect(getStudent(3)).resolves.toEqual({ id: 3, name: 'Ann' });
+  mockFetch(200, { id: 4, name: 'Bo' });
+  await expect(getStudent(4)).resolves.toEqual({ id: 4, name: 'Bo' });
+});
+
+test('validation detail arrays become an ApiError with field details', async () => {
+  mockFetch(422, { detail: [{ loc: ['body', 'marks'], msg: 'must be <= 100' }] });
+  const err = await createStudent({}).catch((e) => e);
+  expect(err).toBeInstanceOf(ApiError);
+  expect(err.status).toBe(422);
+  expect(err.message).toBe('Failed to save student. must be <= 100');
+  expect(err.details).toEqual([{ field: 'marks', msg: 'must be <= 100' }]);
+});
+
+test('mutations without success flag and network failures throw ApiError', async () => {
+  mockFetch(200, { success: false, message: 'Duplicate' });
+  await expect(createStudent({})).rejects.toThrow('Duplicate');
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await expect(listStudents()).rejects.toMatchObject({ status: 0, message: 'Network or server error.' });
+});
+
+test('requests carry the bearer token and a 401 reports to the unauthorized handler', async () => {
+  const handler = jest.fn();
+  onUnauthorized(handler);
+  setAuthToken('abc');
+  mockFetch(200, []);
+  await listStudents();
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer abc');
+  mockFetch(401, {});
+  await expect(listStudents()).rejects.toThrow('Your session has expired. Please sign in again.');
+  expect(handler).toHaveBeenCalledTimes(1);
+  mockFetch(403, {});
+  await expect(getStudent(1)).rejects.toMatchObject({ status: 403, message: 'You do not have permission to do that.' });
+  setAuthToken(null);
+  onUnauthorized(null);
+});
+
+test('login sends no token and reads token and user from the response', async () => {
+  const handler = jest.fn();
+  onUnauthorized(handler);
+  setAuthToken('stale');
+  mockFetch(200, { success: true, data: { access_token: 't1', user: { username: 'ann', role: 'teacher' } } });
+  await expect(login('ann', 'pw')).resolves.toEqual({
+    token: 't1', user: { username: 'ann', role: 'teacher', classes: [] },
+  });
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  mockFetch(401, {});
+  await expect(login('ann', 'bad')).rejects.toThrow('Invalid username or password.');
+  expect(handler).not.toHaveBeenCalled();
+  setAuthToken(null);
+  onUnauthorized(null);
+});
+
+test('listAudit sends the audit filters and reads paged bodies', async () => {
+  mockFetch(200, { data: [{ id: 7, action: 'update' }], total: 30 });
+  await expect(listAudit({ studentId: 4, action: 'update', from: '2024-05-01', page: 2, limit: 10 })).resolves.toEqual({
+    items: [{ id: 7, action: 'update' }], total: 30, page: 2, limit: 10,
+  });
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/audit\?student_id=4&action=update&from=2024-05-01&page=2&limit=10$/);
+});
+
+test('versioned reads and writes use the ETag and report conflicts', async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, headers: { get: () => '"4"' }, json: () => Promise.resolve({ id: 1 }) })
+  );
+  await expect(getStudentWithVersion(1)).resolves.toEqual({ student: { id: 1 }, version: '"4"' });
+  mockFetch(200, { id: 2, version: 7 });
+  await expect(getStudentWithVersion(2)).resolves.toEqual({ student: { id: 2, version: 7 }, version: 7 });
+  mockFetch(412, { success: false, message: 'Changed' });
+  const err = await updateStudent(1, {}, { version: '"4"' }).catch((e) => e);
+  expect(global.fetch.mock.calls[0][1].headers['If-Match']).toBe('"4"');
+  expect(isConflict(err)).toBe(true);
+  expect(isConflict(new ApiError('x', { status: 500 }))).toBe(false);
+});
+
+test('toUpdatePayload keeps unchanged marks in their term and new marks in the current or chosen term', () => {
+  const stu = { name: 'Ann', student_class: '10A', marks: 72, term: 'Midterm 2026', version: 4 };
+  expect(toUpdatePayload(stu, { student_class: '10B' })).toMatchObject({ student_class: '10B', marks: 72, term: 'Midterm 2026' });
+  expect(toUpdatePayload(stu, { marks: 75 })).not.toHaveProperty('term');
+  expect(toUpdatePayload(stu, { marks: 75, term: 'Final 2026' })).toMatchObject({ marks: 75, term: 'Final 2026', version: 4 });
+});
+
+test('mutations made offline are queued and replayed in order, reporting rejected ones', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await expect(createStudent({ name: 'Ann' })).resolves.toMatchObject({ queued: true });
+  // Later changes queue behind earlier ones even before a request fails
+  mockFetch(200, { success: true });
+  await updateStudent(4, { name: 'Bo' }, { version: 2 });
+  await deleteStudent(5, { label: 'Cy' });
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(getOutbox().map((e) => [e.type, e.label])).toEqual([['create', 'Ann'], ['update', 'Bo'], ['delete', 'Cy']]);
+
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: true, status: 201, json: () => Promise.resolve({ success: true }) })
+    .mockResolvedValueOnce({ ok: false, status: 412, json: () => Promise.resolve({ message: 'Changed' }) })
+    .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ success: true }) });
+  const result = await replayOutbox();
+  expect(global.fetch.mock.calls.map(([url, opts]) => [opts.method, url.replace(/^.*\/students/, '')]))
+    .toEqual([['POST', ''], ['PUT', '/4'], ['DELETE', '/5']]);
+  expect(global.fetch.mock.calls[1][1].headers['If-Match']).toBe('2');
+  expect(result.sent).toBe(2);
+  expect(result.failed.map((f) => [f.entry.label, isConflict(f.error)])).toEqual([['Bo', true]]);
+  expect(getOutbox()).toEqual([]);
+});
+
+test('an expired session stops the replay and keeps the queue', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await createStudent({ name: 'Di' });
+  await deleteStudent(6, { label: 'Ed' });
+  const handler = jest.fn();
+  onUnauthorized(handler);
+  mockFetch(401, { detail: 'Token expired' });
+  const result = await replayOutbox();
+  onUnauthorized(null);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(handler).toHaveBeenCalled();
+  expect(result).toMatchObject({ sent: 0, failed: [], remaining: 2 });
+  expect(getOutbox().map((e) => e.label)).toEqual(['Di', 'Ed']);
+});
+
+test('queued changes are only visible to and replayed for the user who made them', async () => {
+  expect(getOutbox().map((e) => [e.label, e.owner])).toEqual([['Di', 'admin'], ['Ed', 'admin']]);
+  setOutboxOwner('teacher');
+  expect(getOutbox()).toEqual([]);
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await deleteStudent(8, { label: 'Fay' });
+  expect(getOutbox().map((e) => [e.label, e.owner])).toEqual([['Fay', 'teacher']]);
+  setOutboxOwner(null);
+  expect(getOutbox()).toEqual([]);
+  setOutboxOwner('admin');
+  expect(getOutbox().map((e) => e.label)).toEqual(['Di', 'Ed']);
+});
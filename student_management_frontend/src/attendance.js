@@ -0,0 +1,132 @@
+/**
+ * PUBLIC_INTERFACE
+ * Attendance statuses, rates and summaries shared by the Attendance page, the student
+ * profile and Analytics.
+ *
+ * The backend keeps one status per student and date. Summaries count each status per
+ * student; the attendance rate is (present + late) / (present + late + absent), so excused
+ * days do not count against a student.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Statuses in roster order: { key, label, short, color }.
+ */
+export const ATTENDANCE_STATUSES = [
+  { key: "present", label: "Present", short: "P", color: "#2e7d32" },
+  { key: "absent", label: "Absent", short: "A", color: "#b80000" },
+  { key: "late", label: "Late", short: "L", color: "#a36b00" },
+  { key: "excused", label: "Excused", short: "E", color: "#546e7a" },
+];
+
+const STATUS_KEYS = ATTENDANCE_STATUSES.map((s) => s.key);
+
+/**
+ * PUBLIC_INTERFACE
+ * Rate (percent) below which a student is listed as low attendance.
+ */
+export const LOW_ATTENDANCE_RATE = 75;
+
+// Students with fewer recorded days are not flagged yet
+const MIN_DAYS_FOR_ALERT = 3;
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether a value is a known status.
+ * @param {string} status
+ */
+export function isAttendanceStatus(status) {
+  return STATUS_KEYS.includes(status);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Today's date as YYYY-MM-DD in local time (the value of a date input).
+ */
+export function todayISO() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Roster of one class and date from the backend as { [studentId]: status }.
+ * @param {Array<Object>} records [{ student_id, status }]
+ */
+export function rosterStatuses(records) {
+  const map = {};
+  for (const r of records || []) {
+    if (r && isAttendanceStatus(r.status)) map[r.student_id ?? r.studentId] = r.status;
+  }
+  return map;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Normalize a per-student summary from the backend.
+ * @param {Object} raw { student_id, student_class, present, absent, late, excused }
+ * @returns {{studentId: *, studentClass: string, counts: Object<string, number>, days: number, rate: ?number}}
+ */
+export function normalizeSummary(raw) {
+  const counts = {};
+  for (const key of STATUS_KEYS) counts[key] = Number(raw[key]) || 0;
+  return {
+    studentId: raw.student_id ?? raw.studentId,
+    studentClass: raw.student_class ?? raw.studentClass ?? "",
+    counts,
+    days: STATUS_KEYS.reduce((sum, key) => sum + counts[key], 0),
+    rate: attendanceRate(counts),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Attendance rate in percent, or null when no counted days.
+ * @param {Object<string, number>} counts
+ */
+export function attendanceRate(counts) {
+  const attended = (counts.present || 0) + (counts.late || 0);
+  const counted = attended + (counts.absent || 0);
+  return counted ? (attended / counted) * 100 : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * "92%" (rounded), or "—" without data.
+ * @param {?number} rate
+ */
+export function formatRate(rate) {
+  return rate === null || rate === undefined ? "—" : `${Math.round(rate)}%`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Attendance per class from normalized summaries, sorted by class.
+ * @param {Array<Object>} summaries From normalizeSummary()
+ * @returns {Array<{class: string, students: number, counts: Object<string, number>, rate: ?number}>}
+ */
+export function classAttendance(summaries) {
+  const byClass = {};
+  for (const s of summaries) {
+    if (!s.studentClass) continue;
+    const entry = byClass[s.studentClass] || (byClass[s.studentClass] = { class: s.studentClass, students: 0, counts: {} });
+    entry.students += 1;
+    for (const key of STATUS_KEYS) entry.counts[key] = (entry.counts[key] || 0) + s.counts[key];
+  }
+  return Object.values(byClass)
+    .map((c) => ({ ...c, rate: attendanceRate(c.counts) }))
+    .sort((a, b) => a.class.localeCompare(b.class));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Students below the threshold with enough recorded days, lowest rate first.
+ * @param {Array<Object>} summaries From normalizeSummary()
+ * @param {number} [threshold]
+ */
+export function lowAttendance(summaries, threshold = LOW_ATTENDANCE_RATE) {
+  return summaries
+    .filter((s) => s.rate !== null && s.rate < threshold && s.days >= MIN_DAYS_FOR_ALERT)
+    .sort((a, b) => a.rate - b.rate);
+}
@@ -0,0 +1,22 @@
+import { normalizeSummary, classAttendance, lowAttendance, formatRate, rosterStatuses } from './attendance';
+
+test('attendance rate counts late as attended and leaves excused days out', () => {
+  const s = normalizeSummary({ student_id: 4, student_class: '10B', present: 6, late: 2, absent: 2, excused: 3 });
+  expect(s.days).toBe(13);
+  expect(s.rate).toBe(80);
+  expect(formatRate(normalizeSummary({ excused: 2 }).rate)).toBe('—');
+  expect(rosterStatuses([{ student_id: 1, status: 'late' }, { student_id: 2, status: 'bogus' }])).toEqual({ 1: 'late' });
+});
+
+test('classAttendance totals per class and lowAttendance flags students with enough days', () => {
+  const summaries = [
+    { student_id: 1, student_class: '10A', present: 9, absent: 1 },
+    { student_id: 2, student_class: '10A', present: 5, absent: 5 },
+    { student_id: 3, student_class: '9C', present: 0, absent: 2 },
+  ].map(normalizeSummary);
+  expect(classAttendance(summaries).map((c) => [c.class, c.students, c.rate])).toEqual([
+    ['10A', 2, 70],
+    ['9C', 1, 0],
+  ]);
+  expect(lowAttendance(summaries).map((s) => s.studentId)).toEqual([2]);
+});
@@ -0,0 +1,96 @@
+/**
+ * PUBLIC_INTERFACE
+ * Helpers for the audit trail (who changed what on each student record).
+ *
+ * The backend records an entry for every create, update and delete (see listAudit in
+ * api.js); these helpers normalize entries and turn their field diffs into readable text
+ * for the student History timeline and the Activity page.
+ */
+export const AUDIT_ACTIONS = [
+  { value: "create", label: "Created" },
+  { value: "update", label: "Updated" },
+  { value: "delete", label: "Deleted" },
+];
+
+const FIELD_LABELS = {
+  name: "Name",
+  roll_number: "Roll Number",
+  student_class: "Class",
+  marks: "Marks",
+  term: "Term",
+  gender: "Gender",
+  contact: "Contact",
+  guardians: "Guardians",
+};
+
+const SUBJECT_PREFIX = "subject_marks.";
+const EXAM_PREFIX = "exams.";
+
+/**
+ * PUBLIC_INTERFACE
+ * Normalize an audit entry from the backend.
+ *
+ * Accepts `actor` as a username or `{ username, role }`, `timestamp`/`at`/`created_at`, and
+ * `changes` as `[{ field, before, after }]` or `{ field: { before, after } }`.
+ * @param {Object} raw
+ * @returns {{id: *, action: string, studentId: *, studentName: string, actor: string, actorRole: string, timestamp: string, changes: Array<{field: string, before: *, after: *}>}}
+ */
+export function normalizeAuditEntry(raw) {
+  const actor = raw.actor && typeof raw.actor === "object" ? raw.actor : { username: raw.actor };
+  const changes = Array.isArray(raw.changes)
+    ? raw.changes
+    : Object.entries(raw.changes || {}).map(([field, c]) => ({ field, before: c && c.before, after: c && c.after }));
+  return {
+    id: raw.id,
+    action: raw.action,
+    studentId: raw.student_id ?? raw.studentId,
+    studentName: raw.student_name || raw.studentName || "",
+    actor: actor.username || "unknown",
+    actorRole: raw.actor_role || actor.role || "",
+    timestamp: raw.timestamp || raw.at || raw.created_at || "",
+    changes: changes.map((c) => ({ field: c.field, before: c.before ?? null, after: c.after ?? null })),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Display label of a changed field: "student_class" -> "Class", "subject_marks.Science" -> "Science marks",
+ * "exams.Midterm 2026" -> "Marks (Midterm 2026)".
+ * @param {string} field
+ */
+export function fieldLabel(field) {
+  if (field.startsWith(SUBJECT_PREFIX)) return `${field.slice(SUBJECT_PREFIX.length)} marks`;
+  if (field.startsWith(EXAM_PREFIX)) return `Marks (${field.slice(EXAM_PREFIX.length)})`;
+  return FIELD_LABELS[field] || field;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Display text of a before/after value; empty values show as "—".
+ * @param {*} value
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Label of an action value ("update" -> "Updated").
+ * @param {string} action
+ */
+export function actionLabel(action) {
+  const found = AUDIT_ACTIONS.find((a) => a.value === action);
+  return found ? found.label : action;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * One-line summary of an entry, e.g. "Updated Class, Science marks".
+ * @param {Object} entry Normalized entry
+ */
+export function summarizeEntry(entry) {
+  if (entry.action !== "update") return actionLabel(entry.action);
+  if (!entry.changes.length) return "Saved without changes";
+  return `Updated ${entry.changes.map((c) => fieldLabel(c.field)).join(", ")}`;
+}
@@ -0,0 +1,29 @@
+import { normalizeAuditEntry, fieldLabel, formatAuditValue, summarizeEntry } from './audit';
+
+test('normalizeAuditEntry accepts both actor and change shapes', () => {
+  const a = normalizeAuditEntry({
+    id: 1, action: 'update', student_id: 3, student_name: 'Ann', actor: 'tess', actor_role: 'teacher',
+    timestamp: '2024-05-01T10:00:00Z', changes: [{ field: 'marks', before: 70, after: 75 }],
+  });
+  expect(a).toMatchObject({ studentId: 3, actor: 'tess', actorRole: 'teacher', changes: [{ field: 'marks', before: 70, after: 75 }] });
+  const b = normalizeAuditEntry({
+    action: 'update', actor: { username: 'root', role: 'admin' }, at: '2024-05-02',
+    changes: { student_class: { before: '9A', after: '10A' } },
+  });
+  expect(b).toMatchObject({ actor: 'root', actorRole: 'admin', timestamp: '2024-05-02' });
+  expect(b.changes).toEqual([{ field: 'student_class', before: '9A', after: '10A' }]);
+});
+
+test('changes read as labelled fields and values', () => {
+  expect(fieldLabel('subject_marks.Science')).toBe('Science marks');
+  expect(fieldLabel('roll_number')).toBe('Roll Number');
+  expect(fieldLabel('exams.Midterm 2026')).toBe('Marks (Midterm 2026)');
+  expect(formatAuditValue(null)).toBe('—');
+  expect(formatAuditValue(0)).toBe('0');
+  const entry = normalizeAuditEntry({
+    action: 'update', actor: 'x',
+    changes: [{ field: 'student_class', before: '9A', after: '10A' }, { field: 'subject_marks.Science', before: 1, after: 2 }],
+  });
+  expect(summarizeEntry(entry)).toBe('Updated Class, Science marks');
+  expect(summarizeEntry({ ...entry, action: 'delete' })).toBe('Deleted');
+});
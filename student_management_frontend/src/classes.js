@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from "react";
+import { listClasses } from "./api";
+import { canEditClass } from "./permissions";
+
+/**
+ * PUBLIC_INTERFACE
+ * Class catalog helpers.
+ *
+ * The catalog lists the school's classes as `{ name, grade, section, teacher, capacity }`.
+ * Class names are compared by classKey(), which ignores case, spaces, hyphens and dots, so
+ * "10A", "10-A" and "10 a" are spellings of one class. The backend stores a student's class
+ * with the catalog spelling; records saved before the catalog existed are folded together
+ * with the merge tool on the Classes page.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Comparison key of a class name: "10-A" and "10 a" both give "10a".
+ * @param {string} name
+ */
+export function classKey(name) {
+  return String(name || "").toLowerCase().replace(/[\s._-]+/g, "");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Catalog sorted by grade (classes without one last), then name.
+ * @param {Array<Object>} catalog
+ */
+export function sortClasses(catalog) {
+  const grade = (c) => (typeof c.grade === "number" ? c.grade : Infinity);
+  return [...(catalog || [])]
+    .filter((c) => c && c.name)
+    .sort((a, b) => grade(a) - grade(b) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Catalog spelling of a class name, or the trimmed name when it is not listed.
+ * @param {string} name
+ * @param {Array<Object>} catalog
+ */
+export function canonicalClass(name, catalog) {
+  const entry = (catalog || []).find((c) => classKey(c.name) === classKey(name));
+  return entry ? entry.name : String(name || "").trim();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Error for a class name that is not a spelling of a catalog class, or "" when it is (or
+ * when there is no catalog). Free-text class inputs (inline edit, import) use it so new
+ * spellings do not enter through them.
+ * @param {string} name
+ * @param {Array<Object>} catalog
+ */
+export function unlistedClassError(name, catalog) {
+  const value = String(name || "").trim();
+  if (!value || !catalog || !catalog.length) return "";
+  return catalog.some((c) => classKey(c.name) === classKey(value)) ? "" : `${value} is not in the class catalog`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Grade and section read from a class name ("10A" -> 10 and "A"), for prefilling the add form.
+ * @param {string} name
+ * @returns {{grade: string, section: string}} "" where the name has none
+ */
+export function suggestClassFields(name) {
+  const match = /^\D*?(\d+)\s*[-.]?\s*([A-Za-z]*)\s*$/.exec(String(name || "").trim());
+  return match ? { grade: match[1], section: match[2].toUpperCase() } : { grade: "", section: "" };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Validate the add/edit class form.
+ * @param {{name: string, grade: string, section: string, teacher: string, capacity: string}} form
+ * @param {Array<Object>} catalog
+ * @param {string} [editing] Name of the class being edited (its name cannot change)
+ * @returns {Object} errors per field; empty when valid
+ */
+export function validateClass(form, catalog, editing) {
+  const errs = {};
+  const name = String(form.name || "").trim();
+  if (!editing) {
+    const clash = (catalog || []).find((c) => classKey(c.name) === classKey(name));
+    if (!name) errs.name = "Enter a class name.";
+    else if (name.length > 20) errs.name = "At most 20 characters.";
+    else if (clash) errs.name = `Already listed as ${clash.name}.`;
+  }
+  const isWhole = (value) => /^\d+$/.test(String(value).trim());
+  if (String(form.grade ?? "").trim() && (!isWhole(form.grade) || Number(form.grade) > 99)) {
+    errs.grade = "Use a whole number from 0 to 99.";
+  }
+  if (String(form.capacity ?? "").trim() && (!isWhole(form.capacity) || Number(form.capacity) < 1)) {
+    errs.capacity = "Use a positive whole number.";
+  }
+  if (String(form.section || "").trim().length > 10) errs.section = "At most 10 characters.";
+  return errs;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Number of students per class spelling, exactly as stored.
+ * @param {Array<Object>} students
+ * @returns {Object<string, number>}
+ */
+export function classUsage(students) {
+  const usage = {};
+  for (const s of students || []) {
+    if (s.student_class) usage[s.student_class] = (usage[s.student_class] || 0) + 1;
+  }
+  return usage;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Spellings that students use but the catalog does not list, most used first.
+ * `match` names the catalog class with the same key ("" when there is none).
+ * @param {Object<string, number>} usage From classUsage()
+ * @param {Array<Object>} catalog
+ * @returns {Array<{name: string, count: number, match: string}>}
+ */
+export function unlistedClasses(usage, catalog) {
+  const listed = new Set((catalog || []).map((c) => c.name));
+  return Object.keys(usage)
+    .filter((name) => !listed.has(name))
+    .map((name) => {
+      const match = canonicalClass(name, catalog);
+      return { name, count: usage[name], match: listed.has(match) ? match : "" };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Groups of spellings of one class (same classKey) that should be merged. `into` is the
+ * catalog spelling, or the most used spelling when the class is not listed (`listed` false).
+ * @param {Object<string, number>} usage From classUsage()
+ * @param {Array<Object>} catalog
+ * @returns {Array<{into: string, listed: boolean, from: Array<{name: string, count: number}>}>}
+ */
+export function duplicateGroups(usage, catalog) {
+  const byKey = {};
+  for (const name of Object.keys(usage)) (byKey[classKey(name)] || (byKey[classKey(name)] = [])).push(name);
+  const groups = [];
+  for (const names of Object.values(byKey)) {
+    const listed = (catalog || []).find((c) => classKey(c.name) === classKey(names[0]));
+    const spellings = names.filter((n) => !listed || n !== listed.name);
+    if (listed ? !spellings.length : names.length < 2) continue;
+    const byUse = [...spellings].sort((a, b) => usage[b] - usage[a] || a.localeCompare(b));
+    const into = listed ? listed.name : byUse[0];
+    groups.push({
+      into,
+      listed: Boolean(listed),
+      from: byUse.filter((n) => n !== into).map((name) => ({ name, count: usage[name] })),
+    });
+  }
+  return groups.sort((a, b) => a.into.localeCompare(b.into));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Class names offered in the student forms: the catalog classes the user may edit, plus
+ * `current` when the record's class is not one of them (so editing keeps it).
+ * @param {Array<Object>} catalog Sorted with sortClasses()
+ * @param {?Object} user
+ * @param {string} [current]
+ */
+export function classOptions(catalog, user, current) {
+  const names = (catalog || []).map((c) => c.name).filter((name) => canEditClass(user, name));
+  if (current && !names.includes(current)) names.push(current);
+  return names;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Load the class catalog once per mount.
+ * @returns {{classes: Array<Object>, loading: boolean, error: string, reload: function(): Promise<void>}}
+ *   classes sorted with sortClasses()
+ */
+export function useClassCatalog() {
+  const [classes, setClasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const reload = useCallback(
+    () =>
+      listClasses()
+        .then((list) => {
+          setClasses(sortClasses(list));
+          setError("");
+        })
+        .catch((err) => setError(err.message || "Could not load classes."))
+        .finally(() => setLoading(false)),
+    []
+  );
+  useEffect(() => {
+    reload();
+  }, [reload]);
+  return { classes, loading, error, reload };
+}
@@ -0,0 +1,62 @@
+import {
+  classKey,
+  sortClasses,
+  canonicalClass,
+  unlistedClassError,
+  suggestClassFields,
+  validateClass,
+  classUsage,
+  unlistedClasses,
+  duplicateGroups,
+  classOptions,
+} from './classes';
+
+const CATALOG = sortClasses([
+  { name: '10B', grade: 10, section: 'B' },
+  { name: 'Staff', grade: null },
+  { name: '9C', grade: 9, section: 'C' },
+  { name: '10A', grade: 10, section: 'A' },
+]);
+
+test('class names match across spellings and the catalog sorts by grade', () => {
+  expect(classKey('10-A')).toBe(classKey(' 10 a '));
+  expect(CATALOG.map((c) => c.name)).toEqual(['9C', '10A', '10B', 'Staff']);
+  expect(canonicalClass('10-a', CATALOG)).toBe('10A');
+  expect(canonicalClass(' 11A ', CATALOG)).toBe('11A');
+  expect(unlistedClassError('10 b', CATALOG)).toBe('');
+  expect(unlistedClassError('11A', CATALOG)).toBe('11A is not in the class catalog');
+  expect(unlistedClassError('11A', [])).toBe('');
+  expect(suggestClassFields('Grade 11-b')).toEqual({ grade: '11', section: 'B' });
+  expect(validateClass({ name: '10 a', grade: '1.5', capacity: '0' }, CATALOG)).toEqual({
+    name: 'Already listed as 10A.',
+    grade: 'Use a whole number from 0 to 99.',
+    capacity: 'Use a positive whole number.',
+  });
+  expect(validateClass({ name: '10A', grade: '10', capacity: '30' }, CATALOG, '10A')).toEqual({});
+  const teacher = { role: 'teacher', classes: ['10A'] };
+  expect(classOptions(CATALOG, teacher, '10-A')).toEqual(['10A', '10-A']);
+});
+
+test('spellings outside the catalog are listed and grouped for merging', () => {
+  const usage = classUsage([
+    { student_class: '10A' },
+    { student_class: '10-A' },
+    { student_class: '10 a' },
+    { student_class: '10 a' },
+    { student_class: '11B' },
+    { student_class: '11-b' },
+    { student_class: '11-b' },
+    { student_class: 'Drama' },
+  ]);
+  expect(unlistedClasses(usage, CATALOG)).toEqual([
+    { name: '10 a', count: 2, match: '10A' },
+    { name: '11-b', count: 2, match: '' },
+    { name: '10-A', count: 1, match: '10A' },
+    { name: '11B', count: 1, match: '' },
+    { name: 'Drama', count: 1, match: '' },
+  ]);
+  expect(duplicateGroups(usage, CATALOG)).toEqual([
+    { into: '10A', listed: true, from: [{ name: '10 a', count: 2 }, { name: '10-A', count: 1 }] },
+    { into: '11-b', listed: false, from: [{ name: '11B', count: 1 }] },
+  ]);
+});
@@ -0,0 +1,91 @@
+import { formatGuardians } from "./guardians";
+
+/**
+ * PUBLIC_INTERFACE
+ * Three-way merge of the EditStudent form when a save hits a version conflict.
+ *
+ * `base` is the record as it was loaded, `mine` the form being saved and `theirs` the
+ * record as it is now on the server. All three are in form shape: strings for the plain
+ * fields, `subject_marks` as { subject: string } and `guardians` as editor rows (compared
+ * as a whole, via their one-line summary).
+ */
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "student_class", label: "Class / Grade" },
+  { key: "gender", label: "Gender" },
+  { key: "contact", label: "Contact" },
+  { key: "guardians", label: "Guardians" },
+];
+
+const SUBJECT_PREFIX = "subject_marks.";
+
+// Trimmed string value of a field or "subject_marks.<Subject>" key ("" when missing)
+function valueAt(form, key) {
+  if (key === "guardians") return formatGuardians(form.guardians);
+  const value = key.startsWith(SUBJECT_PREFIX)
+    ? (form.subject_marks || {})[key.slice(SUBJECT_PREFIX.length)]
+    : form[key];
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Fields whose value differs between my form and the server, with who changed them.
+ * @param {Object} base
+ * @param {Object} mine
+ * @param {Object} theirs
+ * @returns {Array<{key: string, label: string, base: string, mine: string, theirs: string, mineChanged: boolean, theirsChanged: boolean, conflict: boolean}>}
+ *   `conflict` is set when both sides changed the field
+ */
+export function conflictRows(base, mine, theirs) {
+  const subjects = new Set(
+    [base, mine, theirs].flatMap((f) => Object.keys(f.subject_marks || {}))
+  );
+  const fields = [
+    ...FIELDS,
+    ...[...subjects].map((s) => ({ key: SUBJECT_PREFIX + s, label: `${s} marks` })),
+  ];
+  return fields
+    .map(({ key, label }) => {
+      const row = { key, label, base: valueAt(base, key), mine: valueAt(mine, key), theirs: valueAt(theirs, key) };
+      row.mineChanged = row.mine !== row.base;
+      row.theirsChanged = row.theirs !== row.base;
+      row.conflict = row.mineChanged && row.theirsChanged;
+      return row;
+    })
+    .filter((row) => row.mine !== row.theirs);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Initial pick for a row: my value if I changed the field, otherwise the server's.
+ * @param {Object} row From conflictRows()
+ * @returns {"mine"|"theirs"}
+ */
+export function defaultChoice(row) {
+  return row.mineChanged ? "mine" : "theirs";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Merged form: the server's values, with my value for every key chosen as "mine".
+ * A subject left empty by the chosen side is dropped from subject_marks.
+ * @param {Object} mine
+ * @param {Object} theirs
+ * @param {Object<string, "mine"|"theirs">} choices Keyed by row key
+ */
+export function mergeForms(mine, theirs, choices) {
+  const merged = { ...theirs, subject_marks: { ...(theirs.subject_marks || {}) } };
+  for (const key of Object.keys(choices)) {
+    if (choices[key] !== "mine") continue;
+    if (key.startsWith(SUBJECT_PREFIX)) {
+      const subject = key.slice(SUBJECT_PREFIX.length);
+      const value = valueAt(mine, key);
+      if (value === "") delete merged.subject_marks[subject];
+      else merged.subject_marks[subject] = value;
+    } else {
+      merged[key] = mine[key];
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,21 @@
+import { conflictRows, defaultChoice, mergeForms } from './conflicts';
+
+const base = { name: 'Ann', student_class: '10A', gender: '', contact: '', subject_marks: { Science: '70', English: '60' } };
+
+test('conflictRows lists differing fields and who changed them', () => {
+  const mine = { ...base, name: 'Anne', subject_marks: { Science: '75', English: '60' } };
+  const theirs = { ...base, student_class: '10B', subject_marks: { Science: '80', English: '60' } };
+  const rows = conflictRows(base, mine, theirs);
+  expect(rows.map((r) => [r.key, r.conflict, defaultChoice(r)])).toEqual([
+    ['name', false, 'mine'],
+    ['student_class', false, 'theirs'],
+    ['subject_marks.Science', true, 'mine'],
+  ]);
+});
+
+test('mergeForms starts from the server values and applies my picks', () => {
+  const mine = { ...base, name: 'Anne', subject_marks: { Science: '75' } };
+  const theirs = { ...base, student_class: '10B', subject_marks: { Science: '80', English: '65' } };
+  const merged = mergeForms(mine, theirs, { name: 'mine', student_class: 'theirs', 'subject_marks.English': 'mine' });
+  expect(merged).toEqual({ ...base, name: 'Anne', student_class: '10B', subject_marks: { Science: '80' } });
+});
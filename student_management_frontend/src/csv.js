@@ -0,0 +1,137 @@
+/**
+ * PUBLIC_INTERFACE
+ * Minimal CSV helpers (RFC 4180 quoting) used by the student import and export.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Guess the delimiter of a CSV file from its first line (comma, semicolon or tab).
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = (text || "").split(/\r?\n/, 1)[0];
+  let best = ",";
+  let bestCount = 0;
+  for (const candidate of [",", ";", "\t"]) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes (""), embedded newlines, CRLF and a UTF-8 BOM.
+ * Blank lines are dropped.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] Defaults to detectDelimiter(text)
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text, { delimiter } = {}) {
+  const input = (text || "").replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Delimiter spreadsheet apps expect for a locale: ";" where the decimal separator
+ * is a comma (e.g. de-DE, fr-FR), "," otherwise.
+ * @param {string} [locale] Defaults to the browser locale
+ * @returns {string}
+ */
+export function delimiterForLocale(locale) {
+  const decimal = (1.5).toLocaleString(locale).replace(/\d/g, "");
+  return decimal === "," ? ";" : ",";
+}
+
+// Numbers and phone numbers ("-12.5", "+1 555-0100"): a leading sign is safe before digits
+const PLAIN_NUMBER = /^[+-]?\d[\d ().,-]*$/;
+
+// Quote a value if it contains the delimiter, quotes or line breaks
+function escapeField(value, delimiter, guardFormulas) {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Spreadsheets evaluate cells starting with "=", "@", "+", "-", tab or CR as formulas
+  if (guardFormulas && /^[=@+\-\t\r]/.test(text) && !PLAIN_NUMBER.test(text)) text = "'" + text;
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Serialize rows (arrays of values) to CSV text with CRLF line endings.
+ * @param {Array<Array<*>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] Defaults to ","
+ * @param {boolean} [options.bom] Prefix a UTF-8 BOM so Excel detects the encoding
+ * @param {boolean} [options.guardFormulas] Neutralize cells that would run as formulas
+ * @returns {string}
+ */
+export function toCSV(rows, { delimiter = ",", bom = false, guardFormulas = false } = {}) {
+  const body = rows
+    .map((row) => row.map((v) => escapeField(v, delimiter, guardFormulas)).join(delimiter))
+    .join("\r\n");
+  return (bom ? "\uFEFF" : "") + body + "\r\n";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Trigger a browser download of CSV text.
+ * @param {string} text
+ * @param {string} filename
+ */
+export function downloadCSV(text, filename) {
+  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
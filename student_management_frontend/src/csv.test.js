@@ -0,0 +1,35 @@
+import { parseCSV, detectDelimiter, toCSV, delimiterForLocale } from './csv';
+
+test('parseCSV handles quotes, escaped quotes, CRLF and blank lines', () => {
+  const text = 'Name,Roll No,Marks\r\n"Doe, Jane",R1,88\r\n\r\n"Say ""hi""",R2,"7\n0"\n';
+  expect(parseCSV(text)).toEqual([
+    ['Name', 'Roll No', 'Marks'],
+    ['Doe, Jane', 'R1', '88'],
+    ['Say "hi"', 'R2', '7\n0'],
+  ]);
+});
+
+test('parseCSV strips a BOM and detects semicolon delimiters', () => {
+  const text = '\uFEFFName;Class\nAnn;10A';
+  expect(detectDelimiter(text)).toBe(';');
+  expect(parseCSV(text)).toEqual([['Name', 'Class'], ['Ann', '10A']]);
+});
+
+test('toCSV quotes fields, adds an optional BOM and round-trips through parseCSV', () => {
+  const rows = [['Name', 'Contact'], ['Doe; Jane', '+1 555'], ['=SUM(A1)', 'say "hi"']];
+  const text = toCSV(rows, { delimiter: ';', bom: true, guardFormulas: true });
+  expect(text.startsWith('\uFEFF')).toBe(true);
+  expect(text).toContain('"Doe; Jane";+1 555\r\n');
+  expect(parseCSV(text)).toEqual([['Name', 'Contact'], ['Doe; Jane', '+1 555'], ["'=SUM(A1)", 'say "hi"']]);
+});
+
+test('delimiterForLocale uses semicolons for comma-decimal locales', () => {
+  expect(delimiterForLocale('en-US')).toBe(',');
+  expect(delimiterForLocale('de-DE')).toBe(';');
+});
+
+test('guardFormulas neutralizes every formula prefix but keeps plain numbers', () => {
+  const cells = ['=1+1', '@SUM(A1)', '+cmd|x', '-2+3*A1', '\tcmd', '\r=1', '-12.5', '+1 555-0100', '42'];
+  const [row] = parseCSV(toCSV([cells], { guardFormulas: true }));
+  expect(row).toEqual(["'=1+1", "'@SUM(A1)", "'+cmd|x", "'-2+3*A1", "'\tcmd", "'\r=1", '-12.5', '+1 555-0100', '42']);
+});
@@ -0,0 +1,239 @@
+import { SUBJECTS } from "./subjects";
+
+/**
+ * PUBLIC_INTERFACE
+ * Advanced dashboard filters and per-user saved presets.
+ *
+ * A filter is { match: "all" | "any", conditions: [{ field, op, value }] }: conditions are
+ * combined with AND ("all") or OR ("any"). It travels in the dashboard URL and to the
+ * backend as the JSON `filter` query parameter (see encodeFilter). Value shapes by operator:
+ *   contains, equals, eq, lt, lte, gt, gte   string
+ *   in, not_in                               array of strings (any of / none of)
+ *   between                                  { min, max } (inclusive)
+ *   empty, not_empty                         none
+ *
+ * Presets ({ name, filter }) are kept in localStorage per username.
+ */
+
+const TEXT_OPS = ["contains", "equals", "empty", "not_empty"];
+const CHOICE_OPS = ["in", "not_in", "empty", "not_empty"];
+const NUMBER_OPS = ["between", "lt", "lte", "gt", "gte", "eq", "empty", "not_empty"];
+
+/**
+ * PUBLIC_INTERFACE
+ * Fields offered by the filter builder: { key, label, kind: "text" | "choice" | "number", options? }.
+ * Subject marks use the key "subject_marks.<Subject>".
+ */
+export const FILTER_FIELDS = [
+  { key: "name", label: "Name", kind: "text" },
+  { key: "roll_number", label: "Roll Number", kind: "text" },
+  { key: "student_class", label: "Class", kind: "choice" },
+  { key: "gender", label: "Gender", kind: "choice", options: ["Female", "Male", "Other"] },
+  { key: "contact", label: "Contact", kind: "text" },
+  { key: "marks", label: "Marks", kind: "number" },
+  ...SUBJECTS.map((s) => ({ key: `subject_marks.${s}`, label: `${s} marks`, kind: "number" })),
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * Operator labels, also used to describe filters.
+ */
+export const OP_LABELS = {
+  contains: "contains",
+  equals: "is",
+  in: "is any of",
+  not_in: "is none of",
+  between: "between",
+  lt: "<",
+  lte: "≤",
+  gt: ">",
+  gte: "≥",
+  eq: "=",
+  empty: "is empty",
+  not_empty: "is not empty",
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * A filter with no conditions.
+ */
+export const EMPTY_FILTER = { match: "all", conditions: [] };
+
+/**
+ * PUBLIC_INTERFACE
+ * Field definition for a key (unknown keys are treated as text).
+ * @param {string} key
+ */
+export function fieldFor(key) {
+  return FILTER_FIELDS.find((f) => f.key === key) || { key, label: key, kind: "text" };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Operators allowed for a field.
+ * @param {string} key
+ * @returns {Array<string>}
+ */
+export function opsFor(key) {
+  const kind = fieldFor(key).kind;
+  return kind === "number" ? NUMBER_OPS : kind === "choice" ? CHOICE_OPS : TEXT_OPS;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * A new condition for a field with its first operator and an empty value.
+ * @param {string} [key]
+ */
+export function newCondition(key = "student_class") {
+  const op = opsFor(key)[0];
+  return { field: key, op, value: emptyValue(op) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Empty value of the right shape for an operator.
+ * @param {string} op
+ */
+export function emptyValue(op) {
+  if (op === "in" || op === "not_in") return [];
+  if (op === "between") return { min: "", max: "" };
+  if (op === "empty" || op === "not_empty") return undefined;
+  return "";
+}
+
+const isNumber = (v) => String(v ?? "").trim() !== "" && !isNaN(Number(v));
+
+// Cleaned condition, or null when it is incomplete or invalid
+function cleanCondition(c) {
+  if (!c || !opsFor(c.field).includes(c.op)) return null;
+  const { field, op } = c;
+  if (op === "empty" || op === "not_empty") return { field, op };
+  if (op === "in" || op === "not_in") {
+    const values = (Array.isArray(c.value) ? c.value : String(c.value || "").split(","))
+      .map((v) => String(v).trim())
+      .filter(Boolean);
+    return values.length ? { field, op, value: Array.from(new Set(values)) } : null;
+  }
+  if (op === "between") {
+    const { min, max } = c.value || {};
+    if (!isNumber(min) && !isNumber(max)) return null;
+    return { field, op, value: { min: isNumber(min) ? Number(min) : null, max: isNumber(max) ? Number(max) : null } };
+  }
+  if (fieldFor(field).kind === "number") return isNumber(c.value) ? { field, op, value: Number(c.value) } : null;
+  const value = String(c.value ?? "").trim();
+  return value ? { field, op, value } : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Filter with incomplete conditions dropped and values in canonical form.
+ * @param {Object} filter
+ * @returns {{match: "all"|"any", conditions: Array<Object>}}
+ */
+export function normalizeFilter(filter) {
+  if (!filter || !Array.isArray(filter.conditions)) return EMPTY_FILTER;
+  return {
+    match: filter.match === "any" ? "any" : "all",
+    conditions: filter.conditions.map(cleanCondition).filter(Boolean),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Query/URL form of a filter; "" when it has no usable conditions.
+ * @param {Object} filter
+ */
+export function encodeFilter(filter) {
+  const clean = normalizeFilter(filter);
+  return clean.conditions.length ? JSON.stringify(clean) : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse the URL form back into a filter (EMPTY_FILTER when missing or malformed).
+ * @param {string} text
+ */
+export function decodeFilter(text) {
+  if (!text) return EMPTY_FILTER;
+  try {
+    return normalizeFilter(JSON.parse(text));
+  } catch (e) {
+    return EMPTY_FILTER;
+  }
+}
+
+function describeCondition({ field, op, value }) {
+  const label = fieldFor(field).label;
+  if (op === "empty" || op === "not_empty") return `${label} ${OP_LABELS[op]}`;
+  if (op === "in" || op === "not_in") {
+    const single = op === "in" ? "is" : "is not";
+    return `${label} ${value.length > 1 ? OP_LABELS[op] : single} ${value.join(", ")}`;
+  }
+  if (op === "between") {
+    if (value.min === null) return `${label} ≤ ${value.max}`;
+    if (value.max === null) return `${label} ≥ ${value.min}`;
+    return `${label} ${value.min}–${value.max}`;
+  }
+  return `${label} ${OP_LABELS[op]} ${op === "contains" || op === "equals" ? `“${value}”` : value}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * One-line summary, e.g. "Class is any of 10A, 10B and Marks < 40".
+ * @param {Object} filter
+ */
+export function describeFilter(filter) {
+  const clean = normalizeFilter(filter);
+  return clean.conditions.map(describeCondition).join(clean.match === "any" ? " or " : " and ");
+}
+
+const presetsKey = (user) => `filterPresets:${(user && user.username) || "anonymous"}`;
+
+/**
+ * PUBLIC_INTERFACE
+ * Saved presets of a user: [{ name, filter }], sorted by name.
+ * @param {Object} user From useAuth()
+ */
+export function loadPresets(user) {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(presetsKey(user)));
+    if (Array.isArray(saved)) {
+      return saved
+        .filter((p) => p && p.name && p.filter)
+        .map((p) => ({ name: String(p.name), filter: normalizeFilter(p.filter) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+  } catch (e) {
+    // fall through to no presets
+  }
+  return [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Save (or replace, by case-insensitive name) a preset; returns the updated list.
+ * @param {Object} user
+ * @param {string} name
+ * @param {Object} filter
+ */
+export function savePreset(user, name, filter) {
+  const trimmed = name.trim();
+  const next = [
+    ...loadPresets(user).filter((p) => p.name.toLowerCase() !== trimmed.toLowerCase()),
+    { name: trimmed, filter: normalizeFilter(filter) },
+  ].sort((a, b) => a.name.localeCompare(b.name));
+  window.localStorage.setItem(presetsKey(user), JSON.stringify(next));
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Delete a preset by name; returns the updated list.
+ * @param {Object} user
+ * @param {string} name
+ */
+export function deletePreset(user, name) {
+  const next = loadPresets(user).filter((p) => p.name !== name);
+  window.localStorage.setItem(presetsKey(user), JSON.stringify(next));
+  return next;
+}
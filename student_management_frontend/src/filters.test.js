@@ -0,0 +1,38 @@
+import { normalizeFilter, encodeFilter, decodeFilter, describeFilter, loadPresets, savePreset, deletePreset } from './filters';
+
+test('normalizeFilter drops incomplete conditions and canonicalizes values', () => {
+  const filter = normalizeFilter({
+    match: 'any',
+    conditions: [
+      { field: 'student_class', op: 'in', value: ['10A', ' 10B ', '10A'] },
+      { field: 'marks', op: 'lt', value: '40' },
+      { field: 'marks', op: 'between', value: { min: '', max: '' } },
+      { field: 'name', op: 'contains', value: '  ' },
+      { field: 'contact', op: 'empty' },
+      { field: 'gender', op: 'bogus', value: 'x' },
+    ],
+  });
+  expect(filter).toEqual({
+    match: 'any',
+    conditions: [
+      { field: 'student_class', op: 'in', value: ['10A', '10B'] },
+      { field: 'marks', op: 'lt', value: 40 },
+      { field: 'contact', op: 'empty' },
+    ],
+  });
+  expect(describeFilter(filter)).toBe('Class is any of 10A, 10B or Marks < 40 or Contact is empty');
+  expect(decodeFilter(encodeFilter(filter))).toEqual(filter);
+  expect(encodeFilter({ match: 'all', conditions: [] })).toBe('');
+  expect(decodeFilter('{not json')).toEqual({ match: 'all', conditions: [] });
+});
+
+test('presets are saved per user and replaced by name', () => {
+  window.localStorage.clear();
+  const ann = { username: 'ann' };
+  const failing = { match: 'all', conditions: [{ field: 'marks', op: 'lt', value: 40 }] };
+  savePreset(ann, 'Failing', failing);
+  savePreset(ann, ' failing ', { ...failing, match: 'any' });
+  expect(loadPresets(ann)).toEqual([{ name: 'failing', filter: { ...failing, match: 'any' } }]);
+  expect(loadPresets({ username: 'bo' })).toEqual([]);
+  expect(deletePreset(ann, 'failing')).toEqual([]);
+});
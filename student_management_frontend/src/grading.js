@@ -0,0 +1,103 @@
+/**
+ * PUBLIC_INTERFACE
+ * Grading scale: letter-grade bands and a pass mark, kept in localStorage.
+ *
+ * A scale is { bands: [{ label, min }], passMark }. A student's grade is the band
+ * with the highest `min` not above their marks; they pass when marks >= passMark.
+ */
+
+const STORAGE_KEY = "gradingScale";
+
+/**
+ * PUBLIC_INTERFACE
+ * Scale used until one is saved on the Grading settings page.
+ */
+export const DEFAULT_SCALE = {
+  bands: [
+    { label: "A", min: 90 },
+    { label: "B", min: 80 },
+    { label: "C", min: 70 },
+    { label: "D", min: 60 },
+    { label: "F", min: 0 },
+  ],
+  passMark: 60,
+};
+
+// Bands sorted from the highest cut-off down
+function sortBands(bands) {
+  return [...bands].sort((a, b) => b.min - a.min);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Saved grading scale, or DEFAULT_SCALE when nothing (valid) is stored.
+ * @returns {{bands: Array<{label: string, min: number}>, passMark: number}}
+ */
+export function loadGradingScale() {
+  try {
+    const scale = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (scale && !Object.keys(validateScale(scale)).length) {
+      return { bands: sortBands(scale.bands), passMark: scale.passMark };
+    }
+  } catch (e) {
+    // fall through to the default
+  }
+  return DEFAULT_SCALE;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Persist a grading scale (call validateScale first).
+ * @param {{bands: Array<{label: string, min: number}>, passMark: number}} scale
+ */
+export function saveGradingScale(scale) {
+  const clean = { bands: sortBands(scale.bands), passMark: scale.passMark };
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(clean));
+  return clean;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Validate a grading scale with numeric `min`/`passMark` values.
+ * @returns {Object} { bands?: string, passMark?: string }; empty when valid
+ */
+export function validateScale(scale) {
+  const errs = {};
+  const bands = Array.isArray(scale.bands) ? scale.bands : [];
+  const labels = bands.map((b) => String(b.label || "").trim().toLowerCase());
+  const mins = bands.map((b) => b.min);
+  if (!bands.length) errs.bands = "Add at least one grade band";
+  else if (labels.some((l) => !l)) errs.bands = "Every band needs a label";
+  else if (new Set(labels).size !== labels.length) errs.bands = "Band labels must be unique";
+  else if (mins.some((m) => !Number.isInteger(m) || m < 0 || m > 100)) errs.bands = "Cut-offs must be whole numbers 0-100";
+  else if (new Set(mins).size !== mins.length) errs.bands = "Cut-offs must be unique";
+  else if (!mins.includes(0)) errs.bands = "One band must start at 0 so every mark gets a grade";
+  if (!Number.isInteger(scale.passMark) || scale.passMark < 0 || scale.passMark > 100) {
+    errs.passMark = "Pass mark must be a whole number 0-100";
+  }
+  return errs;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Letter grade for a marks value, or "" when marks are missing.
+ * @param {(number|string)} marks
+ * @param {Object} [scale]
+ */
+export function gradeFor(marks, scale = DEFAULT_SCALE) {
+  const m = parseFloat(marks);
+  if (isNaN(m)) return "";
+  const band = sortBands(scale.bands).find((b) => m >= b.min);
+  return band ? band.label : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether a marks value reaches the pass mark (false when marks are missing).
+ * @param {(number|string)} marks
+ * @param {Object} [scale]
+ */
+export function isPass(marks, scale = DEFAULT_SCALE) {
+  const m = parseFloat(marks);
+  return !isNaN(m) && m >= scale.passMark;
+}
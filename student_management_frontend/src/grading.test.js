@@ -0,0 +1,26 @@
+import { DEFAULT_SCALE, gradeFor, isPass, validateScale, loadGradingScale, saveGradingScale } from './grading';
+
+test('gradeFor picks the highest band reached and isPass uses the pass mark', () => {
+  expect(gradeFor(95)).toBe('A');
+  expect(gradeFor('80')).toBe('B');
+  expect(gradeFor(79.9)).toBe('C');
+  expect(gradeFor(0)).toBe('F');
+  expect(gradeFor('')).toBe('');
+  expect(isPass(60)).toBe(true);
+  expect(isPass(59.5)).toBe(false);
+});
+
+test('validateScale rejects gaps, duplicates and bad pass marks', () => {
+  expect(validateScale(DEFAULT_SCALE)).toEqual({});
+  expect(validateScale({ bands: [{ label: 'P', min: 50 }], passMark: 50 }).bands).toMatch(/start at 0/);
+  expect(validateScale({ bands: [{ label: 'A', min: 0 }, { label: 'a', min: 50 }], passMark: 50 }).bands).toMatch(/unique/);
+  expect(validateScale({ bands: [{ label: 'A', min: 0 }], passMark: 101 }).passMark).toBeDefined();
+});
+
+test('saved scales are loaded back sorted, invalid ones fall back to the default', () => {
+  saveGradingScale({ bands: [{ label: 'Fail', min: 0 }, { label: 'Pass', min: 50 }], passMark: 50 });
+  expect(loadGradingScale().bands.map((b) => b.label)).toEqual(['Pass', 'Fail']);
+  expect(gradeFor(50, loadGradingScale())).toBe('Pass');
+  window.localStorage.setItem('gradingScale', '{"bands": []}');
+  expect(loadGradingScale()).toBe(DEFAULT_SCALE);
+});
@@ -0,0 +1,148 @@
+/**
+ * PUBLIC_INTERFACE
+ * Guardian (parent) contacts of a student.
+ *
+ * A student keeps `guardians: [{ name, relationship, phone, email, primary }]`; exactly one
+ * guardian of a non-empty list is primary. Phones are stored in international E.164 form
+ * ("+15555550123"); numbers typed without a country code get REACT_APP_PHONE_COUNTRY_CODE
+ * (default 1). Each guardian needs a name and a phone or email.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Relationships offered in the guardian editor.
+ */
+export const RELATIONSHIPS = ["Mother", "Father", "Guardian", "Grandparent", "Sibling", "Other"];
+
+/**
+ * PUBLIC_INTERFACE
+ * Country calling code for phone numbers typed without one.
+ */
+export const DEFAULT_COUNTRY_CODE = String(process.env.REACT_APP_PHONE_COUNTRY_CODE || "1").replace(/\D/g, "") || "1";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * PUBLIC_INTERFACE
+ * Phone number in E.164 form, or "" when it cannot be one.
+ *
+ * "+44 20 7946 0018" and "0044 20 7946 0018" keep their country code; national numbers get
+ * `countryCode` in place of a leading trunk 0 ("(0)412 345 678" -> "+61412345678" for 61).
+ * @param {string} raw
+ * @param {string} [countryCode]
+ */
+export function normalizePhone(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  const text = String(raw || "").trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return "";
+  let digits = text.replace(/\D/g, "");
+  if (!text.startsWith("+")) {
+    digits = digits.startsWith("00") ? digits.slice(2) : countryCode + digits.replace(/^0+/, "");
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether an email address looks deliverable (one @, a dot in the domain, no spaces).
+ * @param {string} email
+ */
+export function isValidEmail(email) {
+  const value = String(email || "").trim();
+  return value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Empty guardian row for the editor.
+ * @param {boolean} [primary]
+ */
+export function blankGuardian(primary = false) {
+  return { name: "", relationship: "", phone: "", email: "", primary };
+}
+
+// A row the user left completely empty is ignored
+const isBlank = (g) => !["name", "relationship", "phone", "email"].some((k) => String(g[k] || "").trim());
+
+/**
+ * PUBLIC_INTERFACE
+ * Validate guardian rows as held in form state.
+ * @param {Array<Object>} guardians
+ * @returns {Object<number, Object<string, string>>} messages per row index and field; empty when valid
+ */
+export function validateGuardians(guardians) {
+  const errs = {};
+  (guardians || []).forEach((g, i) => {
+    if (isBlank(g)) return;
+    const rowErrs = {};
+    const phone = String(g.phone || "").trim();
+    const email = String(g.email || "").trim();
+    if (!String(g.name || "").trim()) rowErrs.name = "Name is required";
+    if (!phone && !email) rowErrs.phone = "Add a phone or email";
+    else if (phone && !normalizePhone(phone)) rowErrs.phone = "Phone number is invalid";
+    if (email && !isValidEmail(email)) rowErrs.email = "Email is invalid";
+    if (Object.keys(rowErrs).length) errs[i] = rowErrs;
+  });
+  return errs;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Guardians as sent to the backend: blank rows dropped, values trimmed, phones in E.164,
+ * and exactly one primary (the first one when none is marked).
+ * @param {Array<Object>} guardians Valid rows (see validateGuardians)
+ * @returns {Array<{name: string, relationship: string, phone: string, email: string, primary: boolean}>}
+ */
+export function normalizeGuardians(guardians) {
+  const list = (guardians || []).filter((g) => !isBlank(g));
+  const primaryIndex = Math.max(0, list.findIndex((g) => g.primary));
+  return list.map((g, i) => {
+    const phone = String(g.phone || "").trim();
+    return {
+      name: String(g.name || "").trim(),
+      relationship: String(g.relationship || "").trim(),
+      phone: phone ? normalizePhone(phone) || phone : "",
+      email: String(g.email || "").trim().toLowerCase(),
+      primary: i === primaryIndex,
+    };
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * A student's guardians, primary first.
+ * @param {Object} student
+ */
+export function guardiansOf(student) {
+  const list = (student && Array.isArray(student.guardians) ? student.guardians : []).filter((g) => g && g.name);
+  return [...list].sort((a, b) => Number(Boolean(b.primary)) - Number(Boolean(a.primary)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * One-line summary ("Jane Lee (Mother, primary) +15555550123"), used in conflict rows.
+ * @param {Array<Object>} guardians
+ */
+export function formatGuardians(guardians) {
+  return normalizeGuardians(guardians)
+    .map((g) => {
+      const about = [g.relationship, g.primary && "primary"].filter(Boolean).join(", ");
+      return [g.name + (about ? ` (${about})` : ""), g.phone, g.email].filter(Boolean).join(" ");
+    })
+    .join("; ");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether a search word matches a guardian: a substring of the name, or, for phone-like
+ * words with 3+ digits, of the phone digits ("555-0123" finds "+15555550123").
+ * The backend applies the same rule for `q` (see search.js).
+ * @param {Object} guardian
+ * @param {string} needle
+ */
+export function guardianMatches(guardian, needle) {
+  const value = String(needle || "").trim().toLowerCase();
+  if (!value) return false;
+  if (String(guardian.name || "").toLowerCase().includes(value)) return true;
+  const digits = value.replace(/\D/g, "");
+  return /^\+?[\d\s().-]+$/.test(value) && digits.length >= 3 && String(guardian.phone || "").replace(/\D/g, "").includes(digits);
+}
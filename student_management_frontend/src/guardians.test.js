@@ -0,0 +1,52 @@
+import {
+  normalizePhone,
+  isValidEmail,
+  validateGuardians,
+  normalizeGuardians,
+  guardiansOf,
+  formatGuardians,
+  guardianMatches,
+} from './guardians';
+import { parseSearch } from './search';
+
+test('phones are normalized to E.164 and emails checked', () => {
+  expect(normalizePhone('(555) 010-9999')).toBe('+15550109999');
+  expect(normalizePhone('+44 20 7946 0018')).toBe('+442079460018');
+  expect(normalizePhone('0044 20 7946 0018')).toBe('+442079460018');
+  expect(normalizePhone('(0)412 345 678', '61')).toBe('+61412345678');
+  expect(normalizePhone('12345')).toBe('');
+  expect(normalizePhone('555-CALL-NOW')).toBe('');
+  expect(isValidEmail('ann.lee@example.com')).toBe(true);
+  expect(isValidEmail('ann@lee')).toBe(false);
+  expect(
+    validateGuardians([
+      { name: 'Ann', phone: '555-01', email: '' },
+      { name: '', relationship: '', phone: '', email: '' },
+      { name: 'Bob', phone: '', email: 'bob@' },
+      { name: '', phone: '', email: '', relationship: 'Father' },
+    ])
+  ).toEqual({
+    0: { phone: 'Phone number is invalid' },
+    2: { email: 'Email is invalid' },
+    3: { name: 'Name is required', phone: 'Add a phone or email' },
+  });
+});
+
+test('guardians are saved with one primary and found by name or phone digits', () => {
+  const saved = normalizeGuardians([
+    { name: ' Ann Lee ', relationship: 'Mother', phone: '(555) 010-9999', email: 'Ann@Example.com', primary: false },
+    { name: '', relationship: '', phone: '', email: '' },
+    { name: 'Bob Lee', relationship: 'Father', phone: '', email: 'bob@example.com', primary: false },
+  ]);
+  expect(saved).toEqual([
+    { name: 'Ann Lee', relationship: 'Mother', phone: '+15550109999', email: 'ann@example.com', primary: true },
+    { name: 'Bob Lee', relationship: 'Father', phone: '', email: 'bob@example.com', primary: false },
+  ]);
+  const student = { guardians: [saved[1], saved[0]] };
+  expect(guardiansOf(student).map((g) => g.name)).toEqual(['Ann Lee', 'Bob Lee']);
+  expect(formatGuardians(saved)).toBe('Ann Lee (Mother, primary) +15550109999 ann@example.com; Bob Lee (Father) bob@example.com');
+  expect(guardianMatches(saved[0], 'lee')).toBe(true);
+  expect(guardianMatches(saved[0], '010-99')).toBe(true);
+  expect(guardianMatches(saved[0], '55')).toBe(false);
+  expect(parseSearch('guardian:"ann lee"')).toEqual([{ field: 'guardians', value: 'ann lee' }]);
+});
@@ -8,48 +8,102 @@ import ViewStudents from './ViewStudents';
 import EditStudent from './EditStudent';
 import NavBar from './NavBar';
 import Analytics from './Analytics';
+import ImportStudents from './ImportStudents';
+import RecentlyDeleted from './RecentlyDeleted';
+import StudentProfile from './StudentProfile';
+import GradingSettings from './GradingSettings';
+import TermSettings from './TermSettings';
+import ClassSettings from './ClassSettings';
+import ReportCards from './ReportCards';
+import Activity from './Activity';
+import AttendanceRoster from './AttendanceRoster';
+import PromotionWizard from './PromotionWizard';
+import Login from './Login';
+import RequireAuth from './RequireAuth';
+import { DeletionProvider } from './DeletionContext';
+import { AuthProvider } from './AuthContext';
+import { OfflineProvider } from './OfflineContext';
+import OfflineBanner from './OfflineBanner';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
-import { BrowserRouter, Routes, Route, Navigate, useNavigate, useParams } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useNavigate, useParams, useLocation } from 'react-router-dom';
 
 // Wrapper for passing navigation handlers to AddStudent/EditStudent components
 function AddStudentWithNav() {
   const navigate = useNavigate();
   return <AddStudent onSuccessNav={() => navigate("/dashboard")} />;
 }
+// Returns to the dashboard view (search/sort/filters) the edit was opened from
 function EditStudentWithNav() {
   const { id } = useParams();
   const navigate = useNavigate();
-  return <EditStudent studentId={id} onSuccessNav={() => navigate("/dashboard")} />;
+  const location = useLocation();
+  const backTo = location.state?.from || "/dashboard";
+  return <EditStudent studentId={id} term={location.state?.term} onSuccessNav={() => navigate(backTo)} />;
+}
+
+function StudentProfileWithNav() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  return (
+    <StudentProfile
+      studentId={id}
+      onEdit={() => navigate(`/edit/${id}`, { state: { from: location.pathname } })}
+      onDeleted={() => navigate(location.state?.from || "/dashboard")}
+    />
+  );
 }
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <BrowserRouter>
-      <NavBar />
-      <Routes>
-        <Route path="/" element={<Homepage />} />
-        <Route path="/dashboard" element={<ViewStudents />} />
-        <Route path="/students" element={<Navigate to="/dashboard" replace />} />
-        <Route path="/add" element={<AddStudentWithNav />} />
-        <Route path="/edit/:id" element={<EditStudentWithNav />} />
-        <Route path="/analytics" element={<Analytics />} />
-        <Route path="*" element={
-          <div style={{
-            minHeight: "100vh",
-            display: "flex",
-            flexDirection: "column",
-            alignItems: "center",
-            justifyContent: "center",
-            background: "#fff"
-          }}>
-            <h2 style={{ color: "#1976d2" }}>404 Page Not Found</h2>
-            <a href="/" style={{ color: "#007bff", fontWeight: 600, textDecoration: "none", marginTop: 18 }}>
-              &larr; Return to Home
-            </a>
-          </div>
-        } />
-      </Routes>
+      <AuthProvider>
+        <OfflineProvider>
+          <DeletionProvider>
+            <NavBar />
+            <OfflineBanner />
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              <Route path="/" element={<RequireAuth route="/"><Homepage /></RequireAuth>} />
+              <Route path="/dashboard" element={<RequireAuth route="/dashboard"><ViewStudents /></RequireAuth>} />
+              <Route path="/students" element={<Navigate to="/dashboard" replace />} />
+              <Route path="/students/:id" element={<RequireAuth route="/students/:id"><StudentProfileWithNav /></RequireAuth>} />
+              <Route path="/add" element={<RequireAuth route="/add"><AddStudentWithNav /></RequireAuth>} />
+              <Route path="/edit/:id" element={<RequireAuth route="/edit/:id"><EditStudentWithNav /></RequireAuth>} />
+              <Route path="/import" element={<RequireAuth route="/import"><ImportStudents /></RequireAuth>} />
+              <Route path="/recently-deleted" element={<RequireAuth route="/recently-deleted"><RecentlyDeleted /></RequireAuth>} />
+              <Route path="/analytics" element={<RequireAuth route="/analytics"><Analytics /></RequireAuth>} />
+              <Route path="/settings/grading" element={<RequireAuth route="/settings/grading"><GradingSettings /></RequireAuth>} />
+              <Route path="/settings/terms" element={<RequireAuth route="/settings/terms"><TermSettings /></RequireAuth>} />
+              <Route path="/settings/classes" element={<RequireAuth route="/settings/classes"><ClassSettings /></RequireAuth>} />
+              <Route path="/reports" element={<RequireAuth route="/reports"><ReportCards /></RequireAuth>} />
+              <Route path="/attendance" element={<RequireAuth route="/attendance"><AttendanceRoster /></RequireAuth>} />
+              <Route path="/promotion" element={<RequireAuth route="/promotion"><PromotionWizard /></RequireAuth>} />
+              <Route path="/activity" element={<RequireAuth route="/activity"><Activity /></RequireAuth>} />
+              <Route path="*" element={
+                <div style={{
+                  minHeight: "100vh",
+                  display: "flex",
+                  flexDirection: "column",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  background: "#fff"
+                }}>
+                  <h2 style={{ color: "#1976d2" }}>404 Page Not Found</h2>
+                  <a href="/" style={{ color: "#007bff", fontWeight: 600, textDecoration: "none", marginTop: 18 }}>
+                    &larr; Return to Home
+                  </a>
+                </div>
+              } />
+            </Routes>
+          </DeletionProvider>
+        </OfflineProvider>
+      </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// Cache the app shell so it opens offline (production builds only)
+serviceWorkerRegistration.register();
@@ -0,0 +1,177 @@
+import { useEffect, useRef, useState } from "react";
+import { listStudentChanges, studentEventsUrl } from "./api";
+
+/**
+ * PUBLIC_INTERFACE
+ * Live student changes made by other users, shared by every open page.
+ *
+ * While anything is subscribed, listens to the backend's Server-Sent Events stream
+ * (GET /events, `student` events). When EventSource is unavailable or the stream drops,
+ * the same events are polled from GET /events/changes, which only returns what changed
+ * since the previous poll; a refused stream is retried every few minutes.
+ *
+ * Events are `{ action: "create"|"update"|"delete", studentId, student, actor }`, where
+ * `student` is the record after the change (null for deletes) and `actor` the username
+ * that made it.
+ */
+export const POLL_INTERVAL_MS = 15000;
+const PUSH_RETRY_MS = 120000;
+
+const listeners = new Set();
+const modeListeners = new Set();
+
+// "off" (nobody listening), "connecting", "push" or "polling"
+let mode = "off";
+let source = null;
+let pollTimer = null;
+let retryTimer = null;
+// Position in the change feed after the previous poll; null until the first poll
+let cursor = null;
+
+function setMode(next) {
+  if (next === mode) return;
+  mode = next;
+  modeListeners.forEach((fn) => fn(mode));
+}
+
+function emit(event) {
+  listeners.forEach((fn) => fn(event));
+}
+
+function normalize(raw) {
+  const student = raw.student || null;
+  return {
+    action: raw.action,
+    studentId: raw.student_id ?? (student && student.id),
+    student,
+    actor: raw.actor || "",
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * A student list with one event applied: updates replace the record in place, creates
+ * are appended and deletes removed.
+ * @param {Array<Object>} list
+ * @param {Object} event
+ * @returns {Array<Object>}
+ */
+export function applyStudentEvent(list, event) {
+  const id = String(event.studentId);
+  const index = list.findIndex((s) => String(s.id) === id);
+  if (event.action === "delete") return index < 0 ? list : list.filter((_, i) => i !== index);
+  if (!event.student) return list;
+  if (index < 0) return [...list, event.student];
+  return list.map((s, i) => (i === index ? event.student : s));
+}
+
+async function poll() {
+  try {
+    const { cursor: next, events } = await listStudentChanges(cursor);
+    if (cursor !== null) events.forEach((raw) => emit(normalize(raw)));
+    cursor = next;
+  } catch (e) {
+    // Offline or server error: try again on the next tick
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  setMode("polling");
+  cursor = null;
+  poll();
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  cursor = null;
+}
+
+function closeSource() {
+  if (source) source.close();
+  source = null;
+}
+
+function connect() {
+  if (typeof window === "undefined" || !window.EventSource) {
+    startPolling();
+    return;
+  }
+  if (!pollTimer) setMode("connecting");
+  const es = new window.EventSource(studentEventsUrl());
+  source = es;
+  es.addEventListener("open", () => {
+    stopPolling();
+    setMode("push");
+  });
+  es.addEventListener("student", (e) => {
+    try {
+      emit(normalize(JSON.parse(e.data)));
+    } catch (err) {
+      // Ignore malformed events
+    }
+  });
+  es.addEventListener("error", () => {
+    // Poll while EventSource reconnects; if the server refused the stream, retry it later
+    startPolling();
+    if (es.readyState === window.EventSource.CLOSED) {
+      closeSource();
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        if (listeners.size) connect();
+      }, PUSH_RETRY_MS);
+    }
+  });
+}
+
+function disconnect() {
+  closeSource();
+  stopPolling();
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  setMode("off");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Receive student change events; connects on the first subscriber and disconnects after
+ * the last one leaves. Returns an unsubscribe function.
+ * @param {function(Object): void} handler
+ */
+export function subscribeStudentEvents(handler) {
+  listeners.add(handler);
+  if (listeners.size === 1) connect();
+  return () => {
+    listeners.delete(handler);
+    if (!listeners.size) disconnect();
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * React hook: call `handler` (latest render's) for every student change while mounted.
+ * Returns the current mode ("connecting", "push" or "polling") for a status hint.
+ * @param {function(Object): void} handler
+ */
+export function useStudentEvents(handler) {
+  const latest = useRef(handler);
+  const [liveMode, setLiveMode] = useState(mode);
+
+  useEffect(() => {
+    latest.current = handler;
+  });
+
+  useEffect(() => {
+    modeListeners.add(setLiveMode);
+    const unsubscribe = subscribeStudentEvents((event) => latest.current(event));
+    setLiveMode(mode);
+    return () => {
+      unsubscribe();
+      modeListeners.delete(setLiveMode);
+    };
+  }, []);
+
+  return liveMode;
+}
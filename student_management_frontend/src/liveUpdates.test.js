@@ -0,0 +1,43 @@
+import { applyStudentEvent, subscribeStudentEvents, POLL_INTERVAL_MS } from './liveUpdates';
+
+const ann = { id: 1, name: 'Ann', marks: 60 };
+const bo = { id: 2, name: 'Bo', marks: 70 };
+
+// Let pending fetch promises settle under fake timers
+async function flush() {
+  for (let i = 0; i < 20; i += 1) await Promise.resolve();
+}
+
+test('without an event stream only the changes since the previous poll are fetched', async () => {
+  jest.useFakeTimers();
+  const updated = { ...bo, marks: 75 };
+  const pages = [
+    { cursor: 4, events: [] },
+    { cursor: 5, events: [{ action: 'update', student_id: 2, student: updated, actor: 'teacher' }] },
+  ];
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true, data: pages.shift() }) })
+  );
+  const handler = jest.fn();
+  const unsubscribe = subscribeStudentEvents(handler);
+  try {
+    await flush();
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/events\/changes$/);
+    jest.advanceTimersByTime(POLL_INTERVAL_MS);
+    await flush();
+    expect(global.fetch.mock.calls[1][0]).toMatch(/\/events\/changes\?after=4$/);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ action: 'update', studentId: 2, student: updated, actor: 'teacher' });
+  } finally {
+    unsubscribe();
+    jest.useRealTimers();
+    delete global.fetch;
+  }
+});
+
+test('applyStudentEvent updates in place, appends creates and drops deletes', () => {
+  const updated = { ...bo, marks: 90 };
+  expect(applyStudentEvent([ann, bo], { action: 'update', studentId: '2', student: updated })).toEqual([ann, updated]);
+  expect(applyStudentEvent([ann], { action: 'create', studentId: 2, student: bo })).toEqual([ann, bo]);
+  expect(applyStudentEvent([ann, bo], { action: 'delete', studentId: 1, student: null })).toEqual([bo]);
+});
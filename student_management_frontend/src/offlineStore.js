@@ -0,0 +1,91 @@
+/**
+ * PUBLIC_INTERFACE
+ * Small key/value store on IndexedDB for offline mode (cached student lists and the
+ * queued-mutation outbox). Values are structured-cloned, so plain objects and arrays only.
+ *
+ * Where IndexedDB is unavailable (old browsers, some private modes, tests) values are
+ * kept in memory for the session and `isPersistent()` is false.
+ */
+const DB_NAME = "student-management";
+const STORE = "kv";
+
+const memory = new Map();
+let dbPromise = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether values survive a reload (IndexedDB is available).
+ */
+export function isPersistent() {
+  return typeof window !== "undefined" && !!window.indexedDB;
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Read a value; resolves undefined when missing or unreadable.
+ * @param {string} key
+ */
+export async function readValue(key) {
+  if (!isPersistent()) return memory.get(key);
+  try {
+    return await run("readonly", (store) => store.get(key));
+  } catch (e) {
+    return memory.get(key);
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Write a value (falls back to memory if IndexedDB fails).
+ * @param {string} key
+ * @param {*} value
+ */
+export async function writeValue(key, value) {
+  memory.set(key, value);
+  if (!isPersistent()) return;
+  try {
+    await run("readwrite", (store) => store.put(value, key));
+  } catch (e) {
+    // Quota or private-mode failure: the in-memory copy still serves this session
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Remove a value (missing keys are ignored).
+ * @param {string} key
+ */
+export async function deleteValue(key) {
+  memory.delete(key);
+  if (!isPersistent()) return;
+  try {
+    await run("readwrite", (store) => store.delete(key));
+  } catch (e) {
+    // Left behind; it is overwritten or ignored later
+  }
+}
@@ -0,0 +1,100 @@
+import { readValue, writeValue } from "./offlineStore";
+
+/**
+ * PUBLIC_INTERFACE
+ * Outbox of student mutations made while the backend was unreachable.
+ *
+ * Entries are `{ id, type: "create"|"update"|"delete"|"restore", studentId?, body?, version?, label,
+ * owner, queuedAt }` and are kept in order in offlineStore so they survive a reload. api.js adds
+ * to it and replays it (replayOutbox); pages read it through OfflineContext.
+ * `owner` is the username that queued the change: only the signed-in user's entries are
+ * visible and replayed, so another user on the same browser never sends them with their token.
+ * An in-memory copy keeps getOutbox() synchronous.
+ */
+const KEY = "outbox";
+
+let entries = [];
+// Username of the signed-in user (see setOutboxOwner) and their entries
+let owner = null;
+let mine = [];
+let loaded = null;
+const listeners = new Set();
+
+function notify() {
+  mine = entries.filter((e) => owner && e.owner === owner);
+  listeners.forEach((fn) => fn(mine));
+}
+
+function changed() {
+  writeValue(KEY, entries);
+  notify();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Set whose entries are queued and replayed; null when signed out (nothing is visible).
+ * @param {?string} username
+ */
+export function setOutboxOwner(username) {
+  owner = username || null;
+  notify();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Load the saved outbox (once); resolves with the entries.
+ */
+export function loadOutbox() {
+  if (!loaded) {
+    loaded = readValue(KEY).then((saved) => {
+      // Keep anything queued before the saved copy finished loading
+      if (Array.isArray(saved) && saved.length) {
+        entries = [...saved, ...entries.filter((e) => !saved.some((s) => s.id === e.id))];
+        notify();
+      }
+      return mine;
+    });
+  }
+  return loaded;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * The signed-in user's queued entries, oldest first.
+ */
+export function getOutbox() {
+  return mine;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Append a mutation to the queue, owned by the signed-in user.
+ * @param {Object} entry Without id/owner/queuedAt
+ * @returns {Object} The stored entry
+ */
+export function enqueue(entry) {
+  const stored = { ...entry, id: `${Date.now()}-${Math.random()}`, owner, queuedAt: new Date().toISOString() };
+  entries = [...entries, stored];
+  changed();
+  return stored;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Remove an entry once it was sent (or given up on).
+ * @param {string} id
+ */
+export function removeEntry(id) {
+  entries = entries.filter((e) => e.id !== id);
+  changed();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Be told about every change to the queue; returns an unsubscribe function.
+ * @param {function(Array<Object>): void} fn
+ */
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
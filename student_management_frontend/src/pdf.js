@@ -0,0 +1,195 @@
+/**
+ * PUBLIC_INTERFACE
+ * Minimal client-side PDF writer for the report cards (no external dependency).
+ *
+ * Supports A4 pages with Helvetica text, lines, filled rectangles and JPEG images
+ * (e.g. Chart.js canvases). Coordinates are in points from the top-left corner.
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Unicode punctuation that WinAnsiEncoding places below 0xA0
+const WIN_ANSI = {
+  "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93,
+  "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97,
+};
+
+// Number formatting for content streams
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+// "#1976d2" -> "0.1 0.46 0.82 rg"
+function rgb(hex, op) {
+  const v = parseInt(hex.replace("#", ""), 16);
+  return `${num(((v >> 16) & 255) / 255)} ${num(((v >> 8) & 255) / 255)} ${num((v & 255) / 255)} ${op}`;
+}
+
+// Text as a PDF string literal body in WinAnsiEncoding; unsupported characters become "?"
+function encodeText(str) {
+  let out = "";
+  for (const ch of String(str)) {
+    let code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) code = WIN_ANSI[ch];
+    else if (code < 0x20) code = 0x20;
+    else if (code >= 0x7f && (code < 0xa0 || code > 0xff)) code = 0x3f;
+    const c = String.fromCharCode(code);
+    out += c === "\\" || c === "(" || c === ")" ? "\\" + c : c;
+  }
+  return out;
+}
+
+// One byte per character (all strings written here are already 8-bit)
+function latin1(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 255;
+  return bytes;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Draw a canvas onto a white background and encode it as JPEG for pdf.image().
+ * @param {HTMLCanvasElement} canvas
+ * @returns {{bytes: Uint8Array, width: number, height: number}}
+ */
+export function jpegFromCanvas(canvas) {
+  const flat = document.createElement("canvas");
+  flat.width = canvas.width;
+  flat.height = canvas.height;
+  const ctx = flat.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, flat.width, flat.height);
+  ctx.drawImage(canvas, 0, 0);
+  const base64 = flat.toDataURL("image/jpeg", 0.92).split(",")[1];
+  return { bytes: latin1(window.atob(base64)), width: flat.width, height: flat.height };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Create an empty A4 PDF document. Call addPage() before drawing.
+ * @returns {Object} Document with addPage, text, textWidth, line, rect, image, toBytes and save
+ */
+export function createPdf() {
+  const pages = [];
+  const images = [];
+  let ops = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    // Text with its baseline at y
+    text(str, x, y, { size = 11, bold = false, color = "#000000" } = {}) {
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color, "rg")} ` +
+          `${num(x)} ${num(PAGE_HEIGHT - y)} Td (${encodeText(str)}) Tj ET`
+      );
+      return doc;
+    },
+
+    // Approximate Helvetica width of a string, for layout and truncation
+    textWidth(str, size = 11) {
+      return String(str).length * size * 0.52;
+    },
+
+    line(x1, y1, x2, y2, { color = "#000000", width = 1 } = {}) {
+      ops.push(
+        `${rgb(color, "RG")} ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ` +
+          `${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill = "#000000" } = {}) {
+      ops.push(`${rgb(fill, "rg")} ${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re f`);
+      return doc;
+    },
+
+    // Place a JPEG from jpegFromCanvas() with its top-left corner at (x, y)
+    image(jpeg, x, y, w, h) {
+      images.push(jpeg);
+      ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(PAGE_HEIGHT - y - h)} cm /Im${images.length} Do Q`);
+      return doc;
+    },
+
+    // Serialize the document to PDF bytes
+    toBytes() {
+      // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, then images, then page + content pairs
+      const firstImage = 5;
+      const firstPage = firstImage + images.length;
+      const pageRefs = pages.map((_, i) => `${firstPage + i * 2} 0 R`);
+      const xobjects = images.map((_, i) => `/Im${i + 1} ${firstImage + i} 0 R`).join(" ");
+
+      const objects = [
+        ["<< /Type /Catalog /Pages 2 0 R >>"],
+        [`<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`],
+        ["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"],
+        ["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"],
+        ...images.map((img) => [
+          `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>\nstream\n`,
+          img.bytes,
+          "\nendstream",
+        ]),
+      ];
+      pages.forEach((pageOps, i) => {
+        const content = pageOps.join("\n");
+        objects.push([
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xobjects} >> >> ` +
+            `/Contents ${firstPage + i * 2 + 1} 0 R >>`,
+        ]);
+        objects.push([`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+      });
+
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (part) => {
+        const bytes = typeof part === "string" ? latin1(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      objects.forEach((parts, i) => {
+        offsets.push(length);
+        write(`${i + 1} 0 obj\n`);
+        parts.forEach(write);
+        write("\nendobj\n");
+      });
+      const xref = length;
+      write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+      offsets.forEach((o) => write(`${String(o).padStart(10, "0")} 00000 n \n`));
+      write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+      const out = new Uint8Array(length);
+      let pos = 0;
+      for (const c of chunks) {
+        out.set(c, pos);
+        pos += c.length;
+      }
+      return out;
+    },
+
+    // Trigger a browser download of the document
+    save(filename) {
+      const blob = new Blob([doc.toBytes()], { type: "application/pdf" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    },
+  };
+  return doc;
+}
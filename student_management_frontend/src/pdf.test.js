@@ -0,0 +1,24 @@
+import { createPdf } from './pdf';
+
+const decode = (bytes) => Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+
+test('writes a PDF whose xref offsets point at each object', () => {
+  const doc = createPdf();
+  doc.addPage().text('Class 10A (report)', 40, 60, { bold: true });
+  doc.addPage().rect(40, 40, 100, 20, { fill: '#1976d2' });
+  const pdf = decode(doc.toBytes());
+
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf).toContain('/Count 2');
+  expect(pdf).toContain('(Class 10A \\(report\\)) Tj');
+  const xrefAt = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+  expect(pdf.slice(xrefAt, xrefAt + 4)).toBe('xref');
+  const offsets = pdf.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map((l) => parseInt(l, 10));
+  offsets.forEach((offset, i) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+});
+
+test('maps typographic punctuation to WinAnsi and replaces unsupported characters', () => {
+  const doc = createPdf();
+  doc.addPage().text('90–100 ✓ é', 0, 10);
+  expect(decode(doc.toBytes())).toContain('(90\x96100 ? \xe9) Tj');
+});
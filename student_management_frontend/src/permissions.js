@@ -0,0 +1,83 @@
+/**
+ * PUBLIC_INTERFACE
+ * Role-based access rules for the signed-in user (see AuthContext).
+ *
+ * - viewer: read-only dashboard and analytics
+ * - teacher: also profiles, report cards and editing students of their assigned classes
+ * - admin: everything, including import, the grading scale and the Activity log
+ * The backend enforces the same rules; these checks only decide what the UI offers.
+ */
+export const ROLES = ["admin", "teacher", "viewer"];
+
+// Lowest role allowed on each route (index.js paths)
+const ROUTE_ROLES = {
+  "/": "viewer",
+  "/dashboard": "viewer",
+  "/analytics": "viewer",
+  "/students/:id": "teacher",
+  "/add": "teacher",
+  "/edit/:id": "teacher",
+  "/recently-deleted": "teacher",
+  "/reports": "teacher",
+  "/attendance": "teacher",
+  "/import": "admin",
+  "/promotion": "admin",
+  "/settings/grading": "admin",
+  "/settings/terms": "admin",
+  "/settings/classes": "admin",
+  "/activity": "admin",
+};
+
+// Higher number = more access
+const RANK = { viewer: 1, teacher: 2, admin: 3 };
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether the user may open a route (a key of index.js, e.g. "/edit/:id").
+ * Unknown routes are admin-only.
+ * @param {?Object} user { role, classes }
+ * @param {string} route
+ */
+export function canAccess(user, route) {
+  if (!user) return false;
+  return (RANK[user.role] || 0) >= RANK[ROUTE_ROLES[route] || "admin"];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether the user may add, edit, delete or restore students of a class.
+ * Teachers are limited to their assigned classes (compared case-insensitively).
+ * @param {?Object} user
+ * @param {string} cls
+ */
+export function canEditClass(user, cls) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  if (user.role !== "teacher") return false;
+  const wanted = String(cls || "").trim().toLowerCase();
+  return (user.classes || []).some((c) => String(c).trim().toLowerCase() === wanted);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether the user may change this student record.
+ * @param {?Object} user
+ * @param {Object} student
+ */
+export function canEditStudent(user, student) {
+  return canEditClass(user, student && student.student_class);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Form error for a class the user may not assign students to, or "" when allowed.
+ * @param {?Object} user
+ * @param {string} cls
+ */
+export function classPermissionError(user, cls) {
+  if (!String(cls || "").trim() || canEditClass(user, cls)) return "";
+  const classes = (user && user.classes) || [];
+  return classes.length
+    ? `You can only manage students in: ${classes.join(", ")}`
+    : "You are not assigned to any class";
+}
@@ -0,0 +1,25 @@
+import { canAccess, canEditClass, canEditStudent, classPermissionError } from './permissions';
+
+const admin = { username: 'root', role: 'admin', classes: [] };
+const teacher = { username: 'tess', role: 'teacher', classes: ['10A', '10B'] };
+const viewer = { username: 'vic', role: 'viewer', classes: [] };
+
+test('routes open by role, and nothing without a user', () => {
+  expect(canAccess(viewer, '/dashboard')).toBe(true);
+  expect(canAccess(viewer, '/analytics')).toBe(true);
+  expect(canAccess(viewer, '/add')).toBe(false);
+  expect(canAccess(teacher, '/edit/:id')).toBe(true);
+  expect(canAccess(teacher, '/import')).toBe(false);
+  expect(canAccess(admin, '/settings/grading')).toBe(true);
+  expect(canAccess(null, '/dashboard')).toBe(false);
+});
+
+test('teachers can only change students of their classes', () => {
+  expect(canEditClass(teacher, ' 10a ')).toBe(true);
+  expect(canEditStudent(teacher, { student_class: '9C' })).toBe(false);
+  expect(canEditClass(admin, '9C')).toBe(true);
+  expect(canEditClass(viewer, '10A')).toBe(false);
+  expect(classPermissionError(teacher, '9C')).toBe('You can only manage students in: 10A, 10B');
+  expect(classPermissionError(teacher, '10B')).toBe('');
+  expect(classPermissionError(teacher, '')).toBe('');
+});
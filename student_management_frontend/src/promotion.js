@@ -0,0 +1,124 @@
+import { isPass } from "./grading";
+import { overallMarks } from "./subjects";
+
+/**
+ * PUBLIC_INTERFACE
+ * Year-end promotion planning for the Promotion wizard.
+ *
+ * A mapping `{ [sourceClass]: targetClass }` says where each class moves ("" keeps it where
+ * it is). The plan lists every student of a mapped class as promoted or held back; students
+ * are held back by hand, or automatically below the pass mark when that option is on.
+ * The backend applies the promoted moves in one batch (see promoteStudents in api.js).
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Class graduating students move to.
+ */
+export const ALUMNI_CLASS = "Alumni";
+
+/**
+ * PUBLIC_INTERFACE
+ * Highest grade number taught (REACT_APP_FINAL_GRADE, default 12); its classes graduate.
+ */
+export const FINAL_GRADE = parseInt(process.env.REACT_APP_FINAL_GRADE, 10) || 12;
+
+/**
+ * PUBLIC_INTERFACE
+ * Suggested next class: the grade number goes up by one ("9A" -> "10A", "Grade 7" -> "Grade 8"),
+ * final-grade classes graduate to ALUMNI_CLASS, and classes without a number (or Alumni)
+ * get "" (keep).
+ * @param {string} cls
+ */
+export function suggestTarget(cls) {
+  const name = String(cls || "").trim();
+  const match = /^(\D*)(\d+)(.*)$/.exec(name);
+  if (!match || name.toLowerCase() === ALUMNI_CLASS.toLowerCase()) return "";
+  const grade = parseInt(match[2], 10);
+  return grade >= FINAL_GRADE ? ALUMNI_CLASS : `${match[1]}${grade + 1}${match[3]}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Mapping with a suggested target for every class.
+ * @param {Array<string>} classes
+ * @returns {Object<string, string>}
+ */
+export function suggestMapping(classes) {
+  return Object.fromEntries(classes.map((cls) => [cls, suggestTarget(cls)]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Error per source class whose target cannot be used ({} when the mapping is valid).
+ * @param {Object<string, string>} mapping
+ */
+export function validateMapping(mapping) {
+  const errors = {};
+  for (const [from, to] of Object.entries(mapping)) {
+    if (String(to).trim().length > 20) errors[from] = "Class must be at most 20 characters";
+  }
+  return errors;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Promotion plan for the students of mapped classes, sorted by class then name.
+ * @param {Array<Object>} students
+ * @param {Object<string, string>} mapping
+ * @param {{overrides?: Object<string, "promote"|"hold">, holdFailing?: boolean, scale?: Object}} [options]
+ *   overrides: per student id, wins over the automatic hold
+ * @returns {Array<{student: Object, from: string, to: string, status: "promote"|"hold", reason: string}>}
+ */
+export function planPromotion(students, mapping, { overrides = {}, holdFailing = false, scale } = {}) {
+  const rows = [];
+  for (const student of students) {
+    const from = student.student_class;
+    const to = String(mapping[from] || "").trim();
+    if (!from || !to || to === from) continue;
+    const failing = holdFailing && !isPass(overallMarks(student), scale);
+    const choice = overrides[student.id];
+    const hold = choice ? choice === "hold" : failing;
+    let reason = "";
+    if (hold) reason = choice ? "Held back" : "Below the pass mark";
+    else if (failing) reason = "Below the pass mark, promoted anyway";
+    rows.push({ student, from, to, status: hold ? "hold" : "promote", reason });
+  }
+  return rows.sort((a, b) => a.from.localeCompare(b.from) || a.student.name.localeCompare(b.student.name));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Counts per source class and in total.
+ * @param {Array<Object>} plan From planPromotion()
+ * @returns {{promoted: number, held: number, classes: Array<{from: string, to: string, promoted: number, held: number}>}}
+ */
+export function summarizePlan(plan) {
+  const byClass = {};
+  for (const row of plan) {
+    const entry = byClass[row.from] || (byClass[row.from] = { from: row.from, to: row.to, promoted: 0, held: 0 });
+    if (row.status === "promote") entry.promoted++;
+    else entry.held++;
+  }
+  const classes = Object.values(byClass).sort((a, b) => a.from.localeCompare(b.from));
+  return {
+    promoted: classes.reduce((n, c) => n + c.promoted, 0),
+    held: classes.reduce((n, c) => n + c.held, 0),
+    classes,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Moves for the backend: `[{ student_id, to_class, version? }]` for the promoted students.
+ * @param {Array<Object>} plan From planPromotion()
+ */
+export function toMoves(plan) {
+  return plan
+    .filter((row) => row.status === "promote")
+    .map(({ student, to }) => {
+      const move = { student_id: student.id, to_class: to };
+      if (student.version !== undefined && student.version !== null) move.version = student.version;
+      return move;
+    });
+}
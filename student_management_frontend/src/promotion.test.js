@@ -0,0 +1,44 @@
+import { suggestTarget, suggestMapping, validateMapping, planPromotion, summarizePlan, toMoves } from './promotion';
+
+const student = (id, name, cls, marks, version) => ({ id, name, student_class: cls, marks, version });
+
+test('suggested targets move up a grade and graduate the final grade', () => {
+  expect(suggestTarget('9A')).toBe('10A');
+  expect(suggestTarget('Grade 7')).toBe('Grade 8');
+  expect(suggestTarget('12B')).toBe('Alumni');
+  expect(suggestTarget('Alumni')).toBe('');
+  expect(suggestTarget('Staff')).toBe('');
+  expect(suggestMapping(['9A', '12B'])).toEqual({ '9A': '10A', '12B': 'Alumni' });
+  expect(validateMapping({ '9A': '10A', '9B': 'x'.repeat(21) })).toEqual({ '9B': 'Class must be at most 20 characters' });
+});
+
+test('plans hold back failing students unless overridden and only promoted students move', () => {
+  const students = [
+    student(1, 'Cara', '9A', 72, 3),
+    student(2, 'Ben', '9A', 41, 1),
+    student(3, 'Ann', '12B', 50),
+    student(4, 'Dev', '9C', 88),
+  ];
+  const mapping = { '9A': '10A', '12B': 'Alumni', '9C': '' };
+  const plan = planPromotion(students, mapping, { holdFailing: true, overrides: { 3: 'promote' } });
+
+  expect(plan.map((r) => [r.student.name, r.status])).toEqual([
+    ['Ann', 'promote'],
+    ['Ben', 'hold'],
+    ['Cara', 'promote'],
+  ]);
+  expect(plan[1].reason).toBe('Below the pass mark');
+  expect(plan[0].reason).toBe('Below the pass mark, promoted anyway');
+  expect(summarizePlan(plan)).toEqual({
+    promoted: 2,
+    held: 1,
+    classes: [
+      { from: '12B', to: 'Alumni', promoted: 1, held: 0 },
+      { from: '9A', to: '10A', promoted: 1, held: 1 },
+    ],
+  });
+  expect(toMoves(plan)).toEqual([
+    { student_id: 3, to_class: 'Alumni' },
+    { student_id: 1, to_class: '10A', version: 3 },
+  ]);
+});
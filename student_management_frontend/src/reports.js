@@ -0,0 +1,304 @@
+import { groupByClass, rankWithin, gradeDistribution, passRate } from "./stats";
+import { subjectMarksOf, subjectsIn, overallMarks } from "./subjects";
+import { gradeFor, isPass } from "./grading";
+import { createPdf } from "./pdf";
+
+/**
+ * PUBLIC_INTERFACE
+ * Report data for the printable class reports and student report cards, and their PDF layout.
+ *
+ * The same report objects drive the on-screen/print version (ReportCards page) and the
+ * client-side PDF built here with pdf.js.
+ */
+
+const COLOR_PRIMARY = "#1976d2";
+const COLOR_TEXT = "#222222";
+const COLOR_MUTED = "#666666";
+const COLOR_RULE = "#d4d7da";
+const COLOR_HEAD = "#e3e8ee";
+
+// Average of a list of numbers, ignoring NaN; null when empty
+function average(values) {
+  const nums = values.filter((v) => !isNaN(v));
+  return nums.length ? nums.reduce((acc, v) => acc + v, 0) / nums.length : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Marks value as shown in reports: one decimal at most, "-" when missing.
+ * @param {?number} value
+ */
+export function formatMarks(value) {
+  return value === null || value === undefined || isNaN(value) ? "-" : String(Number(value.toFixed(1)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Class report: roster ranked by overall marks, class average, topper, pass rate and
+ * the grade distribution.
+ * @param {Array<Object>} students All students
+ * @param {string} cls Class to report on
+ * @param {Object} scale Grading scale (see grading.js)
+ */
+export function classReport(students, cls, scale) {
+  const members = groupByClass(students)[cls] || [];
+  const rows = members
+    .map((stu) => {
+      const marks = overallMarks(stu);
+      return {
+        student: stu,
+        rank: rankWithin(stu, members)?.rank ?? null,
+        marks,
+        subjectMarks: subjectMarksOf(stu),
+        grade: gradeFor(marks, scale),
+        pass: isPass(marks, scale),
+      };
+    })
+    .sort(
+      (a, b) =>
+        (a.rank ?? Infinity) - (b.rank ?? Infinity) || (a.student.name || "").localeCompare(b.student.name || "")
+    );
+  const subjects = subjectsIn(members);
+  return {
+    cls,
+    rows,
+    subjects,
+    average: average(rows.map((r) => r.marks)),
+    topper: rows.length && rows[0].rank === 1 ? rows[0] : null,
+    passing: passRate(members, scale),
+    grades: gradeDistribution(members, scale),
+    subjectAverages: subjects.map((subject) => average(rows.map((r) => r.subjectMarks[subject] ?? NaN))),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Student report card: per-subject marks with grades and class averages, overall
+ * marks, grade, pass/fail and rank in class and overall.
+ * @param {Object} student
+ * @param {Array<Object>} students All students (for class figures and ranks)
+ * @param {Object} scale Grading scale (see grading.js)
+ */
+export function studentReport(student, students, scale) {
+  const others = students.filter((s) => String(s.id) !== String(student.id));
+  const classmates = [...(groupByClass(others)[student.student_class] || []), student];
+  const subjectMarks = subjectMarksOf(student);
+  const marks = overallMarks(student);
+  const subjects = Object.keys(subjectMarks).map((subject) => ({
+    subject,
+    marks: subjectMarks[subject],
+    grade: gradeFor(subjectMarks[subject], scale),
+    classAverage: average(classmates.map((s) => subjectMarksOf(s)[subject] ?? NaN)),
+  }));
+  const classReportData = classReport([...others, student], student.student_class, scale);
+  return {
+    student,
+    subjects,
+    marks,
+    grade: gradeFor(marks, scale),
+    pass: isPass(marks, scale),
+    classRank: student.student_class ? rankWithin(student, classmates) : null,
+    overallRank: rankWithin(student, [...others, student]),
+    classAverage: classReportData.average,
+    classTopper: classReportData.topper,
+  };
+}
+
+// Truncate text to fit a column width in the PDF
+function fit(doc, str, width, size) {
+  const text = String(str ?? "");
+  if (doc.textWidth(text, size) <= width) return text;
+  let out = text;
+  while (out.length > 1 && doc.textWidth(out + "…", size) > width) out = out.slice(0, -1);
+  return out + "…";
+}
+
+// Page layout helper: tracks the cursor and starts new pages as needed
+function layout(title) {
+  const doc = createPdf();
+  const margin = 40;
+  const state = { doc, margin, width: doc.width - margin * 2, y: 0, page: 0 };
+
+  state.newPage = () => {
+    doc.addPage();
+    state.page += 1;
+    doc.text(title, margin, 28, { size: 8.5, color: COLOR_MUTED });
+    doc.text(`Page ${state.page}`, doc.width - margin - 34, 28, { size: 8.5, color: COLOR_MUTED });
+    state.y = 56;
+  };
+  // Make sure `height` points are left on the page
+  state.ensure = (height) => {
+    if (state.y + height > doc.height - margin) state.newPage();
+  };
+  state.heading = (text, size = 13) => {
+    state.ensure(size + 30);
+    state.y += size + 6;
+    doc.text(text, margin, state.y, { size, bold: true, color: COLOR_PRIMARY });
+    state.y += 10;
+  };
+  // Label/value pairs laid out in equal columns
+  state.facts = (pairs) => {
+    const colWidth = state.width / pairs.length;
+    state.ensure(40);
+    pairs.forEach(([label, value], i) => {
+      const x = margin + i * colWidth;
+      doc.text(fit(doc, label, colWidth - 8, 8.5), x, state.y + 10, { size: 8.5, color: COLOR_MUTED });
+      doc.text(fit(doc, value, colWidth - 8, 12), x, state.y + 26, { size: 12, bold: true, color: COLOR_TEXT });
+    });
+    state.y += 38;
+  };
+  // Table with a repeated header row on each page; widths are fractions of the content width
+  state.table = (columns, rows) => {
+    const size = 9;
+    const rowHeight = 17;
+    const widths = columns.map((c) => c.width * state.width);
+    const drawHeader = () => {
+      doc.rect(margin, state.y, state.width, rowHeight, { fill: COLOR_HEAD });
+      let x = margin;
+      columns.forEach((c, i) => {
+        doc.text(fit(doc, c.label, widths[i] - 6, size), x + 4, state.y + 12, { size, bold: true, color: COLOR_TEXT });
+        x += widths[i];
+      });
+      state.y += rowHeight;
+    };
+    state.ensure(rowHeight * 2);
+    drawHeader();
+    rows.forEach((row) => {
+      if (state.y + rowHeight > doc.height - margin) {
+        state.newPage();
+        drawHeader();
+      }
+      let x = margin;
+      row.forEach((cell, i) => {
+        doc.text(fit(doc, cell, widths[i] - 6, size), x + 4, state.y + 12, { size, color: COLOR_TEXT });
+        x += widths[i];
+      });
+      state.y += rowHeight;
+      doc.line(margin, state.y, margin + state.width, state.y, { color: COLOR_RULE, width: 0.5 });
+    });
+    state.y += 8;
+  };
+  // Chart images from jpegFromCanvas(), scaled to the content width
+  state.charts = (charts) => {
+    charts.forEach(({ title, image }) => {
+      const height = Math.min(260, (image.height / image.width) * state.width);
+      const width = (image.width / image.height) * height;
+      state.ensure(height + 34);
+      state.y += 16;
+      doc.text(title, margin, state.y, { size: 10.5, bold: true, color: COLOR_TEXT });
+      state.y += 8;
+      doc.image(image, margin, state.y, width, height);
+      state.y += height + 6;
+    });
+  };
+
+  state.newPage();
+  return state;
+}
+
+// Shared title block
+function titleBlock(page, title, subtitle) {
+  page.doc.text(title, page.margin, page.y + 14, { size: 20, bold: true, color: COLOR_PRIMARY });
+  page.doc.text(subtitle, page.margin, page.y + 32, { size: 9.5, color: COLOR_MUTED });
+  page.y += 46;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Build the PDF for a class report.
+ * @param {Object} report From classReport()
+ * @param {Object} scale Grading scale
+ * @param {Array<{title: string, image: Object}>} charts Chart images (jpegFromCanvas)
+ * @returns {Object} pdf.js document (call .save(filename))
+ */
+export function classReportPdf(report, scale, charts = []) {
+  const page = layout(`Class report – ${report.cls}`);
+  titleBlock(
+    page,
+    `Class Report – ${report.cls}`,
+    `Generated ${new Date().toLocaleDateString()} · Pass mark ${scale.passMark}`
+  );
+  page.facts([
+    ["Students", String(report.rows.length)],
+    ["Class average", formatMarks(report.average)],
+    ["Topper", report.topper ? `${report.topper.student.name} (${formatMarks(report.topper.marks)})` : "-"],
+    ["Pass rate", `${report.passing.rate.toFixed(1)}%`],
+  ]);
+
+  page.heading("Roster");
+  const subjectShare = report.subjects.length ? Math.min(0.09, 0.42 / report.subjects.length) : 0;
+  const nameShare = 0.58 - subjectShare * report.subjects.length;
+  page.table(
+    [
+      { label: "#", width: 0.06 },
+      { label: "Name", width: nameShare * 0.62 },
+      { label: "Roll No.", width: nameShare * 0.38 },
+      ...report.subjects.map((s) => ({ label: s, width: subjectShare })),
+      { label: report.subjects.length ? "Average" : "Marks", width: 0.12 },
+      { label: "Grade", width: 0.1 },
+      { label: "Result", width: 0.14 },
+    ],
+    report.rows.map((r) => [
+      r.rank ?? "-",
+      r.student.name,
+      r.student.roll_number,
+      ...report.subjects.map((s) => formatMarks(r.subjectMarks[s])),
+      formatMarks(r.marks),
+      r.grade || "-",
+      r.grade ? (r.pass ? "Pass" : "Fail") : "-",
+    ])
+  );
+
+  page.charts(charts);
+  return page.doc;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Build the PDF for a student report card.
+ * @param {Object} report From studentReport()
+ * @param {Object} scale Grading scale
+ * @param {Array<{title: string, image: Object}>} charts Chart images (jpegFromCanvas)
+ * @returns {Object} pdf.js document (call .save(filename))
+ */
+export function studentReportPdf(report, scale, charts = []) {
+  const { student } = report;
+  const page = layout(`Report card – ${student.name}`);
+  titleBlock(
+    page,
+    `Report Card – ${student.name}`,
+    `Roll No. ${student.roll_number || "-"} · Class ${student.student_class || "-"} · ` +
+      `Generated ${new Date().toLocaleDateString()}`
+  );
+  page.facts([
+    [report.subjects.length ? "Average" : "Marks", formatMarks(report.marks)],
+    ["Grade", report.grade || "-"],
+    ["Result", report.grade ? (report.pass ? "Pass" : "Fail") : "-"],
+    ["Class rank", report.classRank ? `${report.classRank.rank} of ${report.classRank.of}` : "-"],
+    ["Overall rank", report.overallRank ? `${report.overallRank.rank} of ${report.overallRank.of}` : "-"],
+  ]);
+  page.facts([
+    ["Class average", formatMarks(report.classAverage)],
+    [
+      "Class topper",
+      report.classTopper ? `${report.classTopper.student.name} (${formatMarks(report.classTopper.marks)})` : "-",
+    ],
+    ["Pass mark", String(scale.passMark)],
+  ]);
+
+  if (report.subjects.length) {
+    page.heading("Subjects");
+    page.table(
+      [
+        { label: "Subject", width: 0.46 },
+        { label: "Marks", width: 0.18 },
+        { label: "Grade", width: 0.14 },
+        { label: "Class average", width: 0.22 },
+      ],
+      report.subjects.map((s) => [s.subject, formatMarks(s.marks), s.grade || "-", formatMarks(s.classAverage)])
+    );
+  }
+
+  page.charts(charts);
+  return page.doc;
+}
@@ -0,0 +1,35 @@
+import { classReport, studentReport, classReportPdf } from './reports';
+import { DEFAULT_SCALE } from './grading';
+
+const students = [
+  { id: 1, name: 'Ann', roll_number: 'R1', student_class: '9A', marks: 88, subject_marks: { Science: 90, English: 86 } },
+  { id: 2, name: 'Bo', roll_number: 'R2', student_class: '9A', marks: 55, subject_marks: { Science: 50, English: 60 } },
+  { id: 3, name: 'Cy', roll_number: 'R3', student_class: '9B', marks: 95 },
+];
+
+test('classReport ranks the roster and summarizes the class', () => {
+  const report = classReport(students, '9A', DEFAULT_SCALE);
+  expect(report.rows.map((r) => [r.rank, r.student.name, r.grade, r.pass])).toEqual([
+    [1, 'Ann', 'B', true],
+    [2, 'Bo', 'F', false],
+  ]);
+  expect(report.average).toBe(71.5);
+  expect(report.topper.student.name).toBe('Ann');
+  expect(report.subjects).toEqual(['Science', 'English']);
+  expect(report.subjectAverages).toEqual([70, 73]);
+  expect(report.passing.rate).toBe(50);
+});
+
+test('studentReport compares subjects with the class and ranks overall', () => {
+  const report = studentReport(students[1], students, DEFAULT_SCALE);
+  expect(report.subjects[0]).toMatchObject({ subject: 'Science', marks: 50, classAverage: 70 });
+  expect(report.classRank).toMatchObject({ rank: 2, of: 2 });
+  expect(report.overallRank).toMatchObject({ rank: 3, of: 3 });
+});
+
+test('classReportPdf lays out the roster', () => {
+  const bytes = classReportPdf(classReport(students, '9A', DEFAULT_SCALE), DEFAULT_SCALE).toBytes();
+  const text = Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+  expect(text).toContain('(Ann) Tj');
+  expect(text).toContain('(Pass rate) Tj');
+});
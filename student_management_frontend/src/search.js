@@ -0,0 +1,93 @@
+/**
+ * PUBLIC_INTERFACE
+ * Student search syntax. The dashboard sends the text as-is to the backend (`q`) and uses
+ * the parsed terms here to highlight matches.
+ *
+ * Every word must match (case-insensitive substring). Plain words match name, roll number,
+ * class, contact or a guardian; prefixed words match one field: `name:`, `roll:`, `class:`,
+ * `contact:`, `guardian:`. A guardian matches by name or phone (see guardianMatches in
+ * guardians.js). Double quotes keep spaces together, e.g. `name:"ann lee"`.
+ */
+export const SEARCH_PREFIXES = {
+  name: "name",
+  roll: "roll_number",
+  class: "student_class",
+  contact: "contact",
+  guardian: "guardians",
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Fields plain words are matched against.
+ */
+export const SEARCH_FIELDS = Object.values(SEARCH_PREFIXES);
+
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+/**
+ * PUBLIC_INTERFACE
+ * Split search text into terms.
+ * @param {string} text e.g. 'class:10A "ann lee"'
+ * @returns {Array<{field: ?string, value: string}>} `field` is null for plain words;
+ *   unknown prefixes are kept as plain words
+ */
+export function parseSearch(text) {
+  const terms = [];
+  for (const m of String(text || "").matchAll(TOKEN)) {
+    const prefix = m[1] && m[1].toLowerCase();
+    if (prefix && SEARCH_PREFIXES[prefix]) {
+      const value = (m[2] ?? m[3]).trim();
+      if (value) terms.push({ field: SEARCH_PREFIXES[prefix], value });
+    } else {
+      const value = (m[4] ?? m[0]).trim();
+      if (value) terms.push({ field: null, value });
+    }
+  }
+  return terms;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Values to highlight in one field: its prefixed terms plus every plain word.
+ * @param {Array<Object>} terms From parseSearch()
+ * @param {string} field e.g. "student_class"
+ * @returns {Array<string>}
+ */
+export function termsFor(terms, field) {
+  return terms.filter((t) => t.field === null || t.field === field).map((t) => t.value);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Split text into matched and unmatched parts (case-insensitive, overlapping matches merged).
+ * @param {string} text
+ * @param {Array<string>} needles
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlightParts(text, needles) {
+  const value = text === undefined || text === null ? "" : String(text);
+  const lower = value.toLowerCase();
+  const ranges = [];
+  for (const needle of needles) {
+    const n = needle.toLowerCase();
+    if (!n) continue;
+    for (let i = lower.indexOf(n); i >= 0; i = lower.indexOf(n, i + 1)) ranges.push([i, i + n.length]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (end <= pos) continue;
+    const last = parts[parts.length - 1];
+    if (start > pos) parts.push({ text: value.slice(pos, start), match: false });
+    else if (last && last.match) {
+      last.text += value.slice(pos, end);
+      pos = end;
+      continue;
+    }
+    parts.push({ text: value.slice(Math.max(start, pos), end), match: true });
+    pos = end;
+  }
+  if (pos < value.length) parts.push({ text: value.slice(pos), match: false });
+  return parts;
+}
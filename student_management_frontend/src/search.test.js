@@ -0,0 +1,21 @@
+import { parseSearch, termsFor, highlightParts } from './search';
+
+test('parseSearch reads plain words, field prefixes and quoted values', () => {
+  expect(parseSearch('class:10A "ann lee" roll:23 foo:bar')).toEqual([
+    { field: 'student_class', value: '10A' },
+    { field: null, value: 'ann lee' },
+    { field: 'roll_number', value: '23' },
+    { field: null, value: 'foo:bar' },
+  ]);
+  expect(parseSearch('name:"Mary Jo"  ')).toEqual([{ field: 'name', value: 'Mary Jo' }]);
+  expect(termsFor(parseSearch('class:10 ann'), 'name')).toEqual(['ann']);
+});
+
+test('highlightParts marks case-insensitive matches and merges overlaps', () => {
+  expect(highlightParts('Anna Banana', ['an', 'ana'])).toEqual([
+    { text: 'An', match: true },
+    { text: 'na B', match: false },
+    { text: 'anana', match: true },
+  ]);
+  expect(highlightParts(23, [])).toEqual([{ text: '23', match: false }]);
+});
@@ -0,0 +1,15 @@
+/**
+ * PUBLIC_INTERFACE
+ * Registers public/service-worker.js so the app shell opens while offline.
+ *
+ * Production builds only: in development the worker would serve stale bundles over the
+ * dev server. Student data offline is handled separately (api.js, offlineStore.js).
+ */
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(() => {
+      // Without the worker the app still works online; nothing to report to the user
+    });
+  });
+}
@@ -0,0 +1,185 @@
+import { subjectMarksOf, subjectsIn, overallMarks } from "./subjects";
+import { gradeFor, isPass } from "./grading";
+
+/**
+ * PUBLIC_INTERFACE
+ * Marks statistics shared by Analytics and the student profile page.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Numeric marks of a student record (the backend may send numbers or strings).
+ * @param {Object} student
+ * @returns {number} NaN when missing
+ */
+export function marksOf(student) {
+  return typeof student.marks === "number" ? student.marks : parseFloat(student.marks);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Group students by `student_class`, skipping records without a class.
+ * @param {Array<Object>} students
+ * @returns {Object<string, Array<Object>>}
+ */
+export function groupByClass(students) {
+  const classesMap = {};
+  for (let stu of students) {
+    if (!stu.student_class) continue;
+    if (!classesMap[stu.student_class]) classesMap[stu.student_class] = [];
+    classesMap[stu.student_class].push(stu);
+  }
+  return classesMap;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Total, average and highest/lowest scorer overall and per class.
+ * @param {Array<Object>} students
+ * @returns {null|{total: number, avg: number, highest: Object, lowest: Object,
+ *   classStats: Array<{class: string, count: number, avgMarks: number, highest: Object, lowest: Object}>}}
+ */
+export function computeStats(students) {
+  if (!students.length) return null;
+  const total = students.length;
+  const marks = students.map(marksOf).filter(m => !isNaN(m));
+  const sum = marks.reduce((acc, m) => acc + m, 0);
+  const avg = marks.length ? (sum / marks.length) : 0;
+
+  const highest = students.reduce((a, b) => (a.marks > b.marks ? a : b), students[0]);
+  const lowest = students.reduce((a, b) => (a.marks < b.marks ? a : b), students[0]);
+
+  // Average, hi/lo by class:
+  const classesMap = groupByClass(students);
+  const classStats = Object.keys(classesMap).map(cls => {
+    const arr = classesMap[cls];
+    const sum = arr.reduce((acc, s) => acc + marksOf(s), 0);
+    return {
+      class: cls,
+      count: arr.length,
+      avgMarks: arr.length ? (sum / arr.length) : 0,
+      highest: arr.reduce((a, b) => (a.marks > b.marks ? a : b), arr[0]),
+      lowest: arr.reduce((a, b) => (a.marks < b.marks ? a : b), arr[0]),
+    };
+  });
+
+  return { total, avg, highest, lowest, classStats };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Rank and percentile of a student's overall marks (subject average, see subjects.js)
+ * within a group of students.
+ * Rank is 1 + the number of students with strictly higher marks (ties share a rank);
+ * percentile is the share of the group scoring at or below the student.
+ * @param {Object} student
+ * @param {Array<Object>} group
+ * @returns {null|{rank: number, of: number, percentile: number}}
+ */
+export function rankWithin(student, group) {
+  const mine = overallMarks(student);
+  const marks = group.map(overallMarks).filter(m => !isNaN(m));
+  if (isNaN(mine) || !marks.length) return null;
+  const higher = marks.filter(m => m > mine).length;
+  const atOrBelow = marks.filter(m => m <= mine).length;
+  return {
+    rank: higher + 1,
+    of: marks.length,
+    percentile: (atOrBelow / marks.length) * 100,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Average marks and topper for each subject, over the students that have marks in it.
+ * @param {Array<Object>} students
+ * @returns {Array<{subject: string, count: number, avg: number, topper: Object, topMarks: number}>}
+ */
+export function subjectStats(students) {
+  return subjectsIn(students).map(subject => {
+    const scored = students
+      .map(stu => ({ stu, m: subjectMarksOf(stu)[subject] }))
+      .filter(x => x.m !== undefined);
+    const top = scored.reduce((a, b) => (b.m > a.m ? b : a), scored[0]);
+    return {
+      subject,
+      count: scored.length,
+      avg: scored.reduce((acc, x) => acc + x.m, 0) / scored.length,
+      topper: top.stu,
+      topMarks: top.m,
+    };
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Average marks per subject and class, for the subject-by-class heatmap.
+ * Cells without any marks are null.
+ * @param {Array<Object>} students
+ * @returns {{subjects: Array<string>, classes: Array<string>, cells: Object<string, Object<string, ?number>>}}
+ */
+export function subjectClassAverages(students) {
+  const subjects = subjectsIn(students);
+  const classesMap = groupByClass(students);
+  const classes = Object.keys(classesMap).sort((a, b) => a.localeCompare(b));
+  const cells = {};
+  for (const subject of subjects) {
+    cells[subject] = {};
+    for (const cls of classes) {
+      const marks = classesMap[cls].map(stu => subjectMarksOf(stu)[subject]).filter(m => m !== undefined);
+      cells[subject][cls] = marks.length ? marks.reduce((acc, m) => acc + m, 0) / marks.length : null;
+    }
+  }
+  return { subjects, classes, cells };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Share of students (with marks) reaching the scale's pass mark.
+ * @param {Array<Object>} students
+ * @param {Object} scale Grading scale (see grading.js)
+ * @returns {{passed: number, graded: number, rate: number}} rate is 0-100
+ */
+export function passRate(students, scale) {
+  const marks = students.map(overallMarks).filter(m => !isNaN(m));
+  const passed = marks.filter(m => isPass(m, scale)).length;
+  return { passed, graded: marks.length, rate: marks.length ? (passed / marks.length) * 100 : 0 };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Number of students per grade band, lowest band first, with each band's marks range.
+ * @param {Array<Object>} students
+ * @param {Object} scale Grading scale (see grading.js)
+ * @returns {{labels: Array<string>, counts: Array<number>, ranges: Array<{min: number, max: number}>}}
+ */
+export function gradeDistribution(students, scale) {
+  const bands = [...scale.bands].sort((a, b) => a.min - b.min);
+  const labels = bands.map(b => b.label);
+  const ranges = bands.map((b, i) => ({ min: b.min, max: i + 1 < bands.length ? bands[i + 1].min - 1 : 100 }));
+  const counts = labels.map(() => 0);
+  for (const stu of students) {
+    const idx = labels.indexOf(gradeFor(overallMarks(stu), scale));
+    if (idx >= 0) counts[idx]++;
+  }
+  return { labels, counts, ranges };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Five-number summary (min, quartiles, max) of a list of marks, for box plots.
+ * Quartiles use linear interpolation between the closest ranks.
+ * @param {Array<number>} values
+ * @returns {null|{min: number, q1: number, median: number, q3: number, max: number}}
+ */
+export function quartiles(values) {
+  const sorted = values.filter(v => !isNaN(v)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const at = (p) => {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  };
+  return { min: sorted[0], q1: at(0.25), median: at(0.5), q3: at(0.75), max: sorted[sorted.length - 1] };
+}
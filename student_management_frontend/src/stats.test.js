@@ -0,0 +1,46 @@
+import { computeStats, rankWithin, subjectStats, subjectClassAverages, quartiles } from './stats';
+
+const students = [
+  { id: 1, name: 'Ann', student_class: '9A', marks: 90 },
+  { id: 2, name: 'Bo', student_class: '9A', marks: '70' },
+  { id: 3, name: 'Cy', student_class: '9B', marks: 70 },
+  { id: 4, name: 'Di', student_class: '9B', marks: 40 },
+];
+
+test('computeStats returns overall and per-class figures', () => {
+  const stats = computeStats(students);
+  expect(stats.total).toBe(4);
+  expect(stats.avg).toBe(67.5);
+  expect(stats.highest.name).toBe('Ann');
+  const nineB = stats.classStats.find((c) => c.class === '9B');
+  expect(nineB).toMatchObject({ count: 2, avgMarks: 55 });
+  expect(computeStats([])).toBeNull();
+});
+
+test('rankWithin shares ranks on ties and reports percentile at or below', () => {
+  expect(rankWithin(students[0], students)).toEqual({ rank: 1, of: 4, percentile: 100 });
+  expect(rankWithin(students[2], students)).toEqual({ rank: 2, of: 4, percentile: 75 });
+  expect(rankWithin(students[3], students)).toEqual({ rank: 4, of: 4, percentile: 25 });
+});
+
+test('subject statistics cover only students with subject marks', () => {
+  const withSubjects = [
+    ...students,
+    { id: 5, name: 'Ed', student_class: '9A', marks: 75, subject_marks: { Science: 60, English: 90 } },
+    { id: 6, name: 'Flo', student_class: '9B', marks: 80, subject_marks: { Science: 80, History: '70' } },
+  ];
+  const science = subjectStats(withSubjects).find((s) => s.subject === 'Science');
+  expect(science).toMatchObject({ count: 2, avg: 70, topMarks: 80 });
+  expect(science.topper.name).toBe('Flo');
+
+  const heatmap = subjectClassAverages(withSubjects);
+  expect(heatmap.classes).toEqual(['9A', '9B']);
+  expect(heatmap.subjects).toEqual(['Science', 'English', 'History']);
+  expect(heatmap.cells.English).toEqual({ '9A': 90, '9B': null });
+});
+
+test('quartiles interpolates between ranks', () => {
+  expect(quartiles([40, 10, 30, 20, NaN])).toEqual({ min: 10, q1: 17.5, median: 25, q3: 32.5, max: 40 });
+  expect(quartiles([55])).toEqual({ min: 55, q1: 55, median: 55, q3: 55, max: 55 });
+  expect(quartiles([])).toBeNull();
+});
@@ -0,0 +1,98 @@
+/**
+ * PUBLIC_INTERFACE
+ * Per-subject marks: the configured subject list and helpers for the
+ * `subject_marks` map ({ [subject]: marks }) stored on student records.
+ *
+ * Records keep a `marks` field holding the rounded average of their subject marks,
+ * so server-side sorting/filtering by marks and older records keep working.
+ */
+
+const DEFAULT_SUBJECTS = ["Mathematics", "Science", "English", "Social Studies", "Computer Science"];
+
+const configured = (process.env.REACT_APP_SUBJECTS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+/**
+ * PUBLIC_INTERFACE
+ * Subjects offered in the marks grid, from REACT_APP_SUBJECTS (comma-separated)
+ * or a default list.
+ */
+export const SUBJECTS = configured.length ? configured : DEFAULT_SUBJECTS;
+
+/**
+ * PUBLIC_INTERFACE
+ * Numeric subject marks of a student record; empty for records with only `marks`.
+ * @param {Object} student
+ * @returns {Object<string, number>}
+ */
+export function subjectMarksOf(student) {
+  const map = {};
+  const raw = student && student.subject_marks;
+  if (!raw || typeof raw !== "object") return map;
+  for (const subject of Object.keys(raw)) {
+    const m = typeof raw[subject] === "number" ? raw[subject] : parseFloat(raw[subject]);
+    if (!isNaN(m)) map[subject] = m;
+  }
+  return map;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Total and average of a subject marks map.
+ * @param {Object<string, number>} subjectMarks
+ * @returns {{count: number, total: number, average: number}}
+ */
+export function summarizeSubjectMarks(subjectMarks) {
+  const values = Object.values(subjectMarks);
+  const total = values.reduce((acc, m) => acc + m, 0);
+  return { count: values.length, total, average: values.length ? total / values.length : 0 };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Record fields for a subject marks map: integer `subject_marks` plus `marks` set
+ * to their rounded average.
+ * @param {Object<string, (number|string)>} subjectMarks
+ * @returns {{subject_marks: Object<string, number>, marks: number}}
+ */
+export function subjectMarksFields(subjectMarks) {
+  const clean = {};
+  for (const subject of Object.keys(subjectMarks)) clean[subject] = parseInt(subjectMarks[subject], 10);
+  return { subject_marks: clean, marks: Math.round(summarizeSubjectMarks(clean).average) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Subjects present in the given records: configured subjects first, then any others.
+ * @param {Array<Object>} students
+ * @returns {Array<string>}
+ */
+export function subjectsIn(students) {
+  const seen = new Set();
+  for (const stu of students) for (const subject of Object.keys(subjectMarksOf(stu))) seen.add(subject);
+  const extra = Array.from(seen).filter((s) => !SUBJECTS.includes(s)).sort();
+  return [...SUBJECTS.filter((s) => seen.has(s)), ...extra];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Form state for a new marks grid: every configured subject with empty marks.
+ * @returns {Object<string, string>}
+ */
+export function blankSubjectMarks() {
+  return Object.fromEntries(SUBJECTS.map((s) => [s, ""]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Overall marks of a student: the unrounded subject average, or `marks` for
+ * records without subject marks.
+ * @param {Object} student
+ * @returns {number} NaN when missing
+ */
+export function overallMarks(student) {
+  const summary = summarizeSubjectMarks(subjectMarksOf(student));
+  return summary.count ? summary.average : parseFloat(student.marks);
+}
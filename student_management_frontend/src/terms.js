@@ -0,0 +1,166 @@
+import { useEffect, useState } from "react";
+import { listTerms } from "./api";
+
+/**
+ * PUBLIC_INTERFACE
+ * Academic terms and per-term exam results.
+ *
+ * Terms are `{ name, starts_on }`, the newest being the current term. Each student keeps
+ * its results in `exams: [{ term, marks, subject_marks? }]`; the record's own `marks`,
+ * `subject_marks` and `term` are its latest result. Saving a student writes its marks to
+ * the payload's `term` (see toUpdatePayload), and `term` in list params asks the backend for
+ * the students with a result in that term, showing that result.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Terms oldest first (by start date, then name).
+ * @param {Array<Object>} terms
+ */
+export function sortTerms(terms) {
+  return [...(terms || [])]
+    .filter((t) => t && t.name)
+    .sort((a, b) => String(a.starts_on || "").localeCompare(String(b.starts_on || "")) || a.name.localeCompare(b.name));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Name of the current (newest) term, or "" without terms.
+ * @param {Array<Object>} terms Sorted with sortTerms()
+ */
+export function currentTerm(terms) {
+  return terms.length ? terms[terms.length - 1].name : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Name of the term before `term`, or "" when it is the first (or unknown).
+ * @param {Array<Object>} terms Sorted with sortTerms()
+ * @param {string} term
+ */
+export function previousTerm(terms, term) {
+  const index = terms.findIndex((t) => t.name === term);
+  return index > 0 ? terms[index - 1].name : "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Exam results of a student in term order; results of unknown terms come last.
+ * @param {Object} student
+ * @param {Array<Object>} terms Sorted with sortTerms()
+ * @returns {Array<{term: string, marks: number, subject_marks?: Object}>}
+ */
+export function examsOf(student, terms) {
+  const order = (name) => {
+    const index = terms.findIndex((t) => t.name === name);
+    return index < 0 ? terms.length : index;
+  };
+  return ((student && student.exams) || [])
+    .filter((e) => e && e.term && typeof e.marks === "number")
+    .sort((a, b) => order(a.term) - order(b.term) || a.term.localeCompare(b.term));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * The student's result in one term, or null without one.
+ * @param {Object} student
+ * @param {string} term
+ */
+export function termResult(student, term) {
+  return ((student && student.exams) || []).find((e) => e && e.term === term) || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Students as seen in one term: those with a result there, with `marks`, `subject_marks`
+ * and `term` taken from it. An empty term returns the list unchanged (latest results).
+ * @param {Array<Object>} students
+ * @param {string} term
+ */
+export function inTerm(students, term) {
+  if (!term) return students;
+  const list = [];
+  for (const s of students) {
+    const exam = termResult(s, term);
+    if (!exam) continue;
+    const view = { ...s, term, marks: exam.marks };
+    if (exam.subject_marks) view.subject_marks = exam.subject_marks;
+    else delete view.subject_marks;
+    list.push(view);
+  }
+  return list;
+}
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * PUBLIC_INTERFACE
+ * Compare two terms over the students with a result in both.
+ * @param {Array<Object>} students Records with `exams`
+ * @param {string} from Earlier term
+ * @param {string} to Later term
+ * @param {number} [limit] Length of the improved/declined lists
+ * @returns {{count: number, classes: Array<{class: string, count: number, before: number, after: number, change: number}>,
+ *   improved: Array<{student: Object, before: number, after: number, change: number}>, declined: Array<Object>}}
+ *   `classes` is sorted by class; `improved` has the largest gains first, `declined` the largest drops
+ */
+export function compareTerms(students, from, to, limit = 5) {
+  const rows = [];
+  for (const student of students) {
+    const a = termResult(student, from);
+    const b = termResult(student, to);
+    if (a && b) rows.push({ student, before: a.marks, after: b.marks, change: b.marks - a.marks });
+  }
+  const byClass = {};
+  for (const r of rows) {
+    const cls = r.student.student_class || "Unassigned";
+    (byClass[cls] || (byClass[cls] = [])).push(r);
+  }
+  const classes = Object.keys(byClass)
+    .sort((a, b) => a.localeCompare(b))
+    .map((cls) => {
+      const before = average(byClass[cls].map((r) => r.before));
+      const after = average(byClass[cls].map((r) => r.after));
+      return { class: cls, count: byClass[cls].length, before, after, change: after - before };
+    });
+  return {
+    count: rows.length,
+    classes,
+    improved: rows.filter((r) => r.change > 0).sort((a, b) => b.change - a.change).slice(0, limit),
+    declined: rows.filter((r) => r.change < 0).sort((a, b) => a.change - b.change).slice(0, limit),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * "+4.5" / "-3" / "0" for a marks change.
+ * @param {number} change
+ */
+export function formatChange(change) {
+  const rounded = Math.round(change * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Load the academic terms once per mount.
+ * @returns {{terms: Array<Object>, current: string, error: string}} terms sorted oldest first
+ */
+export function useTerms() {
+  const [terms, setTerms] = useState([]);
+  const [error, setError] = useState("");
+  useEffect(() => {
+    let cancelled = false;
+    listTerms()
+      .then((list) => {
+        if (!cancelled) setTerms(sortTerms(list));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "Could not load terms.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  return { terms, current: currentTerm(terms), error };
+}
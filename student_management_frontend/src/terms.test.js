@@ -0,0 +1,41 @@
+import { sortTerms, currentTerm, previousTerm, examsOf, inTerm, compareTerms, formatChange } from './terms';
+
+const TERMS = sortTerms([
+  { name: 'Final 2026', starts_on: '2026-04-06' },
+  { name: 'Midterm 2026', starts_on: '2026-01-12' },
+]);
+
+const student = (id, cls, mid, final) => ({
+  id,
+  student_class: cls,
+  marks: final ?? mid,
+  exams: [
+    final !== undefined && { term: 'Final 2026', marks: final },
+    { term: 'Midterm 2026', marks: mid, subject_marks: { Science: mid } },
+  ].filter(Boolean),
+});
+
+test('terms are ordered by start date and exams follow that order', () => {
+  expect(TERMS.map((t) => t.name)).toEqual(['Midterm 2026', 'Final 2026']);
+  expect(currentTerm(TERMS)).toBe('Final 2026');
+  expect(previousTerm(TERMS, 'Final 2026')).toBe('Midterm 2026');
+  expect(previousTerm(TERMS, 'Midterm 2026')).toBe('');
+  expect(examsOf(student(1, '10A', 60, 70), TERMS).map((e) => e.term)).toEqual(['Midterm 2026', 'Final 2026']);
+  const [view] = inTerm([student(1, '10A', 60, 70), student(2, '10A', 50)], 'Final 2026');
+  expect(view).toMatchObject({ id: 1, term: 'Final 2026', marks: 70 });
+  expect(view.subject_marks).toBeUndefined();
+});
+
+test('compareTerms averages class changes and ranks improved and declined students', () => {
+  const students = [student(1, '10A', 60, 70), student(2, '10A', 80, 75), student(3, '9C', 40, 52), student(4, '9C', 55)];
+  const result = compareTerms(students, 'Midterm 2026', 'Final 2026');
+  expect(result.count).toBe(3);
+  expect(result.classes.map((c) => [c.class, c.count, c.change])).toEqual([
+    ['10A', 2, 2.5],
+    ['9C', 1, 12],
+  ]);
+  expect(result.improved.map((r) => r.student.id)).toEqual([3, 1]);
+  expect(result.declined.map((r) => [r.student.id, r.change])).toEqual([[2, -5]]);
+  expect(formatChange(2.5)).toBe('+2.5');
+  expect(formatChange(-5)).toBe('-5');
+});
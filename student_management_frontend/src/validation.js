@@ -0,0 +1,91 @@
+import { validateGuardians } from "./guardians";
+
+/**
+ * PUBLIC_INTERFACE
+ * Student field validation shared by AddStudent, EditStudent and the CSV import.
+ */
+
+// Optional contact number: digits, spaces, parentheses, plus and dash
+const CONTACT_PATTERN = /^[\d ()+-]{7,24}$/;
+
+// Message for an invalid 0-100 marks value, or "" when valid
+function marksError(value) {
+  const marks = value === undefined || value === null ? "" : value.toString();
+  if (marks === "") return "Marks required";
+  if (!/^\d+$/.test(marks)) return "Marks must be a number";
+  if (+marks < 0 || +marks > 100) return "Marks must be 0-100";
+  return "";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether any mark was filled in: a subject mark when `subject_marks` is given, else `marks`.
+ * @param {Object} formData
+ */
+export function marksEntered(formData) {
+  const values = formData.subject_marks ? Object.values(formData.subject_marks) : [formData.marks];
+  return values.some((v) => v !== undefined && v !== null && String(v).trim() !== "");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether a roll number is already used by one of the given students (case-insensitive).
+ * @param {string} rollNumber
+ * @param {Array<Object>} existing
+ */
+export function isRollNumberTaken(rollNumber, existing = []) {
+  const value = String(rollNumber || "").trim().toLowerCase();
+  if (!value) return false;
+  return existing.some(
+    (stu) => stu.roll_number && stu.roll_number.toString().toLowerCase() === value
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Validate student form fields (all values as strings, as held in form state).
+ *
+ * When `formData.subject_marks` is given ({ [subject]: marks }) it is validated in place of
+ * `marks`; per-subject messages are returned under `errs.subject_marks`. Guardian rows
+ * (`formData.guardians`) are checked with validateGuardians(), their messages returned under
+ * `errs.guardians` by row index.
+ *
+ * @param {Object} formData { name, roll_number, student_class, marks | subject_marks, contact, guardians? }
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.existing] Students to check roll number uniqueness against
+ * @param {boolean} [options.requireRollNumber] Roll number is required (false when editing)
+ * @param {boolean} [options.requireMarks] Marks are required (false: may be left entirely empty)
+ * @returns {Object} Map of field name to error message; empty when valid
+ */
+export function validateFields(formData, { existing = [], requireRollNumber = true, requireMarks = true } = {}) {
+  const errs = {};
+  const rollNumber = (formData.roll_number || "").toString();
+  if (!(formData.name || "").trim()) errs.name = "Name is required";
+  if (requireRollNumber && !rollNumber.trim()) errs.roll_number = "Roll Number is required";
+  if (!(formData.student_class || "").trim()) errs.student_class = "Class/Grade required";
+  if (!requireMarks && !marksEntered(formData)) {
+    // No marks given: nothing to check
+  } else if (formData.subject_marks) {
+    const subjectErrs = {};
+    for (const subject of Object.keys(formData.subject_marks)) {
+      const msg = marksError(formData.subject_marks[subject]);
+      if (msg) subjectErrs[subject] = msg;
+    }
+    if (!Object.keys(formData.subject_marks).length) errs.marks = "Add marks for at least one subject";
+    if (Object.keys(subjectErrs).length) errs.subject_marks = subjectErrs;
+  } else {
+    const msg = marksError(formData.marks);
+    if (msg) errs.marks = msg;
+  }
+  // Roll Number uniqueness (client-side precaution)
+  if (requireRollNumber && isRollNumberTaken(rollNumber, existing)) {
+    errs.roll_number = "Roll Number must be unique";
+  }
+  // Optional: Contact number (if provided, must be valid phone)
+  if (formData.contact && !CONTACT_PATTERN.test(formData.contact)) {
+    errs.contact = "Contact number is invalid";
+  }
+  const guardianErrs = validateGuardians(formData.guardians);
+  if (Object.keys(guardianErrs).length) errs.guardians = guardianErrs;
+  return errs;
+}